@@ -0,0 +1,105 @@
+/**
+ * Roles and permissions
+ *
+ * Routes check named permissions (requirePermission in middleware/auth.js),
+ * never role names, so what a role may do is decided here in one place.
+ */
+
+export const ROLES = ['user', 'tutor', 'moderator', 'staff', 'admin'];
+
+export const PERMISSIONS = {
+  // Create and manage your own tutor profile
+  TUTOR_PROFILE_MANAGE: 'tutor-profile:manage',
+
+  // Publish announcements, and edit or delete anyone's
+  ANNOUNCEMENTS_PUBLISH: 'announcements:publish',
+  ANNOUNCEMENTS_MANAGE: 'announcements:manage',
+
+  // Upload documents, and edit, delete or get stats on any document
+  DOCUMENTS_UPLOAD: 'documents:upload',
+  DOCUMENTS_MANAGE: 'documents:manage',
+
+  TIMETABLES_MANAGE: 'timetables:manage',
+  // Your own timetable is your teaching schedule rather than your courses'
+  TIMETABLES_TEACH: 'timetables:teach',
+
+  // Edit or delete other users' content
+  EVENTS_MANAGE: 'events:manage',
+  POSTS_MODERATE: 'posts:moderate',
+  POLLS_MODERATE: 'polls:moderate',
+
+  // Work the report queue: hide content, warn and suspend users
+  REPORTS_MODERATE: 'reports:moderate',
+
+  // Inspect and lift brute-force lockouts
+  AUTH_LOCKOUTS_MANAGE: 'auth:lockouts',
+
+  // Change other users' roles
+  USERS_MANAGE_ROLES: 'users:roles',
+
+  // Configure institution SSO
+  IDENTITY_PROVIDERS_MANAGE: 'identity-providers:manage',
+
+  // Configure the automatic content filter rules
+  CONTENT_FILTERS_MANAGE: 'content-filters:manage'
+};
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+const USER_PERMISSIONS = [
+  PERMISSIONS.TUTOR_PROFILE_MANAGE
+];
+
+const MODERATOR_PERMISSIONS = [
+  ...USER_PERMISSIONS,
+  PERMISSIONS.EVENTS_MANAGE,
+  PERMISSIONS.POSTS_MODERATE,
+  PERMISSIONS.POLLS_MODERATE,
+  PERMISSIONS.REPORTS_MODERATE
+];
+
+export const ROLE_PERMISSIONS = {
+  user: USER_PERMISSIONS,
+  tutor: [
+    ...USER_PERMISSIONS,
+    PERMISSIONS.TIMETABLES_TEACH
+  ],
+  moderator: MODERATOR_PERMISSIONS,
+  staff: [
+    ...USER_PERMISSIONS,
+    PERMISSIONS.ANNOUNCEMENTS_PUBLISH,
+    PERMISSIONS.ANNOUNCEMENTS_MANAGE,
+    PERMISSIONS.DOCUMENTS_UPLOAD,
+    PERMISSIONS.DOCUMENTS_MANAGE,
+    PERMISSIONS.TIMETABLES_MANAGE,
+    PERMISSIONS.EVENTS_MANAGE
+  ],
+  admin: ALL_PERMISSIONS
+};
+
+/**
+ * Get the permissions granted to a role
+ * @param {string} role
+ * @returns {string[]}
+ */
+export const getRolePermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Check whether a user has every one of the given permissions
+ * @param {Object} user - A user with a `role`
+ * @param {...string} permissions
+ * @returns {boolean}
+ */
+export const hasPermission = (user, ...permissions) => {
+  if (!user) return false;
+  const granted = getRolePermissions(user.role);
+  return permissions.every(permission => granted.includes(permission));
+};
+
+export default {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  getRolePermissions,
+  hasPermission
+};
@@ -1,9 +1,10 @@
+import { hasPermission, PERMISSIONS } from '../config/permissions.js';
 import Announcement from '../models/Announcement.js';
 import asyncHandler from 'express-async-handler';
 
 // @desc    Create a new announcement
 // @route   POST /api/announcements
-// @access  Private/Admin
+// @access  Private (announcements:publish)
 const createAnnouncement = asyncHandler(async (req, res) => {
   const { title, content, targetAudience, isPinned, expiryDate } = req.body;
 
@@ -72,7 +73,7 @@ const getAnnouncementById = asyncHandler(async (req, res) => {
 
 // @desc    Update announcement
 // @route   PUT /api/announcements/:id
-// @access  Private/Admin
+// @access  Private (announcements:publish)
 const updateAnnouncement = asyncHandler(async (req, res) => {
   const { title, content, targetAudience, isPinned, expiryDate } = req.body;
   const announcement = await Announcement.findById(req.params.id);
@@ -82,9 +83,9 @@ const updateAnnouncement = asyncHandler(async (req, res) => {
     throw new Error('Announcement not found');
   }
 
-  // Check if user is admin or the author
-  if (announcement.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-    res.status(401);
+  // Check if user is the author or may manage all announcements
+  if (announcement.author.toString() !== req.user._id.toString() && !hasPermission(req.user, PERMISSIONS.ANNOUNCEMENTS_MANAGE)) {
+    res.status(403);
     throw new Error('Not authorized to update this announcement');
   }
 
@@ -100,7 +101,7 @@ const updateAnnouncement = asyncHandler(async (req, res) => {
 
 // @desc    Delete announcement
 // @route   DELETE /api/announcements/:id
-// @access  Private/Admin
+// @access  Private (announcements:publish)
 const deleteAnnouncement = asyncHandler(async (req, res) => {
   const announcement = await Announcement.findById(req.params.id);
 
@@ -109,9 +110,9 @@ const deleteAnnouncement = asyncHandler(async (req, res) => {
     throw new Error('Announcement not found');
   }
 
-  // Check if user is admin or the author
-  if (announcement.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
-    res.status(401);
+  // Check if user is the author or may manage all announcements
+  if (announcement.author.toString() !== req.user._id.toString() && !hasPermission(req.user, PERMISSIONS.ANNOUNCEMENTS_MANAGE)) {
+    res.status(403);
     throw new Error('Not authorized to delete this announcement');
   }
 
@@ -1,3 +1,4 @@
+import { hasPermission, PERMISSIONS } from '../config/permissions.js';
 import Event from '../models/Event.js';
 import { NotFoundError, BadRequestError } from '../utils/errors.js';
 
@@ -103,8 +104,8 @@ export const updateEvent = async (req, res, next) => {
       throw new NotFoundError('Event not found');
     }
 
-    // Check if user is the event creator or admin
-    if (event.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Check if user is the event creator or may manage all events
+    if (event.createdBy.toString() !== req.user.id && !hasPermission(req.user, PERMISSIONS.EVENTS_MANAGE)) {
       throw new BadRequestError('Not authorized to update this event');
     }
 
@@ -145,8 +146,8 @@ export const deleteEvent = async (req, res, next) => {
       throw new NotFoundError('Event not found');
     }
 
-    // Check if user is the event creator or admin
-    if (event.createdBy.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Check if user is the event creator or may manage all events
+    if (event.createdBy.toString() !== req.user.id && !hasPermission(req.user, PERMISSIONS.EVENTS_MANAGE)) {
       throw new BadRequestError('Not authorized to delete this event');
     }
 
@@ -1,9 +1,10 @@
+import { hasPermission, PERMISSIONS } from '../config/permissions.js';
 import Timetable from '../models/Timetable.js';
 import asyncHandler from 'express-async-handler';
 
 // @desc    Create a new timetable entry
 // @route   POST /api/timetables
-// @access  Private/Admin
+// @access  Private (timetables:manage)
 const createTimetable = asyncHandler(async (req, res) => {
   const {
     course,
@@ -107,7 +108,7 @@ const getTimetableById = asyncHandler(async (req, res) => {
 
 // @desc    Update timetable
 // @route   PUT /api/timetables/:id
-// @access  Private/Admin
+// @access  Private (timetables:manage)
 const updateTimetable = asyncHandler(async (req, res) => {
   const {
     course,
@@ -151,7 +152,7 @@ const updateTimetable = asyncHandler(async (req, res) => {
 
 // @desc    Delete timetable
 // @route   DELETE /api/timetables/:id
-// @access  Private/Admin
+// @access  Private (timetables:manage)
 const deleteTimetable = asyncHandler(async (req, res) => {
   const timetable = await Timetable.findById(req.params.id);
 
@@ -170,7 +171,7 @@ const deleteTimetable = asyncHandler(async (req, res) => {
 const getMyTimetable = asyncHandler(async (req, res) => {
   // For students: Get timetable for their enrolled courses
   // For tutors: Get their teaching schedule
-  const query = req.user.role === 'tutor' 
+  const query = hasPermission(req.user, PERMISSIONS.TIMETABLES_TEACH)
     ? { tutor: req.user._id }
     : { course: { $in: req.user.enrolledCourses || [] } };
 
@@ -40,9 +40,9 @@ const createOrUpdateTutorProfile = asyncHandler(async (req, res) => {
 
     const createdTutor = await tutor.save();
     
-    // Update user role to tutor if not already
+    // Regular users become tutors; moderators, staff and admins keep their role
     const user = await User.findById(req.user._id);
-    if (user.role !== 'tutor' && user.role !== 'admin') {
+    if (user.role === 'user') {
       user.role = 'tutor';
       await user.save();
     }
@@ -119,7 +119,7 @@ const deleteTutorProfile = asyncHandler(async (req, res) => {
     // Update user role if not admin
     const user = await User.findById(req.user._id);
     if (user.role === 'tutor') {
-      user.role = 'student';
+      user.role = 'user';
       await user.save();
     }
     
@@ -1,9 +1,7 @@
-import jwt from 'jsonwebtoken';
-import User from '../models/User.js';
+import { hasPermission } from '../config/permissions.js';
+import { authenticateAccessToken } from '../services/sessionService.js';
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
-
-// Middleware to verify JWT token
+// Middleware to verify JWT token and the session it belongs to
 export const auth = async (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
@@ -13,20 +11,17 @@ export const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'No token, authorization denied' });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, JWT_SECRET);
-
-    // Get user from the token
-    const user = await User.findById(decoded.id).select('-password');
-
-    if (!user) {
-      return res.status(401).json({ message: 'User not found' });
-    }
+    // Verify token and make sure its session has not been terminated
+    const { user, sessionId } = await authenticateAccessToken(token);
 
-    // Add user to request object
+    // Add user and session to request object
     req.user = user;
+    req.sessionId = sessionId;
     next();
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Authentication error:', error);
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({ message: 'Invalid token' });
@@ -40,32 +35,14 @@ export const auth = async (req, res, next) => {
 
 export const protect = auth;
 
-// Middleware to check if user is admin
-export const admin = async (req, res, next) => {
-  try {
-    const user = await User.findById(req.user.id);
-
-    if (!user.isAdmin) {
-      return res.status(403).json({ message: 'Not authorized as admin' });
-    }
-
-    next();
-  } catch (error) {
-    console.error('Admin middleware error:', error);
-    res.status(500).json({ message: 'Server error' });
-  }
-};
-
-// Middleware to restrict access to specific roles
-export const restrictTo = (...allowedRoles) => {
+// Middleware to require one or more named permissions (see config/permissions.js)
+export const requirePermission = (...permissions) => {
   return (req, res, next) => {
-    // Allow admins to access all routes
-    if (req.user.role === 'admin') {
-      return next();
+    if (!req.user) {
+      return res.status(401).json({ message: 'No token, authorization denied' });
     }
 
-    // Check if user's role is in the allowed roles
-    if (!allowedRoles.includes(req.user.role)) {
+    if (!hasPermission(req.user, ...permissions)) {
       return res.status(403).json({
         message: 'You do not have permission to perform this action'
       });
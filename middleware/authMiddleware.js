@@ -1,55 +0,0 @@
-import jwt from 'jsonwebtoken';
-import asyncHandler from 'express-async-handler';
-import User from '../models/User.js';
-
-// Protect routes - user must be authenticated
-const protect = asyncHandler(async (req, res, next) => {
-  let token;
-
-  // Check for token in Authorization header
-  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-    try {
-      // Get token from header
-      token = req.headers.authorization.split(' ')[1];
-
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-      // Get user from token
-      req.user = await User.findById(decoded.id).select('-password');
-
-      next();
-    } catch (error) {
-      console.error(error);
-      res.status(401);
-      throw new Error('Not authorized, token failed');
-    }
-  }
-
-  if (!token) {
-    res.status(401);
-    throw new Error('Not authorized, no token');
-  }
-});
-
-// Admin middleware - must be admin
-const admin = (req, res, next) => {
-  if (req.user && req.user.role === 'admin') {
-    next();
-  } else {
-    res.status(403);
-    throw new Error('Not authorized as an admin');
-  }
-};
-
-// Tutor middleware - must be a tutor
-const tutor = (req, res, next) => {
-  if (req.user && (req.user.role === 'tutor' || req.user.role === 'admin')) {
-    next();
-  } else {
-    res.status(403);
-    throw new Error('Not authorized as a tutor');
-  }
-};
-
-export { protect, admin, tutor };
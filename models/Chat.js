@@ -9,13 +9,21 @@ const chatSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  // Group chats only: the one admin who cannot be removed or demoted, see groupChatService
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   participants: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: true
     },
+    // Receipt watermarks: the creation time of the latest message the participant has received and read
+    lastDelivered: Date,
     lastRead: Date,
+    // Messages from others after lastRead, kept up to date as messages are sent and read
     unreadCount: {
       type: Number,
       default: 0
@@ -34,6 +42,11 @@ const chatSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Message'
   },
+  // Pinned messages, most recently pinned first
+  pinnedMessages: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message'
+  }],
   settings: {
     isMuted: {
       type: Boolean,
@@ -71,24 +84,6 @@ chatSchema.index({ participants: 1 });
 chatSchema.index({ updatedAt: -1 });
 chatSchema.index({ 'participants': 1, 'updatedAt': -1 });
 
-// Virtual for unread message count
-chatSchema.virtual('unreadCount').get(function() {
-  if (!this.messages || !Array.isArray(this.messages)) {
-    return 0;
-  }
-  
-  // If currentUser is not available, return 0
-  if (!this.currentUser) {
-    return 0;
-  }
-  
-  return this.messages.filter(msg => 
-    msg && 
-    Array.isArray(msg.readBy) && 
-    !msg.readBy.includes(this.currentUser)
-  ).length;
-});
-
 // Pre-remove hook to delete group image from Cloudinary
 chatSchema.pre('remove', async function(next) {
   try {
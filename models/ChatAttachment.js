@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+export const ATTACHMENT_KINDS = ['image', 'video', 'audio', 'file'];
+
+// A file uploaded to a chat. It belongs to nobody but its uploader until a
+// message is sent with it; the message then keeps a copy of these details.
+const chatAttachmentSchema = new mongoose.Schema({
+  uploader: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  chat: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Chat',
+    required: true
+  },
+  // Set when a message is sent with the attachment; unclaimed uploads are removed after a day
+  message: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  kind: {
+    type: String,
+    enum: ATTACHMENT_KINDS,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  publicId: {
+    type: String,
+    required: true
+  },
+  // Cloudinary resource type, needed to delete the file
+  resourceType: {
+    type: String,
+    default: 'image'
+  },
+  thumbnailUrl: String,
+  thumbnailPublicId: String,
+  fileName: {
+    type: String,
+    trim: true,
+    maxlength: 255
+  },
+  mimeType: String,
+  size: Number,
+  width: Number,
+  height: Number,
+  // Seconds, for video and audio
+  duration: Number
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+chatAttachmentSchema.index({ message: 1, createdAt: 1 });
+chatAttachmentSchema.index({ uploader: 1, chat: 1 });
+
+const ChatAttachment = mongoose.model('ChatAttachment', chatAttachmentSchema);
+
+export default ChatAttachment;
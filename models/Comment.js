@@ -5,7 +5,8 @@ import { toJSON, paginate } from './plugins/index.js';
 const commentSchema = new mongoose.Schema({
   content: {
     type: String,
-    required: [true, 'Comment content is required'],
+    // Deleted comments keep their place in the thread but lose their content
+    required: [function() { return this.status !== 'deleted'; }, 'Comment content is required'],
     trim: true,
     maxlength: [2000, 'Comment cannot exceed 2000 characters']
   },
@@ -26,6 +27,11 @@ const commentSchema = new mongoose.Schema({
     ref: 'Comment',
     default: null
   },
+  // 0 for comments on the post, parent's depth + 1 for replies
+  depth: {
+    type: Number,
+    default: 0
+  },
   replies: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Comment'
@@ -99,6 +105,7 @@ const commentSchema = new mongoose.Schema({
     enum: ['active', 'deleted', 'flagged'],
     default: 'active'
   },
+  deletedAt: Date,
   metadata: {
     ipAddress: String,
     userAgent: String,
@@ -126,6 +133,7 @@ commentSchema.plugin(mongooseKeywords, { paths: ['content', 'hashtags'] });
 
 // Indexes
 commentSchema.index({ post: 1, createdAt: -1 });
+commentSchema.index({ post: 1, parentComment: 1, _id: -1 });
 commentSchema.index({ author: 1, createdAt: -1 });
 commentSchema.index({ parentComment: 1, createdAt: 1 });
 commentSchema.index({ 'mentions.user': 1 });
@@ -145,23 +153,40 @@ commentSchema.index({
   name: 'comment_text_search'
 });
 
+// Remember the stored content so an edit can record what it replaced
+commentSchema.post('init', function() {
+  this.$locals.savedContent = this.content;
+});
+
+commentSchema.post('save', function() {
+  this.$locals.savedContent = this.content;
+});
+
+/**
+ * Track edit history if the content changed, keeping the previous version.
+ * Run by the pre-save hook below.
+ * @param {Object} comment - The comment document being saved
+ */
+export const recordEdit = (comment) => {
+  if (comment.isModified('content') && !comment.isNew && comment.status !== 'deleted') {
+    if (!comment.editHistory) {
+      comment.editHistory = [];
+    }
+    comment.editHistory.unshift({
+      content: comment.$locals.savedContent,
+      editedAt: new Date()
+    });
+    comment.isEdited = true;
+  }
+};
+
 // Pre-save hook to update counters and timestamps
 commentSchema.pre('save', function(next) {
   // Update counters
   this.likeCount = this.likes ? this.likes.length : 0;
   this.replyCount = this.replies ? this.replies.length : 0;
   
-  // Track edit history if content changed
-  if (this.isModified('content') && !this.isNew) {
-    if (!this.editHistory) {
-      this.editHistory = [];
-    }
-    this.editHistory.unshift({
-      content: this.content,
-      editedAt: new Date()
-    });
-    this.isEdited = true;
-  }
+  recordEdit(this);
   
   // Set pinnedAt timestamp if comment is pinned
   if (this.isModified('isPinned') && this.isPinned) {
@@ -308,7 +333,7 @@ commentSchema.statics = {
     // Build query
     const query = {
       post: postId,
-      parentComment: { $exists: false },
+      parentComment: null,
       status: 'active'
     };
     
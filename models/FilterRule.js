@@ -0,0 +1,119 @@
+import mongoose from 'mongoose';
+import {
+  compilePattern,
+  FILTER_ACTIONS,
+  FILTER_CONTEXTS,
+  FILTER_RULE_TYPES,
+  normalizeDomain
+} from '../utils/contentFilter.js';
+
+// One automatic content filter rule, for every university (university: null) or for one
+const filterRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  // Matched against User.university, case-insensitively
+  university: {
+    type: String,
+    trim: true,
+    default: null,
+    maxlength: [150, 'University name cannot exceed 150 characters']
+  },
+  type: {
+    type: String,
+    enum: FILTER_RULE_TYPES,
+    required: [true, 'Rule type is required']
+  },
+  action: {
+    type: String,
+    enum: FILTER_ACTIONS,
+    required: [true, 'Action is required']
+  },
+  // Where the rule runs; every context when empty
+  appliesTo: {
+    type: [{ type: String, enum: FILTER_CONTEXTS }],
+    default: []
+  },
+  // keyword: whole words or phrases, case-insensitive
+  keywords: {
+    type: [String],
+    default: []
+  },
+  // pattern: a regular expression source and its flags
+  pattern: {
+    type: String,
+    maxlength: [500, 'Pattern cannot exceed 500 characters']
+  },
+  patternFlags: {
+    type: String,
+    default: 'i',
+    match: [/^[imsu]*$/, 'Pattern flags can only be i, m, s and u']
+  },
+  // link_domain: deny links to these domains, or allow only these
+  domains: {
+    type: [String],
+    default: []
+  },
+  domainMode: {
+    type: String,
+    enum: ['deny', 'allow'],
+    default: 'deny'
+  },
+  // repeat: the same text `count` times within `windowMinutes`
+  repeat: {
+    count: { type: Number, min: [2, 'Repeat count must be at least 2'] },
+    windowMinutes: { type: Number, min: [1, 'Repeat window must be at least 1 minute'], max: [1440, 'Repeat window cannot exceed a day'] },
+    _id: false
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, { timestamps: true });
+
+// Each type needs its own settings
+filterRuleSchema.pre('validate', function (next) {
+  this.keywords = this.keywords.map(word => word.trim()).filter(Boolean);
+  this.domains = [...new Set(this.domains.map(normalizeDomain).filter(Boolean))];
+  if (this.university === '') this.university = null;
+
+  if (this.type === 'keyword' && !this.keywords.length) {
+    this.invalidate('keywords', 'At least one keyword is required');
+  }
+  if (this.type === 'pattern') {
+    try {
+      compilePattern(this.pattern || '', this.patternFlags);
+      if (!this.pattern) this.invalidate('pattern', 'Pattern is required');
+    } catch (error) {
+      this.invalidate('pattern', `Invalid pattern: ${error.message}`);
+    }
+  }
+  if (this.type === 'link_domain' && !this.domains.length) {
+    this.invalidate('domains', 'At least one domain is required');
+  }
+  if (this.type === 'repeat') {
+    if (!this.repeat?.count || !this.repeat?.windowMinutes) {
+      this.invalidate('repeat', 'Repeat count and window are required');
+    }
+    // A repeated message has nothing to mask but the whole message
+    if (this.action === 'mask') this.invalidate('action', 'Repeat rules can block or send to review, not mask');
+  }
+  next();
+});
+
+filterRuleSchema.index({ university: 1, enabled: 1 }, { collation: { locale: 'en', strength: 2 } });
+
+const FilterRule = mongoose.model('FilterRule', filterRuleSchema);
+
+export default FilterRule;
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+// A request to follow a private account, waiting for the account owner to approve it
+const followRequestSchema = new mongoose.Schema({
+  requester: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  respondedAt: Date
+}, { timestamps: true });
+
+// One request per pair of users, reopened when the requester asks again
+followRequestSchema.index({ requester: 1, target: 1 }, { unique: true });
+followRequestSchema.index({ target: 1, status: 1, createdAt: -1 });
+followRequestSchema.index({ requester: 1, status: 1, createdAt: -1 });
+
+const FollowRequest = mongoose.model('FollowRequest', followRequestSchema);
+
+export default FollowRequest;
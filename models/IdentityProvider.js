@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+// An institution's OpenID Connect identity provider, one per university
+const identityProviderSchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: [true, 'Slug is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9-]+$/, 'Slug can only contain lowercase letters, numbers, and dashes']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true
+  },
+  // Stored as User.university for accounts provisioned through this provider
+  university: {
+    type: String,
+    required: [true, 'University is required'],
+    trim: true,
+    maxlength: [150, 'University name cannot exceed 150 characters']
+  },
+  issuer: {
+    type: String,
+    required: [true, 'Issuer is required'],
+    trim: true
+  },
+  clientId: {
+    type: String,
+    required: [true, 'Client ID is required'],
+    trim: true
+  },
+  // Optional, PKCE public clients do not have one
+  clientSecret: {
+    type: String,
+    select: false
+  },
+  scopes: {
+    type: [String],
+    default: ['openid', 'email', 'profile']
+  },
+  // Redirect URIs the clients may ask the IdP to return to; the first one is the default
+  redirectUris: {
+    type: [String],
+    validate: [uris => uris.length > 0, 'At least one redirect URI is required']
+  },
+  // The institution's email domains (subdomains included). SSO only signs in and
+  // links accounts with an email at one of them, so an IdP cannot vouch for
+  // addresses at another institution
+  allowedDomains: {
+    type: [{ type: String, trim: true, lowercase: true }],
+    validate: [domains => domains.length > 0, 'At least one allowed email domain is required']
+  },
+  // ID token claim names to read each profile field from
+  claimMapping: {
+    email: { type: String, default: 'email' },
+    name: { type: String, default: 'name' },
+    givenName: { type: String, default: 'given_name' },
+    familyName: { type: String, default: 'family_name' },
+    level: { type: String, default: 'level' },
+    course: { type: String, default: 'course' },
+    _id: false
+  },
+  // Used when the IdP does not release a claim that User requires
+  defaults: {
+    level: String,
+    course: String,
+    _id: false
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function (doc, ret) {
+      delete ret.clientSecret;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+const IdentityProvider = mongoose.model('IdentityProvider', identityProviderSchema);
+
+export default IdentityProvider;
@@ -1,4 +1,24 @@
 import mongoose from 'mongoose';
+import { ATTACHMENT_KINDS } from './ChatAttachment.js';
+
+const attachmentSchema = new mongoose.Schema({
+  attachment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChatAttachment'
+  },
+  kind: {
+    type: String,
+    enum: ATTACHMENT_KINDS
+  },
+  url: String,
+  thumbnailUrl: String,
+  fileName: String,
+  mimeType: String,
+  size: Number,
+  width: Number,
+  height: Number,
+  duration: Number
+}, { _id: false });
 
 const messageSchema = new mongoose.Schema({
   chatId: {
@@ -14,24 +34,53 @@ const messageSchema = new mongoose.Schema({
   content: {
     type: String,
     required: function() {
-      return !this.mediaUrl; // Content is required if there's no media
+      // Content is required if there's no media
+      return !this.mediaUrl && !(this.attachments && this.attachments.length);
     }
   },
   type: {
     type: String,
-    enum: ['text', 'image', 'video', 'file'],
+    enum: ['text', 'image', 'video', 'file', 'system'],
     default: 'text'
   },
+  // What a system message records, such as a member being added or removed;
+  // senderId is who did it and content is the text shown for it
+  system: {
+    event: String,
+    targets: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    _id: false
+  },
   mediaUrl: String,
+  // Copied from the message's ChatAttachments when it is sent
+  attachments: [attachmentSchema],
+  // The message this one replies to, in the same chat
   replyTo: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Message'
   },
+  // Previous versions, oldest first
+  editHistory: [{
+    content: String,
+    editedAt: {
+      type: Date,
+      default: Date.now
+    },
+    _id: false
+  }],
+  editedAt: Date,
+  // sent, then delivered once every other participant has received it, then read once they all have read it
   status: {
     type: String,
     enum: ['sending', 'sent', 'delivered', 'read', 'failed'],
     default: 'sending'
   },
+  deliveredTo: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   readBy: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -57,15 +106,26 @@ const messageSchema = new mongoose.Schema({
     ref: 'User'
   },
   pinnedAt: Date,
+  // Deleted for everyone by the sender; the message stays as a placeholder
   deleted: {
     type: Boolean,
     default: false
   },
+  // Taken down by a moderator, see ModerationCase
+  hidden: {
+    type: Boolean,
+    default: false
+  },
   deletedAt: Date,
   deletedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
-  }
+  },
+  // Users who deleted the message for themselves only
+  deletedFor: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
 }, {
   timestamps: true,
   toJSON: {
@@ -84,22 +144,6 @@ messageSchema.index({ chatId: 1, createdAt: 1 });
 messageSchema.index({ senderId: 1 });
 messageSchema.index({ 'reactions.userId': 1 });
 
-// Pre-save hook to update chat's last message
-messageSchema.pre('save', async function(next) {
-  if (this.isNew) {
-    try {
-      const Chat = mongoose.model('Chat');
-      await Chat.findByIdAndUpdate(this.chatId, {
-        lastMessage: this._id,
-        updatedAt: new Date()
-      });
-    } catch (error) {
-      console.error('Error updating chat last message:', error);
-    }
-  }
-  next();
-});
-
 const Message = mongoose.model('Message', messageSchema);
 
 export default Message;
@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+import { REPORT_TARGET_TYPES } from './Report.js';
+
+export const MODERATION_ACTIONS = ['dismiss', 'hide', 'warn', 'suspend'];
+
+// Every change to a case, by a moderator or by the system (actor: null)
+const auditEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ['opened', 'auto_hidden', 'filtered', 'restored', ...MODERATION_ACTIONS],
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  note: String,
+  details: mongoose.Schema.Types.Mixed,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// The reports against one target, and what moderators did about them
+const moderationCaseSchema = new mongoose.Schema({
+  targetType: {
+    type: String,
+    enum: REPORT_TARGET_TYPES,
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // The user responsible for the target: its author, or the profile itself
+  targetUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'resolved', 'dismissed'],
+    default: 'open'
+  },
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+  reasons: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  lastReportedAt: Date,
+  // Whether the target is hidden, and what to put back if it is restored
+  contentHidden: {
+    type: Boolean,
+    default: false
+  },
+  previousState: mongoose.Schema.Types.Mixed,
+  resolution: {
+    action: {
+      type: String,
+      enum: MODERATION_ACTIONS
+    },
+    moderator: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    note: String,
+    suspendedUntil: Date,
+    resolvedAt: Date
+  },
+  auditLog: [auditEntrySchema]
+}, { timestamps: true });
+
+// At most one open case per target
+moderationCaseSchema.index(
+  { targetType: 1, targetId: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+moderationCaseSchema.index({ status: 1, reportCount: -1, lastReportedAt: -1 });
+moderationCaseSchema.index({ targetUser: 1, createdAt: -1 });
+
+const ModerationCase = mongoose.model('ModerationCase', moderationCaseSchema);
+
+export default ModerationCase;
@@ -160,7 +160,8 @@ const postSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['draft', 'published', 'archived', 'deleted'],
+    // hidden: taken down by a moderator, see ModerationCase
+    enum: ['draft', 'published', 'archived', 'hidden', 'deleted'],
     default: 'published'
   },
   scheduledAt: {
@@ -222,8 +223,21 @@ postSchema.plugin(mongooseKeywords, { paths: keywordPaths });
 // Note: author and location.coordinates indexes are already defined in the schema options
 // Only define compound or additional indexes that aren't covered by schema options
 postSchema.index({ 'mentions.user': 1 });
-postSchema.index({ hashtags: 1 });
+postSchema.index({ hashtags: 1, publishedAt: -1 });
 postSchema.index({ status: 1, scheduledAt: 1 });
+postSchema.index({ author: 1, publishedAt: -1 });
+postSchema.index({ originalPost: 1 });
+// One plain repost per user and post; quote posts are not limited
+postSchema.index({ author: 1, originalPost: 1 }, { unique: true, partialFilterExpression: { isRepost: true } });
+
+// Remember the stored content so an edit can record what it replaced
+postSchema.post('init', function() {
+  this.$locals.savedContent = this.content;
+});
+
+postSchema.post('save', function() {
+  this.$locals.savedContent = this.content;
+});
 
 // Pre-save hook to update counters and timestamps
 postSchema.pre('save', function(next) {
@@ -238,13 +252,13 @@ postSchema.pre('save', function(next) {
     this.publishedAt = new Date();
   }
   
-  // Track edit history if content changed
-  if (this.isModified('content') && !this.isNew) {
+  // Track edit history if content changed, keeping the previous version (drafts are not edited until published)
+  if (this.isModified('content') && !this.isNew && this.status !== 'draft') {
     if (!this.editHistory) {
       this.editHistory = [];
     }
     this.editHistory.unshift({
-      content: this.content,
+      content: this.$locals.savedContent,
       editedAt: new Date()
     });
     this.isEdited = true;
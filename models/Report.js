@@ -0,0 +1,59 @@
+import mongoose from 'mongoose';
+
+export const REPORT_TARGET_TYPES = ['post', 'comment', 'message', 'forumThread', 'user'];
+
+export const REPORT_REASONS = [
+  'spam',
+  'harassment',
+  'hate_speech',
+  'violence',
+  'nudity',
+  'self_harm',
+  'misinformation',
+  'impersonation',
+  'academic_dishonesty',
+  'other'
+];
+
+// One user's report of a piece of content or a profile; reports of the same
+// target are gathered into one ModerationCase
+const reportSchema = new mongoose.Schema({
+  reporter: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  targetType: {
+    type: String,
+    enum: REPORT_TARGET_TYPES,
+    required: true
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: REPORT_REASONS,
+    required: [true, 'A reason is required']
+  },
+  details: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Details cannot exceed 1000 characters']
+  },
+  case: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ModerationCase',
+    required: true
+  }
+}, { timestamps: true });
+
+// A user reports a target once while its case is open; a later case counts them again
+reportSchema.index({ reporter: 1, case: 1 }, { unique: true });
+reportSchema.index({ case: 1, createdAt: 1 });
+reportSchema.index({ reporter: 1, createdAt: -1 });
+
+const Report = mongoose.model('Report', reportSchema);
+
+export default Report;
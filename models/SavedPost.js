@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// A post bookmarked by a user; Post.saves holds the same users for counts and lookups
+const savedPostSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+savedPostSchema.index({ user: 1, post: 1 }, { unique: true });
+savedPostSchema.index({ user: 1, _id: -1 });
+savedPostSchema.index({ post: 1 });
+
+const SavedPost = mongoose.model('SavedPost', savedPostSchema);
+
+export default SavedPost;
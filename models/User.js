@@ -1,6 +1,8 @@
 import bcrypt from 'bcryptjs';
 import crypto from 'crypto';
 import mongoose from 'mongoose';
+import { ROLES } from '../config/permissions.js';
+import { buildSearchTokens } from '../utils/searchTokens.js';
 
 // Define schema without any virtuals first
 const userSchemaDefinition = {
@@ -116,7 +118,7 @@ const userSchemaDefinition = {
   },
   role: {
     type: String,
-    enum: ['user', 'moderator', 'admin'],
+    enum: ROLES,
     default: 'user'
   },
   lastSeen: {
@@ -140,6 +142,33 @@ const userSchemaDefinition = {
     type: Boolean,
     default: false
   },
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret generated by /2fa/setup, promoted to `secret` once a code is verified
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // SHA-256 hashes of the unused one-time recovery codes
+    recoveryCodes: {
+      type: [String],
+      select: false
+    },
+    // Last accepted TOTP time step, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date,
+    _id: false
+  },
   settings: {
     notifications: {
       email: {
@@ -180,18 +209,125 @@ const userSchemaDefinition = {
     url: String,
     _id: false
   }],
-  refreshTokens: [{
-    token: String,
-    userAgent: String,
-    ip: String,
-    lastUsed: Date,
+  refreshTokens: {
+    type: [{
+      token: String, // SHA-256 hash, the raw token is only ever returned to the client
+      family: String, // All tokens rotated from the same login share a family
+      userAgent: String,
+      ip: String,
+      createdAt: Date,
+      expiresAt: Date,
+      lastUsed: Date,
+      revokedAt: Date,
+      replacedBy: String,
+      _id: false
+    }],
+    select: false
+  },
+  activeSessions: {
+    type: [{
+      sessionId: String, // Embedded as `sid` in access tokens, same value as the refresh token family
+      deviceId: String,
+      deviceName: String,
+      platform: String,
+      userAgent: String,
+      ipAddress: String,
+      createdAt: Date,
+      lastActivity: Date,
+      _id: false
+    }],
+    select: false
+  },
+  // Devices that can log in by signing a challenge with a key kept behind the biometric prompt
+  biometricDevices: {
+    type: [{
+      deviceId: String,
+      publicKey: String, // SPKI PEM
+      keyType: String, // ec (P-256), rsa or ed25519
+      deviceName: String,
+      platform: String,
+      createdAt: Date,
+      lastUsedAt: Date,
+      _id: false
+    }],
+    select: false
+  },
+  // Institution SSO accounts linked to this user
+  identities: [{
+    provider: String, // IdentityProvider slug
+    subject: String, // The IdP's `sub` claim
+    linkedAt: {
+      type: Date,
+      default: Date.now
+    },
     _id: false
   }],
+  // Set by DELETE /users/me; the account is purged once scheduledFor has passed
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date,
+    completedAt: Date,
+    _id: false
+  },
+  // Set while a moderator's suspension is in force; lifted by a job once `until` passes
+  suspension: {
+    until: Date,
+    reason: String,
+    case: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ModerationCase'
+    },
+    _id: false
+  },
+  warnings: {
+    type: [{
+      reason: String,
+      case: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ModerationCase'
+      },
+      issuedAt: {
+        type: Date,
+        default: Date.now
+      },
+      _id: false
+    }],
+    select: false
+  },
   groups: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Group',
     default: []
   }],
+  followers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  following: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Users this user has blocked: hidden both ways and unable to interact
+  blockedUsers: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    select: false
+  },
+  // Users whose content is left out of this user's feeds
+  mutedUsers: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    select: false
+  },
+  // Trigrams of the directory search fields (see utils/searchTokens.js)
+  searchTokens: {
+    type: [String],
+    select: false
+  },
   passwordChangedAt: Date,
   passwordResetToken: String,
   passwordResetExpires: Date,
@@ -206,6 +342,9 @@ const userSchema = new mongoose.Schema(userSchemaDefinition, {
     virtuals: false,
     transform: function (doc, ret) {
       delete ret.password;
+      delete ret.refreshTokens;
+      delete ret.activeSessions;
+      delete ret.biometricDevices;
       delete ret.__v;
       // Manually add the initials if needed
       if (doc.firstName && doc.lastName) {
@@ -221,6 +360,76 @@ const userSchema = new mongoose.Schema(userSchemaDefinition, {
 });
 
 // Indexes are automatically created for fields with unique: true
+userSchema.index({ 'refreshTokens.token': 1 });
+userSchema.index({ 'activeSessions.sessionId': 1 });
+userSchema.index({ 'identities.provider': 1, 'identities.subject': 1 });
+userSchema.index({ 'deletion.scheduledFor': 1 }, { sparse: true });
+userSchema.index({ 'suspension.until': 1 }, { sparse: true });
+userSchema.index({ blockedUsers: 1 });
+userSchema.index({ searchTokens: 1 });
+// Directory filters match course and university case-insensitively
+userSchema.index({ university: 1, level: 1 }, { collation: { locale: 'en', strength: 2 } });
+userSchema.index({ course: 1, level: 1 }, { collation: { locale: 'en', strength: 2 } });
+
+// Fields the directory search matches. Course and university are only searchable
+// on public profiles, the same fields a hidden profile's public card leaves out.
+export const SEARCH_NAME_FIELDS = ['username', 'displayName', 'fullName'];
+export const SEARCH_PROFILE_FIELDS = ['course', 'university'];
+
+const buildUserSearchTokens = (user) => {
+  const isPublic = (user.settings?.privacy?.profileVisibility || 'public') === 'public';
+  const fields = isPublic ? [...SEARCH_NAME_FIELDS, ...SEARCH_PROFILE_FIELDS] : SEARCH_NAME_FIELDS;
+  return buildSearchTokens(fields.map(field => user[field]));
+};
+
+const SEARCH_SOURCE_PATHS = [...SEARCH_NAME_FIELDS, ...SEARCH_PROFILE_FIELDS, 'settings.privacy.profileVisibility'];
+
+// Keep search tokens in step with the fields they are built from
+userSchema.pre('save', function (next) {
+  if (this.isNew || SEARCH_SOURCE_PATHS.some(path => this.isModified(path))) {
+    this.searchTokens = buildUserSearchTokens(this);
+  }
+  next();
+});
+
+userSchema.post('findOneAndUpdate', async function (doc) {
+  if (!doc) return;
+
+  const update = this.getUpdate() || {};
+  const changedPaths = [update, update.$set || {}, update.$unset || {}].flatMap(Object.keys);
+  const touchesSearch = changedPaths.some(path => SEARCH_SOURCE_PATHS.some(source => path === source || source.startsWith(`${path}.`)));
+  if (!touchesSearch) return;
+
+  const user = await this.model.findById(doc._id).select(`${SEARCH_SOURCE_PATHS.join(' ')}`).lean();
+  if (user) {
+    await this.model.updateOne({ _id: user._id }, { $set: { searchTokens: buildUserSearchTokens(user) } });
+  }
+});
+
+/**
+ * Rebuild search tokens for users that do not have them yet
+ * @param {number} [batchSize]
+ * @returns {Promise<number>} The number of users updated
+ */
+userSchema.statics.backfillSearchTokens = async function (batchSize = 500) {
+  let updated = 0;
+
+  for (;;) {
+    const users = await this.find({ searchTokens: { $exists: false } })
+      .select(SEARCH_SOURCE_PATHS.join(' '))
+      .limit(batchSize)
+      .lean();
+    if (!users.length) return updated;
+
+    await this.bulkWrite(users.map(user => ({
+      updateOne: {
+        filter: { _id: user._id },
+        update: { $set: { searchTokens: buildUserSearchTokens(user) } }
+      }
+    })));
+    updated += users.length;
+  }
+};
 
 // Pre-save hook to set fullName and handle timestamps
 userSchema.pre('save', function (next) {
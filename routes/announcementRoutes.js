@@ -7,15 +7,16 @@ import {
   updateAnnouncement,
   deleteAnnouncement
 } from '../controllers/announcementController.js';
-import { protect, admin } from '../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 
 router.route('/')
   .get(getAnnouncements)
-  .post(protect, admin, createAnnouncement);
+  .post(protect, requirePermission(PERMISSIONS.ANNOUNCEMENTS_PUBLISH), createAnnouncement);
 
 router.route('/:id')
   .get(getAnnouncementById)
-  .put(protect, admin, updateAnnouncement)
-  .delete(protect, admin, deleteAnnouncement);
+  .put(protect, requirePermission(PERMISSIONS.ANNOUNCEMENTS_PUBLISH), updateAnnouncement)
+  .delete(protect, requirePermission(PERMISSIONS.ANNOUNCEMENTS_PUBLISH), deleteAnnouncement);
 
 export default router;
@@ -1,10 +1,168 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import { PERMISSIONS } from '../config/permissions.js';
+import { auth, requirePermission } from '../middleware/auth.js';
+import IdentityProvider from '../models/IdentityProvider.js';
 import User from '../models/User.js';
+import { sendTemplate } from '../services/mailService.js';
+import {
+  authenticateAccessToken,
+  terminateAllSessions,
+  terminateSession
+} from '../services/sessionService.js';
+import {
+  assertCanSignIn,
+  findRefreshTokenSession,
+  issueAuthTokens,
+  rotateRefreshToken
+} from '../services/tokenService.js';
+import {
+  assertLoginAllowed,
+  assertResetAllowed,
+  clearLockout,
+  clearResetCodeFailures,
+  getLockoutState,
+  recordLoginFailure,
+  recordLoginSuccess,
+  recordResetCodeFailure
+} from '../services/authThrottleService.js';
+import {
+  completeAuthorization,
+  createAuthorizationRequest,
+  resolveUser
+} from '../services/oidcService.js';
+import {
+  beginSetup,
+  confirmSetup,
+  disableTwoFactor,
+  isTwoFactorRequired,
+  regenerateRecoveryCodes,
+  signMfaToken,
+  verifyMfaToken,
+  verifySecondFactor
+} from '../services/twoFactorService.js';
+import AppError from '../utils/appError.js';
 
 const router = express.Router();
 
+const RESET_CODE_TTL_MINUTES = 15;
+
+// Compare reset codes in constant time
+const resetCodeMatches = (expected, candidate) => {
+  if (!expected || typeof candidate !== 'string') return false;
+  const expectedBuffer = Buffer.from(expected);
+  const candidateBuffer = Buffer.from(candidate.trim());
+  return expectedBuffer.length === candidateBuffer.length
+    && crypto.timingSafeEqual(expectedBuffer, candidateBuffer);
+};
+
+// Create a verification token for the user and email it
+const sendVerificationEmail = async (user) => {
+  const token = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const verifyUrl = process.env.APP_URL
+    ? `${process.env.APP_URL.replace(/\/$/, '')}/verify-email?token=${token}`
+    : undefined;
+
+  await sendTemplate(user.email, 'emailVerification', { user, token, verifyUrl });
+};
+
+// Store a new password reset code for the user and email it
+const sendPasswordResetEmail = async (user, resetCode) => {
+  user.resetPasswordCode = resetCode;
+  user.resetPasswordExpiry = new Date(Date.now() + RESET_CODE_TTL_MINUTES * 60 * 1000);
+  await user.save();
+  await clearResetCodeFailures(user.email);
+
+  await sendTemplate(user.email, 'passwordReset', {
+    user,
+    code: resetCode,
+    expiresInMinutes: RESET_CODE_TTL_MINUTES
+  });
+};
+
+// Respond with an operational error, telling throttled clients how long to wait
+const sendOperationalError = (res, error) => {
+  if (error.retryAfter) {
+    res.set('Retry-After', String(error.retryAfter));
+  }
+  return res.status(error.statusCode).json({
+    message: error.message,
+    retryAfter: error.retryAfter,
+    suspendedUntil: error.suspendedUntil
+  });
+};
+
+// Body returned once a user is fully authenticated
+const loginResponse = (user, { accessToken, refreshToken, expiresAt, sessionId }) => ({
+  user: {
+    id: user._id,
+    username: user.username,
+    email: user.email,
+    displayName: user.displayName,
+    fullName: user.fullName,
+    profilePic: user.profilePic,
+  },
+  // `token` is kept for clients that predate refresh tokens
+  token: accessToken,
+  accessToken,
+  refreshToken,
+  expiresAt,
+  sessionId,
+});
+
+// Finish a first-factor login (password or SSO): ask for the second factor
+// when the account needs one, otherwise start the session
+const sendLoginResult = async (req, res, user, device) => {
+  // Checked before the second factor too, so suspended accounts get no MFA token
+  assertCanSignIn(user);
+
+  // The first factor alone is not enough: hand out a short-lived token for the second step
+  if (user.twoFactor?.enabled) {
+    return res.json({
+      mfaRequired: true,
+      mfaToken: signMfaToken(user, 'login', device)
+    });
+  }
+
+  // The account's role requires 2FA but it has not been set up yet
+  if (isTwoFactorRequired(user)) {
+    return res.json({
+      mfaSetupRequired: true,
+      mfaToken: signMfaToken(user, 'setup', device)
+    });
+  }
+
+  // Start a session with a short-lived access token and a rotating refresh token
+  const tokens = await issueAuthTokens(user, req, device);
+
+  return res.json(loginResponse(user, tokens));
+};
+
+// Resolve the user for the 2FA enrollment endpoints: either a normal access
+// token, or the setup token handed out by login when the policy forces 2FA
+const resolveEnrollingUser = async (req) => {
+  const accessToken = req.headers.authorization?.split(' ')[1];
+  if (accessToken) {
+    const { user } = await authenticateAccessToken(accessToken);
+    return { user };
+  }
+
+  if (!req.body.mfaToken) {
+    throw new AppError('Not authorized, no token', 401);
+  }
+
+  const decoded = verifyMfaToken(req.body.mfaToken, 'setup');
+  const user = await User.findById(decoded.id);
+  if (!user) {
+    throw new AppError('User not found', 401);
+  }
+
+  return { user, device: decoded.device, viaMfaToken: true };
+};
+
 // Register a new user
 const registerUser = async (req, res) => {
   try {
@@ -73,6 +231,11 @@ const registerUser = async (req, res) => {
 
       await user.save();
       console.log('User created successfully:', { userId: user._id, email: user.email });
+
+      // Failing to send the email must not fail the registration; it can be resent
+      sendVerificationEmail(user).catch(error => {
+        console.error('Error sending verification email:', error);
+      });
     } catch (error) {
       console.error('Error creating user:', error);
       if (error.name === 'ValidationError') {
@@ -85,15 +248,11 @@ const registerUser = async (req, res) => {
       throw error;
     }
 
-    // Generate JWT token
-    let token;
+    // Generate access and refresh tokens
+    let tokens;
     try {
-      token = jwt.sign(
-        { id: user._id, email: user.email },
-        process.env.JWT_SECRET,
-        { expiresIn: '7d' }
-      );
-      console.log('JWT token generated for user:', user._id);
+      tokens = await issueAuthTokens(user, req);
+      console.log('Auth tokens generated for user:', user._id);
     } catch (error) {
       console.error('Error generating JWT token:', error);
       return res.status(500).json({
@@ -118,7 +277,10 @@ const registerUser = async (req, res) => {
     console.log('Registration successful:', userResponse);
     res.status(201).json({
       user: userResponse,
-      token,
+      token: tokens.accessToken,
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresAt: tokens.expiresAt,
       message: 'User registered successfully'
     });
   } catch (error) {
@@ -196,12 +358,17 @@ router.stack.forEach((r) => {
 // User login
 router.post('/login', async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { email, password, deviceId, deviceName, platform } = req.body;
+    const attempt = { email, ip: req.ip };
+
+    // Refuse to check the password while the account or IP is backing off
+    await assertLoginAllowed(attempt);
 
     // Check if user exists - explicitly include password field
     const user = await User.findOne({ email }).select('+password');
     if (!user) {
       console.log('No user found with email:', email);
+      await recordLoginFailure(attempt);
       return res.status(400).json({
         message: 'No account found with this email address',
         errorType: 'email'
@@ -212,36 +379,61 @@ router.post('/login', async (req, res) => {
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
       console.log('Password mismatch for user:', email);
+      await recordLoginFailure(attempt);
       return res.status(400).json({
         message: 'Incorrect password',
         errorType: 'password'
       });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    await recordLoginSuccess(attempt);
 
-    res.json({
-      user: {
-        id: user._id,
-        username: user.username,
-        email: user.email,
-        displayName: user.displayName,
-        fullName: user.fullName,
-        profilePic: user.profilePic,
-      },
-      token,
-    });
+    await sendLoginResult(req, res, user, { deviceId, deviceName, platform });
   } catch (error) {
+    if (error.isOperational) {
+      return sendOperationalError(res, error);
+    }
     console.error('Login error:', error);
     res.status(500).json({ message: 'Error logging in' });
   }
 });
 
+// Exchange a refresh token for a new token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    const tokens = await rotateRefreshToken(refreshToken, req);
+
+    res.json({
+      token: tokens.accessToken,
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      expiresAt: tokens.expiresAt,
+      sessionId: tokens.sessionId
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendOperationalError(res, error);
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Error refreshing token' });
+  }
+});
+
+// Logout - terminate the session the refresh token belongs to
+router.post('/logout', async (req, res) => {
+  try {
+    const session = await findRefreshTokenSession(req.body.refreshToken);
+    if (session) {
+      await terminateSession(session.userId, session.sessionId);
+    }
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Error logging out' });
+  }
+});
+
 // Get current user
 router.get('/me', async (req, res) => {
   try {
@@ -250,20 +442,199 @@ router.get('/me', async (req, res) => {
       return res.status(401).json({ message: 'No token provided' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id).select('-password');
-
-    if (!user) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+    const { user } = await authenticateAccessToken(token);
 
     res.json(user);
   } catch (error) {
+    if (error.isOperational) {
+      return sendOperationalError(res, error);
+    }
     console.error('Auth error:', error);
     res.status(401).json({ message: 'Invalid token' });
   }
 });
 
+// 2FA enrollment - generate a secret and the otpauth URI for the authenticator app
+router.post('/2fa/setup', async (req, res) => {
+  try {
+    const { user } = await resolveEnrollingUser(req);
+    const { secret, otpauthUrl } = await beginSetup(user._id);
+
+    res.json({ secret, otpauthUrl });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendOperationalError(res, error);
+    }
+    console.error('2FA setup error:', error);
+    res.status(500).json({ message: 'Error starting two-factor setup' });
+  }
+});
+
+// 2FA enrollment - confirm the first code and enable 2FA
+router.post('/2fa/verify', async (req, res) => {
+  try {
+    const { user, device, viaMfaToken } = await resolveEnrollingUser(req);
+    const recoveryCodes = await confirmSetup(user._id, req.body.code);
+
+    const response = {
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    };
+
+    // Enrollment forced at login finishes the login as well
+    if (viaMfaToken) {
+      const tokens = await issueAuthTokens(user, req, device);
+      Object.assign(response, loginResponse(user, tokens));
+    }
+
+    res.json(response);
+  } catch (error) {
+    if (error.isOperational) {
+      return sendOperationalError(res, error);
+    }
+    console.error('2FA verify error:', error);
+    res.status(500).json({ message: 'Error enabling two-factor authentication' });
+  }
+});
+
+// 2FA login - exchange the mfa pending token and a code for a session
+router.post('/2fa/login', async (req, res) => {
+  try {
+    const { mfaToken, code, recoveryCode } = req.body;
+
+    if (!mfaToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ message: 'Verification token and code are required' });
+    }
+
+    const decoded = verifyMfaToken(mfaToken, 'login');
+    const result = await verifySecondFactor(decoded.id, { code, recoveryCode });
+    if (!result.valid) {
+      return res.status(401).json({ message: 'Invalid verification code' });
+    }
+
+    const user = await User.findById(decoded.id);
+    if (!user) {
+      return res.status(401).json({ message: 'User not found' });
+    }
+
+    const tokens = await issueAuthTokens(user, req, decoded.device);
+
+    res.json({
+      ...loginResponse(user, tokens),
+      remainingRecoveryCodes: result.remainingRecoveryCodes
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendOperationalError(res, error);
+    }
+    console.error('2FA login error:', error);
+    res.status(500).json({ message: 'Error verifying code' });
+  }
+});
+
+// Turn 2FA off - requires a current code
+router.post('/2fa/disable', auth, async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+
+    const result = await verifySecondFactor(req.user._id, { code, recoveryCode });
+    if (!result.valid) {
+      return res.status(401).json({ message: 'Invalid verification code' });
+    }
+
+    await disableTwoFactor(req.user);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendOperationalError(res, error);
+    }
+    console.error('2FA disable error:', error);
+    res.status(500).json({ message: 'Error disabling two-factor authentication' });
+  }
+});
+
+// Replace the recovery codes - requires a current code
+router.post('/2fa/recovery-codes', auth, async (req, res) => {
+  try {
+    const result = await verifySecondFactor(req.user._id, { code: req.body.code });
+    if (!result.valid) {
+      return res.status(401).json({ message: 'Invalid verification code' });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user._id);
+
+    res.json({ recoveryCodes });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendOperationalError(res, error);
+    }
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({ message: 'Error generating recovery codes' });
+  }
+});
+
+// SSO - list the institutions that can sign in with their own identity provider
+router.get('/sso/providers', async (req, res) => {
+  try {
+    const providers = await IdentityProvider.find({ enabled: true })
+      .select('slug name university')
+      .sort({ name: 1 });
+
+    res.json({ providers });
+  } catch (error) {
+    console.error('List SSO providers error:', error);
+    res.status(500).json({ message: 'Error fetching identity providers' });
+  }
+});
+
+// SSO - start an authorization code + PKCE login
+router.get('/sso/:provider/authorize', async (req, res) => {
+  try {
+    const provider = await IdentityProvider.findOne({ slug: req.params.provider, enabled: true });
+    if (!provider) {
+      return res.status(404).json({ message: 'Identity provider not found' });
+    }
+
+    const { redirect_uri: redirectUri, deviceId, deviceName, platform } = req.query;
+    const { authorizationUrl, state } = await createAuthorizationRequest(provider, {
+      redirectUri,
+      device: { deviceId, deviceName, platform }
+    });
+
+    res.json({ authorizationUrl, state });
+  } catch (error) {
+    if (error.isOperational) {
+      return sendOperationalError(res, error);
+    }
+    console.error('SSO authorize error:', error);
+    res.status(500).json({ message: 'Error starting sign-in' });
+  }
+});
+
+// SSO - exchange the code the IdP redirected back with for a session
+router.post('/sso/:provider/callback', async (req, res) => {
+  try {
+    const provider = await IdentityProvider.findOne({ slug: req.params.provider, enabled: true })
+      .select('+clientSecret');
+    if (!provider) {
+      return res.status(404).json({ message: 'Identity provider not found' });
+    }
+
+    const { code, state } = req.body;
+    const { claims, device } = await completeAuthorization(provider, { code, state });
+    const { user } = await resolveUser(provider, claims);
+
+    await sendLoginResult(req, res, user, device);
+  } catch (error) {
+    if (error.isOperational) {
+      return sendOperationalError(res, error);
+    }
+    console.error('SSO callback error:', error);
+    res.status(500).json({ message: 'Error completing sign-in' });
+  }
+});
+
 // Forgot Password - Request reset
 router.post('/forgot-password', async (req, res) => {
   try {
@@ -275,25 +646,15 @@ router.post('/forgot-password', async (req, res) => {
 
     const user = await User.findOne({ email: email.toLowerCase() });
 
-    if (!user) {
-      // For security, don't reveal if email exists or not
-      return res.json({
-        message: 'If an account exists with this email, you will receive password reset instructions.'
-      });
-    }
-
     // Generate a 6-digit reset code
-    const resetCode = Math.floor(100000 + Math.random() * 900000).toString();
-    const resetExpiry = new Date(Date.now() + 15 * 60 * 1000); // 15 minutes
+    const resetCode = user ? crypto.randomInt(100000, 1000000).toString() : undefined;
 
-    // Save reset code to user
-    user.resetPasswordCode = resetCode;
-    user.resetPasswordExpiry = resetExpiry;
-    await user.save();
-
-    // In production, send email with nodemailer here
-    // For now, log the code (remove in production!)
-    console.log(`Password reset code for ${email}: ${resetCode}`);
+    // Not awaited: the response must not take longer, or fail, when the email has an account
+    if (user) {
+      sendPasswordResetEmail(user, resetCode).catch(error => {
+        console.error('Error sending password reset email:', error);
+      });
+    }
 
     res.json({
       message: 'If an account exists with this email, you will receive password reset instructions.',
@@ -319,13 +680,26 @@ router.post('/reset-password', async (req, res) => {
       return res.status(400).json({ message: 'Password must be at least 8 characters' });
     }
 
+    const attempt = { email, ip: req.ip };
+    await assertResetAllowed(attempt);
+
     const user = await User.findOne({
       email: email.toLowerCase(),
-      resetPasswordCode: code,
       resetPasswordExpiry: { $gt: new Date() }
     }).select('+password +resetPasswordCode +resetPasswordExpiry');
 
-    if (!user) {
+    if (!user || !resetCodeMatches(user.resetPasswordCode, code)) {
+      const exhausted = await recordResetCodeFailure(attempt);
+
+      // Too many wrong guesses: throw the code away so it cannot be brute forced
+      if (exhausted && user) {
+        user.resetPasswordCode = undefined;
+        user.resetPasswordExpiry = undefined;
+        await user.save({ validateBeforeSave: false });
+        await clearResetCodeFailures(user.email);
+        return res.status(400).json({ message: 'Too many incorrect codes. Please request a new reset code.' });
+      }
+
       return res.status(400).json({ message: 'Invalid or expired reset code' });
     }
 
@@ -335,11 +709,105 @@ router.post('/reset-password', async (req, res) => {
     user.resetPasswordExpiry = undefined;
     await user.save();
 
+    // Sign out every device that was logged in with the old password
+    await terminateAllSessions(user._id);
+
+    // Proving ownership of the email lifts any login lockout
+    await clearResetCodeFailures(user.email);
+    await recordLoginSuccess({ email: user.email });
+
+    sendTemplate(user.email, 'passwordChanged', { user }).catch(error => {
+      console.error('Error sending password changed email:', error);
+    });
+
     res.json({ message: 'Password reset successful. You can now log in with your new password.' });
   } catch (error) {
+    if (error.isOperational) {
+      return sendOperationalError(res, error);
+    }
     console.error('Reset password error:', error);
     res.status(500).json({ message: 'Error resetting password' });
   }
 });
 
+// Verify email - confirm the token sent by email
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ message: 'Verification token is required' });
+    }
+
+    const user = await User.findOne({
+      emailVerificationToken: crypto.createHash('sha256').update(token).digest('hex'),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Error verifying email' });
+  }
+});
+
+// Resend the verification email to the logged in user
+router.post('/verify-email/resend', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification email error:', error);
+    res.status(500).json({ message: 'Error sending verification email' });
+  }
+});
+
+// Admin - inspect the brute-force lockout of an account and/or IP
+router.get('/lockouts', auth, requirePermission(PERMISSIONS.AUTH_LOCKOUTS_MANAGE), async (req, res) => {
+  try {
+    const { email, ip } = req.query;
+    if (!email && !ip) {
+      return res.status(400).json({ message: 'Provide an email or an ip' });
+    }
+
+    res.json(await getLockoutState({ email, ip }));
+  } catch (error) {
+    console.error('Get lockout error:', error);
+    res.status(500).json({ message: 'Error fetching lockout state' });
+  }
+});
+
+// Admin - lift the lockout of an account and/or IP
+router.delete('/lockouts', auth, requirePermission(PERMISSIONS.AUTH_LOCKOUTS_MANAGE), async (req, res) => {
+  try {
+    const { email, ip } = req.query;
+    if (!email && !ip) {
+      return res.status(400).json({ message: 'Provide an email or an ip' });
+    }
+
+    await clearLockout({ email, ip });
+
+    res.json({ message: 'Lockout cleared' });
+  } catch (error) {
+    console.error('Clear lockout error:', error);
+    res.status(500).json({ message: 'Error clearing lockout' });
+  }
+});
+
 export default router;
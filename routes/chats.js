@@ -1,10 +1,94 @@
 import express from 'express';
 import mongoose from 'mongoose';
+import multer from 'multer';
 import { auth } from '../middleware/auth.js';
 import { Chat } from '../models/index.js';
+import {
+  classifyAttachment,
+  MAX_ATTACHMENT_SIZE,
+  MAX_ATTACHMENTS,
+  MAX_UPLOAD_SIZE,
+  uploadAttachments
+} from '../services/attachmentService.js';
+import { assertCanChatWith, listMessages, markRead, sendMessage } from '../services/chatService.js';
+import {
+  addParticipants,
+  leaveGroup,
+  removeParticipant,
+  setAdmin,
+  transferOwnership,
+  updateGroup
+} from '../services/groupChatService.js';
+import {
+  addReaction,
+  deleteMessage,
+  editMessage,
+  getEditHistory,
+  listPinnedMessages,
+  removeReaction,
+  setMessagePinned
+} from '../services/messageService.js';
+import AppError from '../utils/appError.js';
 
 const router = express.Router();
 
+// Broadcast a change to everyone in the chat, when sockets are running
+const emitToChat = (req, chatId, event, payload) => {
+  const webSocketService = req.app.get('webSocketService');
+  if (webSocketService) webSocketService.emitToChat(chatId, event, payload);
+};
+
+// Send a group change and its system messages to the group, when sockets are running
+const notifyGroupChange = (req, change) => {
+  const webSocketService = req.app.get('webSocketService');
+  if (webSocketService) webSocketService.notifyGroupChange(change);
+};
+
+const handleGroupError = (res, error, message) => {
+  if (error.isOperational) {
+    return res.status(error.statusCode).json({ message: error.message });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ message });
+};
+
+// Attachments are held in memory, so types that cannot be sent are refused before
+// they are read, and the whole request is capped by limitUploadSize below;
+// attachmentService then checks each file's size for its kind
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_ATTACHMENT_SIZE, files: MAX_ATTACHMENTS },
+  fileFilter: (req, file, cb) => {
+    if (classifyAttachment(file.mimetype)) return cb(null, true);
+    cb(new AppError(`${file.originalname} is not a file type that can be sent in chats`, 400));
+  }
+}).array('files', MAX_ATTACHMENTS);
+
+// The body cannot be longer than its declared length, so checking that bounds what is buffered
+const limitUploadSize = (req, res, next) => {
+  const length = Number(req.headers['content-length']);
+  if (!length) return res.status(411).json({ message: 'Uploads must state their size' });
+  if (length > MAX_UPLOAD_SIZE) {
+    return res.status(413).json({ message: `An upload can be up to ${MAX_UPLOAD_SIZE / (1024 * 1024)}MB in total` });
+  }
+  next();
+};
+
+const uploadFiles = (req, res, next) => limitUploadSize(req, res, () => attachmentUpload(req, res, (error) => {
+  if (!error) return next();
+  if (error.isOperational) return res.status(error.statusCode).json({ message: error.message });
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ message: `Files can be up to ${MAX_ATTACHMENT_SIZE / (1024 * 1024)}MB` });
+    }
+    if (error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE') {
+      return res.status(400).json({ message: `Upload up to ${MAX_ATTACHMENTS} files in the files field` });
+    }
+    return res.status(400).json({ message: error.message });
+  }
+  next(error);
+}));
+
 // Create a new chat
 router.post('/', auth, async (req, res) => {
   try {
@@ -24,6 +108,8 @@ router.post('/', auth, async (req, res) => {
       return res.status(400).json({ message: 'At least one valid participant is required' });
     }
 
+    await assertCanChatWith(req.user.id, participants.map(String));
+
     // For one-on-one chat, check if chat already exists
     if (!isGroupChat && participants.length === 1) {
       // For one-on-one chats, find a chat that contains both users in the participants.user subdocument
@@ -61,7 +147,7 @@ router.post('/', auth, async (req, res) => {
       isGroupChat: isGroupChat || false,
       name: isGroupChat ? name : null,
       groupImage: isGroupChat ? groupImage : null,
-      groupAdmin: isGroupChat ? req.user.id : null
+      owner: isGroupChat ? req.user.id : undefined
     });
 
     await chat.save();
@@ -71,6 +157,9 @@ router.post('/', auth, async (req, res) => {
 
     res.status(201).json(chat);
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Error creating chat:', error);
     res.status(500).json({ message: 'Error creating chat' });
   }
@@ -103,7 +192,16 @@ router.get('/', auth, async (req, res) => {
       .sort({ updatedAt: -1 });
 
     console.log(`Found ${chats.length} chats for user ${userId}`);
-    res.json(chats || []);
+
+    // The user's own unread count and read watermark, kept up to date by sendMessage and markRead
+    res.json(chats.map(chat => {
+      const participant = chat.participants.find(p => String(p.user?._id || p.user) === String(userId));
+      return {
+        ...chat.toJSON(),
+        unreadCount: participant?.unreadCount || 0,
+        lastRead: participant?.lastRead || null
+      };
+    }));
   } catch (error) {
     console.error('Error fetching chats:', error);
     res.status(500).json({
@@ -157,7 +255,7 @@ router.get('/:id', auth, async (req, res) => {
 
     // Get messages separately
     const Message = mongoose.model('Message');
-    const messages = await Message.find({ chatId: chat._id })
+    const messages = await Message.find({ chatId: chat._id, hidden: { $ne: true }, deletedFor: { $ne: userIdObj } })
       .sort({ createdAt: -1 })
       .limit(50)
       .populate('senderId', 'username profilePic displayName fullName')
@@ -201,6 +299,13 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Chat not found' });
     }
 
+    // Leaving a group hands it on and tells the members who are left
+    if (chat.isGroupChat) {
+      const change = await leaveGroup(userId, chatId);
+      notifyGroupChange(req, change);
+      return res.json({ message: change.deleted ? 'Chat deleted permanently' : 'Chat deleted' });
+    }
+
     // Remove user from participants
     chat.participants = chat.participants.filter(
       p => String(p.user) !== String(userId)
@@ -214,105 +319,65 @@ router.delete('/:id', auth, async (req, res) => {
       return res.json({ message: 'Chat deleted permanently' });
     }
 
-    // If it's a group chat and the admin left, assign new admin
-    if (chat.isGroupChat && String(chat.groupAdmin) === String(userId)) {
-      if (chat.participants.length > 0) {
-        chat.groupAdmin = chat.participants[0].user;
-      }
-    }
-
     await chat.save();
     res.json({ message: 'Chat deleted' });
 
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Error deleting chat:', error);
     res.status(500).json({ message: 'Error deleting chat' });
   }
 });
 
-// Add message to chat
-router.post('/:id/messages', auth, async (req, res) => {
+// Get a page of a chat's messages, oldest first (?before=|after=|around=<messageId>&limit=)
+router.get('/:id/messages', auth, async (req, res) => {
   try {
-    const { content, media } = req.body;
-    // Structured debug logs to capture incoming payload and context
-    console.log('[POST /:id/messages] Incoming payload:', {
-      params: req.params,
-      body: req.body,
-      user: { id: req.user?.id, username: req.user?.username }
-    });
-
-    const chat = await Chat.findOne({
-      _id: req.params.id,
-      // participants is an array of subdocuments { user: ObjectId, ... }
-      // query by the nested user field to avoid casting errors
-      'participants.user': req.user.id
-    }).lean();
-
-    console.log('[POST /:id/messages] Resolved chat (lean):', chat ? { id: chat._id, participants: chat.participants } : null);
-
-    if (!chat) {
-      return res.status(404).json({ message: 'Chat not found' });
+    const { before, after, around, limit } = req.query;
+    const page = await listMessages(req.user.id, req.params.id, { before, after, around, limit });
+    res.json(page);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
     }
+    console.error('Error fetching messages:', error);
+    res.status(500).json({ message: 'Error fetching messages' });
+  }
+});
 
-    const message = {
-      content,
-      sender: req.user.id,
-      media: media || [],
-      readBy: [req.user.id]
-    };
-
-    console.log('[POST /:id/messages] Constructed message object (pre-save):', message);
-
-    // Create a Message document (we do not store messages as an array on Chat)
-    const Message = mongoose.model('Message');
+// Add message to chat
+router.post('/:id/messages', auth, async (req, res) => {
+  try {
+    const { content, media, attachments, replyTo } = req.body;
 
-    const messageDoc = new Message({
+    const { chat, message, held } = await sendMessage({
       chatId: req.params.id,
       senderId: req.user.id,
-      content: content,
-      type: 'text',
-      mediaUrl: (media && Array.isArray(media) && media.length > 0) ? media[0] : undefined,
-      readBy: [req.user.id]
+      content,
+      media,
+      attachments,
+      replyTo
     });
 
-    await messageDoc.save();
-
-    // Update chat's lastMessage and timestamp
-    await Chat.findByIdAndUpdate(req.params.id, { lastMessage: messageDoc._id, updatedAt: new Date() });
-
-    // Populate sender info for the response
-    const populated = await Message.findById(messageDoc._id).populate('senderId', 'username profilePic displayName fullName').lean();
+    // Held by the content filter: nobody else sees it until a moderator approves it
+    if (held) {
+      return res.status(202).json(message);
+    }
 
-    const populatedMessage = {
-      id: populated._id.toString(),
-      chatId: String(populated.chatId),
-      content: populated.content,
-      type: populated.type,
-      mediaUrl: populated.mediaUrl,
-      createdAt: populated.createdAt,
-      readBy: Array.isArray(populated.readBy) ? populated.readBy.map(String) : [],
-      sender: populated.senderId ? { _id: populated.senderId._id, username: populated.senderId.username, profilePic: populated.senderId.profilePic } : undefined,
-      senderId: populated.senderId ? String(populated.senderId._id) : String(req.user.id)
-    };
+    const participantsList = (chat.participants || []).map(p => String(p.user));
 
-    // Use the previously-lean chat to get participants list (avoid querying again)
-    const participantsList = (chat.participants || []).map(p => {
-      if (p && (p.user || p.user === 0)) return String(p.user);
-      return String(p);
-    });
-
-    console.log('[POST /:id/messages] Emitting newMessage to participants:', participantsList);
     const webSocketService = req.app.get('webSocketService');
     const io = webSocketService && webSocketService.io ? webSocketService.io : null;
     if (io) {
       participantsList.forEach(participantUserId => {
         try {
           if (participantUserId && participantUserId !== req.user.id) {
-            // Emit to the user's personal room if available; fall back to direct room by id
+            // Emit to the user's personal room
             const room = `user_${participantUserId}`;
             io.to(room).emit('newMessage', {
               chatId: req.params.id,
-              message: populatedMessage
+              message
             });
           }
         } catch (emitErr) {
@@ -323,108 +388,270 @@ router.post('/:id/messages', auth, async (req, res) => {
       console.warn('[POST /:id/messages] No io instance available on app to emit messages');
     }
 
-    res.status(201).json(populatedMessage);
+    res.status(201).json(message);
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Error sending message:', error);
     res.status(500).json({ message: 'Error sending message' });
   }
 });
 
-// Mark messages as read
+// Upload files to send in a message; send them by passing the returned ids as `attachments`
+router.post('/:id/attachments', auth, uploadFiles, async (req, res) => {
+  try {
+    const attachments = await uploadAttachments(req.user.id, req.params.id, req.files);
+    res.status(201).json({ attachments });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error uploading attachments:', error);
+    res.status(500).json({ message: 'Error uploading attachments' });
+  }
+});
+
+// Get a chat's pinned messages, most recently pinned first
+router.get('/:id/pins', auth, async (req, res) => {
+  try {
+    const messages = await listPinnedMessages(req.user.id, req.params.id);
+    res.json({ messages });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error fetching pinned messages:', error);
+    res.status(500).json({ message: 'Error fetching pinned messages' });
+  }
+});
+
+// Edit a message (its sender only, for a short while after sending)
+router.patch('/:id/messages/:messageId', auth, async (req, res) => {
+  try {
+    const { message, held } = await editMessage(req.user.id, req.params.id, req.params.messageId, req.body.content);
+
+    // A held edit stays hidden from everyone else until a moderator approves it
+    if (held) {
+      return res.status(202).json(message);
+    }
+
+    emitToChat(req, req.params.id, 'message_edited', { chatId: req.params.id, message });
+    res.json(message);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error editing message:', error);
+    res.status(500).json({ message: 'Error editing message' });
+  }
+});
+
+// Get a message's edit history
+router.get('/:id/messages/:messageId/history', auth, async (req, res) => {
+  try {
+    const history = await getEditHistory(req.user.id, req.params.id, req.params.messageId);
+    res.json(history);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error fetching message history:', error);
+    res.status(500).json({ message: 'Error fetching message history' });
+  }
+});
+
+// Delete a message for yourself, or for everyone if you sent it (?scope=me|everyone)
+router.delete('/:id/messages/:messageId', auth, async (req, res) => {
+  try {
+    const result = await deleteMessage(req.user.id, req.params.id, req.params.messageId, req.query.scope);
+
+    if (result.scope === 'everyone') {
+      emitToChat(req, req.params.id, 'message_deleted', result);
+    } else {
+      // Only the user's own devices need to drop it
+      req.app.get('webSocketService')?.io.to(`user_${req.user.id}`).emit('message_deleted', result);
+    }
+
+    res.json(result);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error deleting message:', error);
+    res.status(500).json({ message: 'Error deleting message' });
+  }
+});
+
+// React to a message
+router.post('/:id/messages/:messageId/reactions', auth, async (req, res) => {
+  try {
+    const result = await addReaction(req.user.id, req.params.id, req.params.messageId, req.body.emoji);
+    emitToChat(req, req.params.id, 'message_reactions', result);
+    res.json(result);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error adding reaction:', error);
+    res.status(500).json({ message: 'Error adding reaction' });
+  }
+});
+
+// Remove a reaction (the emoji URL-encoded)
+router.delete('/:id/messages/:messageId/reactions/:emoji', auth, async (req, res) => {
+  try {
+    const result = await removeReaction(req.user.id, req.params.id, req.params.messageId, req.params.emoji);
+    emitToChat(req, req.params.id, 'message_reactions', result);
+    res.json(result);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error removing reaction:', error);
+    res.status(500).json({ message: 'Error removing reaction' });
+  }
+});
+
+// Pin a message to the top of the chat
+router.post('/:id/messages/:messageId/pin', auth, async (req, res) => {
+  try {
+    const result = await setMessagePinned(req.user.id, req.params.id, req.params.messageId, true);
+    emitToChat(req, req.params.id, 'message_pinned', result);
+    res.json(result);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error pinning message:', error);
+    res.status(500).json({ message: 'Error pinning message' });
+  }
+});
+
+// Unpin a message
+router.delete('/:id/messages/:messageId/pin', auth, async (req, res) => {
+  try {
+    const result = await setMessagePinned(req.user.id, req.params.id, req.params.messageId, false);
+    emitToChat(req, req.params.id, 'message_pinned', result);
+    res.json(result);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error unpinning message:', error);
+    res.status(500).json({ message: 'Error unpinning message' });
+  }
+});
+
+// Mark the chat read up to a message, or to its latest message ({ messageId } optional)
 router.post('/:id/read', auth, async (req, res) => {
   try {
-    // Ensure the user is a participant first
-    const chat = await Chat.findOne({ _id: req.params.id, 'participants.user': req.user.id });
-    if (!chat) return res.status(404).json({ message: 'Chat not found' });
+    const receipt = await markRead(req.user.id, req.params.id, req.body?.messageId);
 
-    // Use Message model to add the user to readBy for messages in this chat
-    const Message = mongoose.model('Message');
-    await Message.updateMany(
-      { chatId: req.params.id, readBy: { $ne: req.user.id } },
-      { $addToSet: { readBy: req.user.id } }
-    );
+    const webSocketService = req.app.get('webSocketService');
+    if (receipt && webSocketService) webSocketService.queueReceipt(receipt);
 
-    res.json({ message: 'Messages marked as read' });
+    res.json({
+      message: 'Messages marked as read',
+      upTo: receipt ? receipt.upTo : null,
+      unreadCount: receipt ? receipt.unreadCount : undefined
+    });
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Error marking messages as read:', error);
     res.status(500).json({ message: 'Error marking messages as read' });
   }
 });
 
-// Update group info
+// Update group info (admins)
 router.put('/:id/group', auth, async (req, res) => {
   try {
     const { name, groupImage } = req.body;
 
-    const chat = await Chat.findOne({
-      _id: req.params.id,
-      isGroupChat: true,
-      groupAdmin: req.user.id
-    });
+    const change = await updateGroup(req.user.id, req.params.id, { name: name || undefined, groupImage });
+    notifyGroupChange(req, change);
 
-    if (!chat) {
-      return res.status(404).json({ message: 'Group chat not found or not authorized' });
-    }
+    res.json(change.chat);
+  } catch (error) {
+    handleGroupError(res, error, 'Error updating group');
+  }
+});
 
-    if (name) chat.name = name;
-    if (groupImage) chat.groupImage = groupImage;
+// Add group participants ({ userIds } or { userId }), or remove one with action: 'remove' (admins)
+router.post('/:id/participants', auth, async (req, res) => {
+  try {
+    const { userId, userIds, action = 'add' } = req.body;
 
-    await chat.save();
+    const change = action === 'remove'
+      ? await removeParticipant(req.user.id, req.params.id, userId)
+      : await addParticipants(req.user.id, req.params.id, userIds || userId);
+    notifyGroupChange(req, change);
 
-    res.json(chat);
+    res.json(change.chat);
   } catch (error) {
-    console.error('Error updating group:', error);
-    res.status(500).json({ message: 'Error updating group' });
+    handleGroupError(res, error, 'Error updating participants');
   }
 });
 
-// Add/remove group participants
-router.post('/:id/participants', auth, async (req, res) => {
+// Remove someone from a group (admins; only the owner can remove admins)
+router.delete('/:id/participants/:userId', auth, async (req, res) => {
   try {
-    const { userId, action = 'add' } = req.body;
+    const change = await removeParticipant(req.user.id, req.params.id, req.params.userId);
+    notifyGroupChange(req, change);
 
-    const chat = await Chat.findOne({
-      _id: req.params.id,
-      isGroupChat: true,
-      groupAdmin: req.user.id
-    });
+    res.json(change.chat);
+  } catch (error) {
+    handleGroupError(res, error, 'Error removing participant');
+  }
+});
 
-    if (!chat) {
-      return res.status(404).json({ message: 'Group chat not found or not authorized' });
-    }
+// Leave a group; the owner's place goes to the longest-standing admin
+router.post('/:id/leave', auth, async (req, res) => {
+  try {
+    const change = await leaveGroup(req.user.id, req.params.id);
+    notifyGroupChange(req, change);
 
-    if (action === 'add') {
-      // Check if user is already a participant (compare nested .user field)
-      if (chat.participants.some(p => String(p.user) === String(userId))) {
-        return res.status(400).json({ message: 'User is already in the group' });
-      }
-      // Push a properly-shaped participant subdocument so Mongoose doesn't try to cast a string into a subdoc
-      chat.participants.push({
-        user: userId,
-        lastRead: new Date(),
-        unreadCount: 0,
-        isAdmin: false
-      });
-    } else if (action === 'remove') {
-      // Don't allow removing the admin
-      if (userId === String(chat.groupAdmin)) {
-        return res.status(400).json({ message: 'Cannot remove group admin' });
-      }
-      // Remove participant subdocument by matching the nested .user id
-      chat.participants = chat.participants.filter(
-        participant => String(participant.user) !== String(userId)
-      );
-    }
+    res.json({ message: 'You left the group', deleted: Boolean(change.deleted) });
+  } catch (error) {
+    handleGroupError(res, error, 'Error leaving group');
+  }
+});
 
-    await chat.save();
+// Make a member an admin (admins)
+router.post('/:id/admins/:userId', auth, async (req, res) => {
+  try {
+    const change = await setAdmin(req.user.id, req.params.id, req.params.userId, true);
+    notifyGroupChange(req, change);
 
-    // Populate participants before sending response (populate the nested user field)
-    await chat.populate('participants.user', 'username profilePic displayName fullName');
+    res.json(change.chat);
+  } catch (error) {
+    handleGroupError(res, error, 'Error updating admins');
+  }
+});
+
+// Take admin away (the owner, or admins stepping down themselves)
+router.delete('/:id/admins/:userId', auth, async (req, res) => {
+  try {
+    const change = await setAdmin(req.user.id, req.params.id, req.params.userId, false);
+    notifyGroupChange(req, change);
+
+    res.json(change.chat);
+  } catch (error) {
+    handleGroupError(res, error, 'Error updating admins');
+  }
+});
+
+// Hand the group over to another member (the owner)
+router.post('/:id/owner', auth, async (req, res) => {
+  try {
+    const change = await transferOwnership(req.user.id, req.params.id, req.body.userId);
+    notifyGroupChange(req, change);
 
-    res.json(chat);
+    res.json(change.chat);
   } catch (error) {
-    console.error('Error updating participants:', error);
-    res.status(500).json({ message: 'Error updating participants' });
+    handleGroupError(res, error, 'Error transferring ownership');
   }
 });
 
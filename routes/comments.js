@@ -0,0 +1,167 @@
+import express from 'express';
+import { auth } from '../middleware/auth.js';
+import {
+  addComment,
+  deleteComment,
+  editComment,
+  getEditHistory,
+  listComments,
+  listReplies,
+  setCommentPinned,
+  toggleCommentLike
+} from '../services/commentService.js';
+
+// Mounted under /posts/:postId/comments
+const router = express.Router({ mergeParams: true });
+
+// Get comments on a post with previews of their replies (?sort=newest|oldest&cursor=&limit=)
+router.get('/', auth, async (req, res) => {
+  try {
+    const { comments, nextCursor } = await listComments(req.user.id, req.params.postId, {
+      sort: req.query.sort,
+      cursor: req.query.cursor,
+      limit: req.query.limit
+    });
+    res.json({ comments, nextCursor });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error fetching comments:', error);
+    res.status(500).json({ message: 'Error fetching comments' });
+  }
+});
+
+// Add a comment to a post
+router.post('/', auth, async (req, res) => {
+  try {
+    const comment = await addComment(req.user.id, req.params.postId, { content: req.body.content });
+    res.status(201).json(comment);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error adding comment:', error);
+    res.status(500).json({ message: 'Error adding comment', error: error.message });
+  }
+});
+
+// Get replies to a comment, oldest first (?cursor=&limit=)
+router.get('/:commentId/replies', auth, async (req, res) => {
+  try {
+    const { comments, nextCursor } = await listReplies(req.user.id, req.params.postId, req.params.commentId, {
+      cursor: req.query.cursor,
+      limit: req.query.limit
+    });
+    res.json({ comments, nextCursor });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error fetching replies:', error);
+    res.status(500).json({ message: 'Error fetching replies' });
+  }
+});
+
+// Reply to a comment
+router.post('/:commentId/replies', auth, async (req, res) => {
+  try {
+    const reply = await addComment(req.user.id, req.params.postId, {
+      content: req.body.content,
+      parentId: req.params.commentId
+    });
+    res.status(201).json(reply);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error adding reply:', error);
+    res.status(500).json({ message: 'Error adding reply' });
+  }
+});
+
+// Edit a comment
+router.patch('/:commentId', auth, async (req, res) => {
+  try {
+    const comment = await editComment(req.user.id, req.params.postId, req.params.commentId, req.body.content);
+    res.json(comment);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error updating comment:', error);
+    res.status(500).json({ message: 'Error updating comment' });
+  }
+});
+
+// Get a comment's edit history
+router.get('/:commentId/history', auth, async (req, res) => {
+  try {
+    const history = await getEditHistory(req.user.id, req.params.postId, req.params.commentId);
+    res.json(history);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error fetching comment history:', error);
+    res.status(500).json({ message: 'Error fetching comment history' });
+  }
+});
+
+// Delete a comment (its replies stay in the thread)
+router.delete('/:commentId', auth, async (req, res) => {
+  try {
+    await deleteComment(req.user, req.params.postId, req.params.commentId);
+    res.json({ message: 'Comment removed successfully' });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error deleting comment:', error);
+    res.status(500).json({ message: 'Error deleting comment' });
+  }
+});
+
+// Like/Unlike a comment
+router.post('/:commentId/like', auth, async (req, res) => {
+  try {
+    const { liked, likeCount } = await toggleCommentLike(req.user.id, req.params.postId, req.params.commentId);
+    res.json({ liked, likeCount });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error toggling comment like:', error);
+    res.status(500).json({ message: 'Error toggling comment like' });
+  }
+});
+
+// Pin a comment to the top of the post (post author only)
+router.post('/:commentId/pin', auth, async (req, res) => {
+  try {
+    const comment = await setCommentPinned(req.user.id, req.params.postId, req.params.commentId, true);
+    res.json(comment);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error pinning comment:', error);
+    res.status(500).json({ message: 'Error pinning comment' });
+  }
+});
+
+// Unpin a comment
+router.delete('/:commentId/pin', auth, async (req, res) => {
+  try {
+    const comment = await setCommentPinned(req.user.id, req.params.postId, req.params.commentId, false);
+    res.json(comment);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error unpinning comment:', error);
+    res.status(500).json({ message: 'Error unpinning comment' });
+  }
+});
+
+export default router;
@@ -0,0 +1,115 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { PERMISSIONS } from '../config/permissions.js';
+import { auth, requirePermission } from '../middleware/auth.js';
+import FilterRule from '../models/FilterRule.js';
+import { clearRuleCache, getRulesFor } from '../services/contentFilterService.js';
+import { evaluateContent, FILTER_CONTEXTS } from '../utils/contentFilter.js';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = [
+  'name', 'university', 'type', 'action', 'appliesTo', 'keywords', 'pattern', 'patternFlags',
+  'domains', 'domainMode', 'repeat', 'enabled'
+];
+
+const pickEditable = (body) => Object.fromEntries(
+  Object.entries(body).filter(([key]) => EDITABLE_FIELDS.includes(key))
+);
+
+const handleError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ message });
+};
+
+const findRule = (id) => (mongoose.Types.ObjectId.isValid(id) ? FilterRule.findById(id) : null);
+
+router.use(auth, requirePermission(PERMISSIONS.CONTENT_FILTERS_MANAGE));
+
+// List filter rules (?university= for one university's rules, ?university=global for the shared ones)
+router.get('/', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.university) {
+      filter.university = req.query.university === 'global' ? null : req.query.university;
+    }
+
+    const rules = await FilterRule.find(filter)
+      .collation({ locale: 'en', strength: 2 })
+      .sort({ university: 1, createdAt: 1 });
+    res.json({ rules });
+  } catch (error) {
+    handleError(res, error, 'Error fetching filter rules');
+  }
+});
+
+// Try some text against the rules a university's users get, without publishing anything
+router.post('/test', async (req, res) => {
+  try {
+    const { content, context = 'post', university } = req.body;
+    if (!FILTER_CONTEXTS.includes(context)) {
+      return res.status(400).json({ message: `Context must be one of: ${FILTER_CONTEXTS.join(', ')}` });
+    }
+
+    const rules = await getRulesFor(university);
+    res.json(evaluateContent(content, rules, { context }));
+  } catch (error) {
+    handleError(res, error, 'Error testing filter rules');
+  }
+});
+
+// Add a filter rule
+router.post('/', async (req, res) => {
+  try {
+    const rule = await FilterRule.create({ ...pickEditable(req.body), createdBy: req.user.id, updatedBy: req.user.id });
+    clearRuleCache();
+    res.status(201).json(rule);
+  } catch (error) {
+    handleError(res, error, 'Error creating filter rule');
+  }
+});
+
+// Update a filter rule
+router.patch('/:id', async (req, res) => {
+  try {
+    const rule = await findRule(req.params.id);
+    if (!rule) {
+      return res.status(404).json({ message: 'Filter rule not found' });
+    }
+
+    // Saved rather than updated in place, so the rule is checked as a whole
+    rule.set({ ...pickEditable(req.body), updatedBy: req.user.id });
+    await rule.save();
+    clearRuleCache();
+
+    res.json(rule);
+  } catch (error) {
+    handleError(res, error, 'Error updating filter rule');
+  }
+});
+
+// Remove a filter rule
+router.delete('/:id', async (req, res) => {
+  try {
+    const rule = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await FilterRule.findByIdAndDelete(req.params.id)
+      : null;
+
+    if (!rule) {
+      return res.status(404).json({ message: 'Filter rule not found' });
+    }
+    clearRuleCache();
+
+    res.json({ message: 'Filter rule removed' });
+  } catch (error) {
+    handleError(res, error, 'Error removing filter rule');
+  }
+});
+
+export default router;
@@ -1,5 +1,6 @@
 import express from 'express';
-import { auth, admin } from '../middleware/auth.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { auth, requirePermission } from '../middleware/auth.js';
 import { fileParser } from '../middleware/fileParser.js';
 import {
   uploadDocument,
@@ -16,20 +17,20 @@ const router = express.Router();
 // Apply authentication to all routes
 router.use(auth);
 
-// Document stats (admin only)
-router.get('/stats', admin, getDocumentStats);
+// Document stats
+router.get('/stats', requirePermission(PERMISSIONS.DOCUMENTS_MANAGE), getDocumentStats);
 
 // Document routes
 router
   .route('/')
   .get(getAllDocuments)  // Get all documents with optional filtering
-  .post(admin, fileParser, uploadDocument);  // Upload new document (admin only)
+  .post(requirePermission(PERMISSIONS.DOCUMENTS_UPLOAD), fileParser, uploadDocument);  // Upload new document
 
 router
   .route('/:id')
   .get(getDocument)  // Get a single document
-  .patch(admin, fileParser, updateDocument)  // Update document (admin only)
-  .delete(admin, deleteDocument);  // Delete document (admin only)
+  .patch(requirePermission(PERMISSIONS.DOCUMENTS_MANAGE), fileParser, updateDocument)  // Update document
+  .delete(requirePermission(PERMISSIONS.DOCUMENTS_MANAGE), deleteDocument);  // Delete document
 
 // Download document
 router.get('/:id/download', downloadDocument);
@@ -9,7 +9,7 @@ import {
   getMyEvents,
   getAttendingEvents
 } from '../controllers/eventController.js';
-import { protect } from '../middleware/authMiddleware.js';
+import { protect } from '../middleware/auth.js';
 import { upload } from '../utils/fileUpload.js';
 
 const router = express.Router();
@@ -0,0 +1,91 @@
+import express from 'express';
+import { PERMISSIONS } from '../config/permissions.js';
+import { auth, requirePermission } from '../middleware/auth.js';
+import IdentityProvider from '../models/IdentityProvider.js';
+import { clearMetadataCache } from '../services/oidcService.js';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = [
+  'slug', 'name', 'university', 'issuer', 'clientId', 'clientSecret', 'scopes',
+  'redirectUris', 'allowedDomains', 'claimMapping', 'defaults', 'enabled'
+];
+
+const pickEditable = (body) => Object.fromEntries(
+  Object.entries(body).filter(([key]) => EDITABLE_FIELDS.includes(key))
+);
+
+const handleError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      message: 'Validation failed',
+      errors: Object.values(error.errors).map(err => err.message)
+    });
+  }
+  if (error.code === 11000) {
+    return res.status(400).json({ message: 'An identity provider with this slug already exists' });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ message });
+};
+
+router.use(auth, requirePermission(PERMISSIONS.IDENTITY_PROVIDERS_MANAGE));
+
+// List identity providers
+router.get('/', async (req, res) => {
+  try {
+    const providers = await IdentityProvider.find().sort({ name: 1 });
+    res.json({ providers });
+  } catch (error) {
+    handleError(res, error, 'Error fetching identity providers');
+  }
+});
+
+// Add an identity provider for a university
+router.post('/', async (req, res) => {
+  try {
+    const provider = await IdentityProvider.create(pickEditable(req.body));
+    res.status(201).json(provider);
+  } catch (error) {
+    handleError(res, error, 'Error creating identity provider');
+  }
+});
+
+// Update an identity provider
+router.patch('/:id', async (req, res) => {
+  try {
+    const provider = await IdentityProvider.findByIdAndUpdate(
+      req.params.id,
+      { $set: pickEditable(req.body) },
+      { new: true, runValidators: true }
+    );
+
+    if (!provider) {
+      return res.status(404).json({ message: 'Identity provider not found' });
+    }
+
+    // The issuer may have changed
+    clearMetadataCache();
+
+    res.json(provider);
+  } catch (error) {
+    handleError(res, error, 'Error updating identity provider');
+  }
+});
+
+// Remove an identity provider
+router.delete('/:id', async (req, res) => {
+  try {
+    const provider = await IdentityProvider.findByIdAndDelete(req.params.id);
+
+    if (!provider) {
+      return res.status(404).json({ message: 'Identity provider not found' });
+    }
+
+    res.json({ message: 'Identity provider removed' });
+  } catch (error) {
+    handleError(res, error, 'Error removing identity provider');
+  }
+});
+
+export default router;
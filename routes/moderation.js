@@ -0,0 +1,79 @@
+import express from 'express';
+import { PERMISSIONS } from '../config/permissions.js';
+import { auth, requirePermission } from '../middleware/auth.js';
+import { getCase, listCases, reportContent, resolveCase } from '../services/moderationService.js';
+
+const router = express.Router();
+
+const moderate = [auth, requirePermission(PERMISSIONS.REPORTS_MODERATE)];
+
+// Report a post, comment, message, forum thread or profile
+router.post('/reports', auth, async (req, res) => {
+  try {
+    const { targetType, targetId, reason, details } = req.body;
+    const report = await reportContent(req.user.id, { targetType, targetId, reason, details });
+
+    res.status(201).json({
+      message: 'Thanks for your report. Our moderators will review it.',
+      report: {
+        _id: report._id,
+        targetType: report.targetType,
+        targetId: report.targetId,
+        reason: report.reason,
+        createdAt: report.createdAt
+      }
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: Object.values(error.errors).map(err => err.message).join(', ') });
+    }
+    console.error('Error reporting content:', error);
+    res.status(500).json({ message: 'Error reporting content' });
+  }
+});
+
+// Get the moderation queue (?status=open|resolved|dismissed&targetType=&page=&limit=)
+router.get('/cases', moderate, async (req, res) => {
+  try {
+    const { status, targetType, page, limit } = req.query;
+    const { cases, meta } = await listCases({ status, targetType, page, limit });
+    res.json({ cases, meta });
+  } catch (error) {
+    console.error('Error fetching moderation cases:', error);
+    res.status(500).json({ message: 'Error fetching moderation cases' });
+  }
+});
+
+// Get a case with its reports, audit log and the reported content
+router.get('/cases/:id', moderate, async (req, res) => {
+  try {
+    const moderationCase = await getCase(req.params.id);
+    res.json(moderationCase);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error fetching moderation case:', error);
+    res.status(500).json({ message: 'Error fetching moderation case' });
+  }
+});
+
+// Close a case: dismiss, hide the content, warn the author or suspend them for N days
+router.post('/cases/:id/actions', moderate, async (req, res) => {
+  try {
+    const { action, note, days } = req.body;
+    const moderationCase = await resolveCase(req.user, req.params.id, { action, note, days });
+    res.json(moderationCase);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error resolving moderation case:', error);
+    res.status(500).json({ message: 'Error resolving moderation case' });
+  }
+});
+
+export default router;
@@ -3,6 +3,7 @@ import { v4 as uuidv4 } from 'uuid';
 import mongoose from 'mongoose';
 import Poll from '../models/Poll.js';
 import User from '../models/User.js';
+import { hasPermission, PERMISSIONS } from '../config/permissions.js';
 import { auth } from '../middleware/auth.js';
 import asyncHandler from 'express-async-handler';
 import AppError from '../utils/appError.js';
@@ -234,19 +235,18 @@ router.patch('/:pollId', auth, asyncHandler(async (req, res, next) => {
   });
 }));
 
-// Delete a poll (only by creator or admin)
+// Delete a poll (only by creator or a moderator)
 router.delete('/:pollId', auth, asyncHandler(async (req, res, next) => {
   const { pollId } = req.params;
   const userId = req.user.id;
-  const userRole = req.user.role;
 
   const poll = await Poll.findById(pollId);
   if (!poll) {
     return next(new AppError('No poll found with that ID', 404));
   }
 
-  // Check if user is the creator or admin
-  if (poll.createdBy.toString() !== userId && userRole !== 'admin') {
+  // Check if user is the creator or a moderator
+  if (poll.createdBy.toString() !== userId && !hasPermission(req.user, PERMISSIONS.POLLS_MODERATE)) {
     return next(new AppError('You are not authorized to delete this poll', 403));
   }
 
@@ -1,29 +1,35 @@
 import express from 'express';
+import mongoose from 'mongoose';
+import { hasPermission, PERMISSIONS } from '../config/permissions.js';
 import { auth } from '../middleware/auth.js';
 import Post from '../models/Post.js';
-import Comment from '../models/Comment.js';
+import User from '../models/User.js';
+import { isListed } from '../services/commentService.js';
+import { getFeed, getNewPostsSince } from '../services/feedService.js';
+import { getHashtagPosts, getTrendingHashtags } from '../services/hashtagService.js';
+import { screenContent } from '../services/contentFilterService.js';
+import { applyTextEntities, notifyMentions } from '../services/mentionService.js';
+import { holdForReview } from '../services/moderationService.js';
+import {
+  canSeePost,
+  hideUnseenOriginals,
+  listSavedPosts,
+  quote,
+  releasePost,
+  repost,
+  savePost,
+  sharePost,
+  unrepost,
+  unsavePost
+} from '../services/postInteractionService.js';
+import { editPost, listDrafts, publishDraft, resolveSchedule, updateDraft } from '../services/postScheduleService.js';
+import { getBlockedIds } from '../services/relationshipService.js';
+import commentRoutes from './comments.js';
 
 const router = express.Router();
 
-// Get all comments for a post
-router.get('/:id/comments', auth, async (req, res) => {
-  try {
-    const post = await Post.findById(req.params.id)
-      .populate({
-        path: 'comments.author',
-        select: 'username profilePic'
-      });
-    if (!post) {
-      return res.status(404).json({ message: 'Post not found' });
-    }
-    // If comments are subdocuments, just return them
-    // If comments are refs, you may need to adjust this logic
-    res.json(post.comments || []);
-  } catch (error) {
-    console.error('Error fetching comments:', error);
-    res.status(500).json({ message: 'Error fetching comments' });
-  }
-});
+// Comments and replies
+router.use('/:postId/comments', commentRoutes);
 
 // Get the upload middleware from app settings
 const getUploadMiddleware = (req, res, next) => {
@@ -36,11 +42,19 @@ const getUploadMiddleware = (req, res, next) => {
 
 // Helper to handle post creation
 const createPost = async (req, content, mediaFile = null) => {
+  const { status, scheduledAt, expiresAt, privacy } = req.body;
+  const schedule = resolveSchedule({ scheduledAt, expiresAt });
+  const screened = await screenContent(req.user.id, 'post', content);
+
   const postData = {
-    content: content || '',
+    content: screened.content || '',
     author: req.user.id,
-    media: []
+    media: [],
+    ...schedule,
+    // Scheduled posts stay drafts until the publish job makes them live
+    status: schedule.scheduledAt || status === 'draft' ? 'draft' : 'published'
   };
+  if (privacy) postData.privacy = privacy;
 
   // If we have media data, parse and add it
   if (mediaFile) {
@@ -89,32 +103,20 @@ const createPost = async (req, content, mediaFile = null) => {
   }
 
   const post = new Post(postData);
+  const mentioned = await applyTextEntities(post, req.user.id);
   await post.save();
   await post.populate('author', 'username profilePic');
-  return post;
-};
 
-// Get all posts
-router.get('/', async (req, res) => {
-  try {
-    console.log('Fetching posts with query params:', req.query);
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-
-    const posts = await Post.find({})
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(limit)
-      .populate('author', 'username profilePic');
-
-    console.log(`Found ${posts.length} posts`);
-    res.json(posts);
-  } catch (error) {
-    console.error('Error fetching posts:', error);
-    res.status(500).json({ message: 'Error fetching posts' });
+  // Held posts stay hidden, and mentions unannounced, until a moderator approves them
+  if (screened.review) {
+    await holdForReview('post', post, screened.matches);
+    post.status = 'hidden';
+    return post;
   }
-});
+
+  await notifyMentions({ recipientIds: mentioned, actorId: req.user.id, post });
+  return post;
+};
 
 // Create a new post (handles both JSON and form-data)
 router.post('/', auth, async (req, res, next) => {
@@ -139,6 +141,7 @@ router.post('/', auth, async (req, res, next) => {
       return res.status(201).json(post);
 
     } catch (error) {
+      if (error.isOperational) return res.status(error.statusCode).json({ message: error.message });
       console.error('Error in JSON post handler:', error);
       return res.status(500).json({
         message: error.message || 'Error creating post',
@@ -171,6 +174,7 @@ router.post('/', auth, async (req, res, next) => {
       return res.status(201).json(post);
 
     } catch (error) {
+      if (error.isOperational) return res.status(error.statusCode).json({ message: error.message });
       console.error('Error in form-data post handler:', error);
       return res.status(500).json({
         message: error.message || 'Error creating post',
@@ -180,35 +184,156 @@ router.post('/', auth, async (req, res, next) => {
   });
 });
 
-// Get all posts
+// Get the current user's ranked home feed (?cursor=&limit=)
 router.get('/', auth, async (req, res) => {
   try {
-    const { page = 1, limit = 10 } = req.query;
-    const posts = await Post.find()
-      .populate('author', 'username profilePic')
-      .sort({ createdAt: -1 })
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .exec();
-
-    const count = await Post.countDocuments();
-
-    res.json({
-      posts,
-      totalPages: Math.ceil(count / limit),
-      currentPage: page
+    const { posts, nextCursor, rankedAt } = await getFeed(req.user.id, {
+      cursor: req.query.cursor,
+      limit: req.query.limit
     });
+
+    res.json({ posts, nextCursor, rankedAt });
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Error fetching posts:', error);
     res.status(500).json({ message: 'Error fetching posts' });
   }
 });
 
+// Get feed posts published since a time, for pull to refresh (?since=ISO date)
+router.get('/new', auth, async (req, res) => {
+  try {
+    const { posts, count, latest } = await getNewPostsSince(req.user.id, new Date(req.query.since));
+    res.json({ posts, count, latest });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error fetching new posts:', error);
+    res.status(500).json({ message: 'Error fetching new posts' });
+  }
+});
+
+// Get hashtags trending in the last hour, day or week (?window=1h|24h|7d&scope=global|university&limit=)
+router.get('/trending', auth, async (req, res) => {
+  try {
+    const { window = '24h', scope = 'global', limit } = req.query;
+    if (!['global', 'university'].includes(scope)) {
+      return res.status(400).json({ message: 'Scope must be global or university' });
+    }
+
+    let university;
+    if (scope === 'university') {
+      const user = await User.findById(req.user.id).select('university').lean();
+      university = user?.university;
+      if (!university) {
+        return res.status(400).json({ message: 'Add your university to your profile to see its trends' });
+      }
+    }
+
+    const hashtags = await getTrendingHashtags({ window, university, limit });
+    res.json({ window, scope, university, hashtags });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error fetching trending hashtags:', error);
+    res.status(500).json({ message: 'Error fetching trending hashtags' });
+  }
+});
+
+// Get posts with a hashtag, newest first (?cursor=&limit=)
+router.get('/hashtags/:tag', auth, async (req, res) => {
+  try {
+    const { tag, posts, nextCursor } = await getHashtagPosts(req.user.id, req.params.tag, {
+      cursor: req.query.cursor,
+      limit: req.query.limit
+    });
+    res.json({ tag, posts, nextCursor });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error fetching hashtag posts:', error);
+    res.status(500).json({ message: 'Error fetching hashtag posts' });
+  }
+});
+
+// List the current user's saved posts, most recently saved first (?cursor=&limit=)
+router.get('/saved', auth, async (req, res) => {
+  try {
+    const { posts, nextCursor } = await listSavedPosts(req.user.id, {
+      cursor: req.query.cursor,
+      limit: req.query.limit
+    });
+    res.json({ posts, nextCursor });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error fetching saved posts:', error);
+    res.status(500).json({ message: 'Error fetching saved posts' });
+  }
+});
+
+// List the current user's drafts or scheduled posts (?type=draft|scheduled)
+router.get('/drafts', auth, async (req, res) => {
+  try {
+    const posts = await listDrafts(req.user.id, req.query.type || 'draft');
+    res.json(posts);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error fetching drafts:', error);
+    res.status(500).json({ message: 'Error fetching drafts' });
+  }
+});
+
+// Edit a draft or scheduled post (content, scheduledAt, expiresAt, privacy)
+router.patch('/drafts/:id', auth, async (req, res) => {
+  try {
+    const { content, scheduledAt, expiresAt, privacy } = req.body;
+    const post = await updateDraft(req.user.id, req.params.id, { content, scheduledAt, expiresAt, privacy });
+    res.json(post);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error updating draft:', error);
+    res.status(500).json({ message: 'Error updating draft' });
+  }
+});
+
+// Publish a draft or scheduled post now
+router.post('/drafts/:id/publish', auth, async (req, res) => {
+  try {
+    const post = await publishDraft(req.user.id, req.params.id);
+    res.json(post);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error publishing draft:', error);
+    res.status(500).json({ message: 'Error publishing draft' });
+  }
+});
+
 // Get a single post
 router.get('/:id', auth, async (req, res) => {
   try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Post not found' });
+    }
+
     const post = await Post.findById(req.params.id)
       .populate('author', 'username profilePic')
+      .populate({
+        path: 'originalPost',
+        populate: { path: 'author', select: 'username profilePic' }
+      })
       .populate({
         path: 'comments',
         populate: {
@@ -217,10 +342,15 @@ router.get('/:id', auth, async (req, res) => {
         }
       });
 
-    if (!post) {
+    // Muted authors' posts stay reachable directly; blocked, unpublished, expired
+    // and private ones, and those for the author's connections, only to who may see them
+    if (!post || !(await canSeePost(req.user.id, post))) {
       return res.status(404).json({ message: 'Post not found' });
     }
 
+    const blockedIds = new Set(await getBlockedIds(req.user.id));
+    post.comments = post.comments.filter(comment => isListed(comment, blockedIds));
+    await hideUnseenOriginals(req.user.id, [post]);
     res.json(post);
   } catch (error) {
     console.error('Error fetching post:', error);
@@ -231,23 +361,12 @@ router.get('/:id', auth, async (req, res) => {
 // Update a post
 router.put('/:id', auth, async (req, res) => {
   try {
-    const { content } = req.body;
-    const post = await Post.findById(req.params.id);
-
-    if (!post) {
-      return res.status(404).json({ message: 'Post not found' });
-    }
-
-    // Check if the user is the author
-    if (post.author.toString() !== req.user.id) {
-      return res.status(403).json({ message: 'Not authorized to update this post' });
-    }
-
-    post.content = content || post.content;
-    const updatedPost = await post.save();
-
+    const updatedPost = await editPost(req.user.id, req.params.id, req.body.content);
     res.json(updatedPost);
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Error updating post:', error);
     res.status(500).json({ message: 'Error updating post' });
   }
@@ -262,13 +381,14 @@ router.delete('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Post not found' });
     }
 
-    // Check if the user is the author or an admin
-    if (post.author.toString() !== req.user.id && req.user.role !== 'admin') {
+    // Check if the user is the author or a moderator
+    if (post.author.toString() !== req.user.id && !hasPermission(req.user, PERMISSIONS.POSTS_MODERATE)) {
       return res.status(403).json({ message: 'Not authorized to delete this post' });
     }
 
     // Delete the post
     await Post.findByIdAndDelete(req.params.id);
+    await releasePost(post);
 
     res.json({ message: 'Post removed successfully' });
   } catch (error) {
@@ -303,39 +423,87 @@ router.post('/:id/like', auth, async (req, res) => {
   }
 });
 
-// Add a comment to a post
-router.post('/:id/comments', auth, async (req, res) => {
+// Repost a post
+router.post('/:id/repost', auth, async (req, res) => {
   try {
-    const { content } = req.body;
-    const post = await Post.findById(req.params.id);
-
-    if (!post) {
-      return res.status(404).json({ message: 'Post not found' });
+    const post = await repost(req.user.id, req.params.id);
+    res.status(201).json(post);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
     }
+    console.error('Error reposting:', error);
+    res.status(500).json({ message: 'Error reposting' });
+  }
+});
 
-    // Create a new comment using the Comment model
-    const comment = new Comment({
-      content,
-      author: req.user.id,
-      post: post._id
-    });
+// Undo a repost
+router.delete('/:id/repost', auth, async (req, res) => {
+  try {
+    const repostCount = await unrepost(req.user.id, req.params.id);
+    res.json({ message: 'Repost removed', repostCount });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error removing repost:', error);
+    res.status(500).json({ message: 'Error removing repost' });
+  }
+});
 
-    // Save the comment
-    await comment.save();
+// Quote a post with a comment of your own
+router.post('/:id/quote', auth, async (req, res) => {
+  try {
+    const post = await quote(req.user.id, req.params.id, req.body.content);
+    res.status(201).json(post);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error quoting post:', error);
+    res.status(500).json({ message: 'Error quoting post' });
+  }
+});
 
-    // Add comment to post's comments array
-    post.comments.push(comment._id);
-    await post.save();
+// Record that a post was shared outside the feed
+router.post('/:id/share', auth, async (req, res) => {
+  try {
+    const shareCount = await sharePost(req.user.id, req.params.id);
+    res.json({ shareCount });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error sharing post:', error);
+    res.status(500).json({ message: 'Error sharing post' });
+  }
+});
 
-    // Populate author info in the response
-    const populatedComment = await Comment.findById(comment._id)
-      .populate('author', 'username profilePic')
-      .lean();
+// Save a post
+router.post('/:id/save', auth, async (req, res) => {
+  try {
+    const saveCount = await savePost(req.user.id, req.params.id);
+    res.json({ saved: true, saveCount });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error saving post:', error);
+    res.status(500).json({ message: 'Error saving post' });
+  }
+});
 
-    res.status(201).json(populatedComment);
+// Remove a post from your saved posts
+router.delete('/:id/save', auth, async (req, res) => {
+  try {
+    const saveCount = await unsavePost(req.user.id, req.params.id);
+    res.json({ saved: false, saveCount });
   } catch (error) {
-    console.error('Error adding comment:', error);
-    res.status(500).json({ message: 'Error adding comment', error: error.message });
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error removing saved post:', error);
+    res.status(500).json({ message: 'Error removing saved post' });
   }
 });
 
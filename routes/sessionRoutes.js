@@ -3,14 +3,70 @@
  * API endpoints for session management
  */
 import express from 'express';
-import jwt from 'jsonwebtoken';
 import { protect } from '../middleware/auth.js';
 import User from '../models/User.js';
+import {
+    createChallenge,
+    listDevices,
+    registerDevice,
+    revokeDevice,
+    verifyChallenge,
+} from '../services/biometricService.js';
+import { listSessions, terminateAllSessions, terminateSession } from '../services/sessionService.js';
+import { issueAuthTokens } from '../services/tokenService.js';
 import AppError from '../utils/appError.js';
 
 const router = express.Router();
 
-// All routes require authentication
+/**
+ * @route   POST /api/v1/sessions/biometric/challenge
+ * @desc    Get a one-time challenge for a registered device to sign
+ */
+router.post('/biometric/challenge', async (req, res, next) => {
+    try {
+        const { userId, deviceId } = req.body;
+
+        const { challenge, expiresAt } = await createChallenge({ userId, deviceId, ip: req.ip });
+
+        res.status(200).json({
+            status: 'success',
+            data: { challenge, expiresAt },
+        });
+    } catch (error) {
+        if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+        next(error);
+    }
+});
+
+/**
+ * @route   POST /api/v1/sessions/biometric-login
+ * @desc    Login by signing a challenge with the device's registered key
+ */
+router.post('/biometric-login', async (req, res, next) => {
+    try {
+        const { userId, deviceId, challenge, signature } = req.body;
+
+        const user = await verifyChallenge({ userId, deviceId, challenge, signature, ip: req.ip });
+
+        // Start a new session for this device
+        const device = user.biometricDevices.find(d => d.deviceId === deviceId);
+        const { accessToken, refreshToken, expiresAt, sessionId } = await issueAuthTokens(user, req, {
+            deviceId,
+            deviceName: device.deviceName,
+            platform: device.platform,
+        });
+
+        res.status(200).json({
+            status: 'success',
+            data: { token: accessToken, accessToken, refreshToken, expiresAt, sessionId, user },
+        });
+    } catch (error) {
+        if (error.retryAfter) res.set('Retry-After', String(error.retryAfter));
+        next(error);
+    }
+});
+
+// Everything below requires authentication
 router.use(protect);
 
 /**
@@ -19,12 +75,12 @@ router.use(protect);
  */
 router.get('/', async (req, res, next) => {
     try {
-        const user = await User.findById(req.user.id).select('+activeSessions');
+        const sessions = await listSessions(req.user.id);
 
         res.status(200).json({
             status: 'success',
             data: {
-                sessions: user?.activeSessions || [],
+                sessions,
                 currentSessionId: req.sessionId,
             },
         });
@@ -35,30 +91,27 @@ router.get('/', async (req, res, next) => {
 
 /**
  * @route   POST /api/v1/sessions/register
- * @desc    Register a new session/device
+ * @desc    Attach device details to the current session (sessions are created at login)
  */
 router.post('/register', async (req, res, next) => {
     try {
         const { deviceId, deviceName, platform } = req.body;
 
-        const session = {
-            sessionId: `session_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            deviceId: deviceId || 'unknown',
-            deviceName: deviceName || 'Unknown Device',
-            platform: platform || 'unknown',
-            createdAt: new Date(),
-            lastActivity: new Date(),
-            ipAddress: req.ip,
-        };
-
-        await User.findByIdAndUpdate(req.user.id, {
-            $push: {
-                activeSessions: {
-                    $each: [session],
-                    $slice: -10, // Keep only last 10 sessions
+        const user = await User.findOneAndUpdate(
+            { _id: req.user.id, 'activeSessions.sessionId': req.sessionId },
+            {
+                $set: {
+                    'activeSessions.$.deviceId': deviceId || 'unknown',
+                    'activeSessions.$.deviceName': deviceName || 'Unknown Device',
+                    'activeSessions.$.platform': platform || 'unknown',
+                    'activeSessions.$.ipAddress': req.ip,
+                    'activeSessions.$.lastActivity': new Date(),
                 },
             },
-        });
+            { new: true }
+        ).select('+activeSessions');
+
+        const session = user?.activeSessions.find(s => s.sessionId === req.sessionId);
 
         res.status(201).json({
             status: 'success',
@@ -75,7 +128,7 @@ router.post('/register', async (req, res, next) => {
  */
 router.patch('/activity', async (req, res, next) => {
     try {
-        const { sessionId } = req.body;
+        const sessionId = req.body.sessionId || req.sessionId;
 
         await User.findOneAndUpdate(
             { _id: req.user.id, 'activeSessions.sessionId': sessionId },
@@ -99,9 +152,13 @@ router.delete('/:sessionId', async (req, res, next) => {
     try {
         const { sessionId } = req.params;
 
-        await User.findByIdAndUpdate(req.user.id, {
-            $pull: { activeSessions: { sessionId } },
-        });
+        const sessions = await listSessions(req.user.id);
+        if (!sessions.some(s => s.sessionId === sessionId)) {
+            return next(new AppError('Session not found', 404));
+        }
+
+        // Revokes the session's tokens and disconnects its sockets
+        await terminateSession(req.user.id, sessionId);
 
         res.status(200).json({
             status: 'success',
@@ -119,21 +176,13 @@ router.delete('/:sessionId', async (req, res, next) => {
 router.delete('/', async (req, res, next) => {
     try {
         const { keepCurrentSession } = req.query;
-        const currentSessionId = req.body.currentSessionId;
 
-        if (keepCurrentSession && currentSessionId) {
-            // Keep only current session
-            const user = await User.findById(req.user.id).select('+activeSessions');
-            const currentSession = user?.activeSessions?.find(s => s.sessionId === currentSessionId);
-
-            await User.findByIdAndUpdate(req.user.id, {
-                activeSessions: currentSession ? [currentSession] : [],
-            });
+        if (keepCurrentSession && keepCurrentSession !== 'false') {
+            // Keep only the session making this request
+            await terminateAllSessions(req.user.id, { exceptSessionId: req.sessionId });
         } else {
-            // Clear all sessions
-            await User.findByIdAndUpdate(req.user.id, {
-                activeSessions: [],
-            });
+            // Clear all sessions, including this one
+            await terminateAllSessions(req.user.id);
         }
 
         res.status(200).json({
@@ -146,32 +195,16 @@ router.delete('/', async (req, res, next) => {
 });
 
 /**
- * @route   POST /api/v1/sessions/biometric-token
- * @desc    Generate a token for biometric login
+ * @route   GET /api/v1/sessions/biometric/devices
+ * @desc    List the devices registered for biometric login
  */
-router.post('/biometric-token', async (req, res, next) => {
+router.get('/biometric/devices', async (req, res, next) => {
     try {
-        const { deviceId } = req.body;
-
-        if (!deviceId) {
-            return next(new AppError('Device ID is required', 400));
-        }
-
-        // Store biometric device ID for this user
-        await User.findByIdAndUpdate(req.user.id, {
-            $addToSet: { biometricDevices: deviceId },
-        });
-
-        // Generate a long-lived biometric token
-        const biometricToken = jwt.sign(
-            { id: req.user.id, deviceId, type: 'biometric' },
-            process.env.JWT_SECRET,
-            { expiresIn: '365d' }
-        );
+        const devices = await listDevices(req.user.id);
 
         res.status(200).json({
             status: 'success',
-            data: { biometricToken },
+            data: { devices },
         });
     } catch (error) {
         next(error);
@@ -179,60 +212,34 @@ router.post('/biometric-token', async (req, res, next) => {
 });
 
 /**
- * @route   POST /api/v1/sessions/biometric-login
- * @desc    Login using biometric token
+ * @route   POST /api/v1/sessions/biometric/devices
+ * @desc    Register this device's public key for biometric login
  */
-router.post('/biometric-login', async (req, res, next) => {
+router.post('/biometric/devices', async (req, res, next) => {
     try {
-        const { biometricToken, deviceId } = req.body;
+        const { deviceId, publicKey, deviceName, platform } = req.body;
 
-        if (!biometricToken || !deviceId) {
-            return next(new AppError('Biometric token and device ID required', 400));
-        }
-
-        // Verify the biometric token
-        const decoded = jwt.verify(biometricToken, process.env.JWT_SECRET);
-
-        if (decoded.type !== 'biometric' || decoded.deviceId !== deviceId) {
-            return next(new AppError('Invalid biometric token', 401));
-        }
-
-        // Check if device is still authorized
-        const user = await User.findById(decoded.id).select('+biometricDevices');
-        if (!user?.biometricDevices?.includes(deviceId)) {
-            return next(new AppError('Device not authorized for biometric login', 401));
-        }
-
-        // Generate new access token
-        const token = jwt.sign(
-            { id: user._id },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-        );
+        const device = await registerDevice(req.user.id, { deviceId, publicKey, deviceName, platform });
 
-        res.status(200).json({
+        res.status(201).json({
             status: 'success',
-            data: { token, user },
+            data: { device },
         });
     } catch (error) {
-        if (error.name === 'JsonWebTokenError') {
-            return next(new AppError('Invalid biometric token', 401));
-        }
         next(error);
     }
 });
 
 /**
- * @route   DELETE /api/v1/sessions/biometric/:deviceId
+ * @route   DELETE /api/v1/sessions/biometric/devices/:deviceId
  * @desc    Remove biometric authorization for a device
  */
-router.delete('/biometric/:deviceId', async (req, res, next) => {
+router.delete(['/biometric/devices/:deviceId', '/biometric/:deviceId'], async (req, res, next) => {
     try {
-        const { deviceId } = req.params;
-
-        await User.findByIdAndUpdate(req.user.id, {
-            $pull: { biometricDevices: deviceId },
-        });
+        const removed = await revokeDevice(req.user.id, req.params.deviceId);
+        if (!removed) {
+            return next(new AppError('Device not found', 404));
+        }
 
         res.status(200).json({
             status: 'success',
@@ -9,6 +9,7 @@ import StudyBuddyRequest from '../models/StudyBuddyRequest.js';
 import User from '../models/User.js';
 import { matchingService } from '../services/matchingService.js';
 import { NotificationTemplates, sendNotificationToUser } from '../services/pushNotificationService.js';
+import { isBlockedBetween, isVisibleTo } from '../services/relationshipService.js';
 import AppError from '../utils/appError.js';
 
 const router = express.Router();
@@ -131,6 +132,10 @@ router.post('/request/:userId', async (req, res, next) => {
             return next(new AppError('You cannot send a request to yourself', 400));
         }
 
+        if (await isBlockedBetween(req.user.id, userId)) {
+            return next(new AppError('You cannot send a request to this user', 403));
+        }
+
         // Check if request already exists
         const existingRequest = await StudyBuddyRequest.findOne({
             $or: [
@@ -278,24 +283,26 @@ router.get('/buddies', async (req, res, next) => {
             ],
             status: 'accepted',
         })
-            .populate('sender', 'displayName username profilePic onlineStatus lastSeen')
-            .populate('receiver', 'displayName username profilePic onlineStatus lastSeen')
+            .populate('sender', 'displayName username profilePic onlineStatus lastSeen settings.privacy')
+            .populate('receiver', 'displayName username profilePic onlineStatus lastSeen settings.privacy')
             .sort({ respondedAt: -1 });
 
         // Format buddies list
-        const buddies = acceptedRequests.map(req => {
-            const isSender = req.sender._id.toString() === req.user?.id;
-            const buddy = isSender ? req.receiver : req.sender;
+        const buddies = acceptedRequests.map(request => {
+            const isSender = request.sender._id.toString() === req.user.id;
+            const buddy = isSender ? request.receiver : request.sender;
+            // Buddies count as friends, so only "nobody" hides presence here
+            const showPresence = isVisibleTo(buddy.settings?.privacy?.lastSeen, { isFriend: true });
             return {
                 id: buddy._id,
                 displayName: buddy.displayName,
                 username: buddy.username,
                 profilePic: buddy.profilePic,
-                onlineStatus: buddy.onlineStatus,
-                lastSeen: buddy.lastSeen,
-                connectedAt: req.respondedAt,
-                sharedSubjects: req.sharedSubjects,
-                matchScore: req.matchScore,
+                onlineStatus: showPresence ? buddy.onlineStatus : undefined,
+                lastSeen: showPresence ? buddy.lastSeen : undefined,
+                connectedAt: request.respondedAt,
+                sharedSubjects: request.sharedSubjects,
+                matchScore: request.matchScore,
             };
         });
 
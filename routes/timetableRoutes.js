@@ -8,7 +8,8 @@ import {
   deleteTimetable,
   getMyTimetable
 } from '../controllers/timetableController.js';
-import { protect, admin } from '../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 
 // Public routes
 router.route('/').get(getTimetables);
@@ -18,12 +19,12 @@ router.route('/:id').get(getTimetableById);
 router.route('/me')
   .get(protect, getMyTimetable);
 
-// Admin routes
+// Timetable management routes
 router.route('/')
-  .post(protect, admin, createTimetable);
+  .post(protect, requirePermission(PERMISSIONS.TIMETABLES_MANAGE), createTimetable);
 
 router.route('/:id')
-  .put(protect, admin, updateTimetable)
-  .delete(protect, admin, deleteTimetable);
+  .put(protect, requirePermission(PERMISSIONS.TIMETABLES_MANAGE), updateTimetable)
+  .delete(protect, requirePermission(PERMISSIONS.TIMETABLES_MANAGE), deleteTimetable);
 
 export default router;
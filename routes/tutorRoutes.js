@@ -7,16 +7,19 @@ import {
   getMyTutorProfile,
   deleteTutorProfile
 } from '../controllers/tutorController.js';
-import { protect, tutor } from '../middleware/authMiddleware.js';
+import { PERMISSIONS } from '../config/permissions.js';
+import { protect, requirePermission } from '../middleware/auth.js';
 
 // Public routes
 router.route('/').get(getTutors);
 router.route('/:id').get(getTutorById);
 
 // Protected routes
+const manageProfile = requirePermission(PERMISSIONS.TUTOR_PROFILE_MANAGE);
+
 router.route('/profile/me')
-  .get(protect, tutor, getMyTutorProfile)
-  .post(protect, tutor, createOrUpdateTutorProfile)
-  .delete(protect, tutor, deleteTutorProfile);
+  .get(protect, manageProfile, getMyTutorProfile)
+  .post(protect, manageProfile, createOrUpdateTutorProfile)
+  .delete(protect, manageProfile, deleteTutorProfile);
 
 export default router;
@@ -2,9 +2,27 @@ import bcrypt from 'bcryptjs';
 import { v2 as cloudinary } from 'cloudinary';
 import { Expo } from 'expo-server-sdk';
 import express from 'express';
-import { auth } from '../middleware/auth.js';
+import { PERMISSIONS, ROLES } from '../config/permissions.js';
+import { auth, requirePermission } from '../middleware/auth.js';
 import Post from '../models/Post.js';
 import User from '../models/User.js';
+import { buildExport, cancelDeletion, confirmAccountOwner, scheduleDeletion } from '../services/accountService.js';
+import { buildAuthorVisibilityFilter } from '../services/feedService.js';
+import { approveRequest, cancelRequest, follow, listRequests, rejectRequest, unfollow } from '../services/followService.js';
+import { hideUnseenOriginals } from '../services/postInteractionService.js';
+import { searchUsers } from '../services/userSearchService.js';
+import {
+  blockUser,
+  canViewProfile,
+  getBlockedIds,
+  isBlockedBetween,
+  listUsers,
+  muteUser,
+  toPublicCard,
+  toVisibleProfile,
+  unblockUser,
+  unmuteUser
+} from '../services/relationshipService.js';
 
 const router = express.Router();
 const expo = new Expo();
@@ -20,144 +38,97 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
-// Search users
-router.get('/search', auth, async (req, res) => {
-  // Log the start of the search request
-  console.log('[Search] Starting user search with query:', req.query);
-
+// Download everything stored about the current user
+router.get('/me/export', auth, async (req, res) => {
   try {
-    // Validate input
-    const { q } = req.query;
+    const archive = await buildExport(req.user.id);
+    const date = new Date().toISOString().slice(0, 10);
 
-    if (!q || typeof q !== 'string') {
-      console.log('[Search] Invalid or missing search query');
-      return res.status(400).json({
-        success: false,
-        message: 'A valid search query is required',
-        code: 'INVALID_QUERY'
-      });
-    }
+    res.attachment(`campusos-export-${req.user.username}-${date}.json`);
+    res.type('application/json');
+    res.send(JSON.stringify(archive, null, 2));
+  } catch (error) {
+    console.error('Error exporting user data:', error);
+    res.status(500).json({ message: 'Error exporting your data' });
+  }
+});
 
-    const searchTerm = q.trim();
-    if (searchTerm.length < 2) {
-      console.log('[Search] Search term too short');
-      return res.status(400).json({
-        success: false,
-        message: 'Search term must be at least 2 characters long',
-        code: 'QUERY_TOO_SHORT'
-      });
-    }
+// Schedule deletion of the current user's account
+// Body: password, or a two-factor code / recoveryCode; neither is needed just after signing in
+router.delete('/me', auth, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    await confirmAccountOwner(req.user.id, req.sessionId, { password, code, recoveryCode });
 
-    console.log(`[Search] Validated search term: "${searchTerm}"`);
+    const scheduledFor = await scheduleDeletion(req.user.id);
 
-    // Verify the requesting user exists and is valid
-    try {
-      const requestingUser = await User.findById(req.user.id).select('_id').lean();
-      if (!requestingUser) {
-        console.error(`[Search] Requesting user not found: ${req.user.id}`);
-        return res.status(404).json({
-          success: false,
-          message: 'User not found',
-          code: 'USER_NOT_FOUND'
-        });
-      }
-    } catch (userError) {
-      console.error('[Search] Error validating requesting user:', {
-        error: userError.message,
-        stack: userError.stack,
-        userId: req.user.id
-      });
+    res.json({
+      message: `Your account will be deleted on ${scheduledFor.toDateString()}. Log in and cancel before then to keep it.`,
+      scheduledFor
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error scheduling account deletion:', error);
+    res.status(500).json({ message: 'Error deleting account' });
+  }
+});
 
-      return res.status(500).json({
-        success: false,
-        message: 'Error validating user session',
-        code: 'SESSION_VALIDATION_ERROR',
-        error: process.env.NODE_ENV === 'development' ? userError.message : undefined
-      });
+// Cancel a scheduled account deletion
+router.post('/me/deletion/cancel', auth, async (req, res) => {
+  try {
+    const cancelled = await cancelDeletion(req.user.id);
+    if (!cancelled) {
+      return res.status(400).json({ message: 'Your account is not scheduled for deletion' });
     }
 
-    // Build a safe search query
-    const searchQuery = {
-      $and: [
-        {
-          $or: [
-            { username: { $regex: searchTerm, $options: 'i' } },
-            { email: { $regex: searchTerm, $options: 'i' } },
-            { displayName: { $regex: searchTerm, $options: 'i' } }
-          ]
-        },
-        { _id: { $ne: req.user.id } } // Exclude current user
-      ]
-    };
-
-    console.log('[Search] Executing database query:', JSON.stringify({
-      query: searchQuery,
-      userId: req.user.id
-    }, null, 2));
-
-    // Execute search with error handling
-    let users;
-    try {
-      users = await User.find(searchQuery)
-        .select('_id username profilePic displayName email')
-        .limit(20)
-        .lean();
-
-      console.log(`[Search] Found ${users.length} matching users`);
-
-    } catch (dbError) {
-      console.error('[Search] Database query failed:', {
-        error: dbError.message,
-        stack: dbError.stack,
-        query: searchQuery
-      });
+    res.json({ message: 'Account deletion cancelled' });
+  } catch (error) {
+    console.error('Error cancelling account deletion:', error);
+    res.status(500).json({ message: 'Error cancelling account deletion' });
+  }
+});
 
-      return res.status(500).json({
+// Search the user directory
+// ?q=&level=&course=&university=&cursor=&limit=
+router.get('/search', auth, async (req, res) => {
+  try {
+    const { q, level, course, university, cursor, limit } = req.query;
+
+    const params = { q, level, course, university, cursor };
+    if (Object.values(params).some(value => value !== undefined && typeof value !== 'string')) {
+      return res.status(400).json({
         success: false,
-        message: 'Error searching users',
-        code: 'DATABASE_ERROR',
-        error: process.env.NODE_ENV === 'development' ? dbError.message : undefined
+        message: 'Invalid search parameters',
+        code: 'INVALID_PARAMETERS'
       });
     }
 
-    // Sanitize and format response
-    const sanitizedUsers = users.map(user => ({
-      id: user._id,
-      username: user.username,
-      displayName: user.displayName || user.username,
-      email: user.email,
-      profilePicture: user.profilePic
-    }));
-
-    console.log('[Search] Search completed successfully');
+    const { results, nextCursor } = await searchUsers(req.user.id, { ...params, limit });
 
     return res.json({
       success: true,
-      count: sanitizedUsers.length,
-      results: sanitizedUsers
+      count: results.length,
+      results,
+      nextCursor
     });
-
   } catch (error) {
-    // Catch any unexpected errors
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.statusCode === 400 ? 'INVALID_QUERY' : 'SEARCH_ERROR'
+      });
+    }
+
     console.error('[Search] Unexpected error:', {
       message: error.message,
       stack: error.stack,
       query: req.query,
-      userId: req.user?.id,
-      timestamp: new Date().toISOString()
+      userId: req.user?.id
     });
 
-    // Handle specific error types
-    if (error.name === 'CastError') {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid search parameters',
-        code: 'INVALID_PARAMETERS',
-        details: error.message
-      });
-    }
-
-    // Default error response
     return res.status(500).json({
       success: false,
       message: 'An unexpected error occurred while searching',
@@ -182,11 +153,12 @@ router.get('/:id', auth, async (req, res) => {
       ]
     }).select('-password');
 
-    if (!user) {
+    // Blocked users cannot see each other at all
+    if (!user || await isBlockedBetween(req.user.id, user._id)) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    res.json(user);
+    res.json(await toVisibleProfile(req.user.id, user));
   } catch (error) {
     console.error('Error fetching user:', error);
     res.status(500).json({ message: 'Error fetching user' });
@@ -233,6 +205,36 @@ router.put('/me', auth, async (req, res) => {
   }
 });
 
+// Change a user's role
+router.patch('/:id/role', auth, requirePermission(PERMISSIONS.USERS_MANAGE_ROLES), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ message: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot change your own role' });
+    }
+
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $set: { role } },
+      { new: true, runValidators: true }
+    ).select('-password');
+
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json(user);
+  } catch (error) {
+    console.error('Error updating role:', error);
+    res.status(500).json({ message: 'Error updating role' });
+  }
+});
+
 // Update profile picture
 router.post('/me/avatar', auth, async (req, res) => {
   try {
@@ -290,17 +292,33 @@ router.get('/:id/posts', auth, async (req, res) => {
   try {
     const { page = 1, limit = 10 } = req.query;
 
-    const posts = await Post.find({ author: req.params.id })
+    const user = await User.findById(req.params.id).select('username displayName fullName profilePic settings.privacy');
+    if (!user || await isBlockedBetween(req.user.id, user._id)) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!(await canViewProfile(req.user.id, user))) {
+      return res.status(403).json({
+        message: 'This profile is private',
+        user: toPublicCard(user)
+      });
+    }
+
+    // Drafts, expired posts, posts taken down by moderators and posts for an
+    // audience the viewer is not in stay off the profile
+    const filter = await buildAuthorVisibilityFilter(req.user.id, user._id, new Date());
+    const posts = await Post.find(filter)
       .populate('author', 'username profilePic displayName fullName')
+      .populate({ path: 'originalPost', populate: { path: 'author', select: 'username profilePic displayName fullName' } })
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
       .exec();
 
-    const count = await Post.countDocuments({ author: req.params.id });
+    const count = await Post.countDocuments(filter);
 
     res.json({
-      posts,
+      posts: await hideUnseenOriginals(req.user.id, posts),
       totalPages: Math.ceil(count / limit),
       currentPage: page
     });
@@ -311,49 +329,32 @@ router.get('/:id/posts', auth, async (req, res) => {
 });
 
 
-// Follow/Unfollow user
+// Follow/Unfollow user (private accounts get a follow request instead)
 router.post('/:id/follow', auth, async (req, res) => {
   try {
     if (req.params.id === req.user.id) {
       return res.status(400).json({ message: 'You cannot follow yourself' });
     }
 
-    const userToFollow = await User.findById(req.params.id);
-    const currentUser = await User.findById(req.user.id);
-
-    if (!userToFollow) {
-      return res.status(404).json({ message: 'User not found' });
-    }
+    const currentUser = await User.findById(req.user.id).select('following');
 
     // Check if already following
-    const isFollowing = currentUser.following.includes(userToFollow._id);
-
-    if (isFollowing) {
-      // Unfollow
-      await User.findByIdAndUpdate(req.user.id, {
-        $pull: { following: userToFollow._id }
-      });
-
-      await User.findByIdAndUpdate(userToFollow._id, {
-        $pull: { followers: req.user.id }
-      });
-
-      res.json({ message: 'User unfollowed' });
-    } else {
-      // Follow
-      await User.findByIdAndUpdate(req.user.id, {
-        $addToSet: { following: userToFollow._id }
-      });
-
-      await User.findByIdAndUpdate(userToFollow._id, {
-        $addToSet: { followers: req.user.id }
-      });
+    if (currentUser.following.some(id => String(id) === req.params.id)) {
+      await unfollow(req.user.id, req.params.id);
+      return res.json({ message: 'User unfollowed' });
+    }
 
-      // TODO: Send notification to the followed user
+    const { status, request } = await follow(req.user.id, req.params.id);
 
-      res.json({ message: 'User followed' });
+    if (status === 'requested') {
+      return res.status(202).json({ message: 'Follow request sent', request });
     }
+
+    res.json({ message: 'User followed' });
   } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
     console.error('Error following user:', error);
     res.status(500).json({ message: 'Error following user' });
   }
@@ -363,14 +364,22 @@ router.post('/:id/follow', auth, async (req, res) => {
 router.get('/:id/followers', auth, async (req, res) => {
   try {
     const user = await User.findById(req.params.id)
-      .select('followers')
+      .select('followers username displayName fullName profilePic settings.privacy')
       .populate('followers', 'username profilePic displayName fullName');
 
-    if (!user) {
+    if (!user || await isBlockedBetween(req.user.id, user._id)) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    res.json(user.followers);
+    if (!(await canViewProfile(req.user.id, user))) {
+      return res.status(403).json({
+        message: 'This profile is private',
+        user: toPublicCard(user)
+      });
+    }
+
+    const blockedIds = new Set(await getBlockedIds(req.user.id));
+    res.json(user.followers.filter(follower => !blockedIds.has(String(follower._id))));
   } catch (error) {
     console.error('Error fetching followers:', error);
     res.status(500).json({ message: 'Error fetching followers' });
@@ -381,20 +390,162 @@ router.get('/:id/followers', auth, async (req, res) => {
 router.get('/:id/following', auth, async (req, res) => {
   try {
     const user = await User.findById(req.params.id)
-      .select('following')
+      .select('following username displayName fullName profilePic settings.privacy')
       .populate('following', 'username profilePic displayName fullName');
 
-    if (!user) {
+    if (!user || await isBlockedBetween(req.user.id, user._id)) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    res.json(user.following);
+    if (!(await canViewProfile(req.user.id, user))) {
+      return res.status(403).json({
+        message: 'This profile is private',
+        user: toPublicCard(user)
+      });
+    }
+
+    const blockedIds = new Set(await getBlockedIds(req.user.id));
+    res.json(user.following.filter(followed => !blockedIds.has(String(followed._id))));
   } catch (error) {
     console.error('Error fetching following:', error);
     res.status(500).json({ message: 'Error fetching following' });
   }
 });
 
+// List pending follow requests (?direction=incoming|outgoing)
+router.get('/me/follow-requests', auth, async (req, res) => {
+  try {
+    const requests = await listRequests(req.user.id, req.query.direction);
+    res.json(requests);
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error fetching follow requests:', error);
+    res.status(500).json({ message: 'Error fetching follow requests' });
+  }
+});
+
+// Approve a follow request
+router.post('/me/follow-requests/:requestId/approve', auth, async (req, res) => {
+  try {
+    const request = await approveRequest(req.user.id, req.params.requestId);
+    res.json({ message: 'Follow request approved', request });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error approving follow request:', error);
+    res.status(500).json({ message: 'Error approving follow request' });
+  }
+});
+
+// Reject a follow request
+router.post('/me/follow-requests/:requestId/reject', auth, async (req, res) => {
+  try {
+    const request = await rejectRequest(req.user.id, req.params.requestId);
+    res.json({ message: 'Follow request rejected', request });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error rejecting follow request:', error);
+    res.status(500).json({ message: 'Error rejecting follow request' });
+  }
+});
+
+// Cancel a follow request the current user sent
+router.delete('/me/follow-requests/:requestId', auth, async (req, res) => {
+  try {
+    const request = await cancelRequest(req.user.id, req.params.requestId);
+    res.json({ message: 'Follow request cancelled', request });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error cancelling follow request:', error);
+    res.status(500).json({ message: 'Error cancelling follow request' });
+  }
+});
+
+// List the users the current user has blocked
+router.get('/me/blocked', auth, async (req, res) => {
+  try {
+    res.json(await listUsers(req.user.id, 'blockedUsers'));
+  } catch (error) {
+    console.error('Error fetching blocked users:', error);
+    res.status(500).json({ message: 'Error fetching blocked users' });
+  }
+});
+
+// List the users the current user has muted
+router.get('/me/muted', auth, async (req, res) => {
+  try {
+    res.json(await listUsers(req.user.id, 'mutedUsers'));
+  } catch (error) {
+    console.error('Error fetching muted users:', error);
+    res.status(500).json({ message: 'Error fetching muted users' });
+  }
+});
+
+// Block a user
+router.post('/:id/block', auth, async (req, res) => {
+  try {
+    await blockUser(req.user.id, req.params.id);
+    res.json({ message: 'User blocked' });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error blocking user:', error);
+    res.status(500).json({ message: 'Error blocking user' });
+  }
+});
+
+// Unblock a user
+router.delete('/:id/block', auth, async (req, res) => {
+  try {
+    const unblocked = await unblockUser(req.user.id, req.params.id);
+    if (!unblocked) {
+      return res.status(404).json({ message: 'User is not blocked' });
+    }
+
+    res.json({ message: 'User unblocked' });
+  } catch (error) {
+    console.error('Error unblocking user:', error);
+    res.status(500).json({ message: 'Error unblocking user' });
+  }
+});
+
+// Mute a user
+router.post('/:id/mute', auth, async (req, res) => {
+  try {
+    await muteUser(req.user.id, req.params.id);
+    res.json({ message: 'User muted' });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({ message: error.message });
+    }
+    console.error('Error muting user:', error);
+    res.status(500).json({ message: 'Error muting user' });
+  }
+});
+
+// Unmute a user
+router.delete('/:id/mute', auth, async (req, res) => {
+  try {
+    const unmuted = await unmuteUser(req.user.id, req.params.id);
+    if (!unmuted) {
+      return res.status(404).json({ message: 'User is not muted' });
+    }
+
+    res.json({ message: 'User unmuted' });
+  } catch (error) {
+    console.error('Error unmuting user:', error);
+    res.status(500).json({ message: 'Error unmuting user' });
+  }
+});
+
 // Update user's push token
 router.post('/:userId/push-token', auth, async (req, res) => {
   try {
@@ -0,0 +1,22 @@
+import { connectDB } from '../config/db.js';
+import User from '../models/User.js';
+
+// Build directory search tokens for users created before they existed
+async function backfillSearchTokens() {
+  try {
+    console.log('🔎 Backfilling user search tokens...');
+
+    await connectDB();
+    await User.init();
+
+    const updated = await User.backfillSearchTokens();
+
+    console.log(`✨ Updated search tokens for ${updated} user${updated === 1 ? '' : 's'}`);
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Backfill failed:', error);
+    process.exit(1);
+  }
+}
+
+backfillSearchTokens();
@@ -32,8 +32,11 @@ import announcementRoutes from './routes/announcementRoutes.js';
 import authRoutes from './routes/auth.js';
 import chatPdfRoutes from './routes/chatPdfRoutes.js';
 import chatRoutes from './routes/chats.js';
+import contentFilterRoutes from './routes/contentFilters.js';
 import documentRoutes from './routes/documentRoutes.js';
 import healthRoutes from './routes/health.js';
+import identityProviderRoutes from './routes/identityProviders.js';
+import moderationRoutes from './routes/moderation.js';
 import notificationRoutes from './routes/notificationRoutes.js';
 import pollRoutes from './routes/polls.js';
 import postRoutes from './routes/posts.js';
@@ -42,6 +45,11 @@ import timetableRoutes from './routes/timetableRoutes.js';
 import tutorRoutes from './routes/tutorRoutes.js';
 import userRoutes from './routes/users.js';
 import sessionRoutes from './routes/sessionRoutes.js';
+import { purgeDueAccounts } from './services/accountService.js';
+import { removeUnclaimedAttachments } from './services/attachmentService.js';
+import { registerJob, startJobs, stopJobs } from './services/jobRunner.js';
+import { liftExpiredSuspensions } from './services/moderationService.js';
+import { archiveExpiredPosts, publishDuePosts } from './services/postScheduleService.js';
 
 // Get the current file and directory names
 const __filename = fileURLToPath(import.meta.url);
@@ -54,7 +62,9 @@ const requiredEnvVars = [
   'JWT_EXPIRES_IN',
   'CLOUDINARY_CLOUD_NAME',
   'CLOUDINARY_API_KEY',
-  'CLOUDINARY_API_SECRET'
+  'CLOUDINARY_API_SECRET',
+  // Login throttling, SSO state, biometric challenges and job locks are shared through it, see ttlStore
+  ...(process.env.NODE_ENV === 'production' ? ['REDIS_URL'] : [])
 ];
 
 const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
@@ -367,6 +377,9 @@ app.use(`${API_PREFIX}/notifications`, notificationRoutes);
 app.use(`${API_PREFIX}/study-buddy`, studyBuddyRoutes);
 app.use(`${API_PREFIX}/ai`, aiRoutes);
 app.use(`${API_PREFIX}/sessions`, sessionRoutes);
+app.use(`${API_PREFIX}/identity-providers`, identityProviderRoutes);
+app.use(`${API_PREFIX}/moderation`, moderationRoutes);
+app.use(`${API_PREFIX}/content-filters`, contentFilterRoutes);
 app.use(`${API_PREFIX}/chat`, chatPdfRoutes);
 
 // Mount non-versioned API routes for backward compatibility
@@ -384,6 +397,9 @@ app.use('/api/notifications', notificationRoutes);
 app.use('/api/study-buddy', studyBuddyRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/sessions', sessionRoutes);
+app.use('/api/identity-providers', identityProviderRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/content-filters', contentFilterRoutes);
 app.use('/api/chat', chatPdfRoutes);
 
 // Legacy health check redirect
@@ -439,6 +455,13 @@ app.all('*', (req, res, next) => {
 // Global error handling middleware
 app.use(globalErrorHandler);
 
+// Background jobs, started once the database is connected
+registerJob('purge-deleted-accounts', { intervalMs: 60 * 60 * 1000, handler: purgeDueAccounts });
+registerJob('publish-scheduled-posts', { intervalMs: 60 * 1000, handler: publishDuePosts });
+registerJob('archive-expired-posts', { intervalMs: 5 * 60 * 1000, handler: archiveExpiredPosts });
+registerJob('lift-expired-suspensions', { intervalMs: 15 * 60 * 1000, handler: liftExpiredSuspensions });
+registerJob('remove-unclaimed-attachments', { intervalMs: 60 * 60 * 1000, handler: removeUnclaimedAttachments });
+
 // Server state management
 const serverState = {
   isShuttingDown: false,
@@ -471,6 +494,9 @@ const serverState = {
     console.log('Shutting down gracefully...');
 
     try {
+      // Stop scheduling background jobs
+      stopJobs();
+
       // Close HTTP server
       await new Promise((resolve) => httpServer.close(() => {
         console.log('HTTP server closed');
@@ -564,6 +590,9 @@ const startServer = async () => {
     console.log('🔗 Connecting to MongoDB...');
     await connectDB();
 
+    // Start background jobs
+    startJobs();
+
     // Start HTTP server
     console.log('🚀 Starting HTTP server...');
     const server = httpServer.listen(PORT, HOST, () => {
@@ -0,0 +1,324 @@
+/**
+ * Account Service
+ * Personal data export, and account deletion with a grace period.
+ *
+ * Deleting an account keeps the User document as an anonymized tombstone so
+ * posts, comments and messages the user wrote stay readable in threads and
+ * chats, but are attributed to "Deleted User". Everything else that identifies
+ * the user is removed.
+ */
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import ChatAttachment from '../models/ChatAttachment.js';
+import Comment from '../models/Comment.js';
+import Event from '../models/Event.js';
+import FollowRequest from '../models/FollowRequest.js';
+import ForumSubscription from '../models/ForumSubscription.js';
+import Message from '../models/Message.js';
+import Notification from '../models/Notification.js';
+import Poll from '../models/Poll.js';
+import Post from '../models/Post.js';
+import Report from '../models/Report.js';
+import SavedPost from '../models/SavedPost.js';
+import StudyBuddy from '../models/StudyBuddy.js';
+import StudyBuddyRequest from '../models/StudyBuddyRequest.js';
+import Tutor from '../models/Tutor.js';
+import User from '../models/User.js';
+import AppError from '../utils/appError.js';
+import { discardUserAttachments, formatAttachment } from './attachmentService.js';
+import { isRecentSignIn, terminateAllSessions } from './sessionService.js';
+import { verifySecondFactor } from './twoFactorService.js';
+
+export const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30;
+
+const DELETED_NAME = 'Deleted User';
+
+// How recent a sign-in confirms who is asking to delete an account
+const REAUTH_WINDOW_MS = 10 * 60 * 1000;
+
+/**
+ * Collect everything stored about a user
+ * @param {string} userId
+ * @returns {Promise<Object>} A JSON-serializable archive
+ */
+export const buildExport = async (userId) => {
+  const user = await User.findById(userId).select('+biometricDevices +activeSessions +blockedUsers +mutedUsers');
+  if (!user) throw new AppError('User not found', 404);
+
+  const [
+    posts,
+    comments,
+    messages,
+    attachments,
+    polls,
+    events,
+    studyBuddyProfile,
+    studyBuddyRequests,
+    notifications,
+    tutorProfile,
+    followRequests,
+    savedPosts,
+    reports
+  ] = await Promise.all([
+    Post.find({ author: userId }).lean(),
+    Comment.find({ author: userId }).lean(),
+    Message.find({ senderId: userId }).select('chatId content type mediaUrl replyTo createdAt updatedAt').lean(),
+    ChatAttachment.find({ uploader: userId }).lean(),
+    Poll.find({ 'options.votes': userId }).select('question options createdAt').lean(),
+    Event.find({ 'attendees.user': userId }).select('title startDate endDate location attendees').lean(),
+    StudyBuddy.findOne({ user: userId }).lean(),
+    StudyBuddyRequest.find({ $or: [{ sender: userId }, { receiver: userId }] }).lean(),
+    Notification.find({ user: userId }).lean(),
+    Tutor.findOne({ user: userId }).lean(),
+    FollowRequest.find({ $or: [{ requester: userId }, { target: userId }] }).lean(),
+    SavedPost.find({ user: userId }).select('post createdAt').lean(),
+    Report.find({ reporter: userId }).select('targetType targetId reason details createdAt').lean()
+  ]);
+
+  const id = String(userId);
+
+  return {
+    exportedAt: new Date(),
+    profile: user.toJSON(),
+    sessions: user.activeSessions.map(({ deviceName, platform, ipAddress, createdAt, lastActivity }) => ({
+      deviceName, platform, ipAddress, createdAt, lastActivity
+    })),
+    biometricDevices: user.biometricDevices.map(({ deviceName, platform, createdAt, lastUsedAt }) => ({
+      deviceName, platform, createdAt, lastUsedAt
+    })),
+    posts,
+    comments,
+    messages,
+    chatAttachments: attachments.map(attachment => ({
+      ...formatAttachment(attachment),
+      chatId: attachment.chat,
+      messageId: attachment.message,
+      createdAt: attachment.createdAt
+    })),
+    pollVotes: polls.map(poll => ({
+      pollId: poll._id,
+      question: poll.question,
+      choices: poll.options
+        .filter(option => option.votes.some(vote => String(vote) === id))
+        .map(option => option.text),
+      createdAt: poll.createdAt
+    })),
+    eventRsvps: events.map(event => ({
+      eventId: event._id,
+      title: event.title,
+      startDate: event.startDate,
+      endDate: event.endDate,
+      location: event.location,
+      ...event.attendees.find(attendee => String(attendee.user) === id)
+    })),
+    studyBuddyProfile,
+    studyBuddyRequests,
+    followRequests,
+    savedPosts,
+    reports,
+    tutorProfile,
+    notifications
+  };
+};
+
+/**
+ * Check that whoever asks to delete an account owns it: by its password, a
+ * two-factor or recovery code, or by having signed in to this session within
+ * the last few minutes. Accounts created through SSO have no password of the
+ * user's own, so they sign in with their institution again instead.
+ * @param {string} userId
+ * @param {string} sessionId - The session making the request
+ * @param {Object} [proof]
+ * @param {string} [proof.password]
+ * @param {string} [proof.code] - A TOTP code
+ * @param {string} [proof.recoveryCode]
+ * @throws {AppError} 400 when the proof is missing or wrong
+ */
+export const confirmAccountOwner = async (userId, sessionId, { password, code, recoveryCode } = {}) => {
+  if (password) {
+    const user = await User.findById(userId).select('+password');
+    if (!user || !(await bcrypt.compare(password, user.password))) throw new AppError('Incorrect password', 400);
+    return;
+  }
+
+  if (code || recoveryCode) {
+    const { valid } = await verifySecondFactor(userId, { code, recoveryCode });
+    if (!valid) throw new AppError('Invalid verification code', 400);
+    return;
+  }
+
+  if (!(await isRecentSignIn(userId, sessionId, REAUTH_WINDOW_MS))) {
+    throw new AppError('Enter your password or a two-factor code, or sign in again, to delete your account', 400);
+  }
+};
+
+/**
+ * Schedule an account for deletion after the grace period and sign it out everywhere
+ * @param {string} userId
+ * @returns {Promise<Date>} When the account will be deleted
+ */
+export const scheduleDeletion = async (userId) => {
+  const scheduledFor = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+  await User.updateOne({ _id: userId }, {
+    $set: {
+      'deletion.requestedAt': new Date(),
+      'deletion.scheduledFor': scheduledFor
+    }
+  });
+
+  await terminateAllSessions(userId);
+
+  return scheduledFor;
+};
+
+/**
+ * Cancel a scheduled deletion
+ * @param {string} userId
+ * @returns {Promise<boolean>} Whether a deletion was pending
+ */
+export const cancelDeletion = async (userId) => {
+  const result = await User.updateOne(
+    { _id: userId, 'deletion.scheduledFor': { $exists: true } },
+    { $unset: { deletion: '' } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Anonymize the account and remove its personal data from every collection
+ * @param {string} userId
+ */
+export const purgeAccount = async (userId) => {
+  const id = String(userId);
+
+  await terminateAllSessions(userId);
+
+  // Plain reposts only point at other people's posts, so they go with the account
+  const reposts = await Post.find({ author: userId, isRepost: true }).select('originalPost').lean();
+  if (reposts.length) {
+    await Post.deleteMany({ _id: { $in: reposts.map(({ _id }) => _id) } });
+    await Post.updateMany(
+      { _id: { $in: reposts.map(({ originalPost }) => originalPost) } },
+      { $inc: { repostCount: -1 } }
+    );
+  }
+
+  // Interactions with other people's content
+  await Promise.all([
+    Post.updateMany(
+      { $or: [{ likes: userId }, { saves: userId }, { shares: userId }, { viewers: userId }, { repostedBy: userId }, { 'mentions.user': userId }] },
+      { $pull: { likes: userId, saves: userId, shares: userId, viewers: userId, repostedBy: userId, mentions: { user: userId } } }
+    ),
+    Comment.updateMany(
+      { $or: [{ likes: userId }, { 'mentions.user': userId }] },
+      { $pull: { likes: userId, mentions: { user: userId } } }
+    ),
+    Message.updateMany(
+      { $or: [{ readBy: userId }, { 'reactions.userId': userId }] },
+      { $pull: { readBy: userId, reactions: { userId } } }
+    ),
+    Poll.updateMany({ 'options.votes': userId }, { $pull: { 'options.$[].votes': userId } }),
+    Event.updateMany({ 'attendees.user': userId }, { $pull: { attendees: { user: userId } } }),
+    User.updateMany(
+      { $or: [{ followers: userId }, { following: userId }, { blockedUsers: userId }, { mutedUsers: userId }] },
+      { $pull: { followers: userId, following: userId, blockedUsers: userId, mutedUsers: userId } }
+    )
+  ]);
+
+  // Files they sent in chats, and the copies of them kept on their messages
+  await discardUserAttachments(userId);
+  await Message.updateMany(
+    { senderId: userId, 'attachments.0': { $exists: true } },
+    { $set: { attachments: [] } }
+  );
+
+  // Data that only exists for this user
+  await Promise.all([
+    Notification.deleteMany({ user: userId }),
+    StudyBuddy.deleteOne({ user: userId }),
+    StudyBuddyRequest.deleteMany({ $or: [{ sender: userId }, { receiver: userId }] }),
+    FollowRequest.deleteMany({ $or: [{ requester: userId }, { target: userId }] }),
+    SavedPost.deleteMany({ user: userId }),
+    ForumSubscription.deleteMany({ user: userId }),
+    Tutor.deleteOne({ user: userId })
+  ]);
+
+  // Keep the document as a tombstone so authored content still resolves
+  await User.updateOne({ _id: userId }, {
+    $set: {
+      username: `del_${id}`,
+      email: `${id}@deleted.invalid`,
+      password: crypto.randomBytes(32).toString('hex'),
+      displayName: DELETED_NAME,
+      fullName: DELETED_NAME,
+      university: DELETED_NAME,
+      status: 'deleted',
+      onlineStatus: 'offline',
+      emailVerified: false,
+      phoneVerified: false,
+      'deletion.completedAt': new Date()
+    },
+    $unset: {
+      firstName: '',
+      lastName: '',
+      course: '',
+      profilePic: '',
+      coverPhoto: '',
+      bio: '',
+      phone: '',
+      dateOfBirth: '',
+      gender: '',
+      pushToken: '',
+      socialLinks: '',
+      settings: '',
+      twoFactor: '',
+      identities: '',
+      biometricDevices: '',
+      refreshTokens: '',
+      activeSessions: '',
+      groups: '',
+      followers: '',
+      following: '',
+      blockedUsers: '',
+      mutedUsers: '',
+      searchTokens: '',
+      resetPasswordCode: '',
+      resetPasswordExpiry: '',
+      passwordResetToken: '',
+      passwordResetExpires: '',
+      emailVerificationToken: '',
+      emailVerificationExpires: '',
+      'deletion.scheduledFor': ''
+    }
+  });
+};
+
+/**
+ * Purge every account whose grace period has ended (run by the job runner)
+ * @returns {Promise<number>} The number of accounts purged
+ */
+export const purgeDueAccounts = async () => {
+  const due = await User.find({
+    'deletion.scheduledFor': { $lte: new Date() },
+    status: { $ne: 'deleted' }
+  }).select('_id');
+
+  for (const { _id } of due) {
+    await purgeAccount(_id);
+  }
+
+  if (due.length) {
+    console.log(`🗑️  Purged ${due.length} deleted account${due.length === 1 ? '' : 's'}`);
+  }
+
+  return due.length;
+};
+
+export default {
+  buildExport,
+  scheduleDeletion,
+  cancelDeletion,
+  purgeAccount,
+  purgeDueAccounts
+};
@@ -0,0 +1,354 @@
+/**
+ * Attachment Service
+ * Files sent in chat messages.
+ *
+ * Files are uploaded to a chat first (POST /chats/:id/attachments), which
+ * checks their type and size, stores them on Cloudinary and makes a small
+ * WebP thumbnail of images with sharp. A message then claims them by id when
+ * it is sent, over REST or the socket, and carries a copy of their details.
+ * Uploads no message claims within a day are removed by a background job.
+ */
+import mongoose from 'mongoose';
+import sharp from 'sharp';
+import Chat from '../models/Chat.js';
+import ChatAttachment from '../models/ChatAttachment.js';
+import AppError from '../utils/appError.js';
+import { cloudinary, deleteFromCloudinary, uploadToCloudinary } from '../utils/fileUpload.js';
+
+export const MAX_ATTACHMENTS = 10;
+export const THUMBNAIL_SIZE = 320;
+const UNCLAIMED_TTL_MS = 24 * 60 * 60 * 1000;
+
+const MB = 1024 * 1024;
+
+// What can be attached, and how big each kind may be
+export const ATTACHMENT_RULES = {
+  image: {
+    maxSize: 10 * MB,
+    mimeTypes: ['image/jpeg', 'image/png', 'image/gif', 'image/webp']
+  },
+  video: {
+    maxSize: 50 * MB,
+    mimeTypes: ['video/mp4', 'video/quicktime', 'video/webm']
+  },
+  audio: {
+    maxSize: 20 * MB,
+    mimeTypes: ['audio/mpeg', 'audio/mp4', 'audio/aac', 'audio/ogg', 'audio/webm', 'audio/wav']
+  },
+  file: {
+    maxSize: 20 * MB,
+    mimeTypes: [
+      'application/pdf',
+      'application/msword',
+      'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'application/vnd.ms-powerpoint',
+      'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+      'text/plain',
+      'text/csv',
+      'application/zip'
+    ]
+  }
+};
+
+// The largest file any kind allows, for the upload middleware's limit
+export const MAX_ATTACHMENT_SIZE = Math.max(...Object.values(ATTACHMENT_RULES).map(rule => rule.maxSize));
+
+// All the files of one upload together, as they are held in memory until stored
+export const MAX_UPLOAD_SIZE = 100 * MB;
+
+const formatSize = (bytes) => `${Math.round(bytes / MB)}MB`;
+
+/**
+ * Which kind of attachment a MIME type is
+ * @param {string} mimeType
+ * @returns {'image'|'video'|'audio'|'file'|null} null when it cannot be attached
+ */
+export const classifyAttachment = (mimeType) => {
+  const type = String(mimeType || '').toLowerCase();
+  const entry = Object.entries(ATTACHMENT_RULES).find(([, rule]) => rule.mimeTypes.includes(type));
+  return entry ? entry[0] : null;
+};
+
+/**
+ * Check an uploaded file can be attached
+ * @param {Object} file - A multer file
+ * @returns {string} Its kind
+ * @throws {AppError} 400 for types that cannot be attached, 413 for files that are too big
+ */
+export const validateAttachmentFile = (file) => {
+  const kind = classifyAttachment(file.mimetype);
+  if (!kind) throw new AppError(`${file.originalname} is not a file type that can be sent in chats`, 400);
+
+  const { maxSize } = ATTACHMENT_RULES[kind];
+  if (file.size > maxSize) {
+    throw new AppError(`${file.originalname} is too big; ${kind === 'file' ? 'files' : `${kind}s`} can be up to ${formatSize(maxSize)}`, 413);
+  }
+  return kind;
+};
+
+/**
+ * The message type for a set of attachments
+ * @param {Array<{ kind: string }>} attachments
+ * @returns {'text'|'image'|'video'|'file'}
+ */
+export const messageTypeFor = (attachments = []) => {
+  if (!attachments.length) return 'text';
+  if (attachments.every(({ kind }) => kind === 'image')) return 'image';
+  if (attachments.every(({ kind }) => kind === 'image' || kind === 'video')) return 'video';
+  return 'file';
+};
+
+/**
+ * Read an image's size and make its thumbnail. The decode also proves the
+ * file is the image its MIME type claims.
+ * @param {Buffer} buffer
+ * @returns {Promise<{ width: number, height: number, thumbnail: Buffer }>}
+ */
+const processImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch {
+    throw new AppError('One of the images could not be read', 400);
+  }
+
+  // EXIF orientations 5-8 are rotated a quarter turn
+  const rotated = metadata.orientation >= 5;
+  const thumbnail = await sharp(buffer)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 70 })
+    .toBuffer();
+
+  return {
+    width: rotated ? metadata.height : metadata.width,
+    height: rotated ? metadata.width : metadata.height,
+    thumbnail
+  };
+};
+
+/**
+ * Shape an attachment for clients and for the copy kept on messages
+ * @param {Object} attachment - ChatAttachment
+ * @returns {Object}
+ */
+export const formatAttachment = (attachment) => ({
+  id: String(attachment._id || attachment.attachment),
+  kind: attachment.kind,
+  url: attachment.url,
+  thumbnailUrl: attachment.thumbnailUrl || null,
+  fileName: attachment.fileName,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  width: attachment.width,
+  height: attachment.height,
+  duration: attachment.duration
+});
+
+// Best effort: a file left behind on Cloudinary must not fail the request
+const deleteFiles = async (attachments) => {
+  const removals = attachments.flatMap(attachment => [
+    deleteFromCloudinary(attachment.publicId, { resource_type: attachment.resourceType || 'image' }),
+    ...(attachment.thumbnailPublicId ? [deleteFromCloudinary(attachment.thumbnailPublicId)] : [])
+  ]);
+  const results = await Promise.allSettled(removals);
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => console.error('Error deleting chat attachment:', result.reason));
+};
+
+/**
+ * Upload files to a chat, ready to be sent in a message
+ * @param {string} userId - Must take part in the chat
+ * @param {string} chatId
+ * @param {Array<Object>} files - Multer files held in memory
+ * @returns {Promise<Array<Object>>} The formatted attachments, in upload order
+ */
+export const uploadAttachments = async (userId, chatId, files = []) => {
+  if (!mongoose.Types.ObjectId.isValid(chatId)) throw new AppError('Chat not found', 404);
+  if (!files.length) throw new AppError('Choose at least one file to upload', 400);
+  if (files.length > MAX_ATTACHMENTS) throw new AppError(`You can upload up to ${MAX_ATTACHMENTS} files at a time`, 400);
+
+  // Check every file before uploading any of them
+  const kinds = files.map(validateAttachmentFile);
+
+  const chat = await Chat.exists({ _id: chatId, 'participants.user': userId });
+  if (!chat) throw new AppError('Chat not found', 404);
+
+  const images = await Promise.all(files.map((file, index) => (kinds[index] === 'image' ? processImage(file.buffer) : null)));
+
+  const folder = `chat_attachments/${chatId}`;
+  const created = [];
+  try {
+    for (const [index, file] of files.entries()) {
+      const kind = kinds[index];
+      const image = images[index];
+      const uploaded = await uploadToCloudinary(file.buffer, folder, {
+        resource_type: kind === 'file' ? 'raw' : 'auto',
+        filename_override: file.originalname
+      });
+
+      const attachment = {
+        uploader: userId,
+        chat: chatId,
+        kind,
+        url: uploaded.secure_url,
+        publicId: uploaded.public_id,
+        resourceType: uploaded.resource_type,
+        fileName: file.originalname,
+        mimeType: file.mimetype,
+        size: file.size,
+        duration: uploaded.duration
+      };
+
+      if (image) {
+        const thumbnail = await uploadToCloudinary(image.thumbnail, `${folder}/thumbnails`, { resource_type: 'image' });
+        Object.assign(attachment, {
+          width: image.width,
+          height: image.height,
+          thumbnailUrl: thumbnail.secure_url,
+          thumbnailPublicId: thumbnail.public_id
+        });
+      } else if (kind === 'video') {
+        // Cloudinary renders a poster frame on request
+        Object.assign(attachment, {
+          width: uploaded.width,
+          height: uploaded.height,
+          thumbnailUrl: cloudinary.url(uploaded.public_id, {
+            resource_type: 'video',
+            format: 'jpg',
+            secure: true,
+            transformation: [{ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, crop: 'limit' }]
+          })
+        });
+      }
+
+      created.push(await ChatAttachment.create(attachment));
+    }
+  } catch (error) {
+    // Leave nothing half uploaded
+    await deleteFiles(created);
+    await ChatAttachment.deleteMany({ _id: { $in: created.map(attachment => attachment._id) } });
+    throw error;
+  }
+
+  return created.map(formatAttachment);
+};
+
+/**
+ * Attach uploads to a message being sent. Only the sender's unclaimed
+ * uploads to the same chat can be claimed, each by one message.
+ * @param {string} userId
+ * @param {string} chatId
+ * @param {Array<string>} attachmentIds
+ * @param {ObjectId} messageId - The id the message will be created with
+ * @returns {Promise<Array<Object>>} The details to copy onto the message, in the order given
+ */
+export const claimAttachments = async (userId, chatId, attachmentIds, messageId) => {
+  const ids = [...new Set((attachmentIds || []).map(String))];
+  if (!ids.length) return [];
+  if (ids.length > MAX_ATTACHMENTS) throw new AppError(`A message can have up to ${MAX_ATTACHMENTS} attachments`, 400);
+  if (!ids.every(id => mongoose.Types.ObjectId.isValid(id))) throw new AppError('Attachment not found', 400);
+
+  const mine = { _id: { $in: ids }, uploader: userId, chat: chatId };
+  const result = await ChatAttachment.updateMany({ ...mine, message: null }, { $set: { message: messageId } });
+
+  if (result.modifiedCount !== ids.length) {
+    // Give back the ones this call did claim
+    await ChatAttachment.updateMany({ ...mine, message: messageId }, { $set: { message: null } });
+    throw new AppError('Attachments must be your own uploads to this chat, each sent once', 400);
+  }
+
+  const attachments = await ChatAttachment.find({ _id: { $in: ids } }).lean();
+  const byId = new Map(attachments.map(attachment => [String(attachment._id), attachment]));
+  return ids.map(id => {
+    const { id: attachment, ...details } = formatAttachment(byId.get(id));
+    return { attachment, ...details };
+  });
+};
+
+/**
+ * Give a message's attachments back to nobody (when the message could not be
+ * saved) so they can be sent again
+ * @param {ObjectId} messageId
+ */
+export const releaseAttachments = (messageId) => ChatAttachment.updateMany({ message: messageId }, { $set: { message: null } });
+
+/**
+ * Delete the files of a message deleted for everyone
+ * @param {ObjectId} messageId
+ */
+export const discardMessageAttachments = async (messageId) => {
+  const attachments = await ChatAttachment.find({ message: messageId }).lean();
+  if (!attachments.length) return;
+  await deleteFiles(attachments);
+  await ChatAttachment.deleteMany({ message: messageId });
+};
+
+/**
+ * Delete every attachment of a chat, sent or not, when the chat itself is deleted
+ * @param {ObjectId} chatId
+ */
+export const discardChatAttachments = async (chatId) => {
+  const attachments = await ChatAttachment.find({ chat: chatId }).lean();
+  if (!attachments.length) return;
+  await deleteFiles(attachments);
+  await ChatAttachment.deleteMany({ chat: chatId });
+};
+
+/**
+ * Delete every attachment a user uploaded, sent or not, when their account is purged
+ * @param {ObjectId} userId
+ * @returns {Promise<number>} The number removed
+ */
+export const discardUserAttachments = async (userId) => {
+  const attachments = await ChatAttachment.find({ uploader: userId }).lean();
+  if (!attachments.length) return 0;
+  await deleteFiles(attachments);
+  await ChatAttachment.deleteMany({ uploader: userId });
+  return attachments.length;
+};
+
+/**
+ * Remove uploads no message claimed within a day (run by the job runner)
+ * @returns {Promise<number>} The number removed
+ */
+export const removeUnclaimedAttachments = async () => {
+  const stale = await ChatAttachment.find({
+    message: null,
+    createdAt: { $lt: new Date(Date.now() - UNCLAIMED_TTL_MS) }
+  }).limit(500).lean();
+  if (!stale.length) return 0;
+
+  // Delete each record while it is still unclaimed, and only then its files:
+  // a message may have claimed it since it was found
+  const removed = [];
+  for (const { _id } of stale) {
+    const attachment = await ChatAttachment.findOneAndDelete({ _id, message: null }).lean();
+    if (attachment) removed.push(attachment);
+  }
+  await deleteFiles(removed);
+
+  console.log(`🧹 Removed ${removed.length} unsent chat attachment${removed.length === 1 ? '' : 's'}`);
+  return removed.length;
+};
+
+export default {
+  MAX_ATTACHMENTS,
+  MAX_ATTACHMENT_SIZE,
+  MAX_UPLOAD_SIZE,
+  ATTACHMENT_RULES,
+  classifyAttachment,
+  validateAttachmentFile,
+  messageTypeFor,
+  formatAttachment,
+  uploadAttachments,
+  claimAttachments,
+  releaseAttachments,
+  discardMessageAttachments,
+  discardChatAttachments,
+  discardUserAttachments,
+  removeUnclaimedAttachments
+};
@@ -0,0 +1,249 @@
+/**
+ * Auth Throttle Service
+ * Counts failed login, biometric, reset code and two-factor attempts per account and per IP,
+ * slowing attackers down with exponential backoff and a temporary lockout.
+ */
+import AppError from '../utils/appError.js';
+import { getTtlStore } from './ttlStore.js';
+
+const toInt = (value, fallback) => parseInt(value, 10) || fallback;
+
+const LOCKOUT_SECONDS = toInt(process.env.LOGIN_LOCKOUT_MINUTES, 15) * 60;
+const FAILURE_WINDOW_SECONDS = 60 * 60;
+
+/**
+ * Per scope policy:
+ * - backoffAfter: failures before each further attempt is delayed by 2^n seconds
+ * - lockoutAfter: failures before the key is locked for lockoutSeconds
+ */
+const POLICIES = {
+  account: {
+    backoffAfter: 3,
+    lockoutAfter: toInt(process.env.LOGIN_MAX_ATTEMPTS, 10),
+    lockoutSeconds: LOCKOUT_SECONDS
+  },
+  ip: {
+    lockoutAfter: toInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP, 50),
+    lockoutSeconds: LOCKOUT_SECONDS
+  },
+  mfa: {
+    backoffAfter: 2,
+    lockoutAfter: 5,
+    lockoutSeconds: LOCKOUT_SECONDS
+  }
+};
+
+/** Wrong guesses allowed before a password reset code is thrown away */
+export const RESET_CODE_MAX_ATTEMPTS = toInt(process.env.RESET_CODE_MAX_ATTEMPTS, 5);
+
+const failuresKey = (scope, id) => `auth-throttle:${scope}:failures:${id}`;
+const lockKey = (scope, id) => `auth-throttle:${scope}:lock:${id}`;
+const resetAttemptsKey = (email) => `auth-throttle:reset:${email}`;
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+// Biometric attempts use the account policy, counted apart from wrong passwords
+const biometricAccount = (userId) => `biometric:${userId}`;
+
+const getLockDuration = (policy, failures) => {
+  if (failures >= policy.lockoutAfter) return policy.lockoutSeconds;
+  if (policy.backoffAfter && failures >= policy.backoffAfter) {
+    return Math.min(2 ** (failures - policy.backoffAfter), policy.lockoutSeconds);
+  }
+  return 0;
+};
+
+const tooManyAttempts = (retryAfter) => {
+  const minutes = Math.ceil(retryAfter / 60);
+  const error = new AppError(
+    retryAfter > 60
+      ? `Too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`
+      : `Too many failed attempts. Try again in ${retryAfter} second${retryAfter === 1 ? '' : 's'}.`,
+    429
+  );
+  error.retryAfter = retryAfter;
+  return error;
+};
+
+const getRetryAfter = (scope, id) => getTtlStore().ttl(lockKey(scope, id));
+
+const assertNotLocked = async (targets) => {
+  const waits = await Promise.all(targets.map(([scope, id]) => getRetryAfter(scope, id)));
+  const retryAfter = Math.max(0, ...waits);
+  if (retryAfter > 0) throw tooManyAttempts(retryAfter);
+};
+
+const recordFailure = async (scope, id) => {
+  const store = getTtlStore();
+  const policy = POLICIES[scope];
+  const failures = await store.increment(failuresKey(scope, id), FAILURE_WINDOW_SECONDS);
+  const lockSeconds = getLockDuration(policy, failures);
+
+  if (lockSeconds > 0) {
+    await store.set(lockKey(scope, id), { failures, lockedAt: new Date() }, lockSeconds);
+  }
+
+  return { failures, retryAfter: lockSeconds };
+};
+
+const clearFailures = (scope, id) => getTtlStore().delete(failuresKey(scope, id), lockKey(scope, id));
+
+const describeState = async (scope, id) => {
+  const store = getTtlStore();
+  const [failures, retryAfter] = await Promise.all([
+    store.get(failuresKey(scope, id)),
+    getRetryAfter(scope, id)
+  ]);
+
+  return {
+    failures: failures || 0,
+    locked: retryAfter > 0,
+    lockedUntil: retryAfter > 0 ? new Date(Date.now() + retryAfter * 1000) : null
+  };
+};
+
+/**
+ * Reject the request if the account or the IP is locked
+ * @param {Object} target
+ * @param {string} target.email - The email the client is trying to sign in as
+ * @param {string} [target.ip] - The client IP
+ */
+export const assertLoginAllowed = ({ email, ip }) => assertNotLocked([
+  ['account', normalizeEmail(email)],
+  ...(ip ? [['ip', ip]] : [])
+]);
+
+/**
+ * Count a failed password attempt
+ * @param {Object} target
+ * @param {string} target.email
+ * @param {string} [target.ip]
+ * @returns {Promise<{ failures: number, retryAfter: number }>} The account counters
+ */
+export const recordLoginFailure = async ({ email, ip }) => {
+  if (ip) await recordFailure('ip', ip);
+  return recordFailure('account', normalizeEmail(email));
+};
+
+/**
+ * Forget the failed attempts of an account after a successful sign in
+ * @param {Object} target
+ * @param {string} target.email
+ */
+export const recordLoginSuccess = ({ email }) => clearFailures('account', normalizeEmail(email));
+
+/**
+ * Reject a biometric login attempt if the user or the IP is locked
+ * @param {Object} target
+ * @param {string} target.userId - The user the client is trying to sign in as
+ * @param {string} [target.ip] - The client IP
+ */
+export const assertBiometricAllowed = ({ userId, ip }) => assertNotLocked([
+  ['account', biometricAccount(userId)],
+  ...(ip ? [['ip', ip]] : [])
+]);
+
+/**
+ * Count a biometric attempt for an unknown device or with a bad signature
+ * @param {Object} target
+ * @param {string} target.userId
+ * @param {string} [target.ip]
+ * @returns {Promise<{ failures: number, retryAfter: number }>} The account counters
+ */
+export const recordBiometricFailure = async ({ userId, ip }) => {
+  if (ip) await recordFailure('ip', ip);
+  return recordFailure('account', biometricAccount(userId));
+};
+
+/**
+ * Forget the failed biometric attempts of a user after a successful sign in
+ * @param {Object} target
+ * @param {string} target.userId
+ */
+export const recordBiometricSuccess = ({ userId }) => clearFailures('account', biometricAccount(userId));
+
+/**
+ * Reject a password reset attempt if the IP is locked.
+ * The account lock is not checked so a locked out user can still reset their password.
+ * @param {Object} target
+ * @param {string} [target.ip]
+ */
+export const assertResetAllowed = ({ ip }) => assertNotLocked(ip ? [['ip', ip]] : []);
+
+/**
+ * Count a wrong password reset code
+ * @param {Object} target
+ * @param {string} target.email
+ * @param {string} [target.ip]
+ * @returns {Promise<boolean>} Whether the code has now been guessed too many times
+ */
+export const recordResetCodeFailure = async ({ email, ip }) => {
+  if (ip) await recordFailure('ip', ip);
+  const attempts = await getTtlStore().increment(resetAttemptsKey(normalizeEmail(email)), FAILURE_WINDOW_SECONDS);
+  return attempts >= RESET_CODE_MAX_ATTEMPTS;
+};
+
+/**
+ * Start counting reset code guesses from zero, e.g. when a new code is issued
+ * @param {string} email
+ */
+export const clearResetCodeFailures = (email) => getTtlStore().delete(resetAttemptsKey(normalizeEmail(email)));
+
+/**
+ * Reject the request if the user has entered too many wrong 2FA codes
+ * @param {string} userId
+ */
+export const assertMfaAllowed = (userId) => assertNotLocked([['mfa', String(userId)]]);
+
+/**
+ * Count a wrong 2FA code
+ * @param {string} userId
+ */
+export const recordMfaFailure = (userId) => recordFailure('mfa', String(userId));
+
+/**
+ * Forget wrong 2FA codes after a successful verification
+ * @param {string} userId
+ */
+export const recordMfaSuccess = (userId) => clearFailures('mfa', String(userId));
+
+/**
+ * Describe the throttling state of an account and/or an IP
+ * @param {Object} target
+ * @param {string} [target.email]
+ * @param {string} [target.ip]
+ * @returns {Promise<Object>}
+ */
+export const getLockoutState = async ({ email, ip }) => {
+  const state = {};
+  if (email) state.account = { email: normalizeEmail(email), ...(await describeState('account', normalizeEmail(email))) };
+  if (ip) state.ip = { ip, ...(await describeState('ip', ip)) };
+  return state;
+};
+
+/**
+ * Lift the lockout of an account and/or an IP
+ * @param {Object} target
+ * @param {string} [target.email]
+ * @param {string} [target.ip]
+ */
+export const clearLockout = async ({ email, ip }) => {
+  if (email) await clearFailures('account', normalizeEmail(email));
+  if (ip) await clearFailures('ip', ip);
+};
+
+export default {
+  assertLoginAllowed,
+  recordLoginFailure,
+  recordLoginSuccess,
+  assertBiometricAllowed,
+  recordBiometricFailure,
+  recordBiometricSuccess,
+  assertResetAllowed,
+  recordResetCodeFailure,
+  clearResetCodeFailures,
+  assertMfaAllowed,
+  recordMfaFailure,
+  recordMfaSuccess,
+  getLockoutState,
+  clearLockout
+};
@@ -0,0 +1,242 @@
+/**
+ * Biometric Login Service
+ * Device-bound key pairs: the device keeps a private key behind its biometric
+ * prompt and registers the public key. Logging in means signing a one-time
+ * challenge, so nothing the server hands out can be replayed from elsewhere.
+ */
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import AppError from '../utils/appError.js';
+import { assertBiometricAllowed, recordBiometricFailure, recordBiometricSuccess } from './authThrottleService.js';
+import { getTtlStore } from './ttlStore.js';
+
+const CHALLENGE_TTL_SECONDS = 2 * 60;
+const MAX_DEVICES = 10;
+const MAX_DEVICE_ID_LENGTH = 128;
+
+const challengeKey = (challenge) => `biometric:challenge:${challenge}`;
+
+// Reject malformed ids before they reach a query or a throttle key
+const assertLoginTarget = (userId, deviceId) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    throw new AppError('Invalid user ID', 400);
+  }
+  if (typeof deviceId !== 'string' || deviceId.length > MAX_DEVICE_ID_LENGTH) {
+    throw new AppError('Invalid device ID', 400);
+  }
+};
+
+/**
+ * Parse a device public key and work out how to verify its signatures
+ * @param {string} publicKey - PEM, or base64 encoded DER (SubjectPublicKeyInfo)
+ * @returns {{ pem: string, algorithm: string|null, keyType: string }}
+ */
+export const parsePublicKey = (publicKey) => {
+  if (!publicKey || typeof publicKey !== 'string') {
+    throw new AppError('Public key is required', 400);
+  }
+
+  let key;
+  try {
+    key = publicKey.includes('BEGIN PUBLIC KEY')
+      ? crypto.createPublicKey(publicKey)
+      : crypto.createPublicKey({ key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' });
+  } catch (error) {
+    throw new AppError('Invalid public key', 400);
+  }
+
+  const { asymmetricKeyType: keyType } = key;
+  const details = key.asymmetricKeyDetails || {};
+
+  if (keyType === 'ec' && details.namedCurve !== 'prime256v1') {
+    throw new AppError('Only P-256 elliptic curve keys are supported', 400);
+  }
+  if (keyType === 'rsa' && details.modulusLength < 2048) {
+    throw new AppError('RSA keys must be at least 2048 bits', 400);
+  }
+  if (!['ec', 'rsa', 'ed25519'].includes(keyType)) {
+    throw new AppError('Unsupported key type', 400);
+  }
+
+  return {
+    pem: key.export({ format: 'pem', type: 'spki' }),
+    // Ed25519 signs the message itself, the others sign its SHA-256 digest
+    algorithm: keyType === 'ed25519' ? null : 'sha256',
+    keyType
+  };
+};
+
+/**
+ * Verify a base64 signature over a challenge
+ * @param {Object} device - A registered device with `publicKey` (PEM)
+ * @param {string} challenge
+ * @param {string} signature - Base64 (DER encoded for ECDSA, as produced by iOS and Android)
+ * @returns {boolean}
+ */
+export const verifySignature = (device, challenge, signature) => {
+  try {
+    const { algorithm } = parsePublicKey(device.publicKey);
+    return crypto.verify(algorithm, Buffer.from(challenge), device.publicKey, Buffer.from(signature, 'base64'));
+  } catch (error) {
+    return false;
+  }
+};
+
+const toDeviceResponse = ({ deviceId, deviceName, platform, keyType, createdAt, lastUsedAt }) => ({
+  deviceId,
+  deviceName,
+  platform,
+  keyType,
+  createdAt,
+  lastUsedAt
+});
+
+/**
+ * Register (or replace) the public key of one of the user's devices
+ * @param {string} userId
+ * @param {Object} device
+ * @param {string} device.deviceId
+ * @param {string} device.publicKey
+ * @param {string} [device.deviceName]
+ * @param {string} [device.platform]
+ * @returns {Promise<Object>} The registered device
+ */
+export const registerDevice = async (userId, { deviceId, publicKey, deviceName, platform }) => {
+  if (!deviceId) {
+    throw new AppError('Device ID is required', 400);
+  }
+
+  const { pem, keyType } = parsePublicKey(publicKey);
+
+  const user = await User.findById(userId).select('+biometricDevices');
+  if (!user) throw new AppError('User not found', 404);
+
+  const others = user.biometricDevices.filter(device => device.deviceId !== deviceId);
+  if (others.length >= MAX_DEVICES) {
+    throw new AppError(`You can register up to ${MAX_DEVICES} devices. Remove one first.`, 400);
+  }
+
+  const device = {
+    deviceId,
+    publicKey: pem,
+    keyType,
+    deviceName: deviceName || 'Unknown Device',
+    platform: platform || 'unknown',
+    createdAt: new Date()
+  };
+
+  user.biometricDevices = [...others, device];
+  await user.save({ validateBeforeSave: false });
+
+  return toDeviceResponse(device);
+};
+
+/**
+ * List the user's registered devices
+ * @param {string} userId
+ * @returns {Promise<Array<Object>>}
+ */
+export const listDevices = async (userId) => {
+  const user = await User.findById(userId).select('+biometricDevices');
+  return (user?.biometricDevices || []).map(toDeviceResponse);
+};
+
+/**
+ * Remove a device so it can no longer log in
+ * @param {string} userId
+ * @param {string} deviceId
+ * @returns {Promise<boolean>} Whether a device was removed
+ */
+export const revokeDevice = async (userId, deviceId) => {
+  const result = await User.updateOne(
+    { _id: userId },
+    { $pull: { biometricDevices: { deviceId } } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Issue a one-time challenge for a registered device to sign.
+ * Unknown devices count as failed logins, so probing for them gets throttled.
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.deviceId
+ * @param {string} [params.ip] - The client IP, for throttling
+ * @returns {Promise<{ challenge: string, expiresAt: Date }>}
+ */
+export const createChallenge = async ({ userId, deviceId, ip }) => {
+  if (!userId || !deviceId) {
+    throw new AppError('User ID and device ID are required', 400);
+  }
+  assertLoginTarget(userId, deviceId);
+  await assertBiometricAllowed({ userId: String(userId), ip });
+
+  const registered = await User.exists({ _id: userId, 'biometricDevices.deviceId': deviceId });
+  if (!registered) {
+    await recordBiometricFailure({ userId: String(userId), ip });
+    throw new AppError('Device not authorized for biometric login', 401);
+  }
+
+  const challenge = crypto.randomBytes(32).toString('base64url');
+  await getTtlStore().set(challengeKey(challenge), { userId: String(userId), deviceId }, CHALLENGE_TTL_SECONDS);
+
+  return {
+    challenge,
+    expiresAt: new Date(Date.now() + CHALLENGE_TTL_SECONDS * 1000)
+  };
+};
+
+/**
+ * Check a signed challenge and return the user it logs in
+ * @param {Object} params
+ * @param {string} params.userId
+ * @param {string} params.deviceId
+ * @param {string} params.challenge
+ * @param {string} params.signature - Base64 signature over the challenge
+ * @param {string} [params.ip] - The client IP, for throttling
+ * @returns {Promise<Object>} The user
+ */
+export const verifyChallenge = async ({ userId, deviceId, challenge, signature, ip }) => {
+  if (!userId || !deviceId || !challenge || !signature) {
+    throw new AppError('User ID, device ID, challenge and signature are required', 400);
+  }
+  assertLoginTarget(userId, deviceId);
+  await assertBiometricAllowed({ userId: String(userId), ip });
+
+  // Challenges are single use, whatever the outcome
+  const pending = await getTtlStore().take(challengeKey(challenge));
+  if (!pending || pending.userId !== String(userId) || pending.deviceId !== deviceId) {
+    throw new AppError('Challenge expired or invalid', 401);
+  }
+
+  const user = await User.findById(userId).select('+biometricDevices');
+  const device = user?.biometricDevices.find(d => d.deviceId === deviceId);
+  if (!device) {
+    await recordBiometricFailure({ userId: String(userId), ip });
+    throw new AppError('Device not authorized for biometric login', 401);
+  }
+
+  if (!verifySignature(device, challenge, signature)) {
+    await recordBiometricFailure({ userId: String(userId), ip });
+    throw new AppError('Invalid signature', 401);
+  }
+  await recordBiometricSuccess({ userId: String(userId) });
+
+  await User.updateOne(
+    { _id: user._id, 'biometricDevices.deviceId': deviceId },
+    { $set: { 'biometricDevices.$.lastUsedAt': new Date() } }
+  );
+
+  return user;
+};
+
+export default {
+  parsePublicKey,
+  verifySignature,
+  registerDevice,
+  listDevices,
+  revokeDevice,
+  createChallenge,
+  verifyChallenge
+};
@@ -0,0 +1,464 @@
+/**
+ * Chat Service
+ * Rules shared by the REST chat routes and the socket events, so both ways of
+ * creating chats and sending messages enforce the same checks.
+ */
+import mongoose from 'mongoose';
+import Chat from '../models/Chat.js';
+import Message from '../models/Message.js';
+import AppError from '../utils/appError.js';
+import { claimAttachments, formatAttachment, messageTypeFor, releaseAttachments } from './attachmentService.js';
+import { screenContent } from './contentFilterService.js';
+import { holdForReview } from './moderationService.js';
+import { getBlockedIds } from './relationshipService.js';
+
+const SENDER_FIELDS = 'username profilePic displayName fullName';
+
+const DEFAULT_MESSAGE_LIMIT = 30;
+const MAX_MESSAGE_LIMIT = 100;
+
+// Messages are ordered by createdAt, then _id for messages created in the same millisecond
+const NEWEST_FIRST = { createdAt: -1, _id: -1 };
+const OLDEST_FIRST = { createdAt: 1, _id: 1 };
+
+const olderThan = (message) => ({
+  $or: [
+    { createdAt: { $lt: message.createdAt } },
+    { createdAt: message.createdAt, _id: { $lt: message._id } }
+  ]
+});
+
+const newerThan = (message) => ({
+  $or: [
+    { createdAt: { $gt: message.createdAt } },
+    { createdAt: message.createdAt, _id: { $gt: message._id } }
+  ]
+});
+
+/**
+ * Throw when the user has blocked, or is blocked by, any of the other users
+ * @param {string} userId
+ * @param {Array<string>} otherIds
+ */
+export const assertCanChatWith = async (userId, otherIds) => {
+  const blockedIds = new Set(await getBlockedIds(userId));
+  if (otherIds.some(id => blockedIds.has(String(id)))) {
+    throw new AppError('You cannot start a chat with a user you have blocked or who has blocked you', 403);
+  }
+};
+
+// Who replied-to messages are from, for reply previews
+const MESSAGE_POPULATE = [
+  { path: 'senderId', select: SENDER_FIELDS },
+  {
+    path: 'replyTo',
+    select: 'content type mediaUrl attachments senderId deleted hidden',
+    populate: { path: 'senderId', select: 'username' }
+  }
+];
+
+/**
+ * Load messages with what formatMessage needs populated
+ * @param {Object} query - A Message query
+ * @returns {Object} The query
+ */
+export const populateMessage = (query) => query.populate(MESSAGE_POPULATE);
+
+// Reactions grouped by emoji, in the order each emoji was first used
+const summarizeReactions = (reactions = []) => {
+  const byEmoji = new Map();
+  for (const { userId, emoji } of reactions) {
+    if (!byEmoji.has(emoji)) byEmoji.set(emoji, []);
+    byEmoji.get(emoji).push(String(userId));
+  }
+  return [...byEmoji].map(([emoji, userIds]) => ({ emoji, count: userIds.length, userIds }));
+};
+
+// A short view of the message replied to; deleted and hidden ones keep only their id
+const formatReplyPreview = (replyTo) => {
+  if (!replyTo) return null;
+  if (!replyTo._id) return { id: String(replyTo), unavailable: true };
+  if (replyTo.deleted || replyTo.hidden) return { id: String(replyTo._id), unavailable: true };
+  return {
+    id: String(replyTo._id),
+    content: replyTo.content,
+    type: replyTo.type,
+    mediaUrl: replyTo.mediaUrl,
+    attachmentCount: replyTo.attachments?.length || 0,
+    senderId: String(replyTo.senderId?._id || replyTo.senderId),
+    senderUsername: replyTo.senderId?.username
+  };
+};
+
+/**
+ * Shape a message for clients. Messages deleted for everyone keep their place
+ * in the chat but lose their content.
+ * @param {Object} message - Message loaded with populateMessage
+ * @returns {Object}
+ */
+export const formatMessage = (message) => ({
+  id: message._id.toString(),
+  chatId: String(message.chatId),
+  content: message.deleted ? null : message.content,
+  type: message.type,
+  // Group changes, such as a member being removed, see groupChatService
+  system: message.system?.event
+    ? { event: message.system.event, targets: (message.system.targets || []).map(String) }
+    : null,
+  mediaUrl: message.deleted ? null : message.mediaUrl,
+  attachments: message.deleted ? [] : (message.attachments || []).map(formatAttachment),
+  createdAt: message.createdAt,
+  editedAt: message.deleted ? null : message.editedAt || null,
+  deleted: Boolean(message.deleted),
+  replyTo: formatReplyPreview(message.replyTo),
+  reactions: message.deleted ? [] : summarizeReactions(message.reactions),
+  isPinned: Boolean(message.isPinned),
+  status: message.status,
+  deliveredTo: Array.isArray(message.deliveredTo) ? message.deliveredTo.map(String) : [],
+  readBy: Array.isArray(message.readBy) ? message.readBy.map(String) : [],
+  pendingReview: Boolean(message.hidden),
+  sender: message.senderId?._id
+    ? { _id: message.senderId._id, username: message.senderId.username, profilePic: message.senderId.profilePic }
+    : undefined,
+  senderId: String(message.senderId?._id || message.senderId)
+});
+
+/**
+ * Send a message to a chat the sender takes part in.
+ * Messages in one-on-one chats are refused when either user has blocked the other,
+ * and every message goes through the content filter.
+ * @param {Object} params
+ * @param {string} params.chatId
+ * @param {string} params.senderId
+ * @param {string} [params.content]
+ * @param {Array<string>} [params.media] - Media URLs, the first one is attached
+ * @param {Array<string>} [params.attachments] - Ids of the sender's uploads to this chat
+ * @param {string} [params.replyTo] - A message in the same chat this one replies to
+ * @returns {Promise<{ chat: Object, message: Object, held: boolean }>} The chat, the formatted
+ *   message, and whether the content filter held it back for review
+ */
+export const sendMessage = async ({ chatId, senderId, content, media = [], attachments = [], replyTo }) => {
+  if (!mongoose.Types.ObjectId.isValid(chatId)) {
+    throw new AppError('Chat not found', 404);
+  }
+
+  const chat = await Chat.findOne({ _id: chatId, 'participants.user': senderId }).lean();
+  if (!chat) {
+    throw new AppError('Chat not found', 404);
+  }
+
+  if (!chat.isGroupChat) {
+    const otherIds = chat.participants
+      .map(participant => String(participant.user))
+      .filter(id => id !== String(senderId));
+
+    const blockedIds = new Set(await getBlockedIds(senderId));
+    if (otherIds.some(id => blockedIds.has(id))) {
+      throw new AppError('You cannot send messages to this user', 403);
+    }
+  }
+
+  const mediaUrl = Array.isArray(media) && media.length > 0 ? media[0] : undefined;
+  const attachmentIds = [].concat(attachments || []);
+  if (!content && !mediaUrl && !attachmentIds.length) {
+    throw new AppError('Message content, media or attachments are required', 400);
+  }
+
+  if (replyTo) {
+    const original = mongoose.Types.ObjectId.isValid(replyTo) && await Message.exists({
+      _id: replyTo,
+      chatId: chat._id,
+      deleted: { $ne: true },
+      hidden: { $ne: true }
+    });
+    if (!original) throw new AppError('You can only reply to a message in this chat', 400);
+  }
+
+  const screened = await screenContent(senderId, 'message', content);
+
+  // The id is chosen up front so the uploads can be claimed for it before it exists
+  const messageId = new mongoose.Types.ObjectId();
+  const claimed = await claimAttachments(senderId, chat._id, attachmentIds, messageId);
+
+  let messageDoc;
+  try {
+    messageDoc = await Message.create({
+      _id: messageId,
+      chatId,
+      senderId,
+      content: screened.content,
+      type: messageTypeFor(claimed),
+      mediaUrl,
+      attachments: claimed,
+      replyTo: replyTo || undefined,
+      status: 'sent',
+      deliveredTo: [senderId],
+      readBy: [senderId]
+    });
+  } catch (error) {
+    if (claimed.length) await releaseAttachments(messageId);
+    throw error;
+  }
+
+  // A held message reaches nobody, and is not the chat's latest, until a moderator approves it
+  const held = screened.review;
+  if (held) await holdForReview('message', messageDoc, screened.matches);
+
+  const updatedChat = held ? chat : await Chat.findByIdAndUpdate(
+    chatId,
+    {
+      lastMessage: messageDoc._id,
+      updatedAt: new Date(),
+      $inc: { 'participants.$[other].unreadCount': 1 }
+    },
+    { new: true, arrayFilters: [{ 'other.user': { $ne: messageDoc.senderId } }] }
+  ).lean();
+
+  const populated = await populateMessage(Message.findById(messageDoc._id)).lean();
+
+  return { chat: updatedChat, message: formatMessage(populated), held };
+};
+
+// Up to `count` messages in `sort` order, and whether there were more
+const fetchPage = async (filter, sort, count) => {
+  if (count <= 0) return { messages: [], hasMore: Boolean(await Message.exists(filter)) };
+  const messages = await populateMessage(Message.find(filter).sort(sort).limit(count + 1)).lean();
+  return { messages: messages.slice(0, count), hasMore: messages.length > count };
+};
+
+/**
+ * A page of a chat's messages, oldest first.
+ * With no cursor this is the latest page. `before` and `after` take the id of
+ * a message (usually one of the page's cursors) and page away from it;
+ * `around` returns the page centred on a message, itself included, for
+ * jumping to a replied-to or pinned message.
+ * @param {string} userId - Must take part in the chat
+ * @param {string} chatId
+ * @param {Object} [options]
+ * @param {string} [options.before] - Messages older than this one
+ * @param {string} [options.after] - Messages newer than this one
+ * @param {string} [options.around] - Messages around this one
+ * @param {number} [options.limit]
+ * @returns {Promise<{ messages: Array<Object>, cursors: { before: string|null, after: string|null },
+ *   hasMoreBefore: boolean, hasMoreAfter: boolean }>}
+ */
+export const listMessages = async (userId, chatId, { before, after, around, limit } = {}) => {
+  if ([before, after, around].filter(Boolean).length > 1) {
+    throw new AppError('Use only one of before, after and around', 400);
+  }
+  if (!mongoose.Types.ObjectId.isValid(chatId)) {
+    throw new AppError('Chat not found', 404);
+  }
+
+  const chat = await Chat.exists({ _id: chatId, 'participants.user': userId });
+  if (!chat) {
+    throw new AppError('Chat not found', 404);
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_MESSAGE_LIMIT, 1), MAX_MESSAGE_LIMIT);
+  const visible = { chatId: chat._id, hidden: { $ne: true }, deletedFor: { $ne: userId } };
+
+  const anchorId = before || after || around;
+  let anchor = null;
+  if (anchorId) {
+    anchor = mongoose.Types.ObjectId.isValid(anchorId)
+      ? await populateMessage(Message.findOne({ _id: anchorId, chatId: chat._id })).lean()
+      : null;
+    const deletedForUser = (anchor?.deletedFor || []).some(id => String(id) === String(userId));
+    if (around && (!anchor || anchor.hidden || deletedForUser)) throw new AppError('Message not found', 404);
+    if (!anchor) throw new AppError('Invalid cursor', 400);
+  }
+
+  let messages;
+  let hasMoreBefore;
+  let hasMoreAfter;
+
+  if (around) {
+    const olderCount = Math.floor((pageSize - 1) / 2);
+    const [older, newer] = await Promise.all([
+      fetchPage({ ...visible, ...olderThan(anchor) }, NEWEST_FIRST, olderCount),
+      fetchPage({ ...visible, ...newerThan(anchor) }, OLDEST_FIRST, pageSize - 1 - olderCount)
+    ]);
+    messages = [...older.messages.reverse(), anchor, ...newer.messages];
+    hasMoreBefore = older.hasMore;
+    hasMoreAfter = newer.hasMore;
+  } else if (after) {
+    const newer = await fetchPage({ ...visible, ...newerThan(anchor) }, OLDEST_FIRST, pageSize);
+    messages = newer.messages;
+    hasMoreBefore = true;
+    hasMoreAfter = newer.hasMore;
+  } else {
+    // The latest page, or the page before a cursor; a cursor means there are newer messages
+    const older = await fetchPage({ ...visible, ...(anchor ? olderThan(anchor) : {}) }, NEWEST_FIRST, pageSize);
+    messages = older.messages.reverse();
+    hasMoreBefore = older.hasMore;
+    hasMoreAfter = Boolean(anchor);
+  }
+
+  // An empty page keeps the cursor it was asked with, so polling with `after` can carry on
+  const first = messages[0];
+  const last = messages[messages.length - 1];
+  return {
+    messages: messages.map(formatMessage),
+    cursors: {
+      before: first ? String(first._id) : before || after || null,
+      after: last ? String(last._id) : after || before || null
+    },
+    hasMoreBefore,
+    hasMoreAfter
+  };
+};
+
+/**
+ * Record that a user has received or read a chat up to a message.
+ * Each participant's progress is a watermark on the chat (lastDelivered,
+ * lastRead) that only moves forward; the messages up to it get the user in
+ * deliveredTo/readBy, and move to delivered or read once every participant
+ * has received or read them.
+ * @param {'delivered'|'read'} type
+ * @param {string} userId
+ * @param {string} chatId
+ * @param {string} [messageId] - Defaults to the chat's latest message
+ * @returns {Promise<Object|null>} The receipt, or null when the watermark did not move:
+ *   `{ chatId, userId, type, upTo, at, delivered, read, unreadCount }`, where `delivered`
+ *   and `read` list the messages whose status changed and `unreadCount` is set for reads
+ */
+const recordReceipt = async (type, userId, chatId, messageId) => {
+  if (!mongoose.Types.ObjectId.isValid(chatId)) {
+    throw new AppError('Chat not found', 404);
+  }
+
+  const chat = await Chat.findOne({ _id: chatId, 'participants.user': userId }).select('participants').lean();
+  if (!chat) {
+    throw new AppError('Chat not found', 404);
+  }
+
+  const visible = { chatId: chat._id, hidden: { $ne: true } };
+  let upTo;
+  if (messageId) {
+    upTo = mongoose.Types.ObjectId.isValid(messageId)
+      ? await Message.findOne({ ...visible, _id: messageId }).select('createdAt').lean()
+      : null;
+    if (!upTo) throw new AppError('Message not found', 404);
+  } else {
+    upTo = await Message.findOne(visible).sort(NEWEST_FIRST).select('createdAt').lean();
+    if (!upTo) return null;
+  }
+
+  const user = new mongoose.Types.ObjectId(String(userId));
+  const watermarkField = type === 'read' ? 'lastRead' : 'lastDelivered';
+  const previous = chat.participants.find(participant => String(participant.user) === String(userId));
+  const since = previous?.[watermarkField];
+
+  const moveWatermark = (field) => Chat.updateOne(
+    {
+      _id: chat._id,
+      participants: { $elemMatch: { user, $or: [{ [field]: null }, { [field]: { $lt: upTo.createdAt } }] } }
+    },
+    { $set: { [`participants.$.${field}`]: upTo.createdAt } }
+  );
+
+  const moved = await moveWatermark(watermarkField);
+  if (!moved.modifiedCount) return null;
+
+  // Only messages between the old and the new watermark can change
+  const range = { $lte: upTo.createdAt, ...(since ? { $gt: since } : {}) };
+  const upToFilter = { chatId: chat._id, createdAt: range, senderId: { $ne: user } };
+
+  // Reading a message means it was delivered too
+  if (type === 'read') {
+    await moveWatermark('lastDelivered');
+    await Message.updateMany({ ...upToFilter, readBy: { $ne: user } }, { $addToSet: { readBy: user, deliveredTo: user } });
+  } else {
+    await Message.updateMany({ ...upToFilter, deliveredTo: { $ne: user } }, { $addToSet: { deliveredTo: user } });
+  }
+
+  // Everyone other than the sender has the message in the list
+  const participantIds = chat.participants.map(participant => participant.user);
+  const reachedEveryone = (field) => ({
+    $expr: { $setIsSubset: [participantIds, { $setUnion: [{ $ifNull: [`$${field}`, []] }, ['$senderId']] }] }
+  });
+  const advance = async (status, field, from) => {
+    const ids = await Message.find({
+      chatId: chat._id,
+      createdAt: range,
+      status: { $in: from },
+      ...reachedEveryone(field)
+    }).distinct('_id');
+    if (ids.length) await Message.updateMany({ _id: { $in: ids } }, { $set: { status } });
+    return ids.map(String);
+  };
+
+  const read = type === 'read' ? await advance('read', 'readBy', ['sending', 'sent', 'delivered']) : [];
+  const delivered = await advance('delivered', 'deliveredTo', ['sending', 'sent']);
+
+  const receipt = { chatId: String(chat._id), userId: String(userId), type, upTo: String(upTo._id), at: upTo.createdAt, delivered, read };
+
+  if (type === 'read') {
+    receipt.unreadCount = await Message.countDocuments({
+      ...visible,
+      createdAt: { $gt: upTo.createdAt },
+      senderId: { $ne: user },
+      type: { $ne: 'system' }
+    });
+    await Chat.updateOne(
+      { _id: chat._id, 'participants.user': user },
+      { $set: { 'participants.$.unreadCount': receipt.unreadCount } }
+    );
+  }
+
+  return receipt;
+};
+
+/**
+ * Mark a chat read up to a message
+ * @param {string} userId
+ * @param {string} chatId
+ * @param {string} [messageId] - Defaults to the chat's latest message
+ * @returns {Promise<Object|null>} See recordReceipt
+ */
+export const markRead = (userId, chatId, messageId) => recordReceipt('read', userId, chatId, messageId);
+
+/**
+ * Mark a chat delivered to a user's device up to a message
+ * @param {string} userId
+ * @param {string} chatId
+ * @param {string} [messageId] - Defaults to the chat's latest message
+ * @returns {Promise<Object|null>} See recordReceipt
+ */
+export const markDelivered = (userId, chatId, messageId) => recordReceipt('delivered', userId, chatId, messageId);
+
+/**
+ * Mark every chat with messages the user has not received yet as delivered,
+ * for when one of their devices connects
+ * @param {string} userId
+ * @returns {Promise<Array<Object>>} The receipts
+ */
+export const deliverPending = async (userId) => {
+  const chats = await Chat.find({ 'participants.user': userId, lastMessage: { $ne: null } })
+    .select('participants lastMessage')
+    .populate('lastMessage', 'createdAt')
+    .lean();
+
+  const receipts = [];
+  for (const chat of chats) {
+    const participant = chat.participants.find(({ user }) => String(user) === String(userId));
+    const latest = chat.lastMessage?.createdAt;
+    if (!latest || (participant?.lastDelivered && participant.lastDelivered >= latest)) continue;
+
+    const receipt = await markDelivered(userId, chat._id);
+    if (receipt) receipts.push(receipt);
+  }
+  return receipts;
+};
+
+export default {
+  assertCanChatWith,
+  populateMessage,
+  formatMessage,
+  sendMessage,
+  listMessages,
+  markRead,
+  markDelivered,
+  deliverPending
+};
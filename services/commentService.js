@@ -0,0 +1,448 @@
+/**
+ * Comment Service
+ * Threaded comments on posts: replies, likes, edits, soft deletes and pins.
+ *
+ * Comments on the post are listed a page at a time with a preview of their
+ * first replies; any comment's replies can then be expanded the same way.
+ * Deleting a comment that has replies keeps it as an empty placeholder so the
+ * replies stay where they were in the thread.
+ */
+import mongoose from 'mongoose';
+import { hasPermission, PERMISSIONS } from '../config/permissions.js';
+import Comment from '../models/Comment.js';
+import Post from '../models/Post.js';
+import User from '../models/User.js';
+import AppError from '../utils/appError.js';
+import { screenContent } from './contentFilterService.js';
+import { applyTextEntities, notifyMentions } from './mentionService.js';
+import { holdForReview } from './moderationService.js';
+import NotificationService from './notificationService.js';
+import { canSeePost } from './postInteractionService.js';
+import { assertNotBlocked, getBlockedIds } from './relationshipService.js';
+
+// Replies to a comment at this depth are refused, keeping threads readable
+export const MAX_DEPTH = 3;
+const REPLY_PREVIEWS = 2;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+const AUTHOR_FIELDS = 'username profilePic displayName fullName';
+// Edit history is fetched on its own, not with every comment
+const LIST_FIELDS = '-editHistory -metadata -likes';
+
+const idOf = (value) => String(value?._id || value);
+
+/**
+ * Load a post the user may see and comment on
+ * @param {string} userId
+ * @param {string} postId
+ * @returns {Promise<Object>}
+ */
+const findPost = async (userId, postId) => {
+  if (!mongoose.Types.ObjectId.isValid(postId)) throw new AppError('Post not found', 404);
+  const post = await Post.findById(postId);
+  if (!post || !(await canSeePost(userId, post))) throw new AppError('Post not found', 404);
+  return post;
+};
+
+/**
+ * Load a comment on a post
+ * @param {string} postId
+ * @param {string} commentId
+ * @returns {Promise<Object>}
+ */
+const findComment = async (postId, commentId) => {
+  if (!mongoose.Types.ObjectId.isValid(commentId)) throw new AppError('Comment not found', 404);
+  const comment = await Comment.findOne({ _id: commentId, post: postId });
+  if (!comment) throw new AppError('Comment not found', 404);
+  return comment;
+};
+
+// What the listing shows of a deleted comment
+const toPlaceholder = (comment) => ({
+  _id: comment._id,
+  post: comment.post,
+  parentComment: comment.parentComment,
+  depth: comment.depth,
+  replyCount: comment.replyCount,
+  status: 'deleted',
+  createdAt: comment.createdAt,
+  deletedAt: comment.deletedAt
+});
+
+/**
+ * Shape one listed comment for a viewer
+ * @param {Object} comment - Lean comment with `likedByMe` set
+ * @returns {Object}
+ */
+export const formatComment = (comment) => (comment.status === 'deleted' ? toPlaceholder(comment) : comment);
+
+/**
+ * Whether a comment belongs in a listing: blocked authors' and flagged
+ * comments are left out, and deleted ones only stay to hold their replies in place
+ * @param {Object} comment
+ * @param {Set<string>} blockedIds
+ * @returns {boolean}
+ */
+export const isListed = (comment, blockedIds) => {
+  if (comment.status === 'flagged') return false;
+  if (comment.status === 'deleted') return comment.replyCount > 0;
+  return !blockedIds.has(idOf(comment.author));
+};
+
+/**
+ * Position after a comment in a page
+ * @param {string} cursor
+ * @returns {mongoose.Types.ObjectId}
+ */
+const decodeCursor = (cursor) => {
+  if (!mongoose.Types.ObjectId.isValid(cursor)) throw new AppError('Invalid cursor', 400);
+  return new mongoose.Types.ObjectId(cursor);
+};
+
+/**
+ * Comments directly under a post or a comment, a page at a time.
+ * Each comes with a preview of its own first replies.
+ * @param {string} userId
+ * @param {Object} params
+ * @param {Object} params.post
+ * @param {string|null} params.parentId - null for comments on the post
+ * @param {'newest'|'oldest'} params.sort
+ * @param {string} [params.cursor]
+ * @param {number} [params.limit]
+ * @returns {Promise<{ comments: Array<Object>, nextCursor: string|null }>}
+ */
+const listLevel = async (userId, { post, parentId, sort, cursor, limit }) => {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const direction = sort === 'oldest' ? 1 : -1;
+  const blockedIds = new Set(await getBlockedIds(userId));
+
+  const filter = { post: post._id, parentComment: parentId, status: { $ne: 'flagged' } };
+  if (cursor) filter._id = { [direction === 1 ? '$gt' : '$lt']: decodeCursor(cursor) };
+
+  // The pinned comment leads the first page of the post's comments
+  const pinned = !parentId && !cursor
+    ? await Comment.findOne({ post: post._id, parentComment: null, isPinned: true, status: 'active' })
+      .select(LIST_FIELDS).populate('author', AUTHOR_FIELDS).lean()
+    : null;
+  if (pinned) filter._id = { ...filter._id, $ne: pinned._id };
+
+  const found = await Comment.find(filter)
+    .sort({ _id: direction })
+    .limit(pageSize + 1)
+    .select(LIST_FIELDS)
+    .populate('author', AUTHOR_FIELDS)
+    .lean();
+
+  const page = found.slice(0, pageSize);
+  const level = [pinned, ...page].filter(comment => comment && isListed(comment, blockedIds));
+
+  // First replies of every comment on the page, in one query
+  const previews = await Comment.aggregate([
+    {
+      $match: {
+        parentComment: { $in: level.filter(comment => comment.replyCount > 0).map(comment => comment._id) },
+        status: { $ne: 'flagged' }
+      }
+    },
+    { $sort: { _id: 1 } },
+    { $group: { _id: '$parentComment', replies: { $push: '$_id' } } },
+    { $project: { replies: { $slice: ['$replies', REPLY_PREVIEWS * 2] } } }
+  ]);
+  const previewIds = previews.flatMap(({ replies }) => replies);
+  const replies = previewIds.length
+    ? await Comment.find({ _id: { $in: previewIds } })
+      .sort({ _id: 1 })
+      .select(LIST_FIELDS)
+      .populate('author', AUTHOR_FIELDS)
+      .lean()
+    : [];
+
+  const liked = new Set((await Comment.find({
+    _id: { $in: [...level, ...replies].map(comment => comment._id) },
+    likes: userId
+  }).select('_id').lean()).map(({ _id }) => String(_id)));
+  const withLike = (comment) => formatComment({ ...comment, likedByMe: liked.has(String(comment._id)) });
+
+  return {
+    comments: level.map(comment => ({
+      ...withLike(comment),
+      replies: replies
+        .filter(reply => String(reply.parentComment) === String(comment._id) && isListed(reply, blockedIds))
+        .slice(0, REPLY_PREVIEWS)
+        .map(withLike)
+    })),
+    nextCursor: found.length > pageSize ? String(page[page.length - 1]._id) : null
+  };
+};
+
+/**
+ * Comments on a post with previews of their replies
+ * @param {string} userId
+ * @param {string} postId
+ * @param {Object} [options]
+ * @param {'newest'|'oldest'} [options.sort]
+ * @param {string} [options.cursor]
+ * @param {number} [options.limit]
+ * @returns {Promise<{ comments: Array<Object>, nextCursor: string|null }>}
+ */
+export const listComments = async (userId, postId, { sort = 'newest', cursor, limit } = {}) => {
+  const post = await findPost(userId, postId);
+  return listLevel(userId, { post, parentId: null, sort, cursor, limit });
+};
+
+/**
+ * Replies to a comment, oldest first, with previews of their own replies
+ * @param {string} userId
+ * @param {string} postId
+ * @param {string} commentId
+ * @param {Object} [options]
+ * @param {string} [options.cursor]
+ * @param {number} [options.limit]
+ * @returns {Promise<{ comments: Array<Object>, nextCursor: string|null }>}
+ */
+export const listReplies = async (userId, postId, commentId, { cursor, limit } = {}) => {
+  const post = await findPost(userId, postId);
+  const parent = await findComment(post._id, commentId);
+  return listLevel(userId, { post, parentId: parent._id, sort: 'oldest', cursor, limit });
+};
+
+// Tell a comment's author about a reply, unless they wrote it or muted the replier
+const notifyReply = async (parent, reply, post, actorId) => {
+  const recipientId = idOf(parent.author);
+  if (recipientId === String(actorId)) return;
+
+  try {
+    const [recipient, actor] = await Promise.all([
+      User.findById(recipientId).select('+mutedUsers').lean(),
+      User.findById(actorId).select('username').lean()
+    ]);
+    if (!recipient || !actor || (recipient.mutedUsers || []).some(id => String(id) === String(actorId))) return;
+
+    await NotificationService.sendNotification(recipientId, {
+      title: 'New reply',
+      message: `@${actor.username} replied to your comment`,
+      type: 'info',
+      action: {
+        type: 'navigate',
+        target: 'Post',
+        params: { postId: String(post._id), commentId: String(reply._id) }
+      },
+      relatedDocument: post._id,
+      relatedDocumentModel: 'Post'
+    });
+  } catch (error) {
+    console.error('Error sending reply notification:', error);
+  }
+};
+
+/**
+ * Comment on a post, or reply to a comment on it
+ * @param {string} userId
+ * @param {string} postId
+ * @param {Object} params
+ * @param {string} params.content
+ * @param {string} [params.parentId] - The comment being replied to
+ * @returns {Promise<Object>} The new comment
+ */
+export const addComment = async (userId, postId, { content, parentId = null }) => {
+  const post = await findPost(userId, postId);
+  if (post.allowComments === false) throw new AppError('Comments are turned off for this post', 403);
+  await assertNotBlocked(userId, post.author, 'You cannot comment on this post');
+
+  let parent = null;
+  if (parentId) {
+    parent = await findComment(post._id, parentId);
+    if (parent.status !== 'active') throw new AppError('You cannot reply to this comment', 400);
+    if (parent.depth >= MAX_DEPTH) throw new AppError(`Replies can only be nested ${MAX_DEPTH} levels deep`, 400);
+    await assertNotBlocked(userId, parent.author, 'You cannot reply to this comment');
+  }
+
+  const screened = await screenContent(userId, 'comment', content);
+  const comment = new Comment({
+    content: screened.content,
+    author: userId,
+    post: post._id,
+    parentComment: parent ? parent._id : null,
+    depth: parent ? parent.depth + 1 : 0
+  });
+  const mentioned = await applyTextEntities(comment, userId);
+  await comment.save();
+
+  // Comments on the post are counted on the post, replies on their parent
+  if (parent) {
+    await Comment.updateOne({ _id: parent._id }, { $push: { replies: comment._id }, $inc: { replyCount: 1 } });
+  } else {
+    await Post.updateOne({ _id: post._id }, { $push: { comments: comment._id }, $inc: { commentCount: 1 } });
+  }
+
+  // Held comments are flagged, and nobody is notified, until a moderator approves them
+  if (screened.review) {
+    await holdForReview('comment', comment, screened.matches);
+    comment.status = 'flagged';
+    return comment.populate('author', AUTHOR_FIELDS);
+  }
+
+  if (parent) await notifyReply(parent, comment, post, userId);
+  await notifyMentions({ recipientIds: mentioned, actorId: userId, post, comment });
+
+  return comment.populate('author', AUTHOR_FIELDS);
+};
+
+/**
+ * Edit a comment; the previous content goes to its edit history.
+ * The new text goes through the content filter like a new comment.
+ * @param {string} userId
+ * @param {string} postId
+ * @param {string} commentId
+ * @param {string} content
+ * @returns {Promise<Object>} The comment, flagged when the filter held the edit for review
+ */
+export const editComment = async (userId, postId, commentId, content) => {
+  if (!content || !String(content).trim()) throw new AppError('Comment content is required', 400);
+
+  const post = await findPost(userId, postId);
+  const comment = await findComment(post._id, commentId);
+  if (comment.status !== 'active') throw new AppError('Comment not found', 404);
+  if (String(comment.author) !== String(userId)) {
+    throw new AppError('Not authorized to edit this comment', 403);
+  }
+
+  const screened = await screenContent(userId, 'comment', content);
+  comment.content = screened.content;
+  if (!comment.isModified('content')) return comment.populate('author', AUTHOR_FIELDS);
+
+  const mentioned = await applyTextEntities(comment, userId);
+  await comment.save();
+
+  // Held edits are flagged, and nobody is notified, until a moderator approves them
+  if (screened.review) {
+    await holdForReview('comment', comment, screened.matches);
+    comment.status = 'flagged';
+    return comment.populate('author', AUTHOR_FIELDS);
+  }
+
+  await notifyMentions({ recipientIds: mentioned, actorId: userId, post, comment });
+  return comment.populate('author', AUTHOR_FIELDS);
+};
+
+/**
+ * A comment's previous versions, newest first
+ * @param {string} userId
+ * @param {string} postId
+ * @param {string} commentId
+ * @returns {Promise<{ content: string, isEdited: boolean, editHistory: Array<Object> }>}
+ */
+export const getEditHistory = async (userId, postId, commentId) => {
+  const post = await findPost(userId, postId);
+  const comment = await findComment(post._id, commentId);
+  if (comment.status !== 'active') throw new AppError('Comment not found', 404);
+
+  return { content: comment.content, isEdited: comment.isEdited, editHistory: comment.editHistory };
+};
+
+/**
+ * Delete a comment, keeping its place in the thread.
+ * Allowed for its author, the post's author and moderators.
+ * @param {Object} user - The signed-in user
+ * @param {string} postId
+ * @param {string} commentId
+ */
+export const deleteComment = async (user, postId, commentId) => {
+  const post = await findPost(user.id, postId);
+  const comment = await findComment(post._id, commentId);
+  if (comment.status === 'deleted') throw new AppError('Comment not found', 404);
+
+  const allowed = String(comment.author) === String(user.id)
+    || String(post.author) === String(user.id)
+    || hasPermission(user, PERMISSIONS.POSTS_MODERATE);
+  if (!allowed) throw new AppError('Not authorized to delete this comment', 403);
+
+  comment.set({
+    status: 'deleted',
+    deletedAt: new Date(),
+    content: '',
+    media: [],
+    mentions: [],
+    hashtags: [],
+    likes: [],
+    editHistory: [],
+    isPinned: false,
+    pinnedAt: undefined
+  });
+  await comment.save();
+};
+
+/**
+ * Like a comment, or take the like back
+ * @param {string} userId
+ * @param {string} postId
+ * @param {string} commentId
+ * @returns {Promise<{ liked: boolean, likeCount: number }>}
+ */
+export const toggleCommentLike = async (userId, postId, commentId) => {
+  const post = await findPost(userId, postId);
+  const comment = await findComment(post._id, commentId);
+  if (comment.status !== 'active') throw new AppError('Comment not found', 404);
+  await assertNotBlocked(userId, comment.author, 'You cannot like this comment');
+
+  const added = await Comment.findOneAndUpdate(
+    { _id: comment._id, likes: { $ne: userId } },
+    { $push: { likes: userId }, $inc: { likeCount: 1 } },
+    { new: true }
+  ).select('likeCount').lean();
+  if (added) return { liked: true, likeCount: added.likeCount };
+
+  const removed = await Comment.findOneAndUpdate(
+    { _id: comment._id, likes: userId },
+    { $pull: { likes: userId }, $inc: { likeCount: -1 } },
+    { new: true }
+  ).select('likeCount').lean();
+  return { liked: false, likeCount: removed ? removed.likeCount : comment.likeCount };
+};
+
+/**
+ * Pin a comment on the post, replacing any pinned before; only the post's author may
+ * @param {string} userId
+ * @param {string} postId
+ * @param {string} commentId
+ * @param {boolean} pinned - false unpins it
+ * @returns {Promise<Object>}
+ */
+export const setCommentPinned = async (userId, postId, commentId, pinned) => {
+  const post = await findPost(userId, postId);
+  if (String(post.author) !== String(userId)) {
+    throw new AppError('Only the author of the post can pin comments', 403);
+  }
+
+  const comment = await findComment(post._id, commentId);
+  if (comment.status !== 'active') throw new AppError('Comment not found', 404);
+  if (comment.parentComment) throw new AppError('Only comments on the post can be pinned', 400);
+
+  if (pinned) {
+    await Comment.updateMany(
+      { post: post._id, isPinned: true, _id: { $ne: comment._id } },
+      { $set: { isPinned: false }, $unset: { pinnedAt: '' } }
+    );
+  }
+
+  comment.isPinned = pinned;
+  if (!pinned) comment.pinnedAt = undefined;
+  await comment.save();
+
+  return comment.populate('author', AUTHOR_FIELDS);
+};
+
+export default {
+  MAX_DEPTH,
+  formatComment,
+  isListed,
+  listComments,
+  listReplies,
+  addComment,
+  editComment,
+  getEditHistory,
+  deleteComment,
+  toggleCommentLike,
+  setCommentPinned
+};
@@ -0,0 +1,97 @@
+/**
+ * Content Filter Service
+ * Screens new posts, comments and chat messages against the filter rules for
+ * every university plus those for the author's own (see utils/contentFilter.js).
+ *
+ * A matching rule blocks the text, masks the words it matched, or lets the
+ * content through hidden and queued for a moderator (moderationService's
+ * holdForReview). Rules are cached per university for a minute; the admin
+ * routes clear this instance's cache when they change a rule.
+ */
+import Comment from '../models/Comment.js';
+import FilterRule from '../models/FilterRule.js';
+import Message from '../models/Message.js';
+import Post from '../models/Post.js';
+import User from '../models/User.js';
+import AppError from '../utils/appError.js';
+import { appliesTo, evaluateContent } from '../utils/contentFilter.js';
+
+const RULE_CACHE_MS = 60 * 1000;
+const MAX_RECENT = 50;
+
+const ruleCache = new Map();
+
+// The author's latest texts in a context, for repeat rules
+const RECENT_SOURCES = {
+  post: (userId, since) => Post.find({ author: userId, createdAt: { $gte: since } }),
+  comment: (userId, since) => Comment.find({ author: userId, createdAt: { $gte: since } }),
+  message: (userId, since) => Message.find({ senderId: userId, createdAt: { $gte: since } })
+};
+
+/**
+ * The enabled rules for a university, global rules included
+ * @param {string} [university]
+ * @returns {Promise<Array<Object>>}
+ */
+export const getRulesFor = async (university) => {
+  const key = String(university || '').trim().toLowerCase();
+  const cached = ruleCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.rules;
+
+  const rules = await FilterRule.find({
+    enabled: true,
+    university: key ? { $in: [null, university.trim()] } : null
+  })
+    .collation({ locale: 'en', strength: 2 })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  ruleCache.set(key, { rules, expiresAt: Date.now() + RULE_CACHE_MS });
+  return rules;
+};
+
+/**
+ * Forget cached rules, after a rule is added, changed or removed
+ */
+export const clearRuleCache = () => ruleCache.clear();
+
+/**
+ * Screen text a user is about to publish
+ * @param {string} userId - The author
+ * @param {'post'|'comment'|'message'} context
+ * @param {string} content
+ * @returns {Promise<{ content: string, review: boolean, matches: Array<Object> }>}
+ *   The content to save (masked where rules say so) and whether to hold it for review
+ * @throws {AppError} 400 when a blocking rule matches
+ */
+export const screenContent = async (userId, context, content) => {
+  if (!content || !String(content).trim()) return { content, review: false, matches: [] };
+
+  const user = await User.findById(userId).select('university').lean();
+  const rules = (await getRulesFor(user?.university)).filter(rule => appliesTo(rule, context));
+  if (!rules.length) return { content, review: false, matches: [] };
+
+  let recent = [];
+  const repeatRules = rules.filter(rule => rule.type === 'repeat');
+  if (repeatRules.length) {
+    const windowMinutes = Math.max(...repeatRules.map(rule => rule.repeat?.windowMinutes || 0));
+    recent = await RECENT_SOURCES[context](userId, new Date(Date.now() - windowMinutes * 60 * 1000))
+      .sort({ createdAt: -1 })
+      .limit(MAX_RECENT)
+      .select('content createdAt')
+      .lean();
+  }
+
+  const result = evaluateContent(String(content), rules, { context, recent });
+  if (result.action === 'block') {
+    throw new AppError(`Your ${context} contains content that is not allowed here`, 400);
+  }
+
+  return { content: result.content, review: result.action === 'review', matches: result.matches };
+};
+
+export default {
+  getRulesFor,
+  clearRuleCache,
+  screenContent
+};
@@ -0,0 +1,277 @@
+/**
+ * Feed Service
+ * Builds a user's home feed from the people they follow, their study group
+ * members and their course-mates, ranked by recency and engagement.
+ *
+ * Scores depend on the time they are computed at, so the first page fixes a
+ * ranking time and the cursor carries it: later pages rank the same posts the
+ * same way even as time passes.
+ */
+import mongoose from 'mongoose';
+import Group from '../models/Group.js';
+import Post from '../models/Post.js';
+import User from '../models/User.js';
+import AppError from '../utils/appError.js';
+import { hideUnseenOriginals } from './postInteractionService.js';
+import { areFriends, getFriendIds, getHiddenIds, isVisibleTo } from './relationshipService.js';
+
+// Only posts this recent are ranked; older ones are reached from profiles
+const FEED_WINDOW_DAYS = 14;
+const MAX_COURSE_MATES = 500;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const MAX_NEW_POSTS = 50;
+
+const AUTHOR_FIELDS = 'username profilePic displayName fullName';
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+/**
+ * Encode the ranking time and the position after a post
+ * @param {{ rankedAt: Date, score: number, id: string }} position
+ * @returns {string}
+ */
+export const encodeFeedCursor = ({ rankedAt, score, id }) => Buffer
+  .from(JSON.stringify({ t: new Date(rankedAt).getTime(), s: score, id: String(id) }))
+  .toString('base64url');
+
+/**
+ * Decode a cursor from encodeFeedCursor()
+ * @param {string} cursor
+ * @returns {{ rankedAt: Date, score: number, id: string }}
+ */
+export const decodeFeedCursor = (cursor) => {
+  try {
+    const { t, s, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!Number.isFinite(t) || typeof s !== 'number' || !mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error('Malformed cursor');
+    }
+    return { rankedAt: new Date(t), score: s, id: String(id) };
+  } catch (error) {
+    throw new AppError('Invalid cursor', 400);
+  }
+};
+
+/**
+ * Aggregation expression ranking a post at a point in time: engagement
+ * (likes, then comments, then shares) on a log scale, decayed by age in hours
+ * @param {Date} rankedAt
+ * @returns {Object}
+ */
+export const rankExpression = (rankedAt) => ({
+  $divide: [
+    {
+      $add: [1, {
+        $ln: {
+          $add: [
+            1,
+            { $ifNull: ['$likeCount', 0] },
+            { $multiply: [{ $ifNull: ['$commentCount', 0] }, 2] },
+            { $multiply: [{ $ifNull: ['$shareCount', 0] }, 3] }
+          ]
+        }
+      }]
+    },
+    {
+      $pow: [
+        { $add: [{ $divide: [{ $subtract: [rankedAt, '$publishedAt'] }, 60 * 60 * 1000] }, 2] },
+        1.2
+      ]
+    }
+  ]
+});
+
+/**
+ * Work out whose posts go into a user's feed and which of those the user may see
+ * @param {string} userId
+ * @returns {Promise<{ authorIds: Array<ObjectId>, connectionIds: Array<ObjectId> }>}
+ */
+export const getFeedSources = async (userId) => {
+  const user = await User.findById(userId).select('following course university').lean();
+  if (!user) throw new AppError('User not found', 404);
+
+  const [groups, courseMates, friendIds, hiddenIds] = await Promise.all([
+    Group.find({ 'members.user': userId }).select('members.user').lean(),
+    user.course
+      ? User.find({ _id: { $ne: userId }, course: user.course, university: user.university, status: 'active' })
+        .collation({ locale: 'en', strength: 2 })
+        .select('_id')
+        .limit(MAX_COURSE_MATES)
+        .lean()
+      : [],
+    getFriendIds(userId),
+    getHiddenIds(userId)
+  ]);
+
+  const hidden = new Set(hiddenIds);
+  const candidates = new Set([
+    String(userId),
+    ...(user.following || []).map(String),
+    ...groups.flatMap(group => group.members.map(member => String(member.user))),
+    ...courseMates.map(mate => String(mate._id))
+  ]);
+  hidden.forEach(id => candidates.delete(id));
+
+  // Authors whose profile is limited to friends or to themselves only reach those allowed
+  const connections = new Set([...(user.following || []).map(String), ...friendIds]);
+  const friends = new Set(friendIds);
+  const authors = await User.find({ _id: { $in: [...candidates] } }).select('settings.privacy').lean();
+  const authorIds = authors
+    .filter(author => isVisibleTo(author.settings?.privacy?.profileVisibility, {
+      isSelf: String(author._id) === String(userId),
+      isFriend: friends.has(String(author._id))
+    }))
+    .map(author => author._id);
+
+  return {
+    authorIds,
+    connectionIds: [...connections].filter(id => !hidden.has(id)).map(toObjectId)
+  };
+};
+
+/**
+ * Filter for posts the user may see from the given sources
+ * @param {string} userId
+ * @param {Object} sources - From getFeedSources()
+ * @param {Date} now
+ * @returns {Object}
+ */
+export const buildVisibilityFilter = (userId, { authorIds, connectionIds }, now) => ({
+  author: { $in: authorIds },
+  status: 'published',
+  publishedAt: { $lte: now },
+  $and: [
+    { $or: [{ scheduledAt: null }, { scheduledAt: { $lte: now } }] },
+    { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+    {
+      $or: [
+        { privacy: 'public' },
+        { privacy: { $exists: false } },
+        { privacy: 'connections', author: { $in: [toObjectId(userId), ...connectionIds] } },
+        { privacy: 'private', author: toObjectId(userId) }
+      ]
+    }
+  ]
+});
+
+/**
+ * Filter for the posts of one author the user may see, as on their profile
+ * @param {string} userId
+ * @param {string} authorId
+ * @param {Date} now
+ * @returns {Promise<Object>}
+ */
+export const buildAuthorVisibilityFilter = async (userId, authorId, now) => {
+  let isConnection = false;
+  if (String(userId) !== String(authorId)) {
+    const viewer = await User.findById(userId).select('following').lean();
+    isConnection = (viewer?.following || []).some(id => String(id) === String(authorId))
+      || await areFriends(userId, authorId);
+  }
+
+  const author = toObjectId(authorId);
+  return buildVisibilityFilter(userId, { authorIds: [author], connectionIds: isConnection ? [author] : [] }, now);
+};
+
+// Aggregation results are plain objects; hydrate them so they serialize like queried posts.
+// Originals the user may not see are left out
+const populateAuthors = async (userId, posts) => hideUnseenOriginals(userId, await Post.populate(
+  posts.map(post => Post.hydrate(post)),
+  [
+    { path: 'author', select: AUTHOR_FIELDS },
+    { path: 'originalPost', populate: { path: 'author', select: AUTHOR_FIELDS } }
+  ]
+));
+
+/**
+ * One page of a user's ranked home feed
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {string} [options.cursor] - From a previous page's nextCursor
+ * @param {number} [options.limit]
+ * @returns {Promise<{ posts: Array<Object>, nextCursor: string|null, rankedAt: Date }>}
+ */
+export const getFeed = async (userId, { cursor, limit } = {}) => {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const after = cursor ? decodeFeedCursor(cursor) : null;
+  const rankedAt = after ? after.rankedAt : new Date();
+
+  const sources = await getFeedSources(userId);
+  const filter = buildVisibilityFilter(userId, sources, rankedAt);
+  filter.publishedAt.$gte = new Date(rankedAt.getTime() - FEED_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const pipeline = [
+    { $match: filter },
+    { $addFields: { feedScore: rankExpression(rankedAt) } }
+  ];
+
+  if (after) {
+    pipeline.push({
+      $match: {
+        $or: [
+          { feedScore: { $lt: after.score } },
+          { feedScore: after.score, _id: { $gt: toObjectId(after.id) } }
+        ]
+      }
+    });
+  }
+
+  pipeline.push(
+    { $sort: { feedScore: -1, _id: 1 } },
+    { $limit: pageSize + 1 }
+  );
+
+  const ranked = await Post.aggregate(pipeline);
+  const page = ranked.slice(0, pageSize);
+  const last = page[page.length - 1];
+
+  return {
+    posts: await populateAuthors(userId, page),
+    nextCursor: ranked.length > pageSize
+      ? encodeFeedCursor({ rankedAt, score: last.feedScore, id: last._id })
+      : null,
+    rankedAt
+  };
+};
+
+/**
+ * Posts published in a user's feed since a point in time, newest first (pull to refresh)
+ * @param {string} userId
+ * @param {Date} since
+ * @returns {Promise<{ posts: Array<Object>, count: number, latest: Date }>}
+ */
+export const getNewPostsSince = async (userId, since) => {
+  if (!(since instanceof Date) || Number.isNaN(since.getTime())) {
+    throw new AppError('A valid since date is required', 400);
+  }
+
+  const now = new Date();
+  const filter = buildVisibilityFilter(userId, await getFeedSources(userId), now);
+  filter.publishedAt.$gt = since;
+
+  const [posts, count] = await Promise.all([
+    Post.find(filter)
+      .sort({ publishedAt: -1, _id: -1 })
+      .limit(MAX_NEW_POSTS)
+      .populate('author', AUTHOR_FIELDS)
+      .populate({ path: 'originalPost', populate: { path: 'author', select: AUTHOR_FIELDS } }),
+    Post.countDocuments(filter)
+  ]);
+
+  return {
+    posts: await hideUnseenOriginals(userId, posts),
+    count,
+    latest: posts.length ? posts[0].publishedAt : since
+  };
+};
+
+export default {
+  getFeed,
+  getNewPostsSince,
+  getFeedSources,
+  buildVisibilityFilter,
+  buildAuthorVisibilityFilter,
+  rankExpression,
+  encodeFeedCursor,
+  decodeFeedCursor
+};
@@ -0,0 +1,247 @@
+/**
+ * Follow Service
+ * Following users, and the follow request workflow for private accounts.
+ *
+ * Following a public account takes effect immediately. Following a private
+ * account creates a pending request that the account owner approves or rejects;
+ * the requester may cancel it while it is pending. Each transition notifies the
+ * other user and emits a `follow_request` socket event to them.
+ */
+import mongoose from 'mongoose';
+import FollowRequest from '../models/FollowRequest.js';
+import User from '../models/User.js';
+import AppError from '../utils/appError.js';
+import NotificationService from './notificationService.js';
+import { assertNotBlocked } from './relationshipService.js';
+
+const USER_FIELDS = 'username profilePic displayName fullName';
+
+function getIo() {
+  if (global && global.__webSocketService && global.__webSocketService.io) return global.__webSocketService.io;
+  return null;
+}
+
+const nameOf = (user) => user.displayName || user.username;
+
+// Notify the user on the receiving end of a transition, in the app and over the socket
+const notifyTransition = async (action, request, { recipientId, actor, title, message }) => {
+  try {
+    await NotificationService.sendNotification(recipientId, {
+      title,
+      message,
+      type: 'info',
+      action: {
+        type: 'navigate',
+        target: action === 'requested' ? 'FollowRequests' : 'Profile',
+        params: { userId: String(actor._id), requestId: String(request._id) }
+      },
+      relatedDocument: actor._id,
+      relatedDocumentModel: 'User'
+    });
+  } catch (error) {
+    console.error('Error sending follow request notification:', error);
+  }
+
+  const io = getIo();
+  if (io) {
+    io.to(`user_${recipientId}`).emit('follow_request', {
+      action,
+      request: {
+        _id: request._id,
+        requester: request.requester,
+        target: request.target,
+        status: request.status,
+        createdAt: request.createdAt,
+        respondedAt: request.respondedAt
+      },
+      user: { _id: actor._id, username: actor.username, displayName: actor.displayName, profilePic: actor.profilePic }
+    });
+  }
+};
+
+const addFollow = async (followerId, followedId) => {
+  await Promise.all([
+    User.updateOne({ _id: followerId }, { $addToSet: { following: followedId } }),
+    User.updateOne({ _id: followedId }, { $addToSet: { followers: followerId } })
+  ]);
+};
+
+/**
+ * Follow a user, or ask to follow them when their account is private
+ * @param {string} userId - The follower
+ * @param {string} targetId - The user to follow
+ * @returns {Promise<{ status: 'following'|'requested', request?: Object }>}
+ */
+export const follow = async (userId, targetId) => {
+  if (String(userId) === String(targetId)) {
+    throw new AppError('You cannot follow yourself', 400);
+  }
+  if (!mongoose.Types.ObjectId.isValid(targetId)) {
+    throw new AppError('User not found', 404);
+  }
+
+  const [user, target] = await Promise.all([
+    User.findById(userId).select(`${USER_FIELDS} following`),
+    User.findById(targetId).select(`${USER_FIELDS} settings.privacy`)
+  ]);
+
+  if (!target) throw new AppError('User not found', 404);
+
+  await assertNotBlocked(userId, target._id, 'You cannot follow this user');
+
+  if (user.following.some(id => String(id) === String(target._id))) {
+    return { status: 'following' };
+  }
+
+  if (target.settings?.privacy?.profileVisibility !== 'private') {
+    await addFollow(userId, target._id);
+    return { status: 'following' };
+  }
+
+  const existing = await FollowRequest.findOne({ requester: userId, target: target._id });
+  if (existing?.status === 'pending') {
+    return { status: 'requested', request: existing };
+  }
+
+  const request = await FollowRequest.findOneAndUpdate(
+    { requester: userId, target: target._id },
+    { $set: { status: 'pending' }, $unset: { respondedAt: '' } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  await notifyTransition('requested', request, {
+    recipientId: target._id,
+    actor: user,
+    title: 'New follow request',
+    message: `${nameOf(user)} wants to follow you`
+  });
+
+  return { status: 'requested', request };
+};
+
+/**
+ * Stop following a user
+ * @param {string} userId
+ * @param {string} targetId
+ * @returns {Promise<boolean>} Whether the user was following
+ */
+export const unfollow = async (userId, targetId) => {
+  if (!mongoose.Types.ObjectId.isValid(targetId)) return false;
+
+  const [result] = await Promise.all([
+    User.updateOne({ _id: userId }, { $pull: { following: targetId } }),
+    User.updateOne({ _id: targetId }, { $pull: { followers: userId } })
+  ]);
+  return result.modifiedCount > 0;
+};
+
+const findPendingRequest = async (requestId, filter) => {
+  if (!mongoose.Types.ObjectId.isValid(requestId)) {
+    throw new AppError('Follow request not found', 404);
+  }
+  const request = await FollowRequest.findOne({ _id: requestId, ...filter });
+  if (!request) throw new AppError('Follow request not found', 404);
+  if (request.status !== 'pending') {
+    throw new AppError(`This follow request has already been ${request.status}`, 400);
+  }
+  return request;
+};
+
+const respond = async (request, status) => {
+  request.status = status;
+  request.respondedAt = new Date();
+  await request.save();
+  return request;
+};
+
+/**
+ * Approve a follow request sent to the user
+ * @param {string} userId - The account owner
+ * @param {string} requestId
+ * @returns {Promise<Object>} The request
+ */
+export const approveRequest = async (userId, requestId) => {
+  const request = await findPendingRequest(requestId, { target: userId });
+
+  await addFollow(request.requester, userId);
+  await respond(request, 'approved');
+
+  const owner = await User.findById(userId).select(USER_FIELDS);
+  await notifyTransition('approved', request, {
+    recipientId: request.requester,
+    actor: owner,
+    title: 'Follow request approved',
+    message: `${nameOf(owner)} approved your follow request`
+  });
+
+  return request;
+};
+
+/**
+ * Reject a follow request sent to the user
+ * @param {string} userId - The account owner
+ * @param {string} requestId
+ * @returns {Promise<Object>} The request
+ */
+export const rejectRequest = async (userId, requestId) => {
+  const request = await respond(await findPendingRequest(requestId, { target: userId }), 'rejected');
+
+  const owner = await User.findById(userId).select(USER_FIELDS);
+  await notifyTransition('rejected', request, {
+    recipientId: request.requester,
+    actor: owner,
+    title: 'Follow request declined',
+    message: `${nameOf(owner)} declined your follow request`
+  });
+
+  return request;
+};
+
+/**
+ * Cancel a follow request the user sent
+ * @param {string} userId - The requester
+ * @param {string} requestId
+ * @returns {Promise<Object>} The request
+ */
+export const cancelRequest = async (userId, requestId) => {
+  const request = await respond(await findPendingRequest(requestId, { requester: userId }), 'cancelled');
+
+  const requester = await User.findById(userId).select(USER_FIELDS);
+  await notifyTransition('cancelled', request, {
+    recipientId: request.target,
+    actor: requester,
+    title: 'Follow request cancelled',
+    message: `${nameOf(requester)} cancelled their follow request`
+  });
+
+  return request;
+};
+
+/**
+ * List a user's pending follow requests
+ * @param {string} userId
+ * @param {'incoming'|'outgoing'} direction
+ * @returns {Promise<Array<Object>>}
+ */
+export const listRequests = async (userId, direction = 'incoming') => {
+  if (!['incoming', 'outgoing'].includes(direction)) {
+    throw new AppError('Direction must be incoming or outgoing', 400);
+  }
+
+  const filter = direction === 'incoming'
+    ? { target: userId, status: 'pending' }
+    : { requester: userId, status: 'pending' };
+
+  return FollowRequest.find(filter)
+    .populate(direction === 'incoming' ? 'requester' : 'target', USER_FIELDS)
+    .sort({ createdAt: -1 });
+};
+
+export default {
+  follow,
+  unfollow,
+  approveRequest,
+  rejectRequest,
+  cancelRequest,
+  listRequests
+};
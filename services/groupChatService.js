@@ -0,0 +1,438 @@
+/**
+ * Group Chat Service
+ * Who can change a group chat, and the system messages that record it.
+ *
+ * Every group has one owner, who is always an admin and cannot be removed or
+ * demoted; ownership only moves when it is handed over or the owner leaves.
+ * Admins can rename the group and add and remove members; only the owner can
+ * remove or demote other admins. When the owner leaves, the longest-standing
+ * admin takes over (or, with no admins left, the longest-standing member).
+ *
+ * Each change posts a system message to the chat ("Sam removed Alex") and is
+ * returned with the users who joined or left, for the socket notifications.
+ *
+ * Changes are made with one atomic update each, never by saving the whole
+ * chat, so the receipts and unread counts that messages update concurrently
+ * are kept. The update repeats the role checks in its filter: when the group
+ * changed in between (the actor was demoted, the member already left) it fails
+ * with a 409 rather than acting on the stale copy.
+ */
+import mongoose from 'mongoose';
+import Chat from '../models/Chat.js';
+import Message from '../models/Message.js';
+import User from '../models/User.js';
+import AppError from '../utils/appError.js';
+import { discardChatAttachments } from './attachmentService.js';
+import { assertCanChatWith, formatMessage, populateMessage } from './chatService.js';
+
+export const GROUP_ROLES = ['member', 'admin', 'owner'];
+const MAX_GROUP_NAME_LENGTH = 100;
+const PARTICIPANT_FIELDS = 'username profilePic displayName fullName';
+
+// The text of each kind of system message
+const SYSTEM_TEXT = {
+  renamed: ({ actor, name }) => `${actor} renamed the group to "${name}"`,
+  photo_changed: ({ actor }) => `${actor} changed the group photo`,
+  added: ({ actor, targets }) => `${actor} added ${targets}`,
+  removed: ({ actor, targets }) => `${actor} removed ${targets}`,
+  left: ({ actor }) => `${actor} left`,
+  admin_added: ({ actor, targets }) => `${actor} made ${targets} an admin`,
+  admin_removed: ({ actor, targets }) => `${actor} removed ${targets} as an admin`,
+  owner_transferred: ({ actor, targets }) => `${actor} made ${targets} the group owner`,
+  owner_assigned: ({ targets }) => `${targets} is now the group owner`,
+  admin_assigned: ({ targets }) => `${targets} is now an admin`
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+const userIdOf = (participant) => String(participant.user?._id || participant.user);
+
+const findParticipant = (chat, userId) => chat.participants.find(participant => userIdOf(participant) === String(userId));
+
+/**
+ * The group's owner. Groups created before owners existed are owned by their
+ * first admin.
+ * @param {Object} chat
+ * @returns {string|null}
+ */
+export const ownerOf = (chat) => {
+  if (chat.owner) return String(chat.owner._id || chat.owner);
+  const admin = chat.participants.find(participant => participant.isAdmin);
+  return admin ? userIdOf(admin) : null;
+};
+
+/**
+ * A participant's role in a group
+ * @param {Object} chat
+ * @param {string} userId
+ * @returns {'owner'|'admin'|'member'|null} null when they are not in the group
+ */
+export const roleOf = (chat, userId) => {
+  const participant = findParticipant(chat, userId);
+  if (!participant) return null;
+  if (ownerOf(chat) === String(userId)) return 'owner';
+  return participant.isAdmin ? 'admin' : 'member';
+};
+
+/**
+ * Who takes over a group its owner leaves: the longest-standing admin, or the
+ * longest-standing member when there are no admins
+ * @param {Array<Object>} participants - Those remaining, in the order they joined
+ * @returns {Object|undefined} The participant
+ */
+export const pickSuccessor = (participants) => participants.find(participant => participant.isAdmin) || participants[0];
+
+/**
+ * Join names for a system message: "Alex", "Alex and Sam", "Alex, Sam and Kim"
+ * @param {Array<string>} names
+ * @returns {string}
+ */
+export const joinNames = (names) => (names.length > 1
+  ? `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`
+  : names[0] || '');
+
+const requireRole = (chat, userId, role) => {
+  const rank = GROUP_ROLES.indexOf(roleOf(chat, userId));
+  if (rank >= GROUP_ROLES.indexOf(role)) return;
+  throw new AppError(role === 'owner' ? 'Only the group owner can do that' : 'Only group admins can do that', 403);
+};
+
+const loadGroup = async (userId, chatId) => {
+  if (!mongoose.Types.ObjectId.isValid(chatId)) throw new AppError('Group chat not found', 404);
+
+  const chat = await Chat.findOne({ _id: chatId, isGroupChat: true, 'participants.user': userId });
+  if (!chat) throw new AppError('Group chat not found', 404);
+
+  // Pin down the owner of groups from before owners existed, so it does not move with the admins
+  const owner = !chat.owner && ownerOf(chat);
+  if (owner) {
+    await Chat.updateOne({ _id: chat._id, owner: null }, { $set: { owner } });
+    chat.owner = owner;
+  }
+  return chat;
+};
+
+const findMember = (chat, userId) => {
+  const participant = mongoose.Types.ObjectId.isValid(userId) && findParticipant(chat, userId);
+  if (!participant) throw new AppError('That user is not in this group', 404);
+  return participant;
+};
+
+// Filter conditions that hold while a user still has at least a role in a group
+const roleCondition = (userId, role) => {
+  if (role === 'owner') return { owner: userId };
+  if (role === 'admin') return { participants: { $elemMatch: { user: userId, isAdmin: true } } };
+  return { 'participants.user': userId };
+};
+
+/**
+ * Change a group with one atomic update, if the conditions still hold
+ * @param {ObjectId} chatId
+ * @param {Array<Object>} conditions - The checks made on the loaded copy
+ * @param {Object} update
+ * @param {Object} [options] - E.g. arrayFilters
+ * @returns {Promise<Object>} The updated chat
+ * @throws {AppError} 409 when the group changed in between
+ */
+const applyChange = async (chatId, conditions, update, options = {}) => {
+  const chat = await Chat.findOneAndUpdate(
+    { _id: chatId, isGroupChat: true, $and: conditions },
+    update,
+    { new: true, ...options }
+  );
+  if (!chat) throw new AppError('The group changed in the meantime; please try again', 409);
+  return chat;
+};
+
+/**
+ * Post system messages to a group and make the last one its latest message.
+ * They are already read by everyone, so they never count as unread.
+ * @param {Object} chat - The updated chat
+ * @param {string} actorId
+ * @param {Array<{ event: string, targets?: Array<string>, name?: string }>} entries
+ * @returns {Promise<Array<Object>>} The formatted messages
+ */
+const postSystemMessages = async (chat, actorId, entries) => {
+  if (!entries.length) return [];
+
+  const userIds = [...new Set([actorId, ...entries.flatMap(entry => entry.targets || [])].map(String))];
+  const users = await User.find({ _id: { $in: userIds } }).select('username').lean();
+  const names = new Map(users.map(user => [String(user._id), user.username]));
+  const nameOf = (id) => names.get(String(id)) || 'Someone';
+
+  const everyone = chat.participants.map(participant => participant.user);
+  const created = [];
+  // One at a time, so they keep their order in the chat
+  for (const { event, targets = [], name } of entries) {
+    created.push(await Message.create({
+      chatId: chat._id,
+      senderId: actorId,
+      type: 'system',
+      system: { event, targets },
+      content: SYSTEM_TEXT[event]({ actor: nameOf(actorId), targets: joinNames(targets.map(nameOf)), name }),
+      status: 'read',
+      deliveredTo: everyone,
+      readBy: everyone
+    }));
+  }
+
+  chat.lastMessage = created[created.length - 1]._id;
+  await Chat.updateOne({ _id: chat._id }, { $set: { lastMessage: chat.lastMessage } });
+  const messages = await populateMessage(Message.find({ _id: { $in: created.map(message => message._id) } }))
+    .sort({ createdAt: 1, _id: 1 })
+    .lean();
+  return messages.map(formatMessage);
+};
+
+// Record the change and shape it for the routes and sockets
+const finish = async (chat, actorId, entries, { joined = [], left = [] } = {}) => {
+  const messages = await postSystemMessages(chat, actorId, entries);
+  await chat.populate('participants.user', PARTICIPANT_FIELDS);
+  return { chatId: String(chat._id), chat, messages, joined: joined.map(String), left: left.map(String) };
+};
+
+/**
+ * Rename a group or change its photo (admins)
+ * @param {string} actorId
+ * @param {string} chatId
+ * @param {Object} changes
+ * @param {string} [changes.name]
+ * @param {Object} [changes.groupImage] - { url, publicId }
+ * @returns {Promise<{ chatId: string, chat: Object, messages: Array<Object>, joined: Array<string>,
+ *   left: Array<string> }>}
+ */
+export const updateGroup = async (actorId, chatId, { name, groupImage } = {}) => {
+  const chat = await loadGroup(actorId, chatId);
+  requireRole(chat, actorId, 'admin');
+
+  const changes = {};
+  const entries = [];
+  if (name !== undefined) {
+    const trimmed = String(name).trim();
+    if (!trimmed) throw new AppError('Group name cannot be empty', 400);
+    if (trimmed.length > MAX_GROUP_NAME_LENGTH) {
+      throw new AppError(`Group names can be up to ${MAX_GROUP_NAME_LENGTH} characters`, 400);
+    }
+    if (trimmed !== chat.name) {
+      changes.name = trimmed;
+      entries.push({ event: 'renamed', name: trimmed });
+    }
+  }
+  if (groupImage) {
+    changes.groupImage = groupImage;
+    entries.push({ event: 'photo_changed' });
+  }
+  if (!entries.length) return finish(chat, actorId, []);
+
+  const updated = await applyChange(chat._id, [roleCondition(actorId, 'admin')], { $set: changes });
+  return finish(updated, actorId, entries);
+};
+
+/**
+ * Add users to a group (admins)
+ * @param {string} actorId
+ * @param {string} chatId
+ * @param {Array<string>} userIds
+ * @returns {Promise<Object>} See updateGroup
+ */
+export const addParticipants = async (actorId, chatId, userIds) => {
+  const ids = [...new Set([].concat(userIds || []).map(String))];
+  if (!ids.length || !ids.every(id => mongoose.Types.ObjectId.isValid(id))) {
+    throw new AppError('Choose the users to add', 400);
+  }
+
+  const chat = await loadGroup(actorId, chatId);
+  requireRole(chat, actorId, 'admin');
+
+  const newIds = ids.filter(id => !findParticipant(chat, id));
+  if (!newIds.length) throw new AppError('They are already in the group', 400);
+
+  const found = await User.countDocuments({ _id: { $in: newIds } });
+  if (found !== newIds.length) throw new AppError('User not found', 404);
+  await assertCanChatWith(actorId, newIds);
+
+  const joinedAt = new Date();
+  const updated = await applyChange(
+    chat._id,
+    [roleCondition(actorId, 'admin'), { 'participants.user': { $nin: newIds } }],
+    { $push: { participants: { $each: newIds.map(id => ({ user: id, lastRead: joinedAt, unreadCount: 0, isAdmin: false })) } } }
+  );
+
+  return finish(updated, actorId, [{ event: 'added', targets: newIds }], { joined: newIds });
+};
+
+/**
+ * Remove someone from a group. Admins can remove members; only the owner can
+ * remove admins, and nobody can remove the owner.
+ * @param {string} actorId
+ * @param {string} chatId
+ * @param {string} userId
+ * @returns {Promise<Object>} See updateGroup
+ */
+export const removeParticipant = async (actorId, chatId, userId) => {
+  if (String(actorId) === String(userId)) throw new AppError('Leave the group instead of removing yourself', 400);
+
+  const chat = await loadGroup(actorId, chatId);
+  requireRole(chat, actorId, 'admin');
+  findMember(chat, userId);
+
+  const role = roleOf(chat, userId);
+  if (role === 'owner') throw new AppError('The group owner cannot be removed', 403);
+  if (role === 'admin') requireRole(chat, actorId, 'owner');
+
+  // Only while they still have the role they were removed with
+  const updated = await applyChange(
+    chat._id,
+    [
+      roleCondition(actorId, role === 'admin' ? 'owner' : 'admin'),
+      { owner: { $ne: userId } },
+      { participants: { $elemMatch: { user: userId, isAdmin: role === 'admin' ? true : { $ne: true } } } }
+    ],
+    { $pull: { participants: { user: userId } } }
+  );
+
+  return finish(updated, actorId, [{ event: 'removed', targets: [userId] }], { left: [userId] });
+};
+
+/**
+ * Make pickSuccessor's choice an admin, and the owner when `asOwner`, while
+ * the group is still without one. Picks again if the successor left meanwhile.
+ * @param {Object} chat - The group after the previous owner or last admin left
+ * @param {boolean} asOwner
+ * @returns {Promise<{ chat: Object, successorId: string }|null>} null when someone else filled the place
+ */
+const assignSuccessor = async (chat, asOwner) => {
+  const isVacant = (group) => (asOwner ? !group.owner : !group.participants.some(participant => participant.isAdmin));
+  const vacant = asOwner ? { owner: null } : { 'participants.isAdmin': { $ne: true } };
+
+  let group = chat;
+  while (group?.participants.length && isVacant(group)) {
+    const successorId = userIdOf(pickSuccessor(group.participants));
+    const assigned = await Chat.findOneAndUpdate(
+      { _id: group._id, ...vacant, 'participants.user': successorId },
+      { $set: { 'participants.$[successor].isAdmin': true, ...(asOwner && { owner: successorId }) } },
+      { new: true, arrayFilters: [{ 'successor.user': toObjectId(successorId) }] }
+    );
+    if (assigned) return { chat: assigned, successorId };
+    group = await Chat.findById(group._id);
+  }
+  return null;
+};
+
+/**
+ * Leave a group. An owner who leaves hands the group to pickSuccessor; the
+ * last member to leave deletes it.
+ * @param {string} userId
+ * @param {string} chatId
+ * @returns {Promise<Object>} See updateGroup; `chat` is null and `deleted` true when nobody is left
+ */
+export const leaveGroup = async (userId, chatId) => {
+  const chat = await loadGroup(userId, chatId);
+  const wasOwner = roleOf(chat, userId) === 'owner';
+
+  // An owner leaving leaves the group without one until assignSuccessor picks the next
+  const remaining = await applyChange(
+    chat._id,
+    [{ 'participants.user': userId }, { owner: wasOwner ? userId : { $ne: userId } }],
+    wasOwner
+      ? { $pull: { participants: { user: userId } }, $unset: { owner: '' } }
+      : { $pull: { participants: { user: userId } } }
+  );
+
+  if (!remaining.participants.length) {
+    const { deletedCount } = await Chat.deleteOne({ _id: chat._id, participants: { $size: 0 } });
+    if (deletedCount) {
+      await Message.deleteMany({ chatId: chat._id });
+      await discardChatAttachments(chat._id);
+    }
+    return { chatId: String(chat._id), chat: null, deleted: true, messages: [], joined: [], left: [String(userId)] };
+  }
+
+  const entries = [{ event: 'left' }];
+  let updated = remaining;
+  // Groups from before owners existed may have had no admins at all
+  if (wasOwner || !remaining.participants.some(participant => participant.isAdmin)) {
+    const assigned = await assignSuccessor(remaining, wasOwner);
+    if (assigned) {
+      updated = assigned.chat;
+      entries.push({ event: wasOwner ? 'owner_assigned' : 'admin_assigned', targets: [assigned.successorId] });
+    }
+  }
+
+  return finish(updated, userId, entries, { left: [userId] });
+};
+
+/**
+ * Make a member an admin (admins), or take admin away (the owner, or an admin
+ * stepping down themselves)
+ * @param {string} actorId
+ * @param {string} chatId
+ * @param {string} userId
+ * @param {boolean} isAdmin
+ * @returns {Promise<Object>} See updateGroup
+ */
+export const setAdmin = async (actorId, chatId, userId, isAdmin) => {
+  const chat = await loadGroup(actorId, chatId);
+  const participant = findMember(chat, userId);
+  const role = roleOf(chat, userId);
+
+  if (isAdmin) {
+    requireRole(chat, actorId, 'admin');
+  } else {
+    if (role === 'owner') throw new AppError('The group owner is always an admin', 400);
+    if (String(actorId) !== String(userId)) requireRole(chat, actorId, 'owner');
+  }
+
+  if (participant.isAdmin === Boolean(isAdmin)) return finish(chat, actorId, []);
+
+  const updated = await applyChange(
+    chat._id,
+    [
+      roleCondition(actorId, isAdmin || String(actorId) === String(userId) ? 'admin' : 'owner'),
+      isAdmin ? { 'participants.user': userId } : { 'participants.user': userId, owner: { $ne: userId } }
+    ],
+    { $set: { 'participants.$[target].isAdmin': Boolean(isAdmin) } },
+    { arrayFilters: [{ 'target.user': toObjectId(userId) }] }
+  );
+
+  return finish(updated, actorId, [{ event: isAdmin ? 'admin_added' : 'admin_removed', targets: [userId] }]);
+};
+
+/**
+ * Hand the group over to another member (the owner). The previous owner stays an admin.
+ * @param {string} actorId
+ * @param {string} chatId
+ * @param {string} userId
+ * @returns {Promise<Object>} See updateGroup
+ */
+export const transferOwnership = async (actorId, chatId, userId) => {
+  const chat = await loadGroup(actorId, chatId);
+  requireRole(chat, actorId, 'owner');
+  if (String(actorId) === String(userId)) throw new AppError('You already own this group', 400);
+
+  findMember(chat, userId);
+
+  // Both stay admins
+  const updated = await applyChange(
+    chat._id,
+    [roleCondition(actorId, 'owner'), { 'participants.user': userId }],
+    { $set: { owner: userId, 'participants.$[member].isAdmin': true } },
+    { arrayFilters: [{ 'member.user': { $in: [actorId, userId].map(toObjectId) } }] }
+  );
+
+  return finish(updated, actorId, [{ event: 'owner_transferred', targets: [userId] }]);
+};
+
+export default {
+  GROUP_ROLES,
+  ownerOf,
+  roleOf,
+  pickSuccessor,
+  joinNames,
+  updateGroup,
+  addParticipants,
+  removeParticipant,
+  leaveGroup,
+  setAdmin,
+  transferOwnership
+};
@@ -0,0 +1,228 @@
+/**
+ * Hashtag Service
+ * Posts under a hashtag, and trending hashtags over a sliding window.
+ *
+ * A hashtag trends when its use in the window is high compared with its usual
+ * use: the window's post count is compared with the average of the windows
+ * just before it, so a tag that is always busy does not trend for being busy.
+ */
+import mongoose from 'mongoose';
+import Post from '../models/Post.js';
+import User from '../models/User.js';
+import AppError from '../utils/appError.js';
+import { normalizeHashtag } from '../utils/textEntities.js';
+import { buildVisibilityFilter } from './feedService.js';
+import { getFriendIds, getHiddenIds, isVisibleTo } from './relationshipService.js';
+
+const HOUR = 60 * 60 * 1000;
+
+export const TRENDING_WINDOWS = {
+  '1h': HOUR,
+  '24h': 24 * HOUR,
+  '7d': 7 * 24 * HOUR
+};
+
+// How many earlier windows make up the baseline a window is compared with
+const BASELINE_WINDOWS = 4;
+// A tag needs this many posts from this many authors in the window to trend
+const MIN_POSTS = 3;
+const MIN_AUTHORS = 2;
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+const MAX_TRENDING = 50;
+
+const AUTHOR_FIELDS = 'username profilePic displayName fullName';
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Encode the position after a post
+ * @param {{ publishedAt: Date, id: string }} position
+ * @returns {string}
+ */
+export const encodeHashtagCursor = ({ publishedAt, id }) => Buffer
+  .from(JSON.stringify({ t: new Date(publishedAt).getTime(), id: String(id) }))
+  .toString('base64url');
+
+/**
+ * Decode a cursor from encodeHashtagCursor()
+ * @param {string} cursor
+ * @returns {{ publishedAt: Date, id: string }}
+ */
+export const decodeHashtagCursor = (cursor) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (!Number.isFinite(t) || !mongoose.Types.ObjectId.isValid(id)) throw new Error('Malformed cursor');
+    return { publishedAt: new Date(t), id: String(id) };
+  } catch (error) {
+    throw new AppError('Invalid cursor', 400);
+  }
+};
+
+/**
+ * How unusual a hashtag's use in a window is
+ * @param {number} count - Posts in the window
+ * @param {number} previousCount - Posts in the baseline windows before it
+ * @returns {number}
+ */
+export const scoreTrend = (count, previousCount) => {
+  const expected = previousCount / BASELINE_WINDOWS;
+  return Math.round(((count - expected) / Math.sqrt(expected + 1)) * 1000) / 1000;
+};
+
+/**
+ * Posts with a hashtag that the user may see, newest first
+ * @param {string} userId
+ * @param {string} tag - With or without the leading #
+ * @param {Object} [options]
+ * @param {string} [options.cursor] - From a previous page's nextCursor
+ * @param {number} [options.limit]
+ * @returns {Promise<{ tag: string, posts: Array<Object>, nextCursor: string|null }>}
+ */
+export const getHashtagPosts = async (userId, tag, { cursor, limit } = {}) => {
+  const hashtag = normalizeHashtag(tag);
+  if (!hashtag) throw new AppError('Invalid hashtag', 400);
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const after = cursor ? decodeHashtagCursor(cursor) : null;
+
+  const [viewer, friendIds, hiddenIds] = await Promise.all([
+    User.findById(userId).select('following').lean(),
+    getFriendIds(userId),
+    getHiddenIds(userId)
+  ]);
+  if (!viewer) throw new AppError('User not found', 404);
+
+  const hidden = new Set(hiddenIds);
+  const connectionIds = [...new Set([...(viewer.following || []).map(String), ...friendIds])]
+    .filter(id => !hidden.has(id))
+    .map(id => new mongoose.Types.ObjectId(id));
+
+  // Any author the user has not blocked or muted, instead of the feed's sources
+  const filter = buildVisibilityFilter(userId, { authorIds: [], connectionIds }, new Date());
+  filter.author = { $nin: hiddenIds.map(id => new mongoose.Types.ObjectId(id)) };
+  filter.hashtags = hashtag;
+
+  if (after) {
+    filter.$and.push({
+      $or: [
+        { publishedAt: { $lt: after.publishedAt } },
+        { publishedAt: after.publishedAt, _id: { $lt: after.id } }
+      ]
+    });
+  }
+
+  const found = await Post.find(filter)
+    .sort({ publishedAt: -1, _id: -1 })
+    .limit(pageSize + 1)
+    .populate('author', AUTHOR_FIELDS);
+
+  const page = found.slice(0, pageSize);
+  const last = page[page.length - 1];
+
+  // Authors who limit their profile keep their posts to the people allowed to see it
+  const friends = new Set(friendIds);
+  const authors = await User.find({ _id: { $in: page.map(post => post.author?._id).filter(Boolean) } })
+    .select('settings.privacy.profileVisibility')
+    .lean();
+  const visibleAuthors = new Set(authors
+    .filter(author => isVisibleTo(author.settings?.privacy?.profileVisibility, {
+      isSelf: String(author._id) === String(userId),
+      isFriend: friends.has(String(author._id))
+    }))
+    .map(author => String(author._id)));
+  const posts = page.filter(post => post.author && visibleAuthors.has(String(post.author._id)));
+
+  return {
+    tag: hashtag,
+    posts,
+    nextCursor: found.length > pageSize
+      ? encodeHashtagCursor({ publishedAt: last.publishedAt, id: last._id })
+      : null
+  };
+};
+
+/**
+ * Hashtags trending in public posts, globally or among one university's students
+ * @param {Object} [options]
+ * @param {'1h'|'24h'|'7d'} [options.window]
+ * @param {string} [options.university] - Only count posts by its students
+ * @param {number} [options.limit]
+ * @returns {Promise<Array<{ tag: string, count: number, authors: number, previousCount: number, score: number }>>}
+ */
+export const getTrendingHashtags = async ({ window = '24h', university, limit } = {}) => {
+  const span = TRENDING_WINDOWS[window];
+  if (!span) throw new AppError(`Window must be one of: ${Object.keys(TRENDING_WINDOWS).join(', ')}`, 400);
+
+  const size = Math.min(Math.max(parseInt(limit, 10) || 10, 1), MAX_TRENDING);
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - span);
+  const baselineStart = new Date(now.getTime() - span * (BASELINE_WINDOWS + 1));
+
+  const pipeline = [
+    {
+      $match: {
+        status: 'published',
+        privacy: 'public',
+        hashtags: { $exists: true, $ne: [] },
+        publishedAt: { $gte: baselineStart, $lte: now }
+      }
+    }
+  ];
+
+  if (university) {
+    pipeline.push(
+      {
+        $lookup: {
+          from: 'users',
+          let: { authorId: '$author' },
+          pipeline: [
+            { $match: { $expr: { $eq: ['$_id', '$$authorId'] } } },
+            { $project: { university: 1 } }
+          ],
+          as: 'authorProfile'
+        }
+      },
+      { $match: { 'authorProfile.university': new RegExp(`^${escapeRegex(university.trim())}$`, 'i') } }
+    );
+  }
+
+  pipeline.push(
+    { $project: { author: 1, hashtags: 1, inWindow: { $gte: ['$publishedAt', windowStart] } } },
+    { $unwind: '$hashtags' },
+    {
+      $group: {
+        _id: '$hashtags',
+        count: { $sum: { $cond: ['$inWindow', 1, 0] } },
+        previousCount: { $sum: { $cond: ['$inWindow', 0, 1] } },
+        authors: { $addToSet: { $cond: ['$inWindow', '$author', '$$REMOVE'] } }
+      }
+    },
+    { $addFields: { authors: { $size: '$authors' } } },
+    { $match: { count: { $gte: MIN_POSTS }, authors: { $gte: MIN_AUTHORS } } }
+  );
+
+  const tags = await Post.aggregate(pipeline);
+
+  return tags
+    .map(({ _id, count, authors, previousCount }) => ({
+      tag: _id,
+      count,
+      authors,
+      previousCount,
+      score: scoreTrend(count, previousCount)
+    }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || b.count - a.count || a.tag.localeCompare(b.tag))
+    .slice(0, size);
+};
+
+export default {
+  TRENDING_WINDOWS,
+  getHashtagPosts,
+  getTrendingHashtags,
+  scoreTrend,
+  encodeHashtagCursor,
+  decodeHashtagCursor
+};
@@ -0,0 +1,110 @@
+/**
+ * Job Runner
+ * Runs registered background jobs on an interval. A lock in the TTL store
+ * makes sure only one API instance runs a job at a time.
+ */
+import crypto from 'crypto';
+import { getTtlStore } from './ttlStore.js';
+
+const jobs = new Map();
+let started = false;
+
+const lockKey = (name) => `job-lock:${name}`;
+
+/**
+ * Register a job
+ * @param {string} name - Unique job name
+ * @param {Object} options
+ * @param {number} options.intervalMs - How often to run the job
+ * @param {Function} options.handler - Async function doing the work
+ */
+export const registerJob = (name, { intervalMs, handler }) => {
+  if (jobs.has(name)) {
+    throw new Error(`Job already registered: ${name}`);
+  }
+
+  jobs.set(name, { name, intervalMs, handler, timer: null, running: false, lastRunAt: null, lastError: null });
+
+  if (started) scheduleJob(jobs.get(name));
+};
+
+/**
+ * Run a job once, now, unless it is already running here or on another instance
+ * @param {string} name
+ * @returns {Promise<boolean>} Whether the job ran
+ */
+export const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job) throw new Error(`Unknown job: ${name}`);
+  if (job.running) return false;
+
+  // Hold the lock for at most one interval, so a crashed instance cannot block the job.
+  // The token tells this run's lock apart from one another instance took after it expired.
+  const store = getTtlStore();
+  const lock = { token: crypto.randomUUID(), startedAt: new Date() };
+  const acquired = await store.setIfAbsent(lockKey(name), lock, Math.ceil(job.intervalMs / 1000));
+  if (!acquired) return false;
+
+  job.running = true;
+  try {
+    await job.handler();
+    job.lastError = null;
+  } catch (error) {
+    job.lastError = error.message;
+    console.error(`Job ${name} failed:`, error);
+  } finally {
+    job.running = false;
+    job.lastRunAt = new Date();
+    await store.deleteIfEquals(lockKey(name), lock);
+  }
+
+  return true;
+};
+
+const scheduleJob = (job) => {
+  job.timer = setInterval(() => {
+    runJob(job.name).catch(error => console.error(`Job ${job.name} failed to start:`, error));
+  }, job.intervalMs);
+  job.timer.unref();
+};
+
+/**
+ * Start running every registered job on its interval
+ */
+export const startJobs = () => {
+  if (started) return;
+  started = true;
+  jobs.forEach(scheduleJob);
+  console.log(`⏱️  Background jobs started: ${[...jobs.keys()].join(', ') || 'none'}`);
+};
+
+/**
+ * Stop all job timers (running jobs finish on their own)
+ */
+export const stopJobs = () => {
+  started = false;
+  jobs.forEach(job => {
+    clearInterval(job.timer);
+    job.timer = null;
+  });
+};
+
+/**
+ * Describe the registered jobs
+ * @returns {Array<Object>}
+ */
+export const getJobs = () => [...jobs.values()].map(({ name, intervalMs, running, lastRunAt, lastError }) => ({
+  name,
+  intervalMs,
+  running,
+  lastRunAt,
+  lastError
+}));
+
+export default {
+  registerJob,
+  runJob,
+  startJobs,
+  stopJobs,
+  getJobs
+};
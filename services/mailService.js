@@ -0,0 +1,142 @@
+/**
+ * Mail Service
+ * Sends templated emails through a pluggable nodemailer transport.
+ *
+ * MAIL_TRANSPORT selects the transport:
+ *   - smtp:   deliver through EMAIL_HOST / EMAIL_PORT / EMAIL_USERNAME / EMAIL_PASSWORD
+ *   - outbox: write each email as a JSON file to MAIL_OUTBOX_DIR (local dev and tests)
+ * When unset, smtp is used if EMAIL_HOST is configured and outbox otherwise.
+ */
+import fs from 'fs/promises';
+import nodemailer from 'nodemailer';
+import path from 'path';
+import { MailTemplates } from './mailTemplates.js';
+
+const DEFAULT_OUTBOX_DIR = path.join(process.cwd(), 'tmp', 'outbox');
+
+let transporter = null;
+let transportName = null;
+
+const resolveTransportName = () => {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  return process.env.EMAIL_HOST ? 'smtp' : 'outbox';
+};
+
+const getOutboxDir = () => process.env.MAIL_OUTBOX_DIR || DEFAULT_OUTBOX_DIR;
+
+const createTransporter = (name) => {
+  switch (name) {
+    case 'smtp': {
+      const port = parseInt(process.env.EMAIL_PORT, 10) || 587;
+      return nodemailer.createTransport({
+        host: process.env.EMAIL_HOST,
+        port,
+        secure: port === 465,
+        auth: process.env.EMAIL_USERNAME ? {
+          user: process.env.EMAIL_USERNAME,
+          pass: process.env.EMAIL_PASSWORD
+        } : undefined
+      });
+    }
+    case 'outbox':
+      // Build the message without sending it; sendMail writes it to the outbox
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      throw new Error(`Unknown mail transport: ${name}`);
+  }
+};
+
+const getTransporter = () => {
+  if (!transporter) {
+    transportName = resolveTransportName();
+    transporter = createTransporter(transportName);
+  }
+  return transporter;
+};
+
+/**
+ * Drop the cached transporter so the next send picks up new configuration
+ */
+export const resetTransport = () => {
+  transporter = null;
+  transportName = null;
+};
+
+const writeToOutbox = async (info) => {
+  const dir = getOutboxDir();
+  await fs.mkdir(dir, { recursive: true });
+
+  const message = JSON.parse(info.message);
+  const fileName = `${Date.now()}-${info.messageId.replace(/[^a-zA-Z0-9.-]/g, '')}.json`;
+  const filePath = path.join(dir, fileName);
+
+  await fs.writeFile(filePath, JSON.stringify(message, null, 2));
+  console.log(`📧 Email "${message.subject}" to ${message.to?.map(t => t.address).join(', ')} written to ${filePath}`);
+};
+
+/**
+ * Send an email
+ * @param {Object} mail - nodemailer message options (to, subject, html, text, ...)
+ * @returns {Promise<Object>} The nodemailer send info
+ */
+export const sendMail = async (mail) => {
+  const transport = getTransporter();
+  const info = await transport.sendMail({
+    from: process.env.EMAIL_FROM || 'CampusOS <noreply@campusos.app>',
+    ...mail
+  });
+
+  if (transportName === 'outbox') {
+    await writeToOutbox(info);
+  }
+
+  return info;
+};
+
+/**
+ * Render a template and send it
+ * @param {string} to - Recipient email address
+ * @param {string} templateName - Key of MailTemplates
+ * @param {Object} data - Template data
+ * @returns {Promise<Object>} The nodemailer send info
+ */
+export const sendTemplate = async (to, templateName, data = {}) => {
+  const template = MailTemplates[templateName];
+  if (!template) {
+    throw new Error(`Unknown mail template: ${templateName}`);
+  }
+
+  const { subject, html, text } = template(data);
+  return sendMail({ to, subject, html, text });
+};
+
+/**
+ * Read the emails stored in the outbox, oldest first
+ * @param {string} [dir] - The outbox directory
+ * @returns {Promise<Array<Object>>}
+ */
+export const readOutbox = async (dir = getOutboxDir()) => {
+  let files;
+  try {
+    files = await fs.readdir(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const messages = await Promise.all(
+    files
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(async file => JSON.parse(await fs.readFile(path.join(dir, file), 'utf8')))
+  );
+
+  return messages;
+};
+
+export default {
+  sendMail,
+  sendTemplate,
+  readOutbox,
+  resetTransport
+};
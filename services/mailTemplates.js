@@ -0,0 +1,88 @@
+/**
+ * Mail Templates
+ * Each template returns the subject, HTML and plain text body of an email
+ */
+
+const APP_NAME = 'CampusOS';
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Wrap template content in the shared HTML layout
+ * @param {string} title - Heading shown at the top of the email
+ * @param {string} body - Inner HTML (already escaped)
+ * @returns {string}
+ */
+const layout = (title, body) => `<!DOCTYPE html>
+<html>
+  <body style="margin:0;padding:24px;background:#f4f5f7;font-family:Arial,Helvetica,sans-serif;color:#1f2933;">
+    <table role="presentation" width="100%" style="max-width:560px;margin:0 auto;background:#ffffff;border-radius:8px;padding:32px;">
+      <tr><td>
+        <h1 style="font-size:20px;margin:0 0 16px;">${escapeHtml(title)}</h1>
+        ${body}
+        <p style="font-size:12px;color:#7b8794;margin-top:32px;">
+          You received this email because of activity on your ${APP_NAME} account.
+          If this wasn't you, you can safely ignore it.
+        </p>
+      </td></tr>
+    </table>
+  </body>
+</html>`;
+
+const greeting = (user) => `Hi ${user?.displayName || user?.username || 'there'},`;
+
+export const MailTemplates = {
+  passwordReset: ({ user, code, expiresInMinutes }) => ({
+    subject: `Your ${APP_NAME} password reset code`,
+    html: layout('Reset your password', `
+        <p>${escapeHtml(greeting(user))}</p>
+        <p>Use the code below to reset your password. It expires in ${escapeHtml(expiresInMinutes)} minutes.</p>
+        <p style="font-size:28px;letter-spacing:6px;font-weight:bold;">${escapeHtml(code)}</p>`),
+    text: [
+      greeting(user),
+      '',
+      `Use this code to reset your ${APP_NAME} password: ${code}`,
+      `The code expires in ${expiresInMinutes} minutes.`
+    ].join('\n')
+  }),
+
+  passwordChanged: ({ user }) => ({
+    subject: `Your ${APP_NAME} password was changed`,
+    html: layout('Password changed', `
+        <p>${escapeHtml(greeting(user))}</p>
+        <p>The password for your account was just changed and you have been signed out of all devices.</p>
+        <p>If you did not make this change, reset your password immediately.</p>`),
+    text: [
+      greeting(user),
+      '',
+      'The password for your account was just changed and you have been signed out of all devices.',
+      'If you did not make this change, reset your password immediately.'
+    ].join('\n')
+  }),
+
+  emailVerification: ({ user, token, verifyUrl }) => ({
+    subject: `Verify your ${APP_NAME} email address`,
+    html: layout('Verify your email', `
+        <p>${escapeHtml(greeting(user))}</p>
+        <p>Confirm that this is your email address to finish setting up your account.</p>
+        ${verifyUrl ? `<p><a href="${escapeHtml(verifyUrl)}" style="display:inline-block;padding:12px 20px;background:#3366ff;color:#ffffff;border-radius:6px;text-decoration:none;">Verify email</a></p>` : ''}
+        <p>Or enter this verification code in the app:</p>
+        <p style="font-family:monospace;word-break:break-all;">${escapeHtml(token)}</p>
+        <p>The link expires in 24 hours.</p>`),
+    text: [
+      greeting(user),
+      '',
+      'Confirm that this is your email address to finish setting up your account.',
+      verifyUrl ? `Verify here: ${verifyUrl}` : null,
+      `Verification code: ${token}`,
+      'The link expires in 24 hours.'
+    ].filter(line => line !== null).join('\n')
+  })
+};
+
+export default MailTemplates;
@@ -4,6 +4,7 @@
  */
 import StudyBuddy from '../models/StudyBuddy.js';
 import StudyBuddyRequest from '../models/StudyBuddyRequest.js';
+import { getBlockedIds } from './relationshipService.js';
 
 // Weight factors for matching
 const WEIGHTS = {
@@ -44,9 +45,10 @@ class MatchingService {
                 ...existingRequests.map(r =>
                     r.sender.toString() === userId ? r.receiver.toString() : r.sender.toString()
                 ),
+                ...await getBlockedIds(userId),
             ];
 
-            // Find active study profiles (excluding current user and existing connections)
+            // Find active study profiles (excluding current user, existing connections and blocked users)
             const potentialMatches = await StudyBuddy.find({
                 user: { $nin: excludeUserIds },
                 isActive: true,
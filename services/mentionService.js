@@ -0,0 +1,124 @@
+/**
+ * Mention Service
+ * Fills in the hashtags and mentions of posts and comments from their text and
+ * notifies the people mentioned.
+ *
+ * Mentions only resolve to active users with no block between them and the
+ * author. A mention is notified once: when the post or comment goes live, or
+ * when an edit adds it.
+ */
+import User from '../models/User.js';
+import { parseTextEntities } from '../utils/textEntities.js';
+import NotificationService from './notificationService.js';
+import { getBlockedIds, getFriendIds } from './relationshipService.js';
+
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+const idOf = (value) => String(value?._id || value);
+
+/**
+ * Find the users behind some usernames, preferring an exact-case match
+ * @param {Array<string>} usernames
+ * @param {string} authorId - Users blocked either way are left out
+ * @returns {Promise<Map<string, Object>>} Username as written to user
+ */
+const resolveUsernames = async (usernames, authorId) => {
+  if (!usernames.length) return new Map();
+
+  const blockedIds = await getBlockedIds(authorId);
+  const users = await User.find({
+    username: { $in: [...new Set(usernames)] },
+    _id: { $nin: blockedIds },
+    status: { $nin: ['deleted', 'suspended'] }
+  })
+    .collation(CASE_INSENSITIVE)
+    .select('username')
+    .lean();
+
+  const resolved = new Map();
+  for (const name of usernames) {
+    const user = users.find(({ username }) => username === name)
+      || users.find(({ username }) => username.toLowerCase() === name.toLowerCase());
+    if (user) resolved.set(name, user);
+  }
+  return resolved;
+};
+
+/**
+ * Set `hashtags` and `mentions` on a post or comment from its content
+ * @param {Object} doc - Post or Comment document, not yet saved
+ * @param {string} authorId
+ * @returns {Promise<Array<string>>} Ids of users mentioned now but not before
+ */
+export const applyTextEntities = async (doc, authorId) => {
+  const previous = new Set((doc.mentions || []).map(mention => idOf(mention.user)));
+  const { hashtags, mentions } = parseTextEntities(doc.content);
+  const users = await resolveUsernames(mentions.map(({ username }) => username), authorId);
+
+  doc.hashtags = hashtags;
+  doc.mentions = mentions
+    .filter(({ username }) => users.has(username))
+    .map(({ username, indices }) => ({ user: users.get(username)._id, indices }));
+
+  return [...new Set(doc.mentions.map(mention => idOf(mention.user)))].filter(id => !previous.has(id));
+};
+
+/**
+ * Notify users that they were mentioned in a post or in a comment on it.
+ * Nothing is sent for drafts or private posts, nor to users who cannot see a
+ * connections-only post, turned mention notifications off or muted the author.
+ * @param {Object} params
+ * @param {Array<string>} params.recipientIds - From applyTextEntities()
+ * @param {string} params.actorId - Author of the post or comment
+ * @param {Object} params.post
+ * @param {Object} [params.comment] - Set when the mention is in a comment
+ */
+export const notifyMentions = async ({ recipientIds, actorId, post, comment = null }) => {
+  const ids = (recipientIds || []).map(String).filter(id => id !== String(actorId));
+  if (!ids.length || post.status !== 'published' || post.privacy === 'private') return;
+
+  try {
+    const postAuthorId = idOf(post.author);
+    const [actor, recipients, friendIds] = await Promise.all([
+      User.findById(actorId).select('username').lean(),
+      User.find({ _id: { $in: ids } }).select('following settings.notifications.mentions +mutedUsers').lean(),
+      post.privacy === 'connections' ? getFriendIds(postAuthorId) : []
+    ]);
+    if (!actor) return;
+
+    const friends = new Set(friendIds);
+    const canSeePost = (user) => post.privacy !== 'connections'
+      || String(user._id) === postAuthorId
+      || friends.has(String(user._id))
+      || (user.following || []).some(id => String(id) === postAuthorId);
+
+    const notify = recipients
+      .filter(user => user.settings?.notifications?.mentions !== false)
+      .filter(user => !(user.mutedUsers || []).some(id => String(id) === String(actorId)))
+      .filter(canSeePost)
+      .map(user => String(user._id));
+    if (!notify.length) return;
+
+    await NotificationService.broadcastNotification(notify, {
+      title: 'New mention',
+      message: `@${actor.username} mentioned you in a ${comment ? 'comment' : 'post'}`,
+      type: 'info',
+      action: {
+        type: 'navigate',
+        target: 'Post',
+        params: comment
+          ? { postId: String(post._id), commentId: String(comment._id) }
+          : { postId: String(post._id) }
+      },
+      relatedDocument: post._id,
+      relatedDocumentModel: 'Post'
+    });
+  } catch (error) {
+    console.error('Error sending mention notifications:', error);
+  }
+};
+
+export default {
+  applyTextEntities,
+  notifyMentions
+};
@@ -0,0 +1,300 @@
+/**
+ * Message Service
+ * What participants can do to a chat message once it is sent: react, edit,
+ * delete and pin. Used by the REST chat routes and the socket events alike;
+ * both broadcast the result to the chat's room.
+ *
+ * Senders can edit a message for EDIT_WINDOW_MINUTES, with every previous
+ * version kept. Deleting for everyone leaves a placeholder so replies still
+ * make sense; deleting for yourself only hides it from your own history.
+ */
+import mongoose from 'mongoose';
+import Chat from '../models/Chat.js';
+import Message from '../models/Message.js';
+import AppError from '../utils/appError.js';
+import { discardMessageAttachments } from './attachmentService.js';
+import { formatMessage, populateMessage } from './chatService.js';
+import { screenContent } from './contentFilterService.js';
+import { holdForReview } from './moderationService.js';
+
+export const EDIT_WINDOW_MINUTES = 15;
+export const MAX_PINNED_MESSAGES = 10;
+const MAX_EMOJI_LENGTH = 16;
+const MAX_REACTIONS_PER_USER = 3;
+
+// Emoji only, with their skin tones and joiners, never arbitrary text
+const EMOJI_PATTERN = /^(?:\p{Extended_Pictographic}|\p{Regional_Indicator}|\p{Emoji_Modifier}|[\u200D\uFE0F\u20E3])+$/u;
+
+/**
+ * Load a message the user can act on: in a chat they take part in, not hidden
+ * by a moderator and not deleted for them
+ * @param {string} userId
+ * @param {string} chatId
+ * @param {string} messageId
+ * @returns {Promise<{ chat: Object, message: Object }>} The chat (lean) and the message document
+ */
+const findMessage = async (userId, chatId, messageId) => {
+  if (!mongoose.Types.ObjectId.isValid(chatId) || !mongoose.Types.ObjectId.isValid(messageId)) {
+    throw new AppError('Message not found', 404);
+  }
+
+  const chat = await Chat.findOne({ _id: chatId, 'participants.user': userId }).select('participants pinnedMessages').lean();
+  if (!chat) throw new AppError('Chat not found', 404);
+
+  const message = await Message.findOne({
+    _id: messageId,
+    chatId: chat._id,
+    hidden: { $ne: true },
+    deletedFor: { $ne: userId }
+  });
+  if (!message) throw new AppError('Message not found', 404);
+
+  return { chat, message };
+};
+
+const loadFormatted = async (messageId) => formatMessage(await populateMessage(Message.findById(messageId)).lean());
+
+const assertNotDeleted = (message) => {
+  if (message.deleted) throw new AppError('This message has been deleted', 400);
+};
+
+const assertNotSystem = (message) => {
+  if (message.type === 'system') throw new AppError('Group updates cannot be changed', 400);
+};
+
+/**
+ * Check that a reaction is an emoji
+ * @param {string} emoji
+ * @returns {boolean}
+ */
+export const isValidReaction = (emoji) => typeof emoji === 'string'
+  && emoji.length > 0
+  && emoji.length <= MAX_EMOJI_LENGTH
+  && EMOJI_PATTERN.test(emoji);
+
+/**
+ * React to a message. Each user can use an emoji once per message, and up to
+ * MAX_REACTIONS_PER_USER different ones.
+ * @param {string} userId
+ * @param {string} chatId
+ * @param {string} messageId
+ * @param {string} emoji
+ * @returns {Promise<{ chatId: string, messageId: string, reactions: Array<Object> }>}
+ */
+export const addReaction = async (userId, chatId, messageId, emoji) => {
+  if (!isValidReaction(emoji)) throw new AppError('Reactions must be an emoji', 400);
+
+  const { message } = await findMessage(userId, chatId, messageId);
+  assertNotDeleted(message);
+
+  const own = message.reactions.filter(reaction => String(reaction.userId) === String(userId));
+  if (!own.some(reaction => reaction.emoji === emoji)) {
+    if (own.length >= MAX_REACTIONS_PER_USER) {
+      throw new AppError(`You can add up to ${MAX_REACTIONS_PER_USER} reactions to a message`, 400);
+    }
+    // Conditional, so a double tap cannot add the same reaction twice
+    await Message.updateOne(
+      { _id: message._id, reactions: { $not: { $elemMatch: { userId, emoji } } } },
+      { $push: { reactions: { userId, emoji } } }
+    );
+  }
+
+  const updated = await loadFormatted(message._id);
+  return { chatId: updated.chatId, messageId: updated.id, reactions: updated.reactions };
+};
+
+/**
+ * Take back a reaction
+ * @param {string} userId
+ * @param {string} chatId
+ * @param {string} messageId
+ * @param {string} emoji
+ * @returns {Promise<{ chatId: string, messageId: string, reactions: Array<Object> }>}
+ */
+export const removeReaction = async (userId, chatId, messageId, emoji) => {
+  const { message } = await findMessage(userId, chatId, messageId);
+
+  await Message.updateOne({ _id: message._id }, { $pull: { reactions: { userId, emoji } } });
+
+  const updated = await loadFormatted(message._id);
+  return { chatId: updated.chatId, messageId: updated.id, reactions: updated.reactions };
+};
+
+/**
+ * Edit a message the user sent, within EDIT_WINDOW_MINUTES of sending it.
+ * The new text goes through the content filter like a new message.
+ * @param {string} userId
+ * @param {string} chatId
+ * @param {string} messageId
+ * @param {string} content
+ * @returns {Promise<{ message: Object, held: boolean }>} The formatted message, and whether
+ *   the content filter held the edit back for review
+ */
+export const editMessage = async (userId, chatId, messageId, content) => {
+  if (!content || !String(content).trim()) throw new AppError('Message content is required', 400);
+
+  const { message } = await findMessage(userId, chatId, messageId);
+  assertNotDeleted(message);
+  assertNotSystem(message);
+  if (String(message.senderId) !== String(userId)) {
+    throw new AppError('You can only edit your own messages', 403);
+  }
+  if (Date.now() - message.createdAt.getTime() > EDIT_WINDOW_MINUTES * 60 * 1000) {
+    throw new AppError(`Messages can only be edited within ${EDIT_WINDOW_MINUTES} minutes of sending`, 403);
+  }
+
+  const screened = await screenContent(userId, 'message', content);
+  if (screened.content === message.content) return { message: await loadFormatted(message._id), held: false };
+
+  message.editHistory.push({ content: message.content, editedAt: new Date() });
+  message.content = screened.content;
+  message.editedAt = new Date();
+  await message.save();
+
+  if (screened.review) await holdForReview('message', message, screened.matches);
+
+  return { message: await loadFormatted(message._id), held: screened.review };
+};
+
+/**
+ * A message's previous versions, newest first
+ * @param {string} userId - Any participant
+ * @param {string} chatId
+ * @param {string} messageId
+ * @returns {Promise<Array<{ content: string, editedAt: Date }>>}
+ */
+export const getEditHistory = async (userId, chatId, messageId) => {
+  const { message } = await findMessage(userId, chatId, messageId);
+  if (message.deleted) return [];
+  return [...message.editHistory].reverse().map(({ content, editedAt }) => ({ content, editedAt }));
+};
+
+/**
+ * Delete a message for everyone (its sender only) or just for the user
+ * @param {string} userId
+ * @param {string} chatId
+ * @param {string} messageId
+ * @param {'everyone'|'me'} [scope]
+ * @returns {Promise<{ chatId: string, messageId: string, scope: string, message?: Object }>}
+ *   Deleting for everyone also returns the placeholder message
+ */
+export const deleteMessage = async (userId, chatId, messageId, scope = 'me') => {
+  if (!['everyone', 'me'].includes(scope)) throw new AppError('Scope must be everyone or me', 400);
+
+  const { chat, message } = await findMessage(userId, chatId, messageId);
+  const result = { chatId: String(chat._id), messageId: String(message._id), scope };
+
+  if (scope === 'me') {
+    await Message.updateOne({ _id: message._id }, { $addToSet: { deletedFor: userId } });
+    return result;
+  }
+
+  if (String(message.senderId) !== String(userId)) {
+    throw new AppError('You can only delete your own messages for everyone', 403);
+  }
+  assertNotDeleted(message);
+  assertNotSystem(message);
+
+  // The content, its attachments, earlier versions and reactions go; the placeholder stays
+  await Message.updateOne(
+    { _id: message._id },
+    {
+      $set: {
+        deleted: true,
+        deletedAt: new Date(),
+        deletedBy: userId,
+        isPinned: false,
+        attachments: [],
+        editHistory: [],
+        reactions: []
+      },
+      $unset: { content: '', mediaUrl: '', pinnedBy: '', pinnedAt: '' }
+    }
+  );
+  await Chat.updateOne({ _id: chat._id }, { $pull: { pinnedMessages: message._id } });
+  await discardMessageAttachments(message._id);
+
+  return { ...result, message: await loadFormatted(message._id) };
+};
+
+/**
+ * Pin a message to the top of the chat, or unpin it
+ * @param {string} userId - Any participant
+ * @param {string} chatId
+ * @param {string} messageId
+ * @param {boolean} pinned
+ * @returns {Promise<{ chatId: string, messageId: string, pinned: boolean, pinnedBy: string|null,
+ *   pinnedMessages: Array<string> }>}
+ */
+export const setMessagePinned = async (userId, chatId, messageId, pinned) => {
+  const { chat, message } = await findMessage(userId, chatId, messageId);
+
+  if (pinned) {
+    assertNotDeleted(message);
+    const alreadyPinned = (chat.pinnedMessages || []).some(id => String(id) === String(message._id));
+    if (!alreadyPinned && (chat.pinnedMessages || []).length >= MAX_PINNED_MESSAGES) {
+      throw new AppError(`A chat can have up to ${MAX_PINNED_MESSAGES} pinned messages`, 400);
+    }
+
+    // Re-pinning moves the message back to the top
+    await Chat.updateOne({ _id: chat._id }, { $pull: { pinnedMessages: message._id } });
+    await Chat.updateOne({ _id: chat._id }, { $push: { pinnedMessages: { $each: [message._id], $position: 0 } } });
+    await Message.updateOne(
+      { _id: message._id },
+      { $set: { isPinned: true, pinnedBy: userId, pinnedAt: new Date() } }
+    );
+  } else {
+    await Chat.updateOne({ _id: chat._id }, { $pull: { pinnedMessages: message._id } });
+    await Message.updateOne(
+      { _id: message._id },
+      { $set: { isPinned: false }, $unset: { pinnedBy: '', pinnedAt: '' } }
+    );
+  }
+
+  const updated = await Chat.findById(chat._id).select('pinnedMessages').lean();
+  return {
+    chatId: String(chat._id),
+    messageId: String(message._id),
+    pinned,
+    pinnedBy: pinned ? String(userId) : null,
+    pinnedMessages: (updated?.pinnedMessages || []).map(String)
+  };
+};
+
+/**
+ * A chat's pinned messages, most recently pinned first
+ * @param {string} userId - Any participant
+ * @param {string} chatId
+ * @returns {Promise<Array<Object>>}
+ */
+export const listPinnedMessages = async (userId, chatId) => {
+  if (!mongoose.Types.ObjectId.isValid(chatId)) throw new AppError('Chat not found', 404);
+
+  const chat = await Chat.findOne({ _id: chatId, 'participants.user': userId }).select('pinnedMessages').lean();
+  if (!chat) throw new AppError('Chat not found', 404);
+
+  const messages = await populateMessage(Message.find({
+    _id: { $in: chat.pinnedMessages || [] },
+    hidden: { $ne: true },
+    deletedFor: { $ne: userId }
+  })).lean();
+
+  const byId = new Map(messages.map(message => [String(message._id), message]));
+  return (chat.pinnedMessages || [])
+    .map(id => byId.get(String(id)))
+    .filter(Boolean)
+    .map(formatMessage);
+};
+
+export default {
+  EDIT_WINDOW_MINUTES,
+  MAX_PINNED_MESSAGES,
+  isValidReaction,
+  addReaction,
+  removeReaction,
+  editMessage,
+  getEditHistory,
+  deleteMessage,
+  setMessagePinned,
+  listPinnedMessages
+};
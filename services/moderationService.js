@@ -0,0 +1,475 @@
+/**
+ * Moderation Service
+ * User reports and the moderator queue built from them.
+ *
+ * Reports of the same target (a post, comment, message, forum thread or
+ * profile) are gathered into one open ModerationCase. Once enough different
+ * users have reported a piece of content it is hidden until a moderator looks
+ * at it; content the content filter holds back is hidden and queued the same
+ * way. Moderators close a case by dismissing it (which puts hidden content
+ * back), hiding the content, warning its author or suspending the author for a
+ * number of days. Every step is recorded in the case's audit log.
+ */
+import mongoose from 'mongoose';
+import { hasPermission, PERMISSIONS } from '../config/permissions.js';
+import Chat from '../models/Chat.js';
+import Comment from '../models/Comment.js';
+import ForumThread from '../models/ForumThread.js';
+import Message from '../models/Message.js';
+import ModerationCase, { MODERATION_ACTIONS } from '../models/ModerationCase.js';
+import Post from '../models/Post.js';
+import Report, { REPORT_REASONS, REPORT_TARGET_TYPES } from '../models/Report.js';
+import User from '../models/User.js';
+import AppError from '../utils/appError.js';
+import NotificationService from './notificationService.js';
+import { canSeePost } from './postInteractionService.js';
+import { terminateAllSessions } from './sessionService.js';
+
+// Distinct reports after which content is hidden until a moderator reviews it
+export const AUTO_HIDE_THRESHOLD = parseInt(process.env.MODERATION_AUTO_HIDE_REPORTS, 10) || 5;
+export const MAX_SUSPENSION_DAYS = 365;
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+const TARGET_LABELS = {
+  post: 'post',
+  comment: 'comment',
+  message: 'message',
+  forumThread: 'forum thread',
+  user: 'profile'
+};
+
+/**
+ * How each kind of target is loaded, attributed, shown to moderators, hidden
+ * and restored. `hide` returns the state `restore` needs to put it back.
+ */
+const TARGETS = {
+  post: {
+    load: (id) => Post.findById(id).select('author content media status privacy expiresAt').lean(),
+    ownerId: (post) => post.author,
+    canReport: (userId, post) => canSeePost(userId, post),
+    snapshot: (post) => ({ content: post.content, media: post.media, status: post.status }),
+    hide: async (post) => {
+      await Post.updateOne({ _id: post._id }, { $set: { status: 'hidden' } });
+      return { status: post.status };
+    },
+    restore: (id, previous) => Post.updateOne(
+      { _id: id, status: 'hidden' },
+      { $set: { status: previous?.status || 'published' } }
+    )
+  },
+  comment: {
+    load: (id) => Comment.findById(id).select('author content post status').lean(),
+    ownerId: (comment) => comment.author,
+    canReport: async (userId, comment) => {
+      if (comment.status === 'deleted') return false;
+      const post = await Post.findById(comment.post).select('author status privacy expiresAt').lean();
+      return Boolean(post) && canSeePost(userId, post);
+    },
+    snapshot: (comment) => ({ content: comment.content, post: comment.post, status: comment.status }),
+    hide: async (comment) => {
+      await Comment.updateOne({ _id: comment._id }, { $set: { status: 'flagged' } });
+      return { status: comment.status };
+    },
+    restore: (id, previous) => Comment.updateOne(
+      { _id: id, status: 'flagged' },
+      { $set: { status: previous?.status || 'active' } }
+    )
+  },
+  message: {
+    load: (id) => Message.findById(id).select('senderId chatId content mediaUrl attachments deleted hidden').lean(),
+    ownerId: (message) => message.senderId,
+    canReport: async (userId, message) => !message.deleted
+      && Boolean(await Chat.exists({ _id: message.chatId, 'participants.user': userId })),
+    snapshot: (message) => ({
+      content: message.content,
+      mediaUrl: message.mediaUrl,
+      attachments: message.attachments,
+      chat: message.chatId
+    }),
+    hide: async (message) => {
+      await Message.updateOne({ _id: message._id }, { $set: { hidden: true } });
+      return { hidden: Boolean(message.hidden) };
+    },
+    restore: (id) => Message.updateOne({ _id: id }, { $set: { hidden: false } })
+  },
+  forumThread: {
+    load: (id) => ForumThread.findById(id).select('author title content isActive').lean(),
+    ownerId: (thread) => thread.author,
+    canReport: (userId, thread) => thread.isActive !== false,
+    snapshot: (thread) => ({ title: thread.title, content: thread.content }),
+    hide: async (thread) => {
+      await ForumThread.updateOne({ _id: thread._id }, { $set: { isActive: false } });
+      return { isActive: thread.isActive !== false };
+    },
+    restore: (id) => ForumThread.updateOne({ _id: id }, { $set: { isActive: true } })
+  },
+  user: {
+    load: (id) => User.findById(id).select('username displayName fullName bio profilePic status').lean(),
+    ownerId: (user) => user._id,
+    canReport: (userId, user) => user.status !== 'deleted',
+    snapshot: ({ username, displayName, fullName, bio, profilePic }) => ({ username, displayName, fullName, bio, profilePic }),
+    // Profiles are dealt with through warnings and suspensions, not hidden
+    hide: null,
+    restore: null
+  }
+};
+
+const toObjectId = (value, message) => {
+  if (!mongoose.Types.ObjectId.isValid(value)) throw new AppError(message, 404);
+  return new mongoose.Types.ObjectId(String(value));
+};
+
+const auditEntry = (action, actor, { note, details } = {}) => ({ action, actor, note, details, at: new Date() });
+
+// Best-effort notification; moderation goes ahead if it cannot be sent
+const notify = async (userIds, notification) => {
+  const ids = [...new Set(userIds.map(String))];
+  if (!ids.length) return;
+  try {
+    await NotificationService.broadcastNotification(ids, notification);
+  } catch (error) {
+    console.error('Error sending moderation notification:', error);
+  }
+};
+
+/**
+ * Find the open case for a target, opening one if there is none
+ * @param {string} targetType
+ * @param {ObjectId} targetId
+ * @param {ObjectId} targetUser
+ * @returns {Promise<Object>}
+ */
+const openCase = async (targetType, targetId, targetUser) => {
+  const upsert = () => ModerationCase.findOneAndUpdate(
+    { targetType, targetId, status: 'open' },
+    { $setOnInsert: { targetUser, auditLog: [auditEntry('opened', null)] } },
+    { upsert: true, new: true }
+  );
+
+  try {
+    return await upsert();
+  } catch (error) {
+    // Two first reports raced to open the case; the other one won
+    if (error.code === 11000) return upsert();
+    throw error;
+  }
+};
+
+/**
+ * Hide a case's target, unless it is hidden already
+ * @param {Object} moderationCase
+ * @param {Object} target
+ * @param {Object} entry - Audit entry recording who hid it and why
+ * @returns {Promise<boolean>} Whether this call hid it
+ */
+const hideTarget = async (moderationCase, target, entry) => {
+  const handler = TARGETS[moderationCase.targetType];
+  if (!handler.hide) return false;
+
+  // Claim the hide first so concurrent reports cannot hide it twice
+  const claimed = await ModerationCase.updateOne(
+    { _id: moderationCase._id, contentHidden: false },
+    { $set: { contentHidden: true } }
+  );
+  if (!claimed.modifiedCount) return false;
+
+  const previousState = await handler.hide(target);
+  await ModerationCase.updateOne(
+    { _id: moderationCase._id },
+    { $set: { previousState }, $push: { auditLog: entry } }
+  );
+  return true;
+};
+
+/**
+ * Report a piece of content or a profile
+ * @param {string} reporterId
+ * @param {Object} report
+ * @param {string} report.targetType - post, comment, message, forumThread or user
+ * @param {string} report.targetId
+ * @param {string} report.reason - One of REPORT_REASONS
+ * @param {string} [report.details]
+ * @returns {Promise<Object>} The report
+ */
+export const reportContent = async (reporterId, { targetType, targetId, reason, details }) => {
+  if (!REPORT_TARGET_TYPES.includes(targetType)) {
+    throw new AppError(`Target type must be one of: ${REPORT_TARGET_TYPES.join(', ')}`, 400);
+  }
+  if (!REPORT_REASONS.includes(reason)) {
+    throw new AppError(`Reason must be one of: ${REPORT_REASONS.join(', ')}`, 400);
+  }
+
+  const handler = TARGETS[targetType];
+  const notFound = `This ${TARGET_LABELS[targetType]} could not be found`;
+  const target = await handler.load(toObjectId(targetId, notFound));
+  if (!target || !(await handler.canReport(reporterId, target))) throw new AppError(notFound, 404);
+
+  const ownerId = handler.ownerId(target);
+  if (String(ownerId) === String(reporterId)) {
+    throw new AppError(`You cannot report your own ${TARGET_LABELS[targetType]}`, 400);
+  }
+
+  const moderationCase = await openCase(targetType, target._id, ownerId);
+
+  let report;
+  try {
+    report = await Report.create({
+      reporter: reporterId,
+      targetType,
+      targetId: target._id,
+      reason,
+      details,
+      case: moderationCase._id
+    });
+  } catch (error) {
+    if (error.code === 11000) throw new AppError(`You have already reported this ${TARGET_LABELS[targetType]}`, 409);
+    throw error;
+  }
+
+  const updated = await ModerationCase.findOneAndUpdate(
+    { _id: moderationCase._id },
+    {
+      $inc: { reportCount: 1, [`reasons.${reason}`]: 1 },
+      $set: { lastReportedAt: new Date() }
+    },
+    { new: true }
+  );
+
+  if (updated.reportCount >= AUTO_HIDE_THRESHOLD && !updated.contentHidden) {
+    await hideTarget(updated, target, auditEntry('auto_hidden', null, {
+      details: { reportCount: updated.reportCount, threshold: AUTO_HIDE_THRESHOLD }
+    }));
+  }
+
+  return report;
+};
+
+/**
+ * Hide new content the content filter wants a moderator to look at, and queue it
+ * @param {string} targetType - post, comment or message
+ * @param {Object} target - The saved content
+ * @param {Array<Object>} matches - The filter rules it matched
+ * @returns {Promise<Object>} The case
+ */
+export const holdForReview = async (targetType, target, matches) => {
+  const handler = TARGETS[targetType];
+  const moderationCase = await openCase(targetType, target._id, handler.ownerId(target));
+  await hideTarget(moderationCase, target, auditEntry('filtered', null, { details: { rules: matches } }));
+  return moderationCase;
+};
+
+/**
+ * The moderation queue, most reported first
+ * @param {Object} [filters]
+ * @param {'open'|'resolved'|'dismissed'} [filters.status]
+ * @param {string} [filters.targetType]
+ * @param {number} [filters.page]
+ * @param {number} [filters.limit]
+ * @returns {Promise<{ cases: Array<Object>, meta: Object }>}
+ */
+export const listCases = async ({ status = 'open', targetType, page, limit } = {}) => {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const pageNumber = Math.max(parseInt(page, 10) || 1, 1);
+
+  const filter = { status };
+  if (targetType) filter.targetType = targetType;
+
+  const [cases, total] = await Promise.all([
+    ModerationCase.find(filter)
+      .sort(status === 'open' ? { reportCount: -1, lastReportedAt: -1 } : { updatedAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .select('-auditLog -previousState')
+      .populate('targetUser', 'username displayName profilePic status')
+      .lean(),
+    ModerationCase.countDocuments(filter)
+  ]);
+
+  return {
+    cases,
+    meta: {
+      total,
+      page: pageNumber,
+      limit: pageSize,
+      totalPages: Math.ceil(total / pageSize),
+      hasNextPage: pageNumber * pageSize < total
+    }
+  };
+};
+
+/**
+ * A case with its reports, audit log and the target as it is now
+ * @param {string} caseId
+ * @returns {Promise<Object>}
+ */
+export const getCase = async (caseId) => {
+  const moderationCase = await ModerationCase.findById(toObjectId(caseId, 'Case not found'))
+    .populate('targetUser', 'username displayName profilePic status suspension')
+    .populate('resolution.moderator', 'username displayName')
+    .populate('auditLog.actor', 'username displayName')
+    .lean();
+  if (!moderationCase) throw new AppError('Case not found', 404);
+
+  const handler = TARGETS[moderationCase.targetType];
+  const [reports, target] = await Promise.all([
+    Report.find({ case: moderationCase._id })
+      .sort({ createdAt: 1 })
+      .populate('reporter', 'username displayName profilePic')
+      .lean(),
+    handler.load(moderationCase.targetId)
+  ]);
+
+  return {
+    ...moderationCase,
+    reports,
+    target: target ? handler.snapshot(target) : null
+  };
+};
+
+/**
+ * Close an open case with a moderator's decision
+ * @param {Object} moderator - The signed-in moderator
+ * @param {string} caseId
+ * @param {Object} decision
+ * @param {'dismiss'|'hide'|'warn'|'suspend'} decision.action
+ * @param {string} [decision.note] - Shown to the author for warnings and suspensions
+ * @param {number} [decision.days] - Length of a suspension
+ * @returns {Promise<Object>} The updated case
+ */
+export const resolveCase = async (moderator, caseId, { action, note, days }) => {
+  if (!MODERATION_ACTIONS.includes(action)) {
+    throw new AppError(`Action must be one of: ${MODERATION_ACTIONS.join(', ')}`, 400);
+  }
+
+  const moderationCase = await ModerationCase.findById(toObjectId(caseId, 'Case not found'));
+  if (!moderationCase) throw new AppError('Case not found', 404);
+  if (moderationCase.status !== 'open') throw new AppError('This case has already been closed', 409);
+
+  const handler = TARGETS[moderationCase.targetType];
+  const label = TARGET_LABELS[moderationCase.targetType];
+  const targetUserId = moderationCase.targetUser;
+  const moderatorId = moderator._id || moderator.id;
+  let suspendLength;
+
+  if (action === 'hide' && !handler.hide) {
+    throw new AppError(`A ${label} cannot be hidden; warn or suspend the user instead`, 400);
+  }
+  if (action === 'suspend') {
+    suspendLength = parseInt(days, 10);
+    if (!Number.isInteger(suspendLength) || suspendLength < 1 || suspendLength > MAX_SUSPENSION_DAYS) {
+      throw new AppError(`Suspensions last between 1 and ${MAX_SUSPENSION_DAYS} days`, 400);
+    }
+    const user = await User.findById(targetUserId).select('role').lean();
+    if (hasPermission(user, PERMISSIONS.REPORTS_MODERATE)) {
+      throw new AppError('Moderators cannot be suspended from the moderation queue', 403);
+    }
+  }
+
+  // Claim the case so two moderators cannot close it at once
+  const claimed = await ModerationCase.updateOne(
+    { _id: moderationCase._id, status: 'open' },
+    { $set: { status: action === 'dismiss' ? 'dismissed' : 'resolved' } }
+  );
+  if (!claimed.modifiedCount) throw new AppError('This case has already been closed', 409);
+
+  const resolution = { action, moderator: moderatorId, note, resolvedAt: new Date() };
+  const entries = [auditEntry(action, moderatorId, { note })];
+  const changes = {};
+
+  if (action === 'dismiss' && moderationCase.contentHidden) {
+    await handler.restore(moderationCase.targetId, moderationCase.previousState);
+    changes.contentHidden = false;
+    entries.push(auditEntry('restored', moderatorId));
+  }
+
+  if (action === 'hide') {
+    // Content hidden automatically stays hidden; hideTarget() logs the hide when it does it
+    const target = await handler.load(moderationCase.targetId);
+    if (target && await hideTarget(moderationCase, target, entries[0])) entries.shift();
+
+    await notify([targetUserId], {
+      title: `Your ${label} was removed`,
+      message: note || `Your ${label} was removed for breaking the community guidelines`,
+      type: 'warning'
+    });
+  }
+
+  if (action === 'warn') {
+    await User.updateOne(
+      { _id: targetUserId },
+      { $push: { warnings: { reason: note, case: moderationCase._id, issuedAt: new Date() } } }
+    );
+    await notify([targetUserId], {
+      title: 'You have received a warning',
+      message: note || `A ${label} of yours was reported and breaks the community guidelines`,
+      type: 'warning'
+    });
+  }
+
+  if (action === 'suspend') {
+    const until = new Date(Date.now() + suspendLength * 24 * 60 * 60 * 1000);
+    await User.updateOne(
+      { _id: targetUserId, status: { $ne: 'deleted' } },
+      { $set: { status: 'suspended', suspension: { until, reason: note, case: moderationCase._id } } }
+    );
+    await terminateAllSessions(targetUserId);
+
+    resolution.suspendedUntil = until;
+    entries[0].details = { days: suspendLength, until };
+    await notify([targetUserId], {
+      title: 'Your account has been suspended',
+      message: `Your account is suspended until ${until.toUTCString()}${note ? `: ${note}` : ''}`,
+      type: 'warning'
+    });
+  }
+
+  await ModerationCase.updateOne(
+    { _id: moderationCase._id },
+    {
+      $set: { ...changes, resolution },
+      ...(entries.length ? { $push: { auditLog: { $each: entries } } } : {})
+    }
+  );
+
+  // Let the reporters know their reports were looked at
+  const reporterIds = await Report.distinct('reporter', { case: moderationCase._id });
+  await notify(reporterIds, {
+    title: 'Thanks for your report',
+    message: action === 'dismiss'
+      ? `We reviewed the ${label} you reported and found it does not break the community guidelines`
+      : `We reviewed the ${label} you reported and took action`,
+    type: 'info'
+  });
+
+  return getCase(moderationCase._id);
+};
+
+/**
+ * Reactivate accounts whose suspension has run out (run by the job runner)
+ * @returns {Promise<number>} The number of accounts reactivated
+ */
+export const liftExpiredSuspensions = async () => {
+  const result = await User.updateMany(
+    { status: 'suspended', 'suspension.until': { $lte: new Date() } },
+    { $set: { status: 'active' }, $unset: { suspension: '' } }
+  );
+
+  if (result.modifiedCount) {
+    console.log(`🔓 Lifted ${result.modifiedCount} expired suspension${result.modifiedCount === 1 ? '' : 's'}`);
+  }
+
+  return result.modifiedCount;
+};
+
+export default {
+  AUTO_HIDE_THRESHOLD,
+  MAX_SUSPENSION_DAYS,
+  reportContent,
+  holdForReview,
+  listCases,
+  getCase,
+  resolveCase,
+  liftExpiredSuspensions
+};
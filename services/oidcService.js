@@ -0,0 +1,333 @@
+/**
+ * OpenID Connect Service
+ * Institution SSO using the authorization code flow with PKCE.
+ *
+ * 1. createAuthorizationRequest: the client opens the returned URL in a browser
+ * 2. The IdP redirects back to the client with `code` and `state`
+ * 3. completeAuthorization: exchange the code, verify the ID token and return its claims
+ * 4. resolveUser: find, link or provision the CampusOS account for those claims
+ */
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import AppError from '../utils/appError.js';
+import { getTtlStore } from './ttlStore.js';
+
+const STATE_TTL_SECONDS = 10 * 60;
+const METADATA_CACHE_MS = 60 * 60 * 1000;
+
+const LEVELS = User.schema.path('level').enumValues;
+
+// Discovery documents and JWKS, keyed by URL
+const metadataCache = new Map();
+
+const base64Url = (buffer) => buffer.toString('base64url');
+
+const stateKey = (state) => `oidc:state:${state}`;
+
+const fetchJson = async (url, options) => {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => null);
+
+  if (!response.ok) {
+    const reason = body?.error_description || body?.error || response.statusText;
+    throw new AppError(`Identity provider request failed: ${reason}`, 502);
+  }
+
+  return body;
+};
+
+const fetchCached = async (url) => {
+  const cached = metadataCache.get(url);
+  if (cached && cached.expiresAt > Date.now()) return cached.value;
+
+  const value = await fetchJson(url);
+  metadataCache.set(url, { value, expiresAt: Date.now() + METADATA_CACHE_MS });
+  return value;
+};
+
+/**
+ * Forget cached discovery documents and signing keys
+ */
+export const clearMetadataCache = () => metadataCache.clear();
+
+/**
+ * Fetch the provider's discovery document
+ * @param {Object} provider - IdentityProvider
+ * @returns {Promise<Object>}
+ */
+export const getProviderMetadata = (provider) => fetchCached(
+  `${provider.issuer.replace(/\/$/, '')}/.well-known/openid-configuration`
+);
+
+const getSigningKey = async (metadata, kid) => {
+  let { keys } = await fetchCached(metadata.jwks_uri);
+  let jwk = keys.find(key => key.kid === kid);
+
+  // The IdP may have rotated its keys since they were cached
+  if (!jwk) {
+    metadataCache.delete(metadata.jwks_uri);
+    ({ keys } = await fetchCached(metadata.jwks_uri));
+    jwk = keys.find(key => key.kid === kid);
+  }
+
+  if (!jwk) {
+    throw new AppError('Identity provider signing key not found', 401);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Start a login: remember state, nonce and PKCE verifier and build the authorization URL
+ * @param {Object} provider - IdentityProvider
+ * @param {Object} [options]
+ * @param {string} [options.redirectUri] - Must be one of provider.redirectUris
+ * @param {Object} [options.device] - Device metadata for the session created afterwards
+ * @returns {Promise<{ authorizationUrl: string, state: string }>}
+ */
+export const createAuthorizationRequest = async (provider, { redirectUri, device = {} } = {}) => {
+  const targetUri = redirectUri || provider.redirectUris[0];
+  if (!provider.redirectUris.includes(targetUri)) {
+    throw new AppError('Redirect URI is not allowed for this identity provider', 400);
+  }
+
+  const metadata = await getProviderMetadata(provider);
+
+  const state = base64Url(crypto.randomBytes(24));
+  const nonce = base64Url(crypto.randomBytes(24));
+  const codeVerifier = base64Url(crypto.randomBytes(32));
+  const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  await getTtlStore().set(stateKey(state), {
+    provider: provider.slug,
+    nonce,
+    codeVerifier,
+    redirectUri: targetUri,
+    device
+  }, STATE_TTL_SECONDS);
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: targetUri,
+    scope: provider.scopes.join(' '),
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256'
+  });
+
+  return {
+    authorizationUrl: `${metadata.authorization_endpoint}?${params.toString()}`,
+    state
+  };
+};
+
+/**
+ * Finish a login: exchange the code and verify the ID token
+ * @param {Object} provider - IdentityProvider, with clientSecret selected if it has one
+ * @param {Object} params
+ * @param {string} params.code - The authorization code
+ * @param {string} params.state - The state returned by the IdP
+ * @returns {Promise<{ claims: Object, device: Object }>}
+ */
+export const completeAuthorization = async (provider, { code, state }) => {
+  if (!code || !state) {
+    throw new AppError('Authorization code and state are required', 400);
+  }
+
+  // Each state can only be used once
+  const pending = await getTtlStore().take(stateKey(state));
+  if (!pending || pending.provider !== provider.slug) {
+    throw new AppError('Your sign-in session has expired. Please try again.', 400);
+  }
+
+  const metadata = await getProviderMetadata(provider);
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: pending.redirectUri,
+    client_id: provider.clientId,
+    code_verifier: pending.codeVerifier
+  });
+  if (provider.clientSecret) {
+    body.set('client_secret', provider.clientSecret);
+  }
+
+  const tokens = await fetchJson(metadata.token_endpoint, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/x-www-form-urlencoded',
+      Accept: 'application/json'
+    },
+    body
+  });
+
+  if (!tokens.id_token) {
+    throw new AppError('Identity provider did not return an ID token', 502);
+  }
+
+  const header = jwt.decode(tokens.id_token, { complete: true })?.header;
+  if (!header) {
+    throw new AppError('Invalid ID token', 401);
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(tokens.id_token, await getSigningKey(metadata, header.kid), {
+      algorithms: ['RS256'],
+      issuer: metadata.issuer,
+      audience: provider.clientId
+    });
+  } catch (error) {
+    throw new AppError(`Invalid ID token: ${error.message}`, 401);
+  }
+
+  if (claims.nonce !== pending.nonce) {
+    throw new AppError('Invalid ID token: nonce mismatch', 401);
+  }
+
+  return { claims, device: pending.device };
+};
+
+const toLevel = (value) => {
+  if (!value) return undefined;
+  const text = String(value).trim();
+  if (LEVELS.includes(text)) return text;
+  if (/^[1-7]00$/.test(text)) return `${text} Level`;
+  return undefined;
+};
+
+/**
+ * Map ID token claims to User fields using the provider's claim mapping
+ * @param {Object} provider - IdentityProvider
+ * @param {Object} claims - Verified ID token claims
+ * @returns {Object}
+ */
+export const mapClaims = (provider, claims) => {
+  const mapping = provider.claimMapping || {};
+  const claim = (name, fallback) => claims[mapping[name] || fallback];
+
+  const firstName = claim('givenName', 'given_name');
+  const lastName = claim('familyName', 'family_name');
+  const name = claim('name', 'name') || [firstName, lastName].filter(Boolean).join(' ');
+  const email = claim('email', 'email');
+
+  return {
+    subject: claims.sub,
+    email: email ? String(email).toLowerCase() : undefined,
+    emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+    firstName,
+    lastName,
+    fullName: name || undefined,
+    university: provider.university,
+    level: toLevel(claim('level', 'level')) || provider.defaults?.level,
+    course: claim('course', 'course') || provider.defaults?.course
+  };
+};
+
+const generateUsername = async (email) => {
+  const base = email.split('@')[0].replace(/[^a-zA-Z0-9_]/g, '_').slice(0, 20).padEnd(3, '_');
+
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    const candidate = attempt === 0 ? base : `${base}_${crypto.randomInt(1000, 99999)}`;
+    if (!(await User.exists({ username: candidate }))) return candidate;
+  }
+
+  return `${base}_${crypto.randomBytes(4).toString('hex')}`;
+};
+
+/**
+ * Check an email address belongs to one of the provider's domains or their subdomains
+ * @param {Object} provider - IdentityProvider
+ * @param {string} email
+ * @returns {boolean} false for every address when the provider has no domains
+ */
+export const isAllowedEmail = (provider, email) => {
+  const domain = String(email || '').toLowerCase().split('@')[1];
+  if (!domain) return false;
+  return (provider.allowedDomains || [])
+    .map(allowed => String(allowed).trim().toLowerCase())
+    .some(allowed => allowed && (domain === allowed || domain.endsWith(`.${allowed}`)));
+};
+
+/**
+ * Find the account for an SSO login, linking or provisioning one when needed.
+ * Only addresses at the provider's own domains are accepted, before any account is looked up.
+ * @param {Object} provider - IdentityProvider
+ * @param {Object} claims - Verified ID token claims
+ * @returns {Promise<{ user: Object, created: boolean, linked: boolean }>}
+ */
+export const resolveUser = async (provider, claims) => {
+  const profile = mapClaims(provider, claims);
+
+  if (!profile.subject) {
+    throw new AppError('ID token has no subject', 401);
+  }
+
+  if (!profile.email) {
+    throw new AppError('Your identity provider did not share an email address', 400);
+  }
+
+  if (!isAllowedEmail(provider, profile.email)) {
+    throw new AppError('Your email domain is not allowed for this institution', 403);
+  }
+
+  const identity = { provider: provider.slug, subject: profile.subject };
+
+  const existing = await User.findOne({ identities: { $elemMatch: identity } });
+  if (existing) {
+    return { user: existing, created: false, linked: false };
+  }
+
+  const byEmail = await User.findOne({ email: profile.email });
+  if (byEmail) {
+    // Only link when the IdP vouches for the address, or anyone could claim an account
+    if (!profile.emailVerified) {
+      throw new AppError('An account with this email already exists. Sign in with your password to continue.', 409);
+    }
+
+    byEmail.identities.push({ ...identity, linkedAt: new Date() });
+    byEmail.emailVerified = true;
+    await byEmail.save({ validateBeforeSave: false });
+
+    return { user: byEmail, created: false, linked: true };
+  }
+
+  if (!profile.level || !profile.course) {
+    throw new AppError('Your identity provider did not share your level and course. Please register with a password instead.', 400);
+  }
+
+  const username = await generateUsername(profile.email);
+  const fullName = profile.fullName || username;
+
+  const user = await User.create({
+    username,
+    email: profile.email,
+    // SSO accounts sign in through the IdP; this only satisfies the schema
+    password: crypto.randomBytes(32).toString('hex'),
+    displayName: fullName.slice(0, 50),
+    firstName: profile.firstName,
+    lastName: profile.lastName,
+    fullName,
+    university: profile.university,
+    level: profile.level,
+    course: profile.course,
+    emailVerified: profile.emailVerified,
+    identities: [identity]
+  });
+
+  return { user, created: true, linked: false };
+};
+
+export default {
+  clearMetadataCache,
+  getProviderMetadata,
+  createAuthorizationRequest,
+  completeAuthorization,
+  mapClaims,
+  isAllowedEmail,
+  resolveUser
+};
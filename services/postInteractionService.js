@@ -0,0 +1,351 @@
+/**
+ * Post Interaction Service
+ * Reposts, quote posts, shares and saves.
+ *
+ * A repost is a post with `isRepost` and no content of its own; a quote post
+ * has content and an `originalPost` but is not a repost. Both count towards the
+ * original's `repostCount`, and `repostedBy` lists the users with a plain
+ * repost. Counters are changed with the same atomic update that changes the
+ * list they count, so concurrent requests cannot drift them.
+ */
+import mongoose from 'mongoose';
+import Post from '../models/Post.js';
+import SavedPost from '../models/SavedPost.js';
+import User from '../models/User.js';
+import AppError from '../utils/appError.js';
+import { screenContent } from './contentFilterService.js';
+import { applyTextEntities, notifyMentions } from './mentionService.js';
+import { holdForReview } from './moderationService.js';
+import NotificationService from './notificationService.js';
+import { getFriendIds, isBlockedBetween } from './relationshipService.js';
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+const AUTHOR_FIELDS = 'username profilePic displayName fullName';
+
+const idOf = (value) => String(value?._id || value);
+
+/**
+ * Check whether a user may see a post
+ * @param {string} userId
+ * @param {Object} post
+ * @returns {Promise<boolean>}
+ */
+export const canSeePost = async (userId, post) => {
+  const authorId = idOf(post.author);
+  if (authorId === String(userId)) return true;
+
+  const now = new Date();
+  if (post.status !== 'published' || (post.expiresAt && post.expiresAt <= now)) return false;
+  if (post.privacy === 'private' || await isBlockedBetween(userId, authorId)) return false;
+  if (post.privacy !== 'connections') return true;
+
+  const [viewer, friendIds] = await Promise.all([
+    User.findById(userId).select('following').lean(),
+    getFriendIds(userId)
+  ]);
+  return friendIds.includes(authorId) || (viewer?.following || []).some(id => String(id) === authorId);
+};
+
+/**
+ * Drop the originals of reposts and quote posts that the user may not see
+ * (unpublished, expired, private or by a blocked user) from posts loaded with
+ * `originalPost` populated, so they only show that the original is unavailable
+ * @param {string} userId
+ * @param {Array<Object>} posts
+ * @returns {Promise<Array<Object>>} The same posts
+ */
+export const hideUnseenOriginals = async (userId, posts) => {
+  await Promise.all(posts.map(async (post) => {
+    if (post?.originalPost?._id && !(await canSeePost(userId, post.originalPost))) {
+      post.originalPost = null;
+    }
+  }));
+  return posts;
+};
+
+/**
+ * Load a post the user may see, following a plain repost to its original
+ * @param {string} userId
+ * @param {string} postId
+ * @returns {Promise<Object>}
+ */
+const findVisiblePost = async (userId, postId) => {
+  if (!mongoose.Types.ObjectId.isValid(postId)) throw new AppError('Post not found', 404);
+  let post = await Post.findById(postId);
+  if (post?.isRepost && post.originalPost) post = await Post.findById(post.originalPost);
+
+  if (!post || !(await canSeePost(userId, post))) throw new AppError('Post not found', 404);
+  return post;
+};
+
+// Only public posts can be reposted or quoted, so their audience never widens
+const assertCanRepost = (post) => {
+  if (post.privacy && post.privacy !== 'public') {
+    throw new AppError('Only public posts can be reposted', 403);
+  }
+  if (post.allowSharing === false) {
+    throw new AppError('The author has turned off sharing for this post', 403);
+  }
+};
+
+// Tell the original author, unless they are the actor or have muted them
+const notifyAuthor = async (post, actorId, verb) => {
+  const authorId = idOf(post.author);
+  if (authorId === String(actorId)) return;
+
+  try {
+    const [author, actor] = await Promise.all([
+      User.findById(authorId).select('+mutedUsers').lean(),
+      User.findById(actorId).select('username').lean()
+    ]);
+    if (!author || !actor || (author.mutedUsers || []).some(id => String(id) === String(actorId))) return;
+
+    await NotificationService.sendNotification(authorId, {
+      title: 'Your post was shared',
+      message: `@${actor.username} ${verb} your post`,
+      type: 'info',
+      action: {
+        type: 'navigate',
+        target: 'Post',
+        params: { postId: String(post._id), userId: String(actorId) }
+      },
+      relatedDocument: post._id,
+      relatedDocumentModel: 'Post'
+    });
+  } catch (error) {
+    console.error('Error sending repost notification:', error);
+  }
+};
+
+/**
+ * Repost a post
+ * @param {string} userId
+ * @param {string} postId - A repost resolves to its original
+ * @returns {Promise<Object>} The repost, with the original populated
+ */
+export const repost = async (userId, postId) => {
+  const original = await findVisiblePost(userId, postId);
+  assertCanRepost(original);
+
+  let created;
+  try {
+    created = await Post.create({ author: userId, originalPost: original._id, isRepost: true });
+  } catch (error) {
+    if (error.code === 11000) throw new AppError('You have already reposted this post', 409);
+    throw error;
+  }
+
+  await Post.updateOne(
+    { _id: original._id },
+    { $addToSet: { repostedBy: userId }, $inc: { repostCount: 1 } }
+  );
+  await notifyAuthor(original, userId, 'reposted');
+
+  return created.populate([
+    { path: 'author', select: AUTHOR_FIELDS },
+    { path: 'originalPost', populate: { path: 'author', select: AUTHOR_FIELDS } }
+  ]);
+};
+
+/**
+ * Undo a repost
+ * @param {string} userId
+ * @param {string} postId - The original or the repost itself
+ * @returns {Promise<number>} The original's repost count
+ */
+export const unrepost = async (userId, postId) => {
+  if (!mongoose.Types.ObjectId.isValid(postId)) throw new AppError('Post not found', 404);
+  const post = await Post.findById(postId).select('isRepost originalPost').lean();
+  if (!post) throw new AppError('Post not found', 404);
+  const originalId = post.isRepost ? post.originalPost : post._id;
+
+  const removed = await Post.findOneAndDelete({ author: userId, originalPost: originalId, isRepost: true });
+  if (!removed) throw new AppError('You have not reposted this post', 404);
+
+  const original = await Post.findOneAndUpdate(
+    { _id: originalId },
+    { $pull: { repostedBy: userId }, $inc: { repostCount: -1 } },
+    { new: true }
+  ).select('repostCount').lean();
+
+  return original ? original.repostCount : 0;
+};
+
+/**
+ * Repost a post with a comment of the user's own
+ * @param {string} userId
+ * @param {string} postId - A repost resolves to its original
+ * @param {string} content
+ * @returns {Promise<Object>} The quote post, with the quoted post populated
+ */
+export const quote = async (userId, postId, content) => {
+  if (!content || !String(content).trim()) throw new AppError('Content is required to quote a post', 400);
+
+  const original = await findVisiblePost(userId, postId);
+  assertCanRepost(original);
+
+  const screened = await screenContent(userId, 'post', content);
+  const post = new Post({ author: userId, content: screened.content, originalPost: original._id });
+  const mentioned = await applyTextEntities(post, userId);
+  await post.save();
+
+  await Post.updateOne({ _id: original._id }, { $inc: { repostCount: 1 } });
+  if (screened.review) {
+    await holdForReview('post', post, screened.matches);
+    post.status = 'hidden';
+  } else {
+    await notifyAuthor(original, userId, 'quoted');
+    await notifyMentions({ recipientIds: mentioned, actorId: userId, post });
+  }
+
+  return post.populate([
+    { path: 'author', select: AUTHOR_FIELDS },
+    { path: 'originalPost', populate: { path: 'author', select: AUTHOR_FIELDS } }
+  ]);
+};
+
+/**
+ * Record that a user shared a post outside the feed (link, message, other app).
+ * Each user counts once towards `shareCount`.
+ * @param {string} userId
+ * @param {string} postId
+ * @returns {Promise<number>} The post's share count
+ */
+export const sharePost = async (userId, postId) => {
+  const post = await findVisiblePost(userId, postId);
+  if (post.allowSharing === false) {
+    throw new AppError('The author has turned off sharing for this post', 403);
+  }
+
+  const result = await Post.updateOne(
+    { _id: post._id, shares: { $ne: userId } },
+    { $push: { shares: userId }, $inc: { shareCount: 1 } }
+  );
+  if (result.modifiedCount) await notifyAuthor(post, userId, 'shared');
+
+  const updated = await Post.findById(post._id).select('shareCount').lean();
+  return updated.shareCount;
+};
+
+/**
+ * Save a post to the user's collection
+ * @param {string} userId
+ * @param {string} postId
+ * @returns {Promise<number>} The post's save count
+ */
+export const savePost = async (userId, postId) => {
+  const post = await findVisiblePost(userId, postId);
+
+  try {
+    await SavedPost.create({ user: userId, post: post._id });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const updated = await Post.findOneAndUpdate(
+    { _id: post._id, saves: { $ne: userId } },
+    { $push: { saves: userId }, $inc: { saveCount: 1 } },
+    { new: true }
+  ).select('saveCount').lean();
+
+  return updated ? updated.saveCount : post.saveCount;
+};
+
+/**
+ * Remove a post from the user's collection
+ * @param {string} userId
+ * @param {string} postId
+ * @returns {Promise<number>} The post's save count
+ */
+export const unsavePost = async (userId, postId) => {
+  if (!mongoose.Types.ObjectId.isValid(postId)) throw new AppError('Post not found', 404);
+  await SavedPost.deleteOne({ user: userId, post: postId });
+
+  const updated = await Post.findOneAndUpdate(
+    { _id: postId, saves: userId },
+    { $pull: { saves: userId }, $inc: { saveCount: -1 } },
+    { new: true }
+  ).select('saveCount').lean();
+  if (updated) return updated.saveCount;
+
+  const post = await Post.findById(postId).select('saveCount').lean();
+  if (!post) throw new AppError('Post not found', 404);
+  return post.saveCount;
+};
+
+/**
+ * The user's saved posts, most recently saved first.
+ * Posts the user can no longer see are left out of the page.
+ * @param {string} userId
+ * @param {Object} [options]
+ * @param {string} [options.cursor] - From a previous page's nextCursor
+ * @param {number} [options.limit]
+ * @returns {Promise<{ posts: Array<Object>, nextCursor: string|null }>}
+ */
+export const listSavedPosts = async (userId, { cursor, limit } = {}) => {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const filter = { user: userId };
+  if (cursor) {
+    if (!/^[a-f\d]{24}$/i.test(cursor)) throw new AppError('Invalid cursor', 400);
+    filter._id = { $lt: cursor };
+  }
+
+  const saved = await SavedPost.find(filter)
+    .sort({ _id: -1 })
+    .limit(pageSize + 1)
+    .populate({
+      path: 'post',
+      populate: [
+        { path: 'author', select: AUTHOR_FIELDS },
+        { path: 'originalPost', populate: { path: 'author', select: AUTHOR_FIELDS } }
+      ]
+    });
+
+  const page = saved.slice(0, pageSize);
+  const visible = await Promise.all(page.map(entry => entry.post && canSeePost(userId, entry.post)));
+  const listed = page.filter((entry, index) => visible[index]);
+  await hideUnseenOriginals(userId, listed.map(entry => entry.post));
+
+  return {
+    posts: listed.map(entry => ({ ...entry.post.toJSON(), savedAt: entry.createdAt })),
+    nextCursor: saved.length > pageSize ? String(page[page.length - 1]._id) : null
+  };
+};
+
+/**
+ * Undo a deleted post's effect on others: drop its reposts and saves, and
+ * take it off the count of the post it reposted or quoted
+ * @param {Object} post - The deleted post
+ */
+export const releasePost = async (post) => {
+  const tasks = [
+    Post.deleteMany({ originalPost: post._id, isRepost: true }),
+    SavedPost.deleteMany({ post: post._id })
+  ];
+
+  if (post.originalPost) {
+    tasks.push(Post.updateOne(
+      { _id: post.originalPost },
+      post.isRepost
+        ? { $pull: { repostedBy: post.author }, $inc: { repostCount: -1 } }
+        : { $inc: { repostCount: -1 } }
+    ));
+  }
+
+  await Promise.all(tasks);
+};
+
+export default {
+  canSeePost,
+  hideUnseenOriginals,
+  repost,
+  unrepost,
+  quote,
+  sharePost,
+  savePost,
+  unsavePost,
+  listSavedPosts,
+  releasePost
+};
@@ -0,0 +1,274 @@
+/**
+ * Post Schedule Service
+ * Drafts, edits, scheduled publishing and expiry of posts.
+ *
+ * A scheduled post is a draft with a `scheduledAt`; the publish job makes it
+ * live once that time passes and tells the author's followers. Published posts
+ * with an `expiresAt` in the past are archived by the expiry job.
+ */
+import mongoose from 'mongoose';
+import Post from '../models/Post.js';
+import User from '../models/User.js';
+import AppError from '../utils/appError.js';
+import { screenContent } from './contentFilterService.js';
+import { applyTextEntities, notifyMentions } from './mentionService.js';
+import { holdForReview } from './moderationService.js';
+
+// Posts handled per job run, so one run cannot hold the lock for long
+const BATCH_SIZE = 100;
+
+const AUTHOR_FIELDS = 'username profilePic displayName fullName';
+
+function getIo() {
+  if (global && global.__webSocketService && global.__webSocketService.io) return global.__webSocketService.io;
+  return null;
+}
+
+const parseDate = (value, field) => {
+  if (value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError(`${field} must be a valid date`, 400);
+  }
+  return date;
+};
+
+/**
+ * Validate and normalize the scheduling fields of a post
+ * @param {Object} fields
+ * @param {string|Date|null} [fields.scheduledAt] - undefined leaves it unchanged, null clears it
+ * @param {string|Date|null} [fields.expiresAt] - undefined leaves it unchanged, null clears it
+ * @param {Object} [current] - The post being edited
+ * @returns {{ scheduledAt?: Date|null, expiresAt?: Date|null }}
+ */
+export const resolveSchedule = ({ scheduledAt, expiresAt }, current = {}) => {
+  const now = new Date();
+  const schedule = {};
+
+  if (scheduledAt !== undefined) {
+    schedule.scheduledAt = parseDate(scheduledAt, 'scheduledAt');
+    if (schedule.scheduledAt && schedule.scheduledAt <= now) {
+      throw new AppError('scheduledAt must be in the future', 400);
+    }
+  }
+
+  if (expiresAt !== undefined) {
+    schedule.expiresAt = parseDate(expiresAt, 'expiresAt');
+  }
+
+  const goesLiveAt = (schedule.scheduledAt !== undefined ? schedule.scheduledAt : current.scheduledAt) || now;
+  const expires = schedule.expiresAt !== undefined ? schedule.expiresAt : current.expiresAt;
+  if (expires && expires <= goesLiveAt) {
+    throw new AppError('expiresAt must be after the post goes live', 400);
+  }
+
+  return schedule;
+};
+
+/**
+ * Tell an author's followers that a post went live.
+ * Private posts are not announced, and followers who muted the author are skipped.
+ * @param {Object} post - Post with `author` populated
+ */
+export const announcePost = async (post) => {
+  const io = getIo();
+  if (!io || post.privacy === 'private') return;
+
+  const author = await User.findById(post.author._id || post.author).select('followers').lean();
+  const followerIds = author?.followers || [];
+  if (!followerIds.length) return;
+
+  const muting = await User.find({ _id: { $in: followerIds }, mutedUsers: author._id }).select('_id').lean();
+  const muted = new Set(muting.map(({ _id }) => String(_id)));
+
+  followerIds
+    .filter(id => !muted.has(String(id)))
+    .forEach(id => io.to(`user_${id}`).emit('new_post', { post }));
+};
+
+/**
+ * Publish a draft now
+ * @param {Object} post - Post document
+ * @returns {Promise<Object>} The published post
+ */
+const publish = async (post) => {
+  const now = new Date();
+  post.status = 'published';
+  post.publishedAt = now;
+  post.scheduledAt = post.scheduledAt && post.scheduledAt <= now ? post.scheduledAt : null;
+  await post.save();
+
+  await post.populate('author', AUTHOR_FIELDS);
+  await announcePost(post).catch(error => console.error('Error announcing post:', error));
+  await notifyMentions({ recipientIds: post.mentions.map(({ user }) => user), actorId: post.author._id, post });
+  return post;
+};
+
+/**
+ * Publish every scheduled post whose time has come (run by the job runner)
+ * @returns {Promise<number>} The number of posts published
+ */
+export const publishDuePosts = async () => {
+  const due = await Post.find({ status: 'draft', scheduledAt: { $ne: null, $lte: new Date() } })
+    .sort({ scheduledAt: 1 })
+    .limit(BATCH_SIZE);
+
+  let published = 0;
+  for (const post of due) {
+    // Claim the post so an edit or a second run cannot publish it twice
+    const claimed = await Post.updateOne(
+      { _id: post._id, status: 'draft', scheduledAt: post.scheduledAt },
+      { $set: { status: 'published', publishedAt: new Date() } }
+    );
+    if (!claimed.modifiedCount) continue;
+
+    const live = await Post.findById(post._id).populate('author', AUTHOR_FIELDS);
+    await announcePost(live).catch(error => console.error('Error announcing post:', error));
+    await notifyMentions({ recipientIds: live.mentions.map(({ user }) => user), actorId: live.author._id, post: live });
+    published++;
+  }
+
+  if (published) {
+    console.log(`📣 Published ${published} scheduled post${published === 1 ? '' : 's'}`);
+  }
+
+  return published;
+};
+
+/**
+ * Archive published posts whose expiry has passed (run by the job runner)
+ * @returns {Promise<number>} The number of posts archived
+ */
+export const archiveExpiredPosts = async () => {
+  const result = await Post.updateMany(
+    { status: 'published', expiresAt: { $ne: null, $lte: new Date() } },
+    { $set: { status: 'archived' } }
+  );
+
+  if (result.modifiedCount) {
+    console.log(`🗄️  Archived ${result.modifiedCount} expired post${result.modifiedCount === 1 ? '' : 's'}`);
+  }
+
+  return result.modifiedCount;
+};
+
+/**
+ * List the author's drafts or scheduled posts
+ * @param {string} authorId
+ * @param {'draft'|'scheduled'} type
+ * @returns {Promise<Array<Object>>}
+ */
+export const listDrafts = async (authorId, type = 'draft') => {
+  if (!['draft', 'scheduled'].includes(type)) {
+    throw new AppError('Type must be draft or scheduled', 400);
+  }
+
+  const scheduled = type === 'scheduled';
+  return Post.find({
+    author: authorId,
+    status: 'draft',
+    scheduledAt: scheduled ? { $ne: null } : null
+  })
+    .sort(scheduled ? { scheduledAt: 1 } : { updatedAt: -1 })
+    .populate('author', AUTHOR_FIELDS);
+};
+
+const findOwnDraft = async (authorId, postId) => {
+  const post = await Post.findOne({ _id: postId, author: authorId, status: 'draft' });
+  if (!post) throw new AppError('Draft not found', 404);
+  return post;
+};
+
+/**
+ * Edit a draft or scheduled post. New text goes through the content filter.
+ * @param {string} authorId
+ * @param {string} postId
+ * @param {Object} changes
+ * @param {string} [changes.content]
+ * @param {string|null} [changes.scheduledAt] - null turns a scheduled post back into a draft
+ * @param {string|null} [changes.expiresAt]
+ * @param {string} [changes.privacy]
+ * @returns {Promise<Object>} The updated post, hidden when the filter held the edit for review
+ */
+export const updateDraft = async (authorId, postId, { content, scheduledAt, expiresAt, privacy }) => {
+  const post = await findOwnDraft(authorId, postId);
+
+  Object.assign(post, resolveSchedule({ scheduledAt, expiresAt }, post));
+  const screened = content !== undefined ? await screenContent(authorId, 'post', content) : null;
+  if (screened) post.content = screened.content;
+  if (privacy !== undefined) post.privacy = privacy;
+  // Mentions in a draft are notified when it is published
+  const contentChanged = post.isModified('content');
+  if (contentChanged) await applyTextEntities(post, authorId);
+
+  await post.save();
+
+  // A held draft is hidden, so it cannot be published until a moderator approves it
+  if (contentChanged && screened.review) {
+    await holdForReview('post', post, screened.matches);
+    post.status = 'hidden';
+  }
+  return post.populate('author', AUTHOR_FIELDS);
+};
+
+/**
+ * Edit a post's text. The new text goes through the content filter like a new post.
+ * @param {string} authorId
+ * @param {string} postId
+ * @param {string} [content] - The post is left as it is when empty
+ * @returns {Promise<Object>} The updated post, hidden when the filter held the edit for review
+ */
+export const editPost = async (authorId, postId, content) => {
+  if (!mongoose.Types.ObjectId.isValid(postId)) throw new AppError('Post not found', 404);
+
+  const post = await Post.findById(postId);
+  if (!post) throw new AppError('Post not found', 404);
+  if (String(post.author) !== String(authorId)) {
+    throw new AppError('Not authorized to update this post', 403);
+  }
+  if (!content) return post;
+
+  const screened = await screenContent(authorId, 'post', content);
+  post.content = screened.content;
+  if (!post.isModified('content')) return post;
+
+  const mentioned = await applyTextEntities(post, authorId);
+  await post.save();
+
+  // Held edits stay hidden, and mentions unannounced, until a moderator approves them
+  if (screened.review) {
+    await holdForReview('post', post, screened.matches);
+    post.status = 'hidden';
+    return post;
+  }
+
+  await notifyMentions({ recipientIds: mentioned, actorId: authorId, post });
+  return post;
+};
+
+/**
+ * Publish a draft or scheduled post right away
+ * @param {string} authorId
+ * @param {string} postId
+ * @returns {Promise<Object>} The published post
+ */
+export const publishDraft = async (authorId, postId) => {
+  const post = await findOwnDraft(authorId, postId);
+
+  if (post.expiresAt && post.expiresAt <= new Date()) {
+    throw new AppError('This post has already expired', 400);
+  }
+
+  return publish(post);
+};
+
+export default {
+  resolveSchedule,
+  announcePost,
+  publishDuePosts,
+  archiveExpiredPosts,
+  listDrafts,
+  updateDraft,
+  editPost,
+  publishDraft
+};
@@ -0,0 +1,333 @@
+/**
+ * Relationship Service
+ * Works out how two users are related and what one may see of the other.
+ *
+ * "Friends" are users who follow each other, or who are accepted study buddies.
+ * Profile visibility (`public` / `friends` / `private`) and last seen
+ * (`everyone` / `my_contacts` / `nobody`) use the same three levels.
+ *
+ * Blocking works both ways: neither user sees the other's profile or content,
+ * and they cannot follow, message or send study buddy requests to each other.
+ * Muting only leaves the muted user's content out of the muter's feeds.
+ */
+import mongoose from 'mongoose';
+import FollowRequest from '../models/FollowRequest.js';
+import StudyBuddyRequest from '../models/StudyBuddyRequest.js';
+import User from '../models/User.js';
+import AppError from '../utils/appError.js';
+
+// Privacy setting value -> who it lets through
+const AUDIENCES = {
+  public: 'everyone',
+  everyone: 'everyone',
+  friends: 'friends',
+  my_contacts: 'friends',
+  private: 'self',
+  nobody: 'self'
+};
+
+// Fields of a profile that anyone may see, even when the profile is hidden
+const PUBLIC_CARD_FIELDS = ['_id', 'username', 'displayName', 'fullName', 'profilePic'];
+
+// Fields that reveal presence and follow the last seen setting
+const PRESENCE_FIELDS = ['lastSeen', 'lastActive', 'onlineStatus'];
+
+const toId = (value) => String(value?._id || value);
+
+/**
+ * Decide whether a privacy setting lets a viewer through
+ * @param {string} setting - A profileVisibility or lastSeen value (defaults to public)
+ * @param {Object} relationship
+ * @param {boolean} relationship.isSelf
+ * @param {boolean} relationship.isFriend
+ * @returns {boolean}
+ */
+export const isVisibleTo = (setting, { isSelf = false, isFriend = false } = {}) => {
+  if (isSelf) return true;
+
+  const audience = AUDIENCES[setting] || 'everyone';
+  if (audience === 'everyone') return true;
+  if (audience === 'friends') return isFriend;
+  return false;
+};
+
+/**
+ * Check whether two users are friends
+ * @param {string} userId
+ * @param {string} otherId
+ * @returns {Promise<boolean>}
+ */
+export const areFriends = async (userId, otherId) => {
+  if (!userId || !otherId || toId(userId) === toId(otherId)) return false;
+  if (!mongoose.Types.ObjectId.isValid(toId(userId)) || !mongoose.Types.ObjectId.isValid(toId(otherId))) return false;
+
+  const [mutualFollow, buddies] = await Promise.all([
+    User.exists({ _id: toId(userId), following: toId(otherId), followers: toId(otherId) }),
+    StudyBuddyRequest.exists({
+      status: 'accepted',
+      $or: [
+        { sender: toId(userId), receiver: toId(otherId) },
+        { sender: toId(otherId), receiver: toId(userId) }
+      ]
+    })
+  ]);
+
+  return Boolean(mutualFollow || buddies);
+};
+
+/**
+ * IDs of everyone a user is friends with
+ * @param {string} userId
+ * @returns {Promise<Array<string>>}
+ */
+export const getFriendIds = async (userId) => {
+  const [user, buddyRequests] = await Promise.all([
+    User.findById(userId).select('followers following').lean(),
+    StudyBuddyRequest.find({
+      status: 'accepted',
+      $or: [{ sender: userId }, { receiver: userId }]
+    }).select('sender receiver').lean()
+  ]);
+
+  const followers = new Set((user?.followers || []).map(String));
+  const friends = new Set((user?.following || []).map(String).filter(id => followers.has(id)));
+
+  buddyRequests.forEach(({ sender, receiver }) => {
+    friends.add(String(sender) === String(userId) ? String(receiver) : String(sender));
+  });
+
+  return [...friends];
+};
+
+/**
+ * Work out what a viewer may see of a user
+ * @param {string} viewerId
+ * @param {Object} target - User document or object with `_id` and `settings`
+ * @returns {Promise<{ profile: boolean, presence: boolean }>}
+ */
+export const getAccess = async (viewerId, target) => {
+  const privacy = target?.settings?.privacy || {};
+  const isSelf = toId(viewerId) === toId(target);
+
+  // Only look up the relationship when a setting depends on it
+  const needsFriendship = !isSelf && [privacy.profileVisibility, privacy.lastSeen]
+    .some(setting => AUDIENCES[setting] === 'friends');
+  const isFriend = needsFriendship ? await areFriends(viewerId, target._id) : false;
+
+  return {
+    profile: isVisibleTo(privacy.profileVisibility, { isSelf, isFriend }),
+    presence: isVisibleTo(privacy.lastSeen, { isSelf, isFriend })
+  };
+};
+
+/**
+ * Check whether a viewer may see a user's full profile
+ * @param {string} viewerId
+ * @param {Object} target
+ * @returns {Promise<boolean>}
+ */
+export const canViewProfile = async (viewerId, target) => (await getAccess(viewerId, target)).profile;
+
+/**
+ * Reduced profile returned when the full profile is hidden
+ * @param {Object} user
+ * @returns {Object}
+ */
+export const toPublicCard = (user) => {
+  const source = typeof user?.toObject === 'function' ? user.toObject() : user;
+  const card = {};
+
+  PUBLIC_CARD_FIELDS.forEach(field => {
+    if (source[field] !== undefined) card[field] = source[field];
+  });
+
+  card.displayName = card.displayName || card.username;
+  card.isPrivate = true;
+
+  return card;
+};
+
+/**
+ * Shape a profile for a viewer: the full profile, or the public card when it is hidden.
+ * Presence fields are dropped when the last seen setting hides them.
+ * @param {string} viewerId
+ * @param {Object} user - User document
+ * @returns {Promise<Object>}
+ */
+export const toVisibleProfile = async (viewerId, user) => {
+  const access = await getAccess(viewerId, user);
+  if (!access.profile) return toPublicCard(user);
+
+  const profile = typeof user.toJSON === 'function' ? user.toJSON() : { ...user };
+  if (!access.presence) {
+    PRESENCE_FIELDS.forEach(field => delete profile[field]);
+  }
+  return profile;
+};
+
+/**
+ * Check whether either user has blocked the other
+ * @param {string} userId
+ * @param {string} otherId
+ * @returns {Promise<boolean>}
+ */
+export const isBlockedBetween = async (userId, otherId) => {
+  if (!mongoose.Types.ObjectId.isValid(toId(userId)) || !mongoose.Types.ObjectId.isValid(toId(otherId))) return false;
+
+  const blocked = await User.exists({
+    $or: [
+      { _id: toId(userId), blockedUsers: toId(otherId) },
+      { _id: toId(otherId), blockedUsers: toId(userId) }
+    ]
+  });
+  return Boolean(blocked);
+};
+
+/**
+ * Throw when either user has blocked the other
+ * @param {string} userId
+ * @param {string} otherId
+ * @param {string} [message]
+ */
+export const assertNotBlocked = async (userId, otherId, message = 'You cannot interact with this user') => {
+  if (await isBlockedBetween(userId, otherId)) {
+    throw new AppError(message, 403);
+  }
+};
+
+/**
+ * IDs of users hidden from a user because of a block, in either direction
+ * @param {string} userId
+ * @returns {Promise<Array<string>>}
+ */
+export const getBlockedIds = async (userId) => {
+  const [user, blockedBy] = await Promise.all([
+    User.findById(userId).select('+blockedUsers').lean(),
+    User.find({ blockedUsers: userId }).select('_id').lean()
+  ]);
+
+  return [...new Set([
+    ...(user?.blockedUsers || []).map(String),
+    ...blockedBy.map(({ _id }) => String(_id))
+  ])];
+};
+
+/**
+ * IDs of users whose content is left out of a user's feeds: blocked either way, or muted
+ * @param {string} userId
+ * @returns {Promise<Array<string>>}
+ */
+export const getHiddenIds = async (userId) => {
+  const [blockedIds, user] = await Promise.all([
+    getBlockedIds(userId),
+    User.findById(userId).select('+mutedUsers').lean()
+  ]);
+
+  return [...new Set([...blockedIds, ...(user?.mutedUsers || []).map(String)])];
+};
+
+const assertOtherUser = async (userId, targetId) => {
+  if (toId(userId) === toId(targetId)) {
+    throw new AppError('You cannot do this to yourself', 400);
+  }
+  if (!mongoose.Types.ObjectId.isValid(toId(targetId)) || !(await User.exists({ _id: toId(targetId) }))) {
+    throw new AppError('User not found', 404);
+  }
+};
+
+/**
+ * Block a user. Follows and pending requests between the two users are removed.
+ * @param {string} userId
+ * @param {string} targetId
+ */
+export const blockUser = async (userId, targetId) => {
+  await assertOtherUser(userId, targetId);
+
+  await Promise.all([
+    User.updateOne({ _id: userId }, {
+      $addToSet: { blockedUsers: targetId },
+      $pull: { followers: targetId, following: targetId }
+    }),
+    User.updateOne({ _id: targetId }, {
+      $pull: { followers: userId, following: userId }
+    }),
+    StudyBuddyRequest.updateMany({
+      status: 'pending',
+      $or: [
+        { sender: userId, receiver: targetId },
+        { sender: targetId, receiver: userId }
+      ]
+    }, { $set: { status: 'cancelled', respondedAt: new Date() } }),
+    FollowRequest.updateMany({
+      status: 'pending',
+      $or: [
+        { requester: userId, target: targetId },
+        { requester: targetId, target: userId }
+      ]
+    }, { $set: { status: 'cancelled', respondedAt: new Date() } })
+  ]);
+};
+
+/**
+ * Unblock a user
+ * @param {string} userId
+ * @param {string} targetId
+ * @returns {Promise<boolean>} Whether the user was blocked
+ */
+export const unblockUser = async (userId, targetId) => {
+  const result = await User.updateOne({ _id: userId }, { $pull: { blockedUsers: targetId } });
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Mute a user
+ * @param {string} userId
+ * @param {string} targetId
+ */
+export const muteUser = async (userId, targetId) => {
+  await assertOtherUser(userId, targetId);
+  await User.updateOne({ _id: userId }, { $addToSet: { mutedUsers: targetId } });
+};
+
+/**
+ * Unmute a user
+ * @param {string} userId
+ * @param {string} targetId
+ * @returns {Promise<boolean>} Whether the user was muted
+ */
+export const unmuteUser = async (userId, targetId) => {
+  const result = await User.updateOne({ _id: userId }, { $pull: { mutedUsers: targetId } });
+  return result.modifiedCount > 0;
+};
+
+/**
+ * List the users a user has blocked or muted
+ * @param {string} userId
+ * @param {'blockedUsers'|'mutedUsers'} list
+ * @returns {Promise<Array<Object>>}
+ */
+export const listUsers = async (userId, list) => {
+  const user = await User.findById(userId)
+    .select(`+${list}`)
+    .populate(list, 'username profilePic displayName fullName');
+  return user?.[list] || [];
+};
+
+export default {
+  isVisibleTo,
+  areFriends,
+  getFriendIds,
+  getAccess,
+  canViewProfile,
+  toPublicCard,
+  toVisibleProfile,
+  isBlockedBetween,
+  assertNotBlocked,
+  getBlockedIds,
+  getHiddenIds,
+  blockUser,
+  unblockUser,
+  muteUser,
+  unmuteUser,
+  listUsers
+};
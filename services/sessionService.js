@@ -0,0 +1,135 @@
+/**
+ * Session Service
+ * Validates access tokens against the user's active sessions and
+ * terminates sessions (revoking their refresh tokens and live sockets)
+ */
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import AppError from '../utils/appError.js';
+import { assertCanSignIn, revokeAllRefreshTokens, revokeTokenFamily } from './tokenService.js';
+
+function getWebSocketService() {
+  if (global && global.__webSocketService) return global.__webSocketService;
+  return null;
+}
+
+/**
+ * Verify an access token and load the user of a still-active session whose
+ * account is not suspended or deleted.
+ * JWT errors (JsonWebTokenError, TokenExpiredError) are passed through.
+ * @param {string} token - The raw access token
+ * @param {Object} [options]
+ * @param {string} [options.select] - Fields to select on the user, status among them
+ * @returns {Promise<{ user: Object, sessionId: string, decoded: Object }>}
+ */
+export const authenticateAccessToken = async (token, { select = '-password' } = {}) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Tokens issued before sessions existed cannot be revoked, so they are not accepted
+  if (!decoded.sid) {
+    throw new AppError('Your session has expired. Please log in again.', 401);
+  }
+
+  const user = await User.findOne({
+    _id: decoded.id,
+    'activeSessions.sessionId': decoded.sid
+  }).select(select);
+
+  if (!user) {
+    throw new AppError('Your session has been terminated. Please log in again.', 401);
+  }
+  assertCanSignIn(user);
+
+  return { user, sessionId: decoded.sid, decoded };
+};
+
+/**
+ * Check whether a session still exists
+ * @param {string} userId - The user ID
+ * @param {string} sessionId - The session ID
+ * @returns {Promise<boolean>}
+ */
+export const isSessionActive = async (userId, sessionId) => {
+  if (!userId || !sessionId) return false;
+  const exists = await User.exists({ _id: userId, 'activeSessions.sessionId': sessionId });
+  return !!exists;
+};
+
+/**
+ * Check whether a session was signed in to (rather than refreshed into) recently,
+ * for actions that need the user to have just proven who they are
+ * @param {string} userId - The user ID
+ * @param {string} sessionId - The session ID
+ * @param {number} maxAgeMs - How long ago the sign-in may have been
+ * @returns {Promise<boolean>}
+ */
+export const isRecentSignIn = async (userId, sessionId, maxAgeMs) => {
+  if (!userId || !sessionId) return false;
+  const exists = await User.exists({
+    _id: userId,
+    activeSessions: { $elemMatch: { sessionId, createdAt: { $gte: new Date(Date.now() - maxAgeMs) } } }
+  });
+  return !!exists;
+};
+
+/**
+ * Get all active sessions of a user
+ * @param {string} userId - The user ID
+ * @returns {Promise<Array>}
+ */
+export const listSessions = async (userId) => {
+  const user = await User.findById(userId).select('+activeSessions');
+  return user?.activeSessions || [];
+};
+
+/**
+ * Terminate a single session
+ * @param {string} userId - The user ID
+ * @param {string} sessionId - The session to terminate
+ */
+export const terminateSession = async (userId, sessionId) => {
+  await User.updateOne({ _id: userId }, { $pull: { activeSessions: { sessionId } } });
+  await revokeTokenFamily(userId, sessionId);
+
+  const webSocketService = getWebSocketService();
+  if (webSocketService) webSocketService.disconnectSession(sessionId);
+};
+
+/**
+ * Terminate every session of a user, optionally keeping one
+ * @param {string} userId - The user ID
+ * @param {Object} [options]
+ * @param {string} [options.exceptSessionId] - A session to keep (usually the current one)
+ */
+export const terminateAllSessions = async (userId, { exceptSessionId } = {}) => {
+  const sessions = await listSessions(userId);
+  const toTerminate = sessions.filter(s => s.sessionId !== exceptSessionId);
+
+  if (exceptSessionId) {
+    await User.updateOne(
+      { _id: userId },
+      { $pull: { activeSessions: { sessionId: { $ne: exceptSessionId } } } }
+    );
+    await User.updateOne(
+      { _id: userId },
+      { $pull: { refreshTokens: { family: { $ne: exceptSessionId } } } }
+    );
+  } else {
+    await User.updateOne({ _id: userId }, { $set: { activeSessions: [] } });
+    await revokeAllRefreshTokens(userId);
+  }
+
+  const webSocketService = getWebSocketService();
+  if (webSocketService) {
+    toTerminate.forEach(session => webSocketService.disconnectSession(session.sessionId));
+  }
+};
+
+export default {
+  authenticateAccessToken,
+  isSessionActive,
+  isRecentSignIn,
+  listSessions,
+  terminateSession,
+  terminateAllSessions
+};
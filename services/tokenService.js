@@ -0,0 +1,288 @@
+/**
+ * Token Service
+ * Issues short-lived access tokens and rotating, revocable refresh tokens.
+ * Every login starts a session; its ID is the `sid` claim of the access
+ * tokens and the family of the refresh tokens issued for it.
+ */
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import AppError from '../utils/appError.js';
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Each session keeps its latest rotated tokens so replays can be detected.
+// Sessions are capped too, so a very active account cannot grow the array without bound.
+const ROTATED_TOKENS_KEPT_PER_SESSION = 5;
+const MAX_ACTIVE_SESSIONS = 10;
+
+/**
+ * Hash a raw refresh token for storage and lookup
+ * @param {string} token - The raw refresh token
+ * @returns {string} Hex encoded SHA-256 hash
+ */
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+/**
+ * Throw when an account may not start or keep using a session: it is
+ * suspended (until a moderator's suspension runs out) or deleted
+ * @param {Object} user - The user document, with its status
+ * @throws {AppError} 403, with `suspendedUntil` for suspended accounts
+ */
+export const assertCanSignIn = (user) => {
+  if (user.status === 'suspended') {
+    const error = new AppError('This account is suspended', 403);
+    error.suspendedUntil = user.suspension?.until;
+    throw error;
+  }
+  if (user.status === 'deleted') {
+    throw new AppError('This account is not active', 403);
+  }
+};
+
+const getRequestContext = (req) => ({
+  userAgent: req?.headers?.['user-agent'] || 'unknown',
+  ip: req?.ip
+});
+
+/**
+ * Sign a short-lived access token for a user session
+ * @param {Object} user - The user document
+ * @param {string} sessionId - The session the token belongs to
+ * @returns {{ accessToken: string, expiresAt: Date }}
+ */
+export const signAccessToken = (user, sessionId) => {
+  const accessToken = jwt.sign(
+    { id: user._id, email: user.email, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  );
+  const { exp } = jwt.decode(accessToken);
+
+  return { accessToken, expiresAt: new Date(exp * 1000) };
+};
+
+const buildRefreshTokenEntry = (token, family, context) => {
+  const now = new Date();
+
+  return {
+    token: hashToken(token),
+    family,
+    userAgent: context.userAgent,
+    ip: context.ip,
+    createdAt: now,
+    lastUsed: now,
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  };
+};
+
+/**
+ * Stored refresh tokens that are no longer needed: expired ones, those of
+ * sessions that have ended, and each session's rotated tokens beyond the
+ * latest few. A live token of an active session is never one of them.
+ * @param {Array<Object>} tokens - The user's refreshTokens
+ * @param {Array<string>} sessionIds - The user's active session IDs
+ * @param {Date} now
+ * @returns {Array<string>} Hashes of the tokens to drop
+ */
+export const findStaleRefreshTokens = (tokens = [], sessionIds = [], now = new Date()) => {
+  const active = new Set(sessionIds.map(String));
+  const keptRotations = new Map();
+
+  return [...tokens]
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .filter((entry) => {
+      if (entry.expiresAt <= now || !active.has(String(entry.family))) return true;
+      if (!entry.revokedAt) return false;
+
+      const kept = keptRotations.get(entry.family) || 0;
+      keptRotations.set(entry.family, kept + 1);
+      return kept >= ROTATED_TOKENS_KEPT_PER_SESSION;
+    })
+    .map(entry => entry.token);
+};
+
+const storeRefreshToken = async (userId, entry) => {
+  await User.updateOne({ _id: userId }, { $push: { refreshTokens: entry } });
+
+  const user = await User.findById(userId).select('+refreshTokens +activeSessions').lean();
+  const stale = findStaleRefreshTokens(
+    user?.refreshTokens,
+    (user?.activeSessions || []).map(session => session.sessionId)
+  );
+  if (stale.length) {
+    await User.updateOne({ _id: userId }, { $pull: { refreshTokens: { token: { $in: stale } } } });
+  }
+};
+
+/**
+ * Start a new session and issue its access and refresh tokens
+ * @param {Object} user - The user document
+ * @param {Object} req - The express request (used for user agent and IP)
+ * @param {Object} [device] - Optional device metadata (deviceId, deviceName, platform)
+ * @returns {Promise<Object>} The issued tokens and session ID
+ */
+export const issueAuthTokens = async (user, req, device = {}) => {
+  assertCanSignIn(user);
+
+  const refreshToken = generateRefreshToken();
+  const sessionId = crypto.randomUUID();
+  const context = getRequestContext(req);
+  const now = new Date();
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $push: {
+        activeSessions: {
+          $each: [{
+            sessionId,
+            deviceId: device.deviceId || 'unknown',
+            deviceName: device.deviceName || 'Unknown Device',
+            platform: device.platform || 'unknown',
+            userAgent: context.userAgent,
+            ipAddress: context.ip,
+            createdAt: now,
+            lastActivity: now
+          }],
+          $slice: -MAX_ACTIVE_SESSIONS
+        }
+      }
+    }
+  );
+  await storeRefreshToken(user._id, buildRefreshTokenEntry(refreshToken, sessionId, context));
+
+  const { accessToken, expiresAt } = signAccessToken(user, sessionId);
+
+  return { accessToken, refreshToken, expiresAt, sessionId };
+};
+
+/**
+ * Revoke every refresh token belonging to a token family
+ * @param {string} userId - The user ID
+ * @param {string} family - The token family
+ */
+export const revokeTokenFamily = async (userId, family) => {
+  await User.updateOne(
+    { _id: userId },
+    { $pull: { refreshTokens: { family } } }
+  );
+};
+
+/**
+ * Revoke all refresh tokens for a user (e.g. after a password reset)
+ * @param {string} userId - The user ID
+ */
+export const revokeAllRefreshTokens = async (userId) => {
+  await User.updateOne({ _id: userId }, { $set: { refreshTokens: [] } });
+};
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ * The presented token is marked as used; presenting it again revokes the
+ * whole family since it means the token has leaked.
+ * @param {string} refreshToken - The raw refresh token
+ * @param {Object} req - The express request
+ * @returns {Promise<Object>} The new tokens and the user
+ */
+export const rotateRefreshToken = async (refreshToken, req) => {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    throw new AppError('Refresh token is required', 400);
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const nextRefreshToken = generateRefreshToken();
+  const now = new Date();
+
+  // Atomically consume the token so two concurrent refreshes cannot both succeed
+  const user = await User.findOneAndUpdate(
+    {
+      refreshTokens: {
+        $elemMatch: { token: tokenHash, revokedAt: null, expiresAt: { $gt: now } }
+      }
+    },
+    {
+      $set: {
+        'refreshTokens.$.revokedAt': now,
+        'refreshTokens.$.lastUsed': now,
+        'refreshTokens.$.replacedBy': hashToken(nextRefreshToken)
+      }
+    },
+    { new: true }
+  ).select('+refreshTokens');
+
+  if (!user) {
+    const owner = await User.findOne({ 'refreshTokens.token': tokenHash }).select('+refreshTokens');
+    const entry = owner?.refreshTokens.find(t => t.token === tokenHash);
+
+    if (entry?.revokedAt) {
+      console.warn(`Refresh token reuse detected for user ${owner._id}, revoking family ${entry.family}`);
+      await revokeTokenFamily(owner._id, entry.family);
+      throw new AppError('Refresh token has already been used. Please log in again.', 401);
+    }
+
+    if (entry) {
+      await User.updateOne({ _id: owner._id }, { $pull: { refreshTokens: { token: tokenHash } } });
+      throw new AppError('Refresh token has expired. Please log in again.', 401);
+    }
+
+    throw new AppError('Invalid refresh token', 401);
+  }
+
+  const { family } = user.refreshTokens.find(t => t.token === tokenHash);
+
+  // Suspended since the token was issued: the session ends here
+  try {
+    assertCanSignIn(user);
+  } catch (error) {
+    await revokeTokenFamily(user._id, family);
+    throw error;
+  }
+
+  // The session may have been terminated or evicted since the token was issued
+  const session = await User.findOneAndUpdate(
+    { _id: user._id, 'activeSessions.sessionId': family },
+    { $set: { 'activeSessions.$.lastActivity': now } }
+  ).select('_id');
+
+  if (!session) {
+    await revokeTokenFamily(user._id, family);
+    throw new AppError('Session has been terminated. Please log in again.', 401);
+  }
+
+  await storeRefreshToken(user._id, buildRefreshTokenEntry(nextRefreshToken, family, getRequestContext(req)));
+
+  const { accessToken, expiresAt } = signAccessToken(user, family);
+
+  return { user, accessToken, refreshToken: nextRefreshToken, expiresAt, sessionId: family };
+};
+
+/**
+ * Find the session a refresh token was issued for
+ * @param {string} refreshToken - The raw refresh token
+ * @returns {Promise<{ userId: string, sessionId: string }|null>}
+ */
+export const findRefreshTokenSession = async (refreshToken) => {
+  if (!refreshToken || typeof refreshToken !== 'string') return null;
+
+  const tokenHash = hashToken(refreshToken);
+  const user = await User.findOne({ 'refreshTokens.token': tokenHash }).select('+refreshTokens');
+  const entry = user?.refreshTokens.find(t => t.token === tokenHash);
+
+  return entry ? { userId: user._id, sessionId: entry.family } : null;
+};
+
+export default {
+  assertCanSignIn,
+  hashToken,
+  findStaleRefreshTokens,
+  signAccessToken,
+  issueAuthTokens,
+  rotateRefreshToken,
+  findRefreshTokenSession,
+  revokeTokenFamily,
+  revokeAllRefreshTokens
+};
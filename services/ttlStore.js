@@ -0,0 +1,193 @@
+/**
+ * TTL Store
+ * Small key/value store for short-lived data (throttling counters, nonces, OAuth state).
+ * Uses Redis when REDIS_URL is set so the data is shared between instances,
+ * and an in-process map otherwise. Production runs several instances (PM2
+ * cluster mode), where an SSO callback or a biometric login can reach another
+ * instance than the one that started it, so there REDIS_URL is required.
+ */
+import Redis from 'ioredis';
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const serialize = (value) => JSON.stringify(value);
+const deserialize = (raw) => (raw === null || raw === undefined ? null : JSON.parse(raw));
+
+// Compare and delete in one step, so a key that expired and was set again is left alone
+const DELETE_IF_EQUALS_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0
+`;
+
+/**
+ * In-memory store, for development and tests
+ */
+export class MemoryTtlStore {
+  constructor() {
+    this.entries = new Map();
+
+    // Drop expired entries that are never read again
+    this.sweeper = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    this.sweeper.unref();
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+
+  read(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  async get(key) {
+    const entry = this.read(key);
+    return entry ? deserialize(entry.value) : null;
+  }
+
+  async set(key, value, ttlSeconds) {
+    this.entries.set(key, { value: serialize(value), expiresAt: Date.now() + ttlSeconds * 1000 });
+  }
+
+  async setIfAbsent(key, value, ttlSeconds) {
+    if (this.read(key)) return false;
+    await this.set(key, value, ttlSeconds);
+    return true;
+  }
+
+  async increment(key, ttlSeconds) {
+    const entry = this.read(key);
+    const count = (entry ? deserialize(entry.value) : 0) + 1;
+    this.entries.set(key, { value: serialize(count), expiresAt: Date.now() + ttlSeconds * 1000 });
+    return count;
+  }
+
+  async ttl(key) {
+    const entry = this.read(key);
+    return entry ? Math.ceil((entry.expiresAt - Date.now()) / 1000) : 0;
+  }
+
+  async take(key) {
+    const value = await this.get(key);
+    this.entries.delete(key);
+    return value;
+  }
+
+  async delete(...keys) {
+    keys.forEach(key => this.entries.delete(key));
+  }
+
+  async deleteIfEquals(key, value) {
+    const entry = this.read(key);
+    if (!entry || entry.value !== serialize(value)) return false;
+    this.entries.delete(key);
+    return true;
+  }
+
+  async close() {
+    clearInterval(this.sweeper);
+    this.entries.clear();
+  }
+}
+
+/**
+ * Redis backed store, shared between all API instances
+ */
+export class RedisTtlStore {
+  constructor(url) {
+    this.client = new Redis(url, { maxRetriesPerRequest: 2 });
+    this.client.on('error', (error) => {
+      console.error('Redis TTL store error:', error.message);
+    });
+  }
+
+  async get(key) {
+    return deserialize(await this.client.get(key));
+  }
+
+  async set(key, value, ttlSeconds) {
+    await this.client.set(key, serialize(value), 'EX', ttlSeconds);
+  }
+
+  async setIfAbsent(key, value, ttlSeconds) {
+    const result = await this.client.set(key, serialize(value), 'EX', ttlSeconds, 'NX');
+    return result === 'OK';
+  }
+
+  async increment(key, ttlSeconds) {
+    const [[incrError, count], [expireError]] = await this.client
+      .multi()
+      .incr(key)
+      .expire(key, ttlSeconds)
+      .exec();
+
+    if (incrError || expireError) throw incrError || expireError;
+    return count;
+  }
+
+  async ttl(key) {
+    const seconds = await this.client.ttl(key);
+    return seconds > 0 ? seconds : 0;
+  }
+
+  async take(key) {
+    return deserialize(await this.client.getdel(key));
+  }
+
+  async delete(...keys) {
+    if (keys.length) await this.client.del(...keys);
+  }
+
+  async deleteIfEquals(key, value) {
+    return (await this.client.eval(DELETE_IF_EQUALS_SCRIPT, 1, key, serialize(value))) === 1;
+  }
+
+  async close() {
+    await this.client.quit();
+  }
+}
+
+let store = null;
+
+/**
+ * Get the shared store, creating it on first use
+ * @returns {MemoryTtlStore|RedisTtlStore}
+ * @throws {Error} In production without REDIS_URL
+ */
+export const getTtlStore = () => {
+  if (!store) {
+    if (process.env.NODE_ENV === 'production' && !process.env.REDIS_URL) {
+      throw new Error('REDIS_URL must be set in production so every instance shares the TTL store');
+    }
+    store = process.env.REDIS_URL
+      ? new RedisTtlStore(process.env.REDIS_URL)
+      : new MemoryTtlStore();
+  }
+  return store;
+};
+
+/**
+ * Close the shared store so the next call to getTtlStore creates a new one
+ */
+export const resetTtlStore = async () => {
+  if (store) {
+    const current = store;
+    store = null;
+    await current.close();
+  }
+};
+
+export default {
+  getTtlStore,
+  resetTtlStore
+};
@@ -0,0 +1,249 @@
+/**
+ * Two-Factor Authentication Service
+ * TOTP enrollment, verification, recovery codes and the short-lived
+ * "MFA pending" tokens handed out between the password and code steps
+ */
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import AppError from '../utils/appError.js';
+import { assertMfaAllowed, recordMfaFailure, recordMfaSuccess } from './authThrottleService.js';
+import { buildOtpauthUri, generateSecret, verifyTotp } from '../utils/totp.js';
+
+const ISSUER = process.env.MFA_ISSUER || 'CampusOS';
+const MFA_TOKEN_EXPIRES_IN = '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(code.replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const raw = crypto.randomBytes(5).toString('hex');
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+});
+
+/**
+ * Roles that must have two-factor authentication enabled,
+ * configured as a comma separated list in MFA_REQUIRED_ROLES
+ * @returns {string[]}
+ */
+export const getRequiredRoles = () => (process.env.MFA_REQUIRED_ROLES || '')
+  .split(',')
+  .map(role => role.trim())
+  .filter(Boolean);
+
+/**
+ * Whether the policy forces this user into two-factor authentication
+ * @param {Object} user - The user document
+ * @returns {boolean}
+ */
+export const isTwoFactorRequired = (user) => getRequiredRoles().includes(user.role);
+
+/**
+ * Sign a token proving the password step succeeded
+ * @param {Object} user - The user document
+ * @param {'login'|'setup'} purpose - `login` when a code is expected, `setup` when enrollment is forced
+ * @param {Object} [device] - Device metadata to attach to the session created afterwards
+ * @returns {string}
+ */
+export const signMfaToken = (user, purpose, device = {}) => jwt.sign(
+  { id: user._id, type: 'mfa_pending', purpose, device },
+  process.env.JWT_SECRET,
+  { expiresIn: MFA_TOKEN_EXPIRES_IN }
+);
+
+/**
+ * Verify an MFA pending token
+ * @param {string} token - The raw token
+ * @param {'login'|'setup'} purpose - The expected purpose
+ * @returns {Object} The decoded token
+ */
+export const verifyMfaToken = (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new AppError('Your verification session has expired. Please log in again.', 401);
+  }
+
+  if (decoded.type !== 'mfa_pending' || decoded.purpose !== purpose) {
+    throw new AppError('Invalid verification token', 401);
+  }
+
+  return decoded;
+};
+
+/**
+ * Start enrollment by generating a new pending secret
+ * @param {string} userId - The user ID
+ * @returns {Promise<{ secret: string, otpauthUrl: string }>}
+ */
+export const beginSetup = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) throw new AppError('User not found', 404);
+  if (user.twoFactor?.enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 400);
+  }
+
+  const secret = generateSecret();
+  await User.updateOne({ _id: userId }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+  return {
+    secret,
+    otpauthUrl: buildOtpauthUri({ secret, accountName: user.email, issuer: ISSUER })
+  };
+};
+
+/**
+ * Finish enrollment by verifying a code generated from the pending secret
+ * @param {string} userId - The user ID
+ * @param {string} code - The TOTP code
+ * @returns {Promise<string[]>} The one-time recovery codes (only shown once)
+ */
+export const confirmSetup = async (userId, code) => {
+  const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+  if (!user?.twoFactor?.pendingSecret) {
+    throw new AppError('Start two-factor setup before verifying a code', 400);
+  }
+
+  await assertMfaAllowed(userId);
+
+  const step = verifyTotp(user.twoFactor.pendingSecret, code);
+  if (step === null) {
+    await recordMfaFailure(userId);
+    throw new AppError('Invalid verification code', 400);
+  }
+
+  await recordMfaSuccess(userId);
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  await User.updateOne({ _id: userId }, {
+    $set: {
+      'twoFactor.enabled': true,
+      'twoFactor.secret': user.twoFactor.pendingSecret,
+      'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode),
+      'twoFactor.lastUsedStep': step,
+      'twoFactor.enabledAt': new Date()
+    },
+    $unset: { 'twoFactor.pendingSecret': '' }
+  });
+
+  return recoveryCodes;
+};
+
+// Check the code without touching the attempt counters
+const checkSecondFactor = async (user, { code, recoveryCode }) => {
+  const userId = user._id;
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    // Pull atomically so a recovery code can only ever be used once
+    const result = await User.updateOne(
+      { _id: userId, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+
+    if (result.modifiedCount === 0) return { valid: false };
+
+    return {
+      valid: true,
+      usedRecoveryCode: true,
+      remainingRecoveryCodes: user.twoFactor.recoveryCodes.length - 1
+    };
+  }
+
+  const step = verifyTotp(user.twoFactor.secret, code);
+  if (step === null) return { valid: false };
+
+  // Only accept a time step newer than the last one used
+  const result = await User.updateOne(
+    {
+      _id: userId,
+      $or: [
+        { 'twoFactor.lastUsedStep': { $exists: false } },
+        { 'twoFactor.lastUsedStep': { $lt: step } }
+      ]
+    },
+    { $set: { 'twoFactor.lastUsedStep': step } }
+  );
+
+  return { valid: result.modifiedCount > 0 };
+};
+
+/**
+ * Verify a TOTP code or consume a recovery code
+ * @param {string} userId - The user ID
+ * @param {Object} credentials
+ * @param {string} [credentials.code] - A TOTP code
+ * @param {string} [credentials.recoveryCode] - A one-time recovery code
+ * @returns {Promise<{ valid: boolean, usedRecoveryCode?: boolean, remainingRecoveryCodes?: number }>}
+ */
+export const verifySecondFactor = async (userId, { code, recoveryCode } = {}) => {
+  const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+  if (!user?.twoFactor?.enabled) {
+    throw new AppError('Two-factor authentication is not enabled', 400);
+  }
+
+  await assertMfaAllowed(userId);
+
+  const result = await checkSecondFactor(user, { code, recoveryCode });
+  if (result.valid) {
+    await recordMfaSuccess(userId);
+  } else {
+    await recordMfaFailure(userId);
+  }
+
+  return result;
+};
+
+/**
+ * Replace the recovery codes with a fresh set
+ * @param {string} userId - The user ID
+ * @returns {Promise<string[]>}
+ */
+export const regenerateRecoveryCodes = async (userId) => {
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: userId, 'twoFactor.enabled': true },
+    { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode) } }
+  );
+  return recoveryCodes;
+};
+
+/**
+ * Turn two-factor authentication off
+ * @param {Object} user - The user document
+ */
+export const disableTwoFactor = async (user) => {
+  if (isTwoFactorRequired(user)) {
+    throw new AppError('Two-factor authentication is required for your role', 403);
+  }
+
+  await User.updateOne({ _id: user._id }, {
+    $set: { 'twoFactor.enabled': false },
+    $unset: {
+      'twoFactor.secret': '',
+      'twoFactor.pendingSecret': '',
+      'twoFactor.recoveryCodes': '',
+      'twoFactor.lastUsedStep': '',
+      'twoFactor.enabledAt': ''
+    }
+  });
+};
+
+export default {
+  getRequiredRoles,
+  isTwoFactorRequired,
+  signMfaToken,
+  verifyMfaToken,
+  beginSetup,
+  confirmSetup,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+};
@@ -0,0 +1,248 @@
+/**
+ * User Directory Search
+ * Ranked search over names, course and university, with filters and
+ * "people you may know" boosts.
+ *
+ * Candidates come from the multikey index on User.searchTokens (or, when only
+ * filters are given, the collated course/university indexes), are scored in
+ * process and returned in pages addressed by an opaque cursor.
+ */
+import mongoose from 'mongoose';
+import User, { SEARCH_NAME_FIELDS, SEARCH_PROFILE_FIELDS } from '../models/User.js';
+import AppError from '../utils/appError.js';
+import { parseQuery, scoreTerm, toWords } from '../utils/searchTokens.js';
+import { getBlockedIds } from './relationshipService.js';
+
+// How many candidates are scored per search; results past this are not reachable
+const MAX_CANDIDATES = 500;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// A term needs at least this score against some field to count as matched
+const MIN_TERM_SCORE = 0.15;
+
+const FIELD_WEIGHTS = {
+  username: 3,
+  displayName: 3,
+  fullName: 2.5,
+  course: 1.5,
+  university: 1
+};
+
+const BOOSTS = {
+  sharedCourse: 1,
+  mutualFollow: 0.3,
+  maxMutualFollows: 1.5,
+  sharedGroup: 0.5,
+  maxSharedGroups: 1.5
+};
+
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const compareIds = (a, b) => {
+  const [left, right] = [String(a), String(b)];
+  if (left === right) return 0;
+  return left < right ? -1 : 1;
+};
+
+const isPublicProfile = (user) => (user.settings?.privacy?.profileVisibility || 'public') === 'public';
+
+/**
+ * Encode the position after a result
+ * @param {{ score: number, id: string }} position
+ * @returns {string}
+ */
+export const encodeCursor = ({ score, id }) => Buffer.from(JSON.stringify({ s: score, id })).toString('base64url');
+
+/**
+ * Decode a cursor from encodeCursor()
+ * @param {string} cursor
+ * @returns {{ score: number, id: string }}
+ */
+export const decodeCursor = (cursor) => {
+  try {
+    const { s, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (typeof s !== 'number' || !mongoose.Types.ObjectId.isValid(id)) throw new Error('Malformed cursor');
+    return { score: s, id: String(id) };
+  } catch (error) {
+    throw new AppError('Invalid cursor', 400);
+  }
+};
+
+/**
+ * Score how well a user matches the query terms
+ * @param {Array<string>} terms
+ * @param {Object} user
+ * @returns {number} 0 when some term matches nothing
+ */
+export const scoreText = (terms, user) => {
+  const fields = isPublicProfile(user) ? [...SEARCH_NAME_FIELDS, ...SEARCH_PROFILE_FIELDS] : SEARCH_NAME_FIELDS;
+  const fieldWords = fields.map(field => [field, toWords(user[field])]);
+
+  let total = 0;
+  for (const term of terms) {
+    let best = 0;
+    for (const [field, words] of fieldWords) {
+      const score = scoreTerm(term, words);
+      if (score >= MIN_TERM_SCORE) best = Math.max(best, score * FIELD_WEIGHTS[field]);
+    }
+    if (best === 0) return 0;
+    total += best;
+  }
+  return total;
+};
+
+/**
+ * Boosts for people the viewer is likely to know
+ * @param {Object} viewer - With course, following and groups
+ * @param {Object} user - With course, followers and groups
+ * @returns {{ score: number, sharedCourse: boolean, mutualFollows: number, sharedGroups: number }}
+ */
+export const scoreAffinity = (viewer, user) => {
+  const following = new Set((viewer.following || []).map(String));
+  const groups = new Set((viewer.groups || []).map(String));
+
+  const sharedCourse = Boolean(viewer.course) && isPublicProfile(user)
+    && toWords(viewer.course).join(' ') === toWords(user.course).join(' ');
+  const mutualFollows = (user.followers || []).filter(id => following.has(String(id))).length;
+  const sharedGroups = (user.groups || []).filter(id => groups.has(String(id))).length;
+
+  return {
+    score: (sharedCourse ? BOOSTS.sharedCourse : 0)
+      + Math.min(mutualFollows * BOOSTS.mutualFollow, BOOSTS.maxMutualFollows)
+      + Math.min(sharedGroups * BOOSTS.sharedGroup, BOOSTS.maxSharedGroups),
+    sharedCourse,
+    mutualFollows,
+    sharedGroups
+  };
+};
+
+const toResult = (user, affinity) => {
+  const result = {
+    id: user._id,
+    username: user.username,
+    displayName: user.displayName || user.username,
+    profilePicture: user.profilePic,
+    mutualFollows: affinity.mutualFollows,
+    sharedGroups: affinity.sharedGroups
+  };
+
+  if (isPublicProfile(user)) {
+    result.course = user.course;
+    result.university = user.university;
+    result.level = user.level;
+    result.sharedCourse = affinity.sharedCourse;
+  } else {
+    result.isPrivate = true;
+  }
+
+  return result;
+};
+
+/**
+ * Search the user directory
+ * @param {string} viewerId
+ * @param {Object} params
+ * @param {string} [params.q] - Free text
+ * @param {string} [params.level]
+ * @param {string} [params.course]
+ * @param {string} [params.university]
+ * @param {string} [params.cursor] - From a previous page's nextCursor
+ * @param {number} [params.limit]
+ * @returns {Promise<{ results: Array<Object>, nextCursor: string|null }>}
+ */
+export const searchUsers = async (viewerId, { q, level, course, university, cursor, limit } = {}) => {
+  const { terms, tokens } = parseQuery(q);
+  const filters = { level, course, university };
+  const hasFilters = Object.values(filters).some(Boolean);
+
+  if (!terms.length && !hasFilters) {
+    throw new AppError('Enter a search term of at least 2 characters or choose a filter', 400);
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const after = cursor ? decodeCursor(cursor) : null;
+
+  const [viewer, blockedIds] = await Promise.all([
+    User.findById(viewerId).select('course following groups').lean(),
+    getBlockedIds(viewerId)
+  ]);
+  if (!viewer) throw new AppError('User not found', 404);
+
+  const match = {
+    _id: { $nin: [viewerId, ...blockedIds].map(id => new mongoose.Types.ObjectId(String(id))) },
+    status: { $nin: ['deleted', 'suspended'] }
+  };
+
+  // Profile details of hidden profiles cannot be filtered on
+  if (hasFilters) match['settings.privacy.profileVisibility'] = { $in: ['public', null] };
+  if (level) match.level = level;
+
+  const pipeline = [];
+  let collation;
+
+  if (terms.length) {
+    // Token index does the narrowing, filters are checked on what it finds
+    match.searchTokens = { $in: tokens };
+    if (course) match.course = new RegExp(`^${escapeRegex(course.trim())}$`, 'i');
+    if (university) match.university = new RegExp(`^${escapeRegex(university.trim())}$`, 'i');
+
+    pipeline.push(
+      { $match: match },
+      { $addFields: { tokenHits: { $size: { $setIntersection: ['$searchTokens', tokens] } } } },
+      { $sort: { tokenHits: -1, _id: 1 } }
+    );
+  } else {
+    // Filters only: served by the case-insensitive course/university indexes
+    if (course) match.course = course.trim();
+    if (university) match.university = university.trim();
+    collation = CASE_INSENSITIVE;
+
+    pipeline.push({ $match: match }, { $sort: { _id: 1 } });
+  }
+
+  pipeline.push(
+    { $limit: MAX_CANDIDATES },
+    {
+      $project: {
+        username: 1, displayName: 1, fullName: 1, profilePic: 1, course: 1, university: 1,
+        level: 1, followers: 1, groups: 1, 'settings.privacy.profileVisibility': 1
+      }
+    }
+  );
+
+  const aggregate = User.aggregate(pipeline);
+  if (collation) aggregate.collation(collation);
+  const candidates = await aggregate;
+
+  const ranked = candidates
+    .map(user => {
+      const text = terms.length ? scoreText(terms, user) : 0;
+      const affinity = scoreAffinity(viewer, user);
+      return { user, affinity, text, score: Math.round((text + affinity.score) * 10000) / 10000 };
+    })
+    .filter(({ text }) => !terms.length || text > 0)
+    .sort((a, b) => b.score - a.score || compareIds(a.user._id, b.user._id));
+
+  const start = after
+    ? ranked.findIndex(({ score, user }) => score < after.score || (score === after.score && String(user._id) > after.id))
+    : 0;
+  const page = start === -1 ? [] : ranked.slice(start, start + pageSize);
+  const hasMore = start !== -1 && start + pageSize < ranked.length;
+  const last = page[page.length - 1];
+
+  return {
+    results: page.map(({ user, affinity }) => toResult(user, affinity)),
+    nextCursor: hasMore ? encodeCursor({ score: last.score, id: String(last.user._id) }) : null
+  };
+};
+
+export default {
+  searchUsers,
+  scoreText,
+  scoreAffinity,
+  encodeCursor,
+  decodeCursor
+};
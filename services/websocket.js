@@ -1,10 +1,20 @@
-import jwt from 'jsonwebtoken';
 import { Server } from 'socket.io';
 import Chat from '../models/Chat.js';
 import User from '../models/User.js';
+import { deliverPending, markDelivered, markRead, sendMessage } from './chatService.js';
+import {
+  addReaction,
+  deleteMessage,
+  editMessage,
+  removeReaction,
+  setMessagePinned
+} from './messageService.js';
+import { getFriendIds, isVisibleTo } from './relationshipService.js';
+import { authenticateAccessToken, isSessionActive } from './sessionService.js';
 import WebSocketEvents from './websocketEvents.js';
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+// How long receipts for a chat are gathered before they are sent
+const RECEIPT_BATCH_MS = 250;
 
 export class WebSocketService {
   constructor(server) {
@@ -31,6 +41,7 @@ export class WebSocketService {
     this.onlineUsers = new Set(); // Set of online user IDs
     this.typingUsers = new Map(); // chatId -> Set of user IDs who are typing
     this.onlineStatus = new Map(); // userId -> { status, lastSeen }
+    this.pendingReceipts = new Map(); // chatId -> { receipts, timer }, see queueReceipt
     
     // Initialize event handlers
     this.events = new WebSocketEvents(this.io);
@@ -50,12 +61,10 @@ export class WebSocketService {
           return next(new Error('Authentication error: No token provided'));
         }
 
-        const decoded = jwt.verify(token, JWT_SECRET);
-        const user = await User.findById(decoded.id).select('username profilePic status role');
-        
-        if (!user) {
-          return next(new Error('Authentication error: User not found'));
-        }
+        // Rejects tokens whose session has been terminated
+        const { user, sessionId } = await authenticateAccessToken(token, {
+          select: 'username profilePic status role'
+        });
 
         // Attach user to socket with additional context
         socket.user = {
@@ -63,12 +72,18 @@ export class WebSocketService {
           username: user.username,
           profilePic: user.profilePic,
           role: user.role || 'user',
-          status: user.status || 'offline'
+          status: user.status || 'offline',
+          sessionId
         };
+        // Survives connection state recovery, which skips this middleware
+        socket.data.user = socket.user;
         
         next();
       } catch (error) {
         console.error('Socket auth error:', error);
+        if (error.isOperational) {
+          return next(new Error(`Authentication error: ${error.message}`));
+        }
         if (error.name === 'TokenExpiredError') {
           return next(new Error('Authentication error: Token expired'));
         }
@@ -78,7 +93,14 @@ export class WebSocketService {
 
     this.io.on('connection', async (socket) => {
       const { id: socketId } = socket;
-      const { _id: userId, username, profilePic, role } = socket.user;
+      socket.user = socket.user || socket.data.user;
+
+      // A recovered connection skipped the auth middleware, so re-check its session
+      if (socket.recovered && !(await isSessionActive(socket.user?._id, socket.user?.sessionId))) {
+        return socket.disconnect(true);
+      }
+
+      const { _id: userId, username, profilePic, role, sessionId } = socket.user;
 
       console.log(`New WebSocket connection: ${socketId} (User: ${username}, Role: ${role})`);
 
@@ -103,84 +125,102 @@ export class WebSocketService {
         `user_${userId}`,
         'global_updates',
         `user_role_${role}`,
-        `user_${userId}_notifications`
+        `user_${userId}_notifications`,
+        `session_${sessionId}`
       ]);
-      
-      // Join study groups the user is part of
-      const studyGroups = await this.events.getUserStudyGroups(userId);
-      studyGroups.forEach(group => {
-        socket.join(`study_group_${group.id}`);
-      });
-      
-      // Join forum threads the user is subscribed to
-      const forumSubscriptions = await this.events.getUserForumSubscriptions(userId);
-      forumSubscriptions.forEach(threadId => {
-        socket.join(`forum_thread_${threadId}`);
+
+      // Join a chat created or joined after connecting
+      socket.on('join_chat', async ({ chatId }) => {
+        try {
+          if (await Chat.exists({ _id: chatId, 'participants.user': userId })) {
+            socket.join(`chat_${chatId}`);
+          }
+        } catch (error) {
+          console.error('Error joining chat:', error);
+        }
       });
 
       // Handle chat messages
       socket.on('send_message', async (data) => {
         try {
-          const { chatId, content, media = [] } = data;
-          const chat = await Chat.findById(chatId);
-
-          if (!chat) {
-            return socket.emit('error', { message: 'Chat not found' });
-          }
-
-          // Check if user is a participant
-          // participants are subdocuments with a .user field
-          if (!chat.participants.some(p => String(p.user) === String(userId))) {
-            return socket.emit('error', { message: 'Not authorized to send messages in this chat' });
-          }
-
-          // Create new message
-          const message = {
-            content,
-            sender: userId,
-            media,
-            readBy: [userId]
-          };
+          const { chatId, content, media = [], attachments = [], replyTo } = data;
 
-          // Persist message as a Message document
-          const Message = mongoose.model('Message');
-          const messageDoc = new Message({
+          const { chat, message, held } = await sendMessage({
             chatId,
             senderId: userId,
             content,
-            type: 'text',
-            mediaUrl: (media && Array.isArray(media) && media.length > 0) ? media[0] : undefined,
-            readBy: [userId]
+            media,
+            attachments,
+            replyTo
           });
 
-          await messageDoc.save();
-
-          // Update chat's lastMessage
-          await Chat.findByIdAndUpdate(chatId, { lastMessage: messageDoc._id, updatedAt: new Date() });
-
-          // Build populated message for emit
-          const populatedMessage = {
-            id: messageDoc._id.toString(),
-            chatId,
-            content: messageDoc.content,
-            type: messageDoc.type,
-            mediaUrl: messageDoc.mediaUrl,
-            createdAt: messageDoc.createdAt,
-            readBy: messageDoc.readBy.map(String),
-            sender: { _id: userId, username, profilePic },
-            senderId: String(userId)
-          };
+          // Only the sender sees a message the content filter held for review
+          if (held) {
+            return socket.emit('message_held', { chatId, message });
+          }
 
           // Emit to chat room and update participant lists
-          this.io.to(`chat_${chatId}`).emit('new_message', { chatId, message: populatedMessage });
+          this.io.to(`chat_${chatId}`).emit('new_message', { chatId, message });
           this.notifyChatUpdate(chat);
 
         } catch (error) {
+          if (error.isOperational) {
+            return socket.emit('error', { message: error.message });
+          }
           console.error('Error sending message:', error);
           socket.emit('error', { message: 'Error sending message' });
         }
       });
 
+      // Handle reactions, edits, deletes and pins; the result goes to everyone in the chat
+      const handleMessageAction = (action, event) => async (data = {}) => {
+        try {
+          const result = await action(data);
+          if (result) this.emitToChat(data.chatId, event, result);
+        } catch (error) {
+          if (error.isOperational) {
+            return socket.emit('error', { message: error.message });
+          }
+          console.error(`Error handling ${event}:`, error);
+          socket.emit('error', { message: 'Error updating message' });
+        }
+      };
+
+      socket.on('add_reaction', handleMessageAction(
+        ({ chatId, messageId, emoji }) => addReaction(userId, chatId, messageId, emoji),
+        'message_reactions'
+      ));
+      socket.on('remove_reaction', handleMessageAction(
+        ({ chatId, messageId, emoji }) => removeReaction(userId, chatId, messageId, emoji),
+        'message_reactions'
+      ));
+      socket.on('edit_message', handleMessageAction(async ({ chatId, messageId, content }) => {
+        const { message, held } = await editMessage(userId, chatId, messageId, content);
+        // A held edit is hidden from everyone else
+        if (held) {
+          socket.emit('message_held', { chatId, message });
+          return null;
+        }
+        return { chatId, message };
+      }, 'message_edited'));
+      socket.on('delete_message', handleMessageAction(async ({ chatId, messageId, scope }) => {
+        const result = await deleteMessage(userId, chatId, messageId, scope);
+        // Deleting for yourself only concerns your own devices
+        if (result.scope === 'me') {
+          this.io.to(`user_${userId}`).emit('message_deleted', result);
+          return null;
+        }
+        return result;
+      }, 'message_deleted'));
+      socket.on('pin_message', handleMessageAction(
+        ({ chatId, messageId }) => setMessagePinned(userId, chatId, messageId, true),
+        'message_pinned'
+      ));
+      socket.on('unpin_message', handleMessageAction(
+        ({ chatId, messageId }) => setMessagePinned(userId, chatId, messageId, false),
+        'message_pinned'
+      ));
+
       // Handle typing indicator
       socket.on('typing', async ({ chatId, isTyping }) => {
         try {
@@ -217,33 +257,20 @@ export class WebSocketService {
         }
       });
 
-      // Handle read receipts
-      socket.on('mark_as_read', async ({ chatId, messageId }) => {
+      // Handle receipts: the client has received or read a chat up to a message
+      const handleReceipt = (record) => async ({ chatId, messageId }) => {
         try {
-          const chat = await Chat.findOneAndUpdate(
-            {
-              _id: chatId,
-              'messages._id': messageId,
-              'messages.readBy': { $ne: userId }
-            },
-            {
-              $addToSet: { 'messages.$.readBy': userId }
-            },
-            { new: true }
-          );
-
-          if (chat) {
-            // Notify other participants about the read receipt
-            socket.to(`chat_${chatId}`).emit('message_read', {
-              chatId,
-              messageId,
-              userId
-            });
-          }
+          const receipt = await record(userId, chatId, messageId);
+          if (receipt) this.queueReceipt(receipt);
         } catch (error) {
-          console.error('Error marking message as read:', error);
+          if (error.isOperational) {
+            return socket.emit('error', { message: error.message });
+          }
+          console.error('Error recording receipt:', error);
         }
-      });
+      };
+      socket.on('mark_as_delivered', handleReceipt(markDelivered));
+      socket.on('mark_as_read', handleReceipt(markRead));
 
       // Handle disconnection
       socket.on('disconnect', (reason) => {
@@ -269,7 +296,7 @@ export class WebSocketService {
             // Update last seen in database
             User.findByIdAndUpdate(userId, { 
               lastSeen,
-              $set: { 'status': 'offline' }
+              $set: { onlineStatus: 'offline' }
             }).catch(console.error);
           }
         }
@@ -334,9 +361,45 @@ export class WebSocketService {
           console.error('Error updating study group:', error);
         }
       });
+
+      // Only now that every handler is registered, so events the client sends meanwhile are not lost
+      this.joinUserRooms(socket, userId).catch(error => {
+        console.error('Error joining rooms:', error);
+      });
     });
   }
+
+  /**
+   * Join a newly connected socket to the rooms the user belongs to (study
+   * groups, subscribed forum threads and chats), then mark what the user was
+   * sent while offline as delivered to this device
+   * @param {Object} socket
+   * @param {string} userId
+   */
+  async joinUserRooms(socket, userId) {
+    const studyGroups = await this.events.getUserStudyGroups(userId);
+    studyGroups.forEach(group => {
+      socket.join(`study_group_${group.id}`);
+    });
+
+    const forumSubscriptions = await this.events.getUserForumSubscriptions(userId);
+    forumSubscriptions.forEach(threadId => {
+      socket.join(`forum_thread_${threadId}`);
+    });
+
+    const chats = await Chat.find({ 'participants.user': userId }).select('_id').lean();
+    socket.join(chats.map(chat => `chat_${chat._id}`));
+    (await deliverPending(userId)).forEach(receipt => this.queueReceipt(receipt));
+  }
   
+  /**
+   * Disconnect every socket opened with a session's tokens
+   * @param {string} sessionId - The terminated session ID
+   */
+  disconnectSession(sessionId) {
+    this.io.in(`session_${sessionId}`).disconnectSockets(true);
+  }
+
   /**
    * Notify all contacts about user's online/offline status
    * @param {string} userId - The user ID
@@ -359,8 +422,11 @@ export class WebSocketService {
       });
 
       // Update user's status in the database (non-blocking)
-      User.findByIdAndUpdate(userId, statusUpdate, { new: true })
-        .then(updatedUser => {
+      User.findByIdAndUpdate(userId, {
+        onlineStatus: statusUpdate.status,
+        ...(isOnline ? {} : { lastSeen: statusUpdate.lastSeen })
+      }, { new: true })
+        .then(async updatedUser => {
           if (updatedUser) {
             // Emit to user's personal room and relevant channels
             const statusEvent = {
@@ -369,19 +435,25 @@ export class WebSocketService {
               lastSeen: isOnline ? null : statusUpdate.lastSeen,
               updatedAt: statusUpdate.updatedAt
             };
+            const lastSeenSetting = updatedUser.settings?.privacy?.lastSeen;
+
+            // Notify the user's contacts that the last seen setting lets through
+            const recipients = await this.getPresenceRecipients(updatedUser);
+            recipients.forEach(recipientId => {
+              this.io.to(`user_${recipientId}`).emit('user_status', statusEvent);
+            });
             
-            // Notify user's direct contacts
-            this.io.to(`user_${userId}_contacts`).emit('user_status', statusEvent);
-            
-            // Notify study groups the user is in
-            this.events.getUserStudyGroups(userId).then(groups => {
-              groups.forEach(group => {
-                this.io.to(`study_group_${group.id}`).emit('member_status', {
-                  ...statusEvent,
-                  groupId: group.id
+            // Notify study groups the user is in, unless presence is limited to friends or hidden
+            if (isVisibleTo(lastSeenSetting)) {
+              this.events.getUserStudyGroups(userId).then(groups => {
+                groups.forEach(group => {
+                  this.io.to(`study_group_${group.id}`).emit('member_status', {
+                    ...statusEvent,
+                    groupId: group.id
+                  });
                 });
               });
-            });
+            }
             
             // Notify admins if user is an admin
             if (updatedUser.role === 'admin' || updatedUser.role === 'moderator') {
@@ -395,12 +467,71 @@ export class WebSocketService {
     }
   }
 
+  /**
+   * Work out who may receive a user's presence updates: followers, followed users
+   * and study buddies when last seen is public, only friends when it is limited to
+   * contacts, and nobody when it is hidden
+   * @param {Object} user - User document with followers, following and settings
+   * @returns {Promise<Array<string>>} Recipient user IDs
+   */
+  async getPresenceRecipients(user) {
+    const setting = user.settings?.privacy?.lastSeen;
+    if (!isVisibleTo(setting, { isFriend: true })) return [];
+
+    const friendIds = await getFriendIds(user._id);
+    if (!isVisibleTo(setting)) return friendIds;
+
+    return [...new Set([
+      ...friendIds,
+      ...(user.followers || []).map(String),
+      ...(user.following || []).map(String)
+    ])];
+  }
+
+  /**
+   * Send an event to everyone in a chat
+   * @param {string} chatId
+   * @param {string} event
+   * @param {Object} payload
+   */
+  emitToChat(chatId, event, payload) {
+    this.io.to(`chat_${chatId}`).emit(event, payload);
+  }
+
+  /**
+   * Send a receipt to the chat's room. Receipts for a chat are gathered for
+   * RECEIPT_BATCH_MS and sent as one `message_receipts` event, so a burst of
+   * reads in a busy group is one event rather than one per reader.
+   * The reader's new unread count only goes to their own devices.
+   * @param {Object} receipt - From markRead or markDelivered
+   */
+  queueReceipt(receipt) {
+    const { chatId, unreadCount, ...shared } = receipt;
+
+    if (unreadCount !== undefined) {
+      this.io.to(`user_${receipt.userId}`).emit('chat_unread_count', { chatId, unreadCount });
+    }
+
+    let batch = this.pendingReceipts.get(chatId);
+    if (!batch) {
+      batch = {
+        receipts: [],
+        timer: setTimeout(() => {
+          this.pendingReceipts.delete(chatId);
+          this.io.to(`chat_${chatId}`).emit('message_receipts', { chatId, receipts: batch.receipts });
+        }, RECEIPT_BATCH_MS)
+      };
+      this.pendingReceipts.set(chatId, batch);
+    }
+    batch.receipts.push(shared);
+  }
+
   /**
    * Notify chat participants about a new message
    * @param {Object} chat - The chat document
    */
   notifyChatUpdate(chat) {
-    chat.participants.forEach(participantId => {
+    chat.participants.forEach(({ user: participantId }) => {
       this.io.to(`user_${participantId}`).emit('chat_updated', {
         chatId: chat._id,
         lastMessage: chat.lastMessage
@@ -434,6 +565,27 @@ export class WebSocketService {
     });
   }
 
+  /**
+   * Tell a group about a change from groupChatService: its system messages
+   * and the updated group go to the chat's room, added users' sockets join the
+   * room, and removed or departing users' sockets leave it
+   * @param {Object} change - From groupChatService
+   */
+  notifyGroupChange({ chatId, chat, messages = [], joined = [], left = [] }) {
+    joined.forEach(userId => {
+      this.io.in(`user_${userId}`).socketsJoin(`chat_${chatId}`);
+      this.io.to(`user_${userId}`).emit('new_group_chat', { chat });
+    });
+
+    messages.forEach(message => this.emitToChat(chatId, 'new_message', { chatId, message }));
+    if (chat) this.emitToChat(chatId, 'group_updated', { chatId, chat });
+
+    left.forEach(userId => {
+      this.io.in(`user_${userId}`).socketsLeave(`chat_${chatId}`);
+      this.io.to(`user_${userId}`).emit('left_chat', { chatId });
+    });
+  }
+
   /**
    * Notify about a new announcement
    * @param {Object} announcement - The announcement data
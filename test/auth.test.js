@@ -0,0 +1,201 @@
+import request from 'supertest';
+import { expect } from 'chai';
+import { app } from '../server.js';
+import { connect, closeDatabase } from '../config/testDb.js';
+import User from '../models/User.js';
+
+const testUserData = {
+  username: 'authtester',
+  email: 'auth@example.com',
+  password: 'password123',
+  displayName: 'Auth Tester',
+  fullName: 'Auth Tester',
+  university: 'Test University',
+  level: '100 Level',
+  course: 'Computer Science'
+};
+
+const login = () => request(app)
+  .post('/api/auth/login')
+  .send({ email: testUserData.email, password: testUserData.password });
+
+describe('Auth API - refresh tokens', () => {
+  before(async () => {
+    await connect();
+    await User.create(testUserData);
+  });
+
+  after(async () => {
+    await closeDatabase();
+  });
+
+  it('should return an access token and a refresh token on login', async () => {
+    const res = await login().expect(200);
+
+    expect(res.body).to.have.property('accessToken');
+    expect(res.body).to.have.property('refreshToken');
+    expect(res.body.token).to.equal(res.body.accessToken);
+
+    const user = await User.findOne({ email: testUserData.email }).select('+refreshTokens');
+    expect(user.refreshTokens).to.have.lengthOf(1);
+    expect(user.refreshTokens[0].token).to.not.equal(res.body.refreshToken);
+  });
+
+  it('should rotate the refresh token', async () => {
+    const { body: { refreshToken } } = await login();
+
+    const res = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken })
+      .expect(200);
+
+    expect(res.body).to.have.property('accessToken');
+    expect(res.body.refreshToken).to.not.equal(refreshToken);
+  });
+
+  it('should revoke the whole family when a used refresh token is replayed', async () => {
+    const { body: { refreshToken } } = await login();
+
+    const first = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken })
+      .expect(200);
+
+    await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken })
+      .expect(401);
+
+    // The token issued by the legitimate rotation is revoked as well
+    await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: first.body.refreshToken })
+      .expect(401);
+  });
+
+  it('should reject a refresh token after logout', async () => {
+    const { body: { refreshToken } } = await login();
+
+    await request(app)
+      .post('/api/auth/logout')
+      .send({ refreshToken })
+      .expect(200);
+
+    await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken })
+      .expect(401);
+  });
+
+  it('should keep other sessions signed in while one rotates many times', async () => {
+    const other = await login();
+    let { body: { refreshToken } } = await login();
+
+    for (let i = 0; i < 60; i += 1) {
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(200);
+      refreshToken = res.body.refreshToken;
+    }
+
+    await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: other.body.refreshToken })
+      .expect(200);
+  });
+
+  it('should refuse to refresh or authenticate a suspended user', async () => {
+    const { body: { accessToken, refreshToken } } = await login();
+    const until = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+    // Sessions are normally terminated on suspension; these survived it
+    await User.updateOne(
+      { email: testUserData.email },
+      { $set: { status: 'suspended', suspension: { until, reason: 'Spam' } } }
+    );
+
+    try {
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken })
+        .expect(403);
+      expect(new Date(res.body.suspendedUntil).getTime()).to.equal(until.getTime());
+
+      await request(app)
+        .get('/api/auth/me')
+        .set('Authorization', `Bearer ${accessToken}`)
+        .expect(403);
+
+      await login().expect(403);
+    } finally {
+      await User.updateOne({ email: testUserData.email }, { $set: { status: 'active' }, $unset: { suspension: '' } });
+    }
+  });
+});
+
+describe('Sessions API - token revocation', () => {
+  before(async () => {
+    await connect();
+    await User.create(testUserData);
+  });
+
+  after(async () => {
+    await closeDatabase();
+  });
+
+  it('should embed the session id in the access token', async () => {
+    const res = await login().expect(200);
+
+    const { sid } = JSON.parse(Buffer.from(res.body.accessToken.split('.')[1], 'base64').toString());
+    expect(sid).to.equal(res.body.sessionId);
+  });
+
+  it('should reject tokens of a terminated session', async () => {
+    const current = await login();
+    const other = await login();
+
+    await request(app)
+      .delete(`/api/sessions/${other.body.sessionId}`)
+      .set('Authorization', `Bearer ${current.body.accessToken}`)
+      .expect(200);
+
+    await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${other.body.accessToken}`)
+      .expect(401);
+
+    await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: other.body.refreshToken })
+      .expect(401);
+
+    await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${current.body.accessToken}`)
+      .expect(200);
+  });
+
+  it('should keep only the current session when logging out other devices', async () => {
+    const current = await login();
+    const other = await login();
+
+    await request(app)
+      .delete('/api/sessions?keepCurrentSession=true')
+      .set('Authorization', `Bearer ${current.body.accessToken}`)
+      .expect(200);
+
+    await request(app)
+      .get('/api/auth/me')
+      .set('Authorization', `Bearer ${other.body.accessToken}`)
+      .expect(401);
+
+    const res = await request(app)
+      .get('/api/sessions')
+      .set('Authorization', `Bearer ${current.body.accessToken}`)
+      .expect(200);
+
+    expect(res.body.data.sessions).to.have.lengthOf(1);
+    expect(res.body.data.currentSessionId).to.equal(current.body.sessionId);
+  });
+});
@@ -0,0 +1,141 @@
+import { expect } from 'chai';
+import {
+  assertLoginAllowed,
+  clearLockout,
+  getLockoutState,
+  recordLoginFailure,
+  recordLoginSuccess,
+  recordResetCodeFailure,
+  RESET_CODE_MAX_ATTEMPTS
+} from '../services/authThrottleService.js';
+import { getTtlStore, MemoryTtlStore, resetTtlStore } from '../services/ttlStore.js';
+
+const expectLocked = async (attempt) => {
+  try {
+    await assertLoginAllowed(attempt);
+    expect.fail('Expected the attempt to be throttled');
+  } catch (error) {
+    expect(error.statusCode).to.equal(429);
+    expect(error.retryAfter).to.be.greaterThan(0);
+    return error;
+  }
+};
+
+describe('Auth throttling', () => {
+  const attempt = { email: 'Student@Example.com', ip: '203.0.113.7' };
+
+  beforeEach(async () => {
+    delete process.env.REDIS_URL;
+    await resetTtlStore();
+  });
+
+  after(async () => {
+    await resetTtlStore();
+  });
+
+  it('should allow the first failed attempts without delay', async () => {
+    await recordLoginFailure(attempt);
+    await recordLoginFailure(attempt);
+
+    await assertLoginAllowed(attempt);
+  });
+
+  it('should back off exponentially after repeated failures', async () => {
+    const results = [];
+    for (let i = 0; i < 5; i += 1) {
+      results.push(await recordLoginFailure(attempt));
+    }
+
+    expect(results.map(result => result.retryAfter)).to.deep.equal([0, 0, 1, 2, 4]);
+    await expectLocked(attempt);
+  });
+
+  it('should lock the account after too many failures', async () => {
+    for (let i = 0; i < 10; i += 1) {
+      await recordLoginFailure(attempt);
+    }
+
+    const error = await expectLocked({ email: 'student@example.com' });
+    expect(error.retryAfter).to.equal(15 * 60);
+
+    const state = await getLockoutState({ email: attempt.email });
+    expect(state.account.failures).to.equal(10);
+    expect(state.account.locked).to.equal(true);
+  });
+
+  it('should clear failures after a successful login or an admin unlock', async () => {
+    for (let i = 0; i < 4; i += 1) {
+      await recordLoginFailure(attempt);
+    }
+
+    await recordLoginSuccess(attempt);
+    await assertLoginAllowed({ email: attempt.email });
+
+    for (let i = 0; i < 10; i += 1) {
+      await recordLoginFailure(attempt);
+    }
+    await clearLockout({ email: attempt.email });
+
+    const state = await getLockoutState({ email: attempt.email });
+    expect(state.account).to.include({ failures: 0, locked: false });
+  });
+
+  it('should lock an IP that fails across many accounts', async () => {
+    for (let i = 0; i < 50; i += 1) {
+      await recordLoginFailure({ email: `user${i}@example.com`, ip: attempt.ip });
+    }
+
+    await expectLocked({ email: 'someone-else@example.com', ip: attempt.ip });
+  });
+
+  it('should report when a reset code has been guessed too many times', async () => {
+    const exhausted = [];
+    for (let i = 0; i < RESET_CODE_MAX_ATTEMPTS; i += 1) {
+      exhausted.push(await recordResetCodeFailure({ email: attempt.email }));
+    }
+
+    expect(exhausted.slice(0, -1).every(value => value === false)).to.equal(true);
+    expect(exhausted[exhausted.length - 1]).to.equal(true);
+  });
+});
+
+describe('Memory TTL store', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryTtlStore();
+  });
+
+  afterEach(async () => {
+    await store.close();
+  });
+
+  it('should expire entries after their TTL', async () => {
+    await store.set('nonce', { value: 1 }, 0.05);
+    expect(await store.get('nonce')).to.deep.equal({ value: 1 });
+
+    await new Promise(resolve => setTimeout(resolve, 80));
+    expect(await store.get('nonce')).to.equal(null);
+  });
+
+  it('should only hand out a taken value once', async () => {
+    await store.set('state', 'abc', 60);
+
+    expect(await store.take('state')).to.equal('abc');
+    expect(await store.take('state')).to.equal(null);
+  });
+
+  it('should not be used in production', async () => {
+    const { NODE_ENV, REDIS_URL } = process.env;
+    await resetTtlStore();
+    process.env.NODE_ENV = 'production';
+    delete process.env.REDIS_URL;
+
+    try {
+      expect(() => getTtlStore()).to.throw('REDIS_URL must be set in production');
+    } finally {
+      process.env.NODE_ENV = NODE_ENV;
+      if (REDIS_URL !== undefined) process.env.REDIS_URL = REDIS_URL;
+    }
+  });
+});
@@ -0,0 +1,133 @@
+import { expect } from 'chai';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import { createChallenge, parsePublicKey, verifyChallenge, verifySignature } from '../services/biometricService.js';
+import { resetTtlStore } from '../services/ttlStore.js';
+import { expectRejection } from './testHelper.js';
+
+const challenge = crypto.randomBytes(32).toString('base64url');
+
+const registerKey = (type, options) => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync(type, options);
+  const { pem } = parsePublicKey(publicKey.export({ format: 'pem', type: 'spki' }));
+  return { device: { publicKey: pem }, privateKey };
+};
+
+describe('Biometric device keys', () => {
+  it('should verify ECDSA P-256 signatures as produced by mobile keystores', () => {
+    const { device, privateKey } = registerKey('ec', { namedCurve: 'P-256' });
+    const signature = crypto.sign('sha256', Buffer.from(challenge), privateKey).toString('base64');
+
+    expect(verifySignature(device, challenge, signature)).to.equal(true);
+  });
+
+  it('should verify RSA and Ed25519 signatures', () => {
+    const rsa = registerKey('rsa', { modulusLength: 2048 });
+    const ed25519 = registerKey('ed25519');
+
+    expect(verifySignature(
+      rsa.device,
+      challenge,
+      crypto.sign('sha256', Buffer.from(challenge), rsa.privateKey).toString('base64')
+    )).to.equal(true);
+    expect(verifySignature(
+      ed25519.device,
+      challenge,
+      crypto.sign(null, Buffer.from(challenge), ed25519.privateKey).toString('base64')
+    )).to.equal(true);
+  });
+
+  it('should reject a signature over a different challenge or from another key', () => {
+    const { device, privateKey } = registerKey('ec', { namedCurve: 'P-256' });
+    const other = registerKey('ec', { namedCurve: 'P-256' });
+
+    const wrongChallenge = crypto.sign('sha256', Buffer.from('another challenge'), privateKey).toString('base64');
+    const wrongKey = crypto.sign('sha256', Buffer.from(challenge), other.privateKey).toString('base64');
+
+    expect(verifySignature(device, challenge, wrongChallenge)).to.equal(false);
+    expect(verifySignature(device, challenge, wrongKey)).to.equal(false);
+    expect(verifySignature(device, challenge, 'not a signature')).to.equal(false);
+  });
+
+  it('should accept base64 DER public keys', () => {
+    const { publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const der = publicKey.export({ format: 'der', type: 'spki' }).toString('base64');
+
+    expect(parsePublicKey(der)).to.include({ keyType: 'ec', algorithm: 'sha256' });
+  });
+
+  it('should reject weak or unsupported keys', () => {
+    const weakRsa = crypto.generateKeyPairSync('rsa', { modulusLength: 1024 }).publicKey;
+    const otherCurve = crypto.generateKeyPairSync('ec', { namedCurve: 'secp256k1' }).publicKey;
+
+    [weakRsa, otherCurve].forEach(key => {
+      expect(() => parsePublicKey(key.export({ format: 'pem', type: 'spki' }))).to.throw();
+    });
+    expect(() => parsePublicKey('garbage')).to.throw('Invalid public key');
+  });
+});
+
+describe('Biometric challenges', () => {
+  const userId = new mongoose.Types.ObjectId().toString();
+  const ip = '203.0.113.9';
+  const { device, privateKey } = registerKey('ec', { namedCurve: 'P-256' });
+  const user = { _id: userId, biometricDevices: [{ ...device, deviceId: 'phone-1' }] };
+  const original = { exists: User.exists, findById: User.findById, updateOne: User.updateOne };
+  let lookups;
+
+  const sign = (text) => crypto.sign('sha256', Buffer.from(text), privateKey).toString('base64');
+
+  beforeEach(async () => {
+    delete process.env.REDIS_URL;
+    await resetTtlStore();
+    lookups = 0;
+    User.exists = async (filter) => {
+      lookups += 1;
+      return String(filter._id) === userId && filter['biometricDevices.deviceId'] === 'phone-1' ? { _id: userId } : null;
+    };
+    User.findById = (id) => {
+      lookups += 1;
+      return { select: async () => (String(id) === userId ? user : null) };
+    };
+    User.updateOne = async () => ({ modifiedCount: 1 });
+  });
+
+  afterEach(async () => {
+    Object.assign(User, original);
+    await resetTtlStore();
+  });
+
+  it('should reject malformed user and device ids before looking anything up', async () => {
+    await expectRejection(createChallenge({ userId: 'not-an-id', deviceId: 'phone-1', ip }), 400);
+    await expectRejection(createChallenge({ userId, deviceId: { $ne: null }, ip }), 400);
+    await expectRejection(createChallenge({ userId, deviceId: 'x'.repeat(129), ip }), 400);
+    await expectRejection(verifyChallenge({ userId: 'not-an-id', deviceId: 'phone-1', challenge: 'c', signature: 's', ip }), 400);
+
+    expect(lookups).to.equal(0);
+  });
+
+  it('should only issue challenges to registered devices', async () => {
+    await expectRejection(createChallenge({ userId, deviceId: 'unknown-phone', ip }), 401);
+
+    const { challenge } = await createChallenge({ userId, deviceId: 'phone-1', ip });
+    expect(challenge).to.be.a('string');
+  });
+
+  it('should throttle probing for devices like failed logins', async () => {
+    for (const guess of ['guess-1', 'guess-2', 'guess-3']) {
+      await expectRejection(createChallenge({ userId, deviceId: guess, ip }), 401);
+    }
+
+    const error = await expectRejection(createChallenge({ userId, deviceId: 'phone-1', ip }), 429);
+    expect(error.retryAfter).to.be.greaterThan(0);
+  });
+
+  it('should log in once with a signed challenge', async () => {
+    const { challenge } = await createChallenge({ userId, deviceId: 'phone-1', ip });
+    const attempt = { userId, deviceId: 'phone-1', challenge, signature: sign(challenge), ip };
+
+    expect(await verifyChallenge(attempt)).to.equal(user);
+    await expectRejection(verifyChallenge(attempt), 401);
+  });
+});
@@ -0,0 +1,138 @@
+import { expect } from 'chai';
+import ChatAttachment from '../models/ChatAttachment.js';
+import Message from '../models/Message.js';
+import {
+  claimAttachments,
+  classifyAttachment,
+  discardUserAttachments,
+  messageTypeFor,
+  removeUnclaimedAttachments,
+  uploadAttachments,
+  validateAttachmentFile
+} from '../services/attachmentService.js';
+import { formatMessage } from '../services/chatService.js';
+import { cloudinary } from '../utils/fileUpload.js';
+import { expectRejection } from './testHelper.js';
+
+describe('Chat attachments', () => {
+  const userId = '64b000000000000000000001';
+  const chatId = '64b000000000000000000002';
+  const MB = 1024 * 1024;
+
+  const file = (mimetype, size, originalname = 'upload') => ({ mimetype, size, originalname, buffer: Buffer.alloc(0) });
+
+  it('should sort MIME types into kinds and refuse the rest', () => {
+    expect(classifyAttachment('IMAGE/PNG')).to.equal('image');
+    expect(classifyAttachment('video/quicktime')).to.equal('video');
+    expect(classifyAttachment('audio/mpeg')).to.equal('audio');
+    expect(classifyAttachment('application/pdf')).to.equal('file');
+    expect(classifyAttachment('application/x-msdownload')).to.equal(null);
+  });
+
+  it('should limit each kind to its own size', () => {
+    expect(validateAttachmentFile(file('video/mp4', 40 * MB))).to.equal('video');
+    expect(() => validateAttachmentFile(file('image/jpeg', 11 * MB, 'big.jpg')))
+      .to.throw('big.jpg is too big; images can be up to 10MB')
+      .with.property('statusCode', 413);
+    expect(() => validateAttachmentFile(file('text/html', 10)))
+      .to.throw().with.property('statusCode', 400);
+  });
+
+  it('should pick the message type from its attachments', () => {
+    expect(messageTypeFor([])).to.equal('text');
+    expect(messageTypeFor([{ kind: 'image' }, { kind: 'image' }])).to.equal('image');
+    expect(messageTypeFor([{ kind: 'image' }, { kind: 'video' }])).to.equal('video');
+    expect(messageTypeFor([{ kind: 'image' }, { kind: 'audio' }])).to.equal('file');
+  });
+
+  it('should check every file before uploading any', async () => {
+    await expectRejection(uploadAttachments(userId, 'not-a-chat', [file('image/png', 10)]), 404);
+    await expectRejection(uploadAttachments(userId, chatId, []), 400);
+    await expectRejection(uploadAttachments(userId, chatId, [file('image/png', 10), file('text/html', 10)]), 400);
+    await expectRejection(uploadAttachments(userId, chatId, Array(11).fill(file('image/png', 10))), 400);
+  });
+
+  it('should not claim malformed attachment ids', async () => {
+    await expectRejection(claimAttachments(userId, chatId, ['nope'], chatId), 400);
+  });
+
+  it('should only delete the files of uploads still unclaimed when they are removed', async () => {
+    const stale = [
+      { _id: '64b000000000000000000003', publicId: 'chat_attachments/a', thumbnailPublicId: 'chat_attachments/thumbnails/a' },
+      { _id: '64b000000000000000000004', publicId: 'chat_attachments/b', resourceType: 'video' }
+    ];
+    const query = (result) => {
+      const chain = { then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+      chain.limit = () => chain;
+      chain.lean = () => chain;
+      return chain;
+    };
+    const originals = { find: ChatAttachment.find, findOneAndDelete: ChatAttachment.findOneAndDelete, destroy: cloudinary.uploader.destroy };
+    const destroyed = [];
+
+    // The second one was claimed by a message after it was found
+    ChatAttachment.find = () => query(stale);
+    ChatAttachment.findOneAndDelete = ({ _id }) => query(_id === stale[0]._id ? stale[0] : null);
+    cloudinary.uploader.destroy = (publicId, options, callback) => {
+      destroyed.push(publicId);
+      callback(null, { result: 'ok' });
+    };
+
+    try {
+      expect(await removeUnclaimedAttachments()).to.equal(1);
+      expect(destroyed).to.have.members(['chat_attachments/a', 'chat_attachments/thumbnails/a']);
+    } finally {
+      ChatAttachment.find = originals.find;
+      ChatAttachment.findOneAndDelete = originals.findOneAndDelete;
+      cloudinary.uploader.destroy = originals.destroy;
+    }
+  });
+
+  it('should delete the files and records of everything a user uploaded', async () => {
+    const uploads = [
+      { _id: '64b000000000000000000003', publicId: 'chat_attachments/a', thumbnailPublicId: 'chat_attachments/thumbnails/a' },
+      { _id: '64b000000000000000000004', publicId: 'chat_attachments/b', resourceType: 'video', message: '64b000000000000000000005' }
+    ];
+    const originals = { find: ChatAttachment.find, deleteMany: ChatAttachment.deleteMany, destroy: cloudinary.uploader.destroy };
+    const destroyed = [];
+    let removed;
+
+    ChatAttachment.find = (filter) => ({ lean: async () => (String(filter.uploader) === userId ? uploads : []) });
+    ChatAttachment.deleteMany = async (filter) => { removed = filter; };
+    cloudinary.uploader.destroy = (publicId, options, callback) => {
+      destroyed.push(publicId);
+      callback(null, { result: 'ok' });
+    };
+
+    try {
+      expect(await discardUserAttachments(userId)).to.equal(2);
+      expect(destroyed).to.have.members(['chat_attachments/a', 'chat_attachments/thumbnails/a', 'chat_attachments/b']);
+      expect(removed).to.deep.equal({ uploader: userId });
+    } finally {
+      ChatAttachment.find = originals.find;
+      ChatAttachment.deleteMany = originals.deleteMany;
+      cloudinary.uploader.destroy = originals.destroy;
+    }
+  });
+
+  it('should send attachments with messages unless they are deleted', async () => {
+    const attachment = {
+      attachment: '64b000000000000000000003',
+      kind: 'image',
+      url: 'https://res.cloudinary.com/a.png',
+      thumbnailUrl: 'https://res.cloudinary.com/a-thumb.webp',
+      fileName: 'a.png',
+      mimeType: 'image/png',
+      size: 2048,
+      width: 800,
+      height: 600
+    };
+    const message = new Message({ chatId, senderId: userId, type: 'image', attachments: [attachment] });
+    await message.validate();
+
+    const formatted = formatMessage(message.toObject());
+    expect(formatted.attachments).to.have.length(1);
+    expect(formatted.attachments[0]).to.include({ id: attachment.attachment, kind: 'image', width: 800 });
+    expect(formatMessage({ ...message.toObject(), deleted: true }).attachments).to.deep.equal([]);
+  });
+});
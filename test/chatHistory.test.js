@@ -0,0 +1,108 @@
+import { expect } from 'chai';
+import mongoose from 'mongoose';
+import Chat from '../models/Chat.js';
+import Message from '../models/Message.js';
+import { listMessages } from '../services/chatService.js';
+import { clearTestDB, closeTestDB, connectTestDB, expectRejection } from './testHelper.js';
+
+describe('Chat message history', () => {
+  const userId = '64b000000000000000000001';
+  const messageId = '64b000000000000000000002';
+
+  it('should only page in one direction at a time', async () => {
+    await expectRejection(listMessages(userId, 'any', { before: messageId, after: messageId }), 400);
+    await expectRejection(listMessages(userId, 'any', { after: messageId, around: messageId }), 400);
+  });
+
+  it('should not look up malformed chat ids', async () => {
+    await expectRejection(listMessages(userId, 'not-a-chat'), 404);
+  });
+
+  describe('paging', () => {
+    const reader = new mongoose.Types.ObjectId();
+    let chat;
+    // m0 (oldest) to m6; m2, m3 and m4 were sent in the same millisecond
+    let m;
+
+    const ids = (page) => page.messages.map(message => message.id);
+    const expectPage = (page, expected) => expect(ids(page)).to.deep.equal(expected.map(message => String(message._id)));
+
+    before(async () => {
+      await connectTestDB();
+      await clearTestDB();
+
+      chat = await Chat.create({ participants: [{ user: reader }] });
+      const start = Date.now() - 60 * 1000;
+      const sentAt = [0, 1, 2, 2, 2, 3, 4].map(second => new Date(start + second * 1000));
+      // Written straight to the collection so the timestamps are kept as given
+      m = sentAt.map((createdAt, n) => ({
+        _id: new mongoose.Types.ObjectId(),
+        chatId: chat._id,
+        senderId: reader,
+        content: `m${n}`,
+        createdAt,
+        updatedAt: createdAt
+      }));
+      await Message.collection.insertMany(m);
+    });
+
+    after(async () => {
+      await clearTestDB();
+      await closeTestDB();
+    });
+
+    it('should start with the latest page', async () => {
+      const page = await listMessages(reader, chat._id, { limit: 3 });
+
+      expectPage(page, [m[4], m[5], m[6]]);
+      expect(page.cursors).to.deep.equal({ before: String(m[4]._id), after: String(m[6]._id) });
+      expect(page.hasMoreBefore).to.equal(true);
+      expect(page.hasMoreAfter).to.equal(false);
+    });
+
+    it('should page back through messages sent at the same time without skipping any', async () => {
+      const older = await listMessages(reader, chat._id, { before: String(m[4]._id), limit: 3 });
+      expectPage(older, [m[1], m[2], m[3]]);
+      expect(older.hasMoreBefore).to.equal(true);
+      expect(older.hasMoreAfter).to.equal(true);
+
+      const oldest = await listMessages(reader, chat._id, { before: older.cursors.before, limit: 3 });
+      expectPage(oldest, [m[0]]);
+      expect(oldest.hasMoreBefore).to.equal(false);
+    });
+
+    it('should page forward from a cursor and keep it once caught up', async () => {
+      const newer = await listMessages(reader, chat._id, { after: String(m[2]._id), limit: 2 });
+      expectPage(newer, [m[3], m[4]]);
+      expect(newer.hasMoreBefore).to.equal(true);
+      expect(newer.hasMoreAfter).to.equal(true);
+
+      const rest = await listMessages(reader, chat._id, { after: newer.cursors.after, limit: 5 });
+      expectPage(rest, [m[5], m[6]]);
+      expect(rest.hasMoreAfter).to.equal(false);
+
+      const caughtUp = await listMessages(reader, chat._id, { after: rest.cursors.after });
+      expectPage(caughtUp, []);
+      expect(caughtUp.cursors).to.deep.equal({ before: String(m[6]._id), after: String(m[6]._id) });
+    });
+
+    it('should centre a page on a message', async () => {
+      const middle = await listMessages(reader, chat._id, { around: String(m[3]._id), limit: 3 });
+      expectPage(middle, [m[2], m[3], m[4]]);
+      expect(middle.hasMoreBefore).to.equal(true);
+      expect(middle.hasMoreAfter).to.equal(true);
+
+      const start = await listMessages(reader, chat._id, { around: String(m[0]._id), limit: 5 });
+      expectPage(start, [m[0], m[1], m[2]]);
+      expect(start.hasMoreBefore).to.equal(false);
+      expect(start.hasMoreAfter).to.equal(true);
+    });
+
+    it('should reject cursors from other chats', async () => {
+      const other = new mongoose.Types.ObjectId().toString();
+
+      await expectRejection(listMessages(reader, chat._id, { before: other }), 400);
+      await expectRejection(listMessages(reader, chat._id, { around: other }), 404);
+    });
+  });
+});
@@ -0,0 +1,41 @@
+import { expect } from 'chai';
+import { markRead } from '../services/chatService.js';
+import { WebSocketService } from '../services/websocket.js';
+
+describe('Chat receipts', () => {
+  // A socket server that records what it would emit, room by room
+  const fakeService = () => {
+    const emitted = [];
+    const service = Object.create(WebSocketService.prototype);
+    service.pendingReceipts = new Map();
+    service.io = { to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }) };
+    return { service, emitted };
+  };
+
+  it('should send a chat\'s receipts as one batched event', async () => {
+    const { service, emitted } = fakeService();
+
+    service.queueReceipt({ chatId: 'c1', userId: 'u1', type: 'delivered', upTo: 'm2', delivered: ['m1', 'm2'], read: [] });
+    service.queueReceipt({ chatId: 'c1', userId: 'u2', type: 'read', upTo: 'm2', delivered: [], read: ['m1'], unreadCount: 0 });
+    expect(emitted.map(({ event }) => event)).to.deep.equal(['chat_unread_count']);
+    expect(emitted[0]).to.deep.include({ room: 'user_u2', payload: { chatId: 'c1', unreadCount: 0 } });
+
+    await new Promise(resolve => setTimeout(resolve, 300));
+
+    const batches = emitted.filter(({ event }) => event === 'message_receipts');
+    expect(batches).to.have.length(1);
+    expect(batches[0].room).to.equal('chat_c1');
+    expect(batches[0].payload.receipts.map(({ userId, type }) => `${userId}:${type}`)).to.deep.equal(['u1:delivered', 'u2:read']);
+    expect(batches[0].payload.receipts[1]).to.not.have.property('unreadCount');
+    expect(service.pendingReceipts.size).to.equal(0);
+  });
+
+  it('should not look up malformed chat ids', async () => {
+    try {
+      await markRead('64b000000000000000000001', 'not-a-chat');
+      expect.fail('Expected the call to be rejected');
+    } catch (error) {
+      expect(error.statusCode).to.equal(404);
+    }
+  });
+});
@@ -0,0 +1,52 @@
+import { expect } from 'chai';
+import Comment, { recordEdit } from '../models/Comment.js';
+import { formatComment, isListed } from '../services/commentService.js';
+
+describe('Threaded comments', () => {
+  const authorId = '64b000000000000000000001';
+  const comment = {
+    _id: '64b0000000000000000000c1',
+    post: '64b0000000000000000000a1',
+    author: { _id: authorId, username: 'ada_l' },
+    content: 'Great notes',
+    status: 'active',
+    replyCount: 0
+  };
+
+  it('should keep deleted comments only while they hold replies', () => {
+    expect(isListed({ ...comment, status: 'deleted' }, new Set())).to.equal(false);
+    expect(isListed({ ...comment, status: 'deleted', replyCount: 2 }, new Set())).to.equal(true);
+  });
+
+  it('should leave out comments by blocked users', () => {
+    expect(isListed(comment, new Set([authorId]))).to.equal(false);
+    expect(isListed(comment, new Set())).to.equal(true);
+  });
+
+  it('should show deleted comments as placeholders without author or content', () => {
+    const placeholder = formatComment({ ...comment, status: 'deleted', replyCount: 1 });
+
+    expect(placeholder).to.include({ status: 'deleted', replyCount: 1 });
+    expect(placeholder).to.not.have.any.keys('author', 'content');
+  });
+
+  it('should record the replaced content in the edit history', () => {
+    const stored = Comment.hydrate({ ...comment, author: authorId, likes: [], replies: [], editHistory: [] });
+    stored.content = 'Great notes, thanks!';
+    recordEdit(stored);
+
+    expect(stored.isEdited).to.equal(true);
+    expect(stored.editHistory[0].content).to.equal('Great notes');
+  });
+
+  it('should not record new or deleted comments as edited', () => {
+    const created = new Comment({ ...comment, author: authorId });
+    recordEdit(created);
+    expect(created.isEdited).to.not.equal(true);
+
+    const deleted = Comment.hydrate({ ...comment, author: authorId, editHistory: [] });
+    deleted.set({ status: 'deleted', content: '' });
+    recordEdit(deleted);
+    expect(deleted.editHistory).to.have.length(0);
+  });
+});
@@ -0,0 +1,168 @@
+import { expect } from 'chai';
+import Comment from '../models/Comment.js';
+import FilterRule from '../models/FilterRule.js';
+import Post from '../models/Post.js';
+import User from '../models/User.js';
+import { editComment } from '../services/commentService.js';
+import { clearRuleCache } from '../services/contentFilterService.js';
+import { editPost } from '../services/postScheduleService.js';
+import { evaluateContent, maskRanges, normalizeDomain } from '../utils/contentFilter.js';
+
+describe('Content filter', () => {
+  const keywordRule = { name: 'Swearing', type: 'keyword', action: 'mask', keywords: ['darn', 'heck off'] };
+
+  it('should mask whole keywords and phrases only', () => {
+    const result = evaluateContent('Darn it, HECK  off! The darning class is fine', [keywordRule]);
+
+    expect(result.action).to.equal('mask');
+    expect(result.content).to.equal('**** it, ****  ***! The darning class is fine');
+    expect(result.matches).to.deep.equal([{ rule: undefined, name: 'Swearing', type: 'keyword', action: 'mask' }]);
+  });
+
+  it('should let the strictest matching action win', () => {
+    const rules = [
+      keywordRule,
+      { name: 'Essay mills', type: 'pattern', action: 'review', pattern: 'essays?\\s+for\\s+sale' },
+      { name: 'Off', type: 'keyword', action: 'block', keywords: ['scam'], enabled: false }
+    ];
+    const result = evaluateContent('Darn, ESSAYS for sale, no scam', rules);
+
+    expect(result.action).to.equal('review');
+    expect(result.content).to.equal('****, ESSAYS for sale, no scam');
+    expect(result.matches.map(({ name }) => name)).to.deep.equal(['Swearing', 'Essay mills']);
+  });
+
+  it('should only run rules for the given context', () => {
+    const rule = { ...keywordRule, action: 'block', appliesTo: ['message'] };
+
+    expect(evaluateContent('darn', [rule], { context: 'post' }).action).to.equal('allow');
+    expect(evaluateContent('darn', [rule], { context: 'message' }).action).to.equal('block');
+  });
+
+  it('should deny listed domains and their subdomains', () => {
+    const rule = { name: 'Shorteners', type: 'link_domain', action: 'block', domains: ['bit.ly'] };
+
+    expect(evaluateContent('see https://bit.ly/x.', [rule]).action).to.equal('block');
+    expect(evaluateContent('see www.go.bit.ly/x', [rule]).action).to.equal('block');
+    expect(evaluateContent('see https://notbit.ly/x', [rule]).action).to.equal('allow');
+  });
+
+  it('should only allow listed domains in allow mode', () => {
+    const rule = {
+      name: 'Campus links',
+      type: 'link_domain',
+      action: 'mask',
+      domainMode: 'allow',
+      domains: ['https://www.uni.ac.uk/']
+    };
+    const result = evaluateContent('Notes: https://moodle.uni.ac.uk/a and http://evil.example/b.', [rule]);
+
+    expect(result.content).to.equal(`Notes: https://moodle.uni.ac.uk/a and ${'*'.repeat(21)}.`);
+  });
+
+  it('should catch the same text repeated within the window', () => {
+    const rule = { name: 'Flood', type: 'repeat', action: 'block', repeat: { count: 3, windowMinutes: 10 } };
+    const now = new Date('2026-01-01T12:00:00Z');
+    const minutesAgo = (minutes) => new Date(now.getTime() - minutes * 60 * 1000);
+    const recent = [
+      { content: 'Buy  NOW', createdAt: minutesAgo(2) },
+      { content: 'buy now', createdAt: minutesAgo(20) },
+      { content: 'something else', createdAt: minutesAgo(1) }
+    ];
+
+    expect(evaluateContent('buy now', [rule], { recent, now }).action).to.equal('allow');
+    recent.push({ content: 'buy now', createdAt: minutesAgo(5) });
+    expect(evaluateContent('buy now', [rule], { recent, now }).action).to.equal('block');
+  });
+
+  it('should normalize domains and keep whitespace when masking', () => {
+    expect(normalizeDomain(' HTTPS://WWW.Example.com:8080/path ')).to.equal('example.com');
+    expect(maskRanges('a bc d', [[0, 4]])).to.equal('* ** d');
+  });
+
+  it('should refuse rules without the settings their type needs', async () => {
+    const invalidPaths = async (rule) => {
+      try {
+        await new FilterRule(rule).validate();
+        expect.fail('Expected the rule to be invalid');
+      } catch (error) {
+        return Object.keys(error.errors || {});
+      }
+    };
+
+    expect(await invalidPaths({ name: 'Bad', type: 'pattern', action: 'block', pattern: '(' })).to.include('pattern');
+    expect(await invalidPaths({ name: 'Empty', type: 'keyword', action: 'block' })).to.include('keywords');
+    expect(await invalidPaths({
+      name: 'Flood',
+      type: 'repeat',
+      action: 'mask',
+      repeat: { count: 3, windowMinutes: 5 }
+    })).to.include('action');
+  });
+
+  describe('on edits', () => {
+    const authorId = '64b000000000000000000001';
+    const originals = [];
+
+    // Stand-ins for model lookups, so edits run without a database
+    const replace = (target, key, value) => {
+      originals.push([target, key, target[key]]);
+      target[key] = value;
+    };
+    const resolvedQuery = (result) => {
+      const query = { then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+      ['select', 'lean', 'sort', 'limit', 'collation', 'populate'].forEach(method => { query[method] = () => query; });
+      return query;
+    };
+    const trackSaves = (doc) => {
+      doc.saved = false;
+      doc.save = async () => { doc.saved = true; return doc; };
+      return doc;
+    };
+
+    const expectBlocked = async (promise) => {
+      try {
+        await promise;
+        expect.fail('Expected the edit to be blocked');
+      } catch (error) {
+        expect(error.statusCode).to.equal(400);
+        expect(error.message).to.match(/contains content that is not allowed here/);
+      }
+    };
+
+    let post;
+
+    beforeEach(() => {
+      clearRuleCache();
+      post = trackSaves(new Post({ author: authorId, content: 'A clean post', status: 'published' }));
+      replace(User, 'findById', () => resolvedQuery({ _id: authorId }));
+      replace(FilterRule, 'find', () => resolvedQuery([{ name: 'Scams', type: 'keyword', action: 'block', keywords: ['scam'] }]));
+      replace(Post, 'findById', () => Promise.resolve(post));
+    });
+
+    afterEach(() => {
+      while (originals.length) {
+        const [target, key, value] = originals.pop();
+        target[key] = value;
+      }
+      clearRuleCache();
+    });
+
+    it('should block editing blocked text into a post', async () => {
+      await expectBlocked(editPost(authorId, post._id, 'Now with a scam'));
+
+      expect(post.content).to.equal('A clean post');
+      expect(post.saved).to.equal(false);
+    });
+
+    it('should block editing blocked text into a comment', async () => {
+      const comment = trackSaves(new Comment({ post: post._id, author: authorId, content: 'A clean comment' }));
+      replace(Comment, 'findOne', () => Promise.resolve(comment));
+
+      await expectBlocked(editComment(authorId, post._id, comment._id, 'Now with a scam'));
+
+      expect(comment.content).to.equal('A clean comment');
+      expect(comment.saved).to.equal(false);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+import { expect } from 'chai';
+import StudyBuddyRequest from '../models/StudyBuddyRequest.js';
+import User from '../models/User.js';
+import {
+  buildAuthorVisibilityFilter,
+  buildVisibilityFilter,
+  decodeFeedCursor,
+  encodeFeedCursor
+} from '../services/feedService.js';
+
+describe('Feed service', () => {
+  const viewerId = '64b000000000000000000001';
+  const sources = {
+    authorIds: ['64b000000000000000000002'],
+    connectionIds: []
+  };
+
+  it('should keep the ranking time in the cursor', () => {
+    const position = { rankedAt: new Date('2026-01-01T12:00:00Z'), score: 0.0123456789, id: '64b000000000000000000003' };
+    expect(decodeFeedCursor(encodeFeedCursor(position))).to.deep.equal(position);
+  });
+
+  it('should reject malformed cursors', () => {
+    expect(() => decodeFeedCursor('bogus')).to.throw('Invalid cursor');
+  });
+
+  it('should only include published, live posts from the feed sources', () => {
+    const now = new Date();
+    const filter = buildVisibilityFilter(viewerId, sources, now);
+
+    expect(filter.author).to.deep.equal({ $in: sources.authorIds });
+    expect(filter.status).to.equal('published');
+    expect(filter.publishedAt).to.deep.equal({ $lte: now });
+    expect(filter.$and[0]).to.deep.equal({ $or: [{ scheduledAt: null }, { scheduledAt: { $lte: now } }] });
+    expect(filter.$and[1]).to.deep.equal({ $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] });
+  });
+
+  it('should limit private posts to their author', () => {
+    const privacy = buildVisibilityFilter(viewerId, sources, new Date()).$and[2].$or;
+    const privateRule = privacy.find(rule => rule.privacy === 'private');
+
+    expect(String(privateRule.author)).to.equal(viewerId);
+  });
+
+  it('should show a profile only the posts its audience allows', async () => {
+    const [authorId] = sources.authorIds;
+    const connectionsRule = (filter) => filter.$and[2].$or.find(rule => rule.privacy === 'connections');
+    const originals = { findById: User.findById, exists: User.exists, buddies: StudyBuddyRequest.exists };
+
+    // A viewer who neither follows nor is friends with the author
+    User.findById = () => ({ select: () => ({ lean: async () => ({ following: [] }) }) });
+    User.exists = async () => null;
+    StudyBuddyRequest.exists = async () => null;
+
+    try {
+      const stranger = await buildAuthorVisibilityFilter(viewerId, authorId, new Date());
+      expect(stranger.author.$in.map(String)).to.deep.equal([authorId]);
+      expect(stranger.status).to.equal('published');
+      expect(connectionsRule(stranger).author.$in.map(String)).to.deep.equal([viewerId]);
+
+      User.findById = () => ({ select: () => ({ lean: async () => ({ following: [authorId] }) }) });
+      const follower = await buildAuthorVisibilityFilter(viewerId, authorId, new Date());
+      expect(connectionsRule(follower).author.$in.map(String)).to.deep.equal([viewerId, authorId]);
+    } finally {
+      User.findById = originals.findById;
+      User.exists = originals.exists;
+      StudyBuddyRequest.exists = originals.buddies;
+    }
+  });
+});
@@ -0,0 +1,37 @@
+import { expect } from 'chai';
+import FollowRequest from '../models/FollowRequest.js';
+import User from '../models/User.js';
+import { approveRequest, cancelRequest, follow, rejectRequest, unfollow } from '../services/followService.js';
+import { expectRejection } from './testHelper.js';
+
+describe('Follow requests', () => {
+  const userId = '64b000000000000000000001';
+  const original = { findById: User.findById, updateOne: User.updateOne, findOne: FollowRequest.findOne };
+  let lookups;
+
+  beforeEach(() => {
+    lookups = 0;
+    User.findById = () => { lookups += 1; throw new Error('Unexpected lookup'); };
+    User.updateOne = async () => { lookups += 1; throw new Error('Unexpected update'); };
+    FollowRequest.findOne = async () => { lookups += 1; throw new Error('Unexpected lookup'); };
+  });
+
+  afterEach(() => {
+    User.findById = original.findById;
+    User.updateOne = original.updateOne;
+    FollowRequest.findOne = original.findOne;
+  });
+
+  it('should not look up malformed user ids', async () => {
+    await expectRejection(follow(userId, 'not-a-user'), 404);
+    expect(await unfollow(userId, 'not-a-user')).to.equal(false);
+    expect(lookups).to.equal(0);
+  });
+
+  it('should not look up malformed request ids', async () => {
+    await expectRejection(approveRequest(userId, 'nope'), 404);
+    await expectRejection(rejectRequest(userId, 'nope'), 404);
+    await expectRejection(cancelRequest(userId, 'nope'), 404);
+    expect(lookups).to.equal(0);
+  });
+});
@@ -0,0 +1,122 @@
+import { expect } from 'chai';
+import Chat from '../models/Chat.js';
+import Message from '../models/Message.js';
+import { formatMessage } from '../services/chatService.js';
+import {
+  addParticipants,
+  joinNames,
+  leaveGroup,
+  ownerOf,
+  pickSuccessor,
+  removeParticipant,
+  roleOf
+} from '../services/groupChatService.js';
+import { expectRejection } from './testHelper.js';
+
+describe('Group chat administration', () => {
+  const ownerId = '64b000000000000000000001';
+  const adminId = '64b000000000000000000002';
+  const memberId = '64b000000000000000000003';
+  const chatId = '64b000000000000000000004';
+
+  const group = (extra = {}) => ({
+    participants: [
+      { user: ownerId, isAdmin: true },
+      { user: memberId, isAdmin: false },
+      { user: adminId, isAdmin: true }
+    ],
+    ...extra
+  });
+
+  it('should tell owners, admins and members apart', () => {
+    const chat = group({ owner: ownerId });
+
+    expect(roleOf(chat, ownerId)).to.equal('owner');
+    expect(roleOf(chat, adminId)).to.equal('admin');
+    expect(roleOf(chat, memberId)).to.equal('member');
+    expect(roleOf(chat, chatId)).to.equal(null);
+  });
+
+  it('should treat the first admin as the owner of older groups', () => {
+    expect(ownerOf(group())).to.equal(ownerId);
+    expect(ownerOf({ participants: [{ user: memberId, isAdmin: false }] })).to.equal(null);
+  });
+
+  it('should hand a group to the longest-standing admin, then member', () => {
+    const [, member, admin] = group().participants;
+
+    expect(pickSuccessor([member, admin])).to.equal(admin);
+    expect(pickSuccessor([member])).to.equal(member);
+  });
+
+  it('should list names the way people write them', () => {
+    expect(joinNames(['Alex'])).to.equal('Alex');
+    expect(joinNames(['Alex', 'Sam'])).to.equal('Alex and Sam');
+    expect(joinNames(['Alex', 'Sam', 'Kim'])).to.equal('Alex, Sam and Kim');
+  });
+
+  it('should reject bad requests before looking the group up', async () => {
+    await expectRejection(removeParticipant(memberId, chatId, memberId), 400);
+    await expectRejection(addParticipants(ownerId, chatId, ['not-a-user']), 400);
+    await expectRejection(addParticipants(ownerId, chatId, []), 400);
+    await expectRejection(leaveGroup(memberId, 'not-a-chat'), 404);
+  });
+
+  it('should send system messages with what they record', async () => {
+    const message = new Message({
+      chatId,
+      senderId: ownerId,
+      type: 'system',
+      system: { event: 'removed', targets: [memberId] },
+      content: 'Sam removed Alex'
+    });
+    await message.validate();
+
+    expect(formatMessage(message.toObject()).system).to.deep.equal({ event: 'removed', targets: [memberId] });
+    expect(formatMessage({ ...message.toObject(), type: 'text', system: undefined }).system).to.equal(null);
+  });
+
+  describe('changes', () => {
+    const originals = [];
+    let updates;
+
+    // Stand-ins for the chat lookups, so changes run without a database
+    const replace = (target, key, value) => {
+      originals.push([target, key, target[key]]);
+      target[key] = value;
+    };
+
+    beforeEach(() => {
+      updates = [];
+      const chat = Chat.hydrate({ _id: chatId, isGroupChat: true, owner: ownerId, ...group() });
+      chat.save = async () => expect.fail('The whole chat must not be saved');
+      replace(Chat, 'findOne', () => Promise.resolve(chat));
+      // Someone else changed the group first
+      replace(Chat, 'findOneAndUpdate', (filter, update, options) => {
+        updates.push({ filter, update, options });
+        return Promise.resolve(null);
+      });
+    });
+
+    afterEach(() => {
+      originals.splice(0).reverse().forEach(([target, key, value]) => { target[key] = value; });
+    });
+
+    it('should remove members with one update that repeats the role checks', async () => {
+      await expectRejection(removeParticipant(adminId, chatId, memberId), 409);
+
+      const [{ filter, update }] = updates;
+      expect(update).to.deep.equal({ $pull: { participants: { user: memberId } } });
+      expect(filter.$and).to.deep.include({ participants: { $elemMatch: { user: adminId, isAdmin: true } } });
+      expect(filter.$and).to.deep.include({ participants: { $elemMatch: { user: memberId, isAdmin: { $ne: true } } } });
+    });
+
+    it('should only let the owner leave while they still own the group', async () => {
+      await expectRejection(leaveGroup(ownerId, chatId), 409);
+
+      const [{ filter, update }] = updates;
+      expect(filter.$and).to.deep.include({ owner: ownerId });
+      expect(update).to.deep.equal({ $pull: { participants: { user: ownerId } }, $unset: { owner: '' } });
+    });
+  });
+});
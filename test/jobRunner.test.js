@@ -0,0 +1,71 @@
+import { expect } from 'chai';
+import { getJobs, registerJob, runJob } from '../services/jobRunner.js';
+import { getTtlStore, resetTtlStore } from '../services/ttlStore.js';
+
+describe('Job runner', () => {
+  beforeEach(async () => {
+    await resetTtlStore();
+  });
+
+  after(async () => {
+    await resetTtlStore();
+  });
+
+  it('should run a registered job and record when it ran', async () => {
+    let runs = 0;
+    registerJob('test-counter', { intervalMs: 60 * 1000, handler: async () => { runs += 1; } });
+
+    expect(await runJob('test-counter')).to.equal(true);
+    expect(runs).to.equal(1);
+    expect(await getTtlStore().get('job-lock:test-counter')).to.equal(null);
+    expect(getJobs().find(job => job.name === 'test-counter').lastRunAt).to.be.an.instanceOf(Date);
+  });
+
+  it('should not run a job while another instance holds its lock', async () => {
+    let runs = 0;
+    registerJob('test-locked', { intervalMs: 60 * 1000, handler: async () => { runs += 1; } });
+
+    await getTtlStore().setIfAbsent('job-lock:test-locked', { startedAt: new Date() }, 60);
+
+    expect(await runJob('test-locked')).to.equal(false);
+    expect(runs).to.equal(0);
+  });
+
+  it('should not overlap runs of the same job', async () => {
+    let release;
+    registerJob('test-slow', {
+      intervalMs: 60 * 1000,
+      handler: () => new Promise(resolve => { release = resolve; })
+    });
+
+    const first = runJob('test-slow');
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(await runJob('test-slow')).to.equal(false);
+    release();
+    expect(await first).to.equal(true);
+  });
+
+  it('should only release its own lock', async () => {
+    const store = getTtlStore();
+    const otherInstance = { token: 'other-instance', startedAt: new Date() };
+    registerJob('test-overrun', {
+      intervalMs: 60 * 1000,
+      // The run outlives its lock and another instance takes the job over
+      handler: async () => {
+        await store.delete('job-lock:test-overrun');
+        await store.setIfAbsent('job-lock:test-overrun', otherInstance, 60);
+      }
+    });
+
+    expect(await runJob('test-overrun')).to.equal(true);
+    expect(await store.get('job-lock:test-overrun')).to.deep.equal(JSON.parse(JSON.stringify(otherInstance)));
+  });
+
+  it('should keep running after a job fails', async () => {
+    registerJob('test-failing', { intervalMs: 60 * 1000, handler: async () => { throw new Error('boom'); } });
+
+    expect(await runJob('test-failing')).to.equal(true);
+    expect(getJobs().find(job => job.name === 'test-failing').lastError).to.equal('boom');
+  });
+});
@@ -0,0 +1,59 @@
+import { expect } from 'chai';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { readOutbox, resetTransport, sendTemplate } from '../services/mailService.js';
+
+describe('Mail service', () => {
+  let outboxDir;
+
+  before(async () => {
+    outboxDir = await fs.mkdtemp(path.join(os.tmpdir(), 'campusos-outbox-'));
+    process.env.MAIL_TRANSPORT = 'outbox';
+    process.env.MAIL_OUTBOX_DIR = outboxDir;
+    resetTransport();
+  });
+
+  after(async () => {
+    delete process.env.MAIL_TRANSPORT;
+    delete process.env.MAIL_OUTBOX_DIR;
+    resetTransport();
+    await fs.rm(outboxDir, { recursive: true, force: true });
+  });
+
+  it('should write templated emails to the outbox', async () => {
+    await sendTemplate('student@example.com', 'passwordReset', {
+      user: { displayName: 'Ada' },
+      code: '123456',
+      expiresInMinutes: 15
+    });
+
+    const [message] = await readOutbox(outboxDir);
+
+    expect(message.to[0].address).to.equal('student@example.com');
+    expect(message.subject).to.contain('password reset code');
+    expect(message.text).to.contain('123456');
+    expect(message.html).to.contain('Hi Ada,');
+  });
+
+  it('should escape user supplied values in the HTML body', async () => {
+    await sendTemplate('student@example.com', 'passwordChanged', {
+      user: { displayName: '<script>alert(1)</script>' }
+    });
+
+    const messages = await readOutbox(outboxDir);
+    const message = messages[messages.length - 1];
+
+    expect(message.html).to.not.contain('<script>');
+    expect(message.html).to.contain('&lt;script&gt;');
+  });
+
+  it('should reject unknown templates', async () => {
+    try {
+      await sendTemplate('student@example.com', 'doesNotExist');
+      expect.fail('Expected sendTemplate to throw');
+    } catch (error) {
+      expect(error.message).to.contain('Unknown mail template');
+    }
+  });
+});
@@ -0,0 +1,55 @@
+import { expect } from 'chai';
+import { formatMessage } from '../services/chatService.js';
+import { addReaction, deleteMessage, editMessage, isValidReaction } from '../services/messageService.js';
+import { expectRejection } from './testHelper.js';
+
+describe('Message actions', () => {
+  const userId = '64b000000000000000000001';
+  const otherId = '64b000000000000000000002';
+  const chatId = '64b000000000000000000003';
+  const messageId = '64b000000000000000000004';
+
+  it('should only accept emoji as reactions', async () => {
+    expect(['👍', '❤️', '👍🏽', '👩‍💻', '🇬🇧'].every(isValidReaction)).to.equal(true);
+    expect(['', 'ok', '👍 nice', null].some(isValidReaction)).to.equal(false);
+
+    await expectRejection(addReaction(userId, chatId, messageId, 'lol'), 400);
+  });
+
+  it('should reject empty edits and unknown delete scopes', async () => {
+    await expectRejection(editMessage(userId, chatId, messageId, '  '), 400);
+    await expectRejection(deleteMessage(userId, chatId, messageId, 'them'), 400);
+  });
+
+  it('should group reactions by emoji and link replies', () => {
+    const message = formatMessage({
+      _id: messageId,
+      chatId,
+      senderId: userId,
+      content: 'Same here',
+      replyTo: { _id: otherId, content: 'Exam moved?', type: 'text', senderId: { _id: otherId, username: 'ada' } },
+      reactions: [{ userId, emoji: '👍' }, { userId: otherId, emoji: '😂' }, { userId: otherId, emoji: '👍' }]
+    });
+
+    expect(message.reactions).to.deep.equal([
+      { emoji: '👍', count: 2, userIds: [userId, otherId] },
+      { emoji: '😂', count: 1, userIds: [otherId] }
+    ]);
+    expect(message.replyTo).to.deep.include({ id: otherId, content: 'Exam moved?', senderUsername: 'ada' });
+  });
+
+  it('should leave only a placeholder of messages deleted for everyone', () => {
+    const message = formatMessage({
+      _id: messageId,
+      chatId,
+      senderId: userId,
+      content: 'oops',
+      deleted: true,
+      replyTo: { _id: otherId, deleted: true, content: 'gone too' },
+      reactions: [{ userId: otherId, emoji: '👍' }]
+    });
+
+    expect(message).to.deep.include({ content: null, deleted: true, reactions: [] });
+    expect(message.replyTo).to.deep.equal({ id: otherId, unavailable: true });
+  });
+});
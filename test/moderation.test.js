@@ -0,0 +1,83 @@
+import { expect } from 'chai';
+import { hasPermission, PERMISSIONS } from '../config/permissions.js';
+import ForumThread from '../models/ForumThread.js';
+import ModerationCase from '../models/ModerationCase.js';
+import Report from '../models/Report.js';
+import { AUTO_HIDE_THRESHOLD, reportContent, resolveCase } from '../services/moderationService.js';
+import { expectRejection } from './testHelper.js';
+
+describe('Moderation', () => {
+  const reporterId = '64b000000000000000000001';
+
+  it('should let moderators and admins work the report queue', () => {
+    expect(hasPermission({ role: 'moderator' }, PERMISSIONS.REPORTS_MODERATE)).to.equal(true);
+    expect(hasPermission({ role: 'admin' }, PERMISSIONS.REPORTS_MODERATE)).to.equal(true);
+    expect(hasPermission({ role: 'staff' }, PERMISSIONS.REPORTS_MODERATE)).to.equal(false);
+    expect(hasPermission({ role: 'user' }, PERMISSIONS.REPORTS_MODERATE)).to.equal(false);
+  });
+
+  it('should hide content once enough different users have reported it', async () => {
+    const thread = { _id: '64b000000000000000000009', author: '64b0000000000000000000ff', isActive: true };
+    const moderationCase = { _id: '64b000000000000000000010', targetType: 'forumThread', reportCount: 0, contentHidden: false };
+    const hidden = [];
+    const original = {
+      findById: ForumThread.findById,
+      threadUpdate: ForumThread.updateOne,
+      findOneAndUpdate: ModerationCase.findOneAndUpdate,
+      caseUpdate: ModerationCase.updateOne,
+      create: Report.create
+    };
+
+    ForumThread.findById = () => ({ select: () => ({ lean: async () => thread }) });
+    ForumThread.updateOne = async (filter, update) => {
+      hidden.push(update.$set);
+      return { modifiedCount: 1 };
+    };
+    ModerationCase.findOneAndUpdate = async (filter, update) => {
+      if (update.$inc) moderationCase.reportCount += update.$inc.reportCount;
+      return { ...moderationCase };
+    };
+    ModerationCase.updateOne = async (filter, update) => {
+      if (filter.contentHidden === false) {
+        if (moderationCase.contentHidden) return { modifiedCount: 0 };
+        moderationCase.contentHidden = true;
+      }
+      return { modifiedCount: 1 };
+    };
+    Report.create = async (report) => report;
+
+    const report = (n) => reportContent(`64b0000000000000000001${String(n).padStart(2, '0')}`, {
+      targetType: 'forumThread',
+      targetId: thread._id,
+      reason: 'spam'
+    });
+
+    try {
+      for (let n = 1; n < AUTO_HIDE_THRESHOLD; n += 1) await report(n);
+      expect(hidden).to.have.length(0);
+
+      await report(AUTO_HIDE_THRESHOLD);
+      await report(AUTO_HIDE_THRESHOLD + 1);
+      expect(hidden).to.deep.equal([{ isActive: false }]);
+    } finally {
+      ForumThread.findById = original.findById;
+      ForumThread.updateOne = original.threadUpdate;
+      ModerationCase.findOneAndUpdate = original.findOneAndUpdate;
+      ModerationCase.updateOne = original.caseUpdate;
+      Report.create = original.create;
+    }
+  });
+
+  it('should reject unknown target types and reasons', async () => {
+    await expectRejection(reportContent(reporterId, { targetType: 'poll', targetId: reporterId, reason: 'spam' }), 400);
+    await expectRejection(reportContent(reporterId, { targetType: 'post', targetId: reporterId, reason: 'boring' }), 400);
+  });
+
+  it('should reject malformed target ids', async () => {
+    await expectRejection(reportContent(reporterId, { targetType: 'post', targetId: 'nope', reason: 'spam' }), 404);
+  });
+
+  it('should reject unknown moderation actions', async () => {
+    await expectRejection(resolveCase({ id: reporterId }, reporterId, { action: 'ban' }), 400);
+  });
+});
@@ -0,0 +1,211 @@
+import { expect } from 'chai';
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import {
+  clearMetadataCache,
+  completeAuthorization,
+  createAuthorizationRequest,
+  isAllowedEmail,
+  mapClaims,
+  resolveUser
+} from '../services/oidcService.js';
+import { resetTtlStore } from '../services/ttlStore.js';
+
+// Minimal OpenID Connect provider: discovery, JWKS and a PKCE-checking token endpoint
+const startMockIdp = async () => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const kid = 'test-key';
+  const codes = new Map();
+  const idp = { claims: {}, codes };
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer: idp.issuer,
+      authorization_endpoint: `${idp.issuer}/authorize`,
+      token_endpoint: `${idp.issuer}/token`,
+      jwks_uri: `${idp.issuer}/jwks`
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({ keys: [{ ...publicKey.export({ format: 'jwk' }), kid, alg: 'RS256', use: 'sig' }] });
+  });
+
+  app.post('/token', (req, res) => {
+    const pending = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    const challenge = crypto.createHash('sha256').update(req.body.code_verifier || '').digest('base64url');
+    if (!pending || pending.codeChallenge !== challenge || pending.redirectUri !== req.body.redirect_uri) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const idToken = jwt.sign(
+      { sub: 'student-42', nonce: pending.nonce, ...idp.claims },
+      privateKey,
+      { algorithm: 'RS256', keyid: kid, issuer: idp.issuer, audience: pending.clientId, expiresIn: '5m' }
+    );
+
+    res.json({ access_token: 'opaque', token_type: 'Bearer', id_token: idToken });
+  });
+
+  // What the browser does: the user signs in and the IdP redirects back with a code
+  idp.authorize = (authorizationUrl) => {
+    const params = new URL(authorizationUrl).searchParams;
+    const code = crypto.randomBytes(16).toString('hex');
+    codes.set(code, {
+      clientId: params.get('client_id'),
+      redirectUri: params.get('redirect_uri'),
+      nonce: params.get('nonce'),
+      codeChallenge: params.get('code_challenge')
+    });
+    return { code, state: params.get('state') };
+  };
+
+  await new Promise(resolve => {
+    idp.server = app.listen(0, '127.0.0.1', resolve);
+  });
+  idp.issuer = `http://127.0.0.1:${idp.server.address().port}`;
+
+  return idp;
+};
+
+describe('OpenID Connect SSO', () => {
+  let idp;
+  let provider;
+
+  before(async () => {
+    idp = await startMockIdp();
+    provider = {
+      slug: 'test-university',
+      university: 'Test University',
+      issuer: idp.issuer,
+      clientId: 'campusos',
+      scopes: ['openid', 'email', 'profile'],
+      redirectUris: ['campusos://sso/callback'],
+      claimMapping: {},
+      defaults: { level: '100 Level', course: 'Undeclared' }
+    };
+  });
+
+  beforeEach(async () => {
+    idp.claims = { email: 'ada@test.edu', email_verified: true, name: 'Ada Lovelace' };
+    clearMetadataCache();
+    await resetTtlStore();
+  });
+
+  after(async () => {
+    await resetTtlStore();
+    await new Promise(resolve => idp.server.close(resolve));
+  });
+
+  it('should build an authorization URL with PKCE', async () => {
+    const { authorizationUrl, state } = await createAuthorizationRequest(provider);
+    const params = new URL(authorizationUrl).searchParams;
+
+    expect(authorizationUrl).to.match(new RegExp(`^${idp.issuer}/authorize\\?`));
+    expect(params.get('state')).to.equal(state);
+    expect(params.get('code_challenge_method')).to.equal('S256');
+    expect(params.get('code_challenge')).to.have.length.greaterThan(40);
+    expect(params.get('redirect_uri')).to.equal('campusos://sso/callback');
+  });
+
+  it('should exchange the code and return verified claims', async () => {
+    const { authorizationUrl } = await createAuthorizationRequest(provider, { device: { platform: 'ios' } });
+    const { code, state } = idp.authorize(authorizationUrl);
+
+    const { claims, device } = await completeAuthorization(provider, { code, state });
+
+    expect(claims.sub).to.equal('student-42');
+    expect(claims.email).to.equal('ada@test.edu');
+    expect(device).to.deep.equal({ platform: 'ios' });
+  });
+
+  it('should only accept each state once', async () => {
+    const { authorizationUrl } = await createAuthorizationRequest(provider);
+    const { code, state } = idp.authorize(authorizationUrl);
+    await completeAuthorization(provider, { code, state });
+
+    try {
+      await completeAuthorization(provider, { code, state });
+      expect.fail('Expected the reused state to be rejected');
+    } catch (error) {
+      expect(error.statusCode).to.equal(400);
+    }
+  });
+
+  it('should reject an ID token with the wrong nonce', async () => {
+    const { authorizationUrl } = await createAuthorizationRequest(provider);
+    const { code, state } = idp.authorize(authorizationUrl);
+    idp.codes.get(code).nonce = 'something-else';
+
+    try {
+      await completeAuthorization(provider, { code, state });
+      expect.fail('Expected the ID token to be rejected');
+    } catch (error) {
+      expect(error.statusCode).to.equal(401);
+      expect(error.message).to.contain('nonce');
+    }
+  });
+
+  it('should refuse redirect URIs that are not configured', async () => {
+    try {
+      await createAuthorizationRequest(provider, { redirectUri: 'https://evil.example.com/callback' });
+      expect.fail('Expected the redirect URI to be rejected');
+    } catch (error) {
+      expect(error.statusCode).to.equal(400);
+    }
+  });
+
+  it('should map claims to user fields', () => {
+    const profile = mapClaims(
+      { ...provider, claimMapping: { level: 'year_level', course: 'programme' } },
+      { sub: 'abc', email: 'Ada@Test.edu', email_verified: 'true', given_name: 'Ada', family_name: 'Lovelace', year_level: '300', programme: 'Mathematics' }
+    );
+
+    expect(profile).to.include({
+      subject: 'abc',
+      email: 'ada@test.edu',
+      emailVerified: true,
+      fullName: 'Ada Lovelace',
+      university: 'Test University',
+      level: '300 Level',
+      course: 'Mathematics'
+    });
+  });
+
+  it('should refuse emails at another institution before looking up any account', async () => {
+    const claims = { sub: 'abc', email: 'victim@other.edu', email_verified: true };
+
+    for (const allowedDomains of [undefined, [], ['test.edu']]) {
+      try {
+        await resolveUser({ ...provider, allowedDomains }, claims);
+        expect.fail('Expected resolveUser() to throw');
+      } catch (error) {
+        expect(error.statusCode).to.equal(403);
+      }
+    }
+  });
+
+  it('should accept the provider domains and their subdomains only', () => {
+    const university = { ...provider, allowedDomains: ['Test.edu'] };
+
+    expect(isAllowedEmail(university, 'ada@test.edu')).to.equal(true);
+    expect(isAllowedEmail(university, 'ada@students.test.edu')).to.equal(true);
+    expect(isAllowedEmail(university, 'ada@eviltest.edu')).to.equal(false);
+    expect(isAllowedEmail(university, 'ada@test.edu.evil.com')).to.equal(false);
+    expect(isAllowedEmail({ ...provider, allowedDomains: [] }, 'ada@test.edu')).to.equal(false);
+  });
+
+  it('should fall back to the provider defaults for missing claims', () => {
+    const profile = mapClaims(provider, { sub: 'abc', email: 'ada@test.edu', level: 'first year' });
+
+    expect(profile.level).to.equal('100 Level');
+    expect(profile.course).to.equal('Undeclared');
+    expect(profile.emailVerified).to.equal(false);
+  });
+});
@@ -0,0 +1,63 @@
+import { expect } from 'chai';
+import { hasPermission, PERMISSIONS, ROLES } from '../config/permissions.js';
+import { requirePermission } from '../middleware/auth.js';
+
+const runMiddleware = (middleware, user) => {
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let calledNext = false;
+  middleware({ user }, res, () => { calledNext = true; });
+  return { res, calledNext };
+};
+
+describe('Permissions', () => {
+  it('should grant admins every permission', () => {
+    Object.values(PERMISSIONS).forEach(permission => {
+      expect(hasPermission({ role: 'admin' }, permission)).to.equal(true);
+    });
+  });
+
+  it('should let staff upload documents but not regular users', () => {
+    expect(hasPermission({ role: 'staff' }, PERMISSIONS.DOCUMENTS_UPLOAD)).to.equal(true);
+    expect(hasPermission({ role: 'user' }, PERMISSIONS.DOCUMENTS_UPLOAD)).to.equal(false);
+    expect(hasPermission({ role: 'moderator' }, PERMISSIONS.DOCUMENTS_UPLOAD)).to.equal(false);
+  });
+
+  it('should show tutors their teaching schedule', () => {
+    expect(hasPermission({ role: 'tutor' }, PERMISSIONS.TIMETABLES_TEACH)).to.equal(true);
+    expect(hasPermission({ role: 'user' }, PERMISSIONS.TIMETABLES_TEACH)).to.equal(false);
+    expect(hasPermission({ role: 'moderator' }, PERMISSIONS.TIMETABLES_TEACH)).to.equal(false);
+  });
+
+  it('should deny unknown roles and missing users', () => {
+    expect(hasPermission({ role: 'student' }, PERMISSIONS.TUTOR_PROFILE_MANAGE)).to.equal(false);
+    expect(hasPermission(undefined, PERMISSIONS.TUTOR_PROFILE_MANAGE)).to.equal(false);
+  });
+
+  it('should map every role', () => {
+    expect(ROLES).to.include.members(['user', 'tutor', 'moderator', 'staff', 'admin']);
+  });
+
+  describe('requirePermission()', () => {
+    it('should call next when the user has every permission', () => {
+      const middleware = requirePermission(PERMISSIONS.POSTS_MODERATE, PERMISSIONS.POLLS_MODERATE);
+      const { calledNext } = runMiddleware(middleware, { role: 'moderator' });
+      expect(calledNext).to.equal(true);
+    });
+
+    it('should respond 403 when a permission is missing', () => {
+      const middleware = requirePermission(PERMISSIONS.ANNOUNCEMENTS_PUBLISH);
+      const { res, calledNext } = runMiddleware(middleware, { role: 'moderator' });
+      expect(calledNext).to.equal(false);
+      expect(res.statusCode).to.equal(403);
+    });
+
+    it('should respond 401 without an authenticated user', () => {
+      const { res } = runMiddleware(requirePermission(PERMISSIONS.POSTS_MODERATE), undefined);
+      expect(res.statusCode).to.equal(401);
+    });
+  });
+});
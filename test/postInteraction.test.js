@@ -0,0 +1,69 @@
+import { expect } from 'chai';
+import {
+  canSeePost,
+  hideUnseenOriginals,
+  listSavedPosts,
+  quote,
+  repost,
+  savePost,
+  sharePost,
+  unrepost,
+  unsavePost
+} from '../services/postInteractionService.js';
+
+describe('Post interactions', () => {
+  const authorId = '64b000000000000000000001';
+  const viewerId = '64b000000000000000000002';
+  const post = { _id: '64b0000000000000000000a1', author: authorId, status: 'published', privacy: 'public' };
+
+  it('should let authors see their own drafts', async () => {
+    expect(await canSeePost(authorId, { ...post, status: 'draft' })).to.equal(true);
+  });
+
+  it('should hide drafts, expired and private posts from everyone else', async () => {
+    expect(await canSeePost(viewerId, { ...post, status: 'draft' })).to.equal(false);
+    expect(await canSeePost(viewerId, { ...post, expiresAt: new Date(Date.now() - 1000) })).to.equal(false);
+    expect(await canSeePost(viewerId, { ...post, privacy: 'private' })).to.equal(false);
+  });
+
+  it('should leave out originals the viewer may not see', async () => {
+    const ownRepost = { _id: '64b0000000000000000000a2', originalPost: { ...post, author: { _id: viewerId }, status: 'draft' } };
+    const draftQuote = { _id: '64b0000000000000000000a3', originalPost: { ...post, status: 'archived' } };
+    const privateRepost = { _id: '64b0000000000000000000a4', originalPost: { ...post, privacy: 'private' } };
+    const plain = { _id: '64b0000000000000000000a5', originalPost: null };
+
+    const posts = await hideUnseenOriginals(viewerId, [ownRepost, draftQuote, privateRepost, plain]);
+
+    expect(posts.map(({ originalPost }) => originalPost?._id || null))
+      .to.deep.equal([post._id, null, null, null]);
+  });
+
+  it('should require content to quote a post', async () => {
+    try {
+      await quote(viewerId, post._id, '   ');
+      expect.fail('Expected quote() to throw');
+    } catch (error) {
+      expect(error.statusCode).to.equal(400);
+    }
+  });
+
+  it('should not look up malformed post ids', async () => {
+    for (const action of [repost, unrepost, sharePost, savePost, unsavePost]) {
+      try {
+        await action(viewerId, 'not-a-post');
+        expect.fail(`Expected ${action.name}() to throw`);
+      } catch (error) {
+        expect(error.statusCode).to.equal(404);
+      }
+    }
+  });
+
+  it('should reject malformed saved post cursors', async () => {
+    try {
+      await listSavedPosts(viewerId, { cursor: 'bogus' });
+      expect.fail('Expected listSavedPosts() to throw');
+    } catch (error) {
+      expect(error.message).to.equal('Invalid cursor');
+    }
+  });
+});
@@ -0,0 +1,31 @@
+import { expect } from 'chai';
+import { resolveSchedule } from '../services/postScheduleService.js';
+
+describe('Post scheduling', () => {
+  const inHours = hours => new Date(Date.now() + hours * 60 * 60 * 1000);
+
+  it('should leave fields that were not given unchanged', () => {
+    expect(resolveSchedule({})).to.deep.equal({});
+  });
+
+  it('should accept a future schedule and clear it with null', () => {
+    const scheduledAt = inHours(2);
+
+    expect(resolveSchedule({ scheduledAt: scheduledAt.toISOString() }).scheduledAt.getTime())
+      .to.equal(scheduledAt.getTime());
+    expect(resolveSchedule({ scheduledAt: null })).to.deep.equal({ scheduledAt: null });
+  });
+
+  it('should reject past schedules and invalid dates', () => {
+    expect(() => resolveSchedule({ scheduledAt: inHours(-1) })).to.throw('scheduledAt must be in the future');
+    expect(() => resolveSchedule({ expiresAt: 'soon' })).to.throw('expiresAt must be a valid date');
+  });
+
+  it('should require expiry after the post goes live', () => {
+    expect(() => resolveSchedule({ scheduledAt: inHours(3), expiresAt: inHours(2) }))
+      .to.throw('expiresAt must be after the post goes live');
+    expect(() => resolveSchedule({ expiresAt: inHours(1) }, { scheduledAt: inHours(2) }))
+      .to.throw('expiresAt must be after the post goes live');
+    expect(resolveSchedule({ expiresAt: inHours(4) }, { scheduledAt: inHours(2) })).to.have.property('expiresAt');
+  });
+});
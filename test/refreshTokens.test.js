@@ -0,0 +1,46 @@
+import { expect } from 'chai';
+import { findStaleRefreshTokens } from '../services/tokenService.js';
+
+describe('Refresh token storage', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const start = new Date('2026-01-01T00:00:00Z');
+
+  // Store a token and drop what findStaleRefreshTokens says, as storeRefreshToken does
+  const store = (tokens, entry, sessionIds, now) => {
+    const next = [...tokens, entry];
+    const stale = new Set(findStaleRefreshTokens(next, sessionIds, now));
+    return next.filter(token => !stale.has(token.token));
+  };
+
+  const entry = (family, index, createdAt) => ({
+    token: `${family}-${index}`,
+    family,
+    createdAt,
+    expiresAt: new Date(createdAt.getTime() + 30 * DAY)
+  });
+
+  it('should keep every session signed in however often another one rotates', () => {
+    const sessions = ['phone', 'laptop'];
+    let tokens = store([], entry('laptop', 0, start), sessions, start);
+    tokens = store(tokens, entry('phone', 0, start), sessions, start);
+
+    // The phone refreshes every 15 minutes for a day and a half
+    for (let i = 1; i <= 150; i += 1) {
+      const now = new Date(start.getTime() + i * 15 * 60 * 1000);
+      tokens.find(token => token.token === `phone-${i - 1}`).revokedAt = now;
+      tokens = store(tokens, entry('phone', i, now), sessions, now);
+    }
+
+    const live = tokens.filter(token => !token.revokedAt).map(token => token.token);
+    expect(live).to.have.members(['laptop-0', 'phone-150']);
+    expect(tokens.filter(token => token.family === 'phone' && token.revokedAt)).to.have.length(5);
+    // The latest rotated tokens stay, so replaying them is still caught
+    expect(tokens.map(token => token.token)).to.include('phone-149');
+  });
+
+  it('should drop expired tokens and those of ended sessions', () => {
+    const tokens = [entry('phone', 0, start), entry('tablet', 0, start), entry('laptop', 0, new Date(start.getTime() - 31 * DAY))];
+
+    expect(findStaleRefreshTokens(tokens, ['phone', 'laptop'], start)).to.have.members(['tablet-0', 'laptop-0']);
+  });
+});
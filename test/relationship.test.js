@@ -0,0 +1,64 @@
+import { expect } from 'chai';
+import { getAccess, isVisibleTo, toPublicCard, toVisibleProfile } from '../services/relationshipService.js';
+
+const userWithPrivacy = (privacy) => ({
+  _id: '64b000000000000000000001',
+  username: 'jane',
+  displayName: 'Jane',
+  email: 'jane@example.com',
+  bio: 'Hello',
+  lastSeen: new Date(),
+  onlineStatus: 'online',
+  settings: { privacy }
+});
+
+describe('Profile visibility', () => {
+  it('should let everyone through public settings', () => {
+    expect(isVisibleTo('public')).to.equal(true);
+    expect(isVisibleTo('everyone')).to.equal(true);
+    expect(isVisibleTo(undefined)).to.equal(true);
+  });
+
+  it('should only let friends through friends settings', () => {
+    expect(isVisibleTo('friends', { isFriend: true })).to.equal(true);
+    expect(isVisibleTo('friends')).to.equal(false);
+    expect(isVisibleTo('my_contacts', { isFriend: true })).to.equal(true);
+    expect(isVisibleTo('my_contacts')).to.equal(false);
+  });
+
+  it('should only let the user through private settings', () => {
+    expect(isVisibleTo('private', { isFriend: true })).to.equal(false);
+    expect(isVisibleTo('nobody', { isFriend: true })).to.equal(false);
+    expect(isVisibleTo('private', { isSelf: true })).to.equal(true);
+  });
+
+  it('should reduce a hidden profile to a public card', () => {
+    const card = toPublicCard(userWithPrivacy({ profileVisibility: 'private' }));
+
+    expect(card).to.include({ username: 'jane', displayName: 'Jane', isPrivate: true });
+    expect(card).to.not.have.any.keys('email', 'bio', 'lastSeen', 'settings');
+  });
+
+  it('should return the public card for a private profile', async () => {
+    const user = userWithPrivacy({ profileVisibility: 'private', lastSeen: 'everyone' });
+    const profile = await toVisibleProfile('64b000000000000000000002', user);
+
+    expect(profile.isPrivate).to.equal(true);
+    expect(profile).to.not.have.property('email');
+  });
+
+  it('should hide presence when last seen is hidden', async () => {
+    const user = userWithPrivacy({ profileVisibility: 'public', lastSeen: 'nobody' });
+    const profile = await toVisibleProfile('64b000000000000000000002', user);
+
+    expect(profile.bio).to.equal('Hello');
+    expect(profile).to.not.have.any.keys('lastSeen', 'onlineStatus');
+  });
+
+  it('should show users everything about themselves', async () => {
+    const user = userWithPrivacy({ profileVisibility: 'private', lastSeen: 'nobody' });
+    const access = await getAccess(user._id, user);
+
+    expect(access).to.deep.equal({ profile: true, presence: true });
+  });
+});
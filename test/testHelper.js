@@ -1,3 +1,4 @@
+import { expect } from 'chai';
 import mongoose from 'mongoose';
 import dotenv from 'dotenv';
 import { connectDB } from '../config/db.js';
@@ -39,8 +40,20 @@ const closeTestDB = async () => {
   }
 };
 
+// Expect a service call to fail with an operational error of the given status
+const expectRejection = async (promise, statusCode) => {
+  try {
+    await promise;
+    expect.fail('Expected the call to be rejected');
+  } catch (error) {
+    expect(error.statusCode).to.equal(statusCode);
+    return error;
+  }
+};
+
 export {
   connectTestDB,
   clearTestDB,
-  closeTestDB
+  closeTestDB,
+  expectRejection
 };
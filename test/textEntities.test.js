@@ -0,0 +1,57 @@
+import { expect } from 'chai';
+import { decodeHashtagCursor, encodeHashtagCursor, scoreTrend } from '../services/hashtagService.js';
+import { extractHashtags, extractMentions, normalizeHashtag, parseTextEntities } from '../utils/textEntities.js';
+
+describe('Hashtags and mentions', () => {
+  describe('Extraction', () => {
+    it('should give index ranges that slice out each entity', () => {
+      const text = '😀 Revising with @ada_l #Exams and #exams again';
+      const hashtags = extractHashtags(text);
+      const mentions = extractMentions(text);
+
+      expect(hashtags.map(({ indices }) => text.slice(...indices))).to.deep.equal(['#Exams', '#exams']);
+      expect(mentions.map(({ indices }) => text.slice(...indices))).to.deep.equal(['@ada_l']);
+    });
+
+    it('should ignore numbers, URL fragments, HTML entities and emails', () => {
+      const text = 'Room #101 at example.com/page#info &#39; mail me at ada@uni.ac.uk';
+
+      expect(extractHashtags(text)).to.deep.equal([]);
+      expect(extractMentions(text)).to.deep.equal([]);
+    });
+
+    it('should not cut usernames that are too long', () => {
+      expect(extractMentions(`@${'a'.repeat(31)}`)).to.deep.equal([]);
+      expect(extractMentions('@ab')).to.deep.equal([]);
+    });
+
+    it('should store each hashtag once, lowercased', () => {
+      const { hashtags, mentions } = parseTextEntities('#Café #café @bob and @bob');
+
+      expect(hashtags).to.deep.equal(['café']);
+      expect(mentions).to.have.length(2);
+    });
+
+    it('should normalize hashtags taken from a route parameter', () => {
+      expect(normalizeHashtag('#StudyTips')).to.equal('studytips');
+      expect(normalizeHashtag('2024')).to.equal(null);
+      expect(normalizeHashtag('not a tag')).to.equal(null);
+    });
+  });
+
+  describe('Trending', () => {
+    it('should rank a sudden rise above steady use', () => {
+      const rising = scoreTrend(12, 4);
+      const steady = scoreTrend(12, 48);
+
+      expect(rising).to.be.above(steady);
+      expect(steady).to.equal(0);
+    });
+
+    it('should round-trip hashtag cursors', () => {
+      const position = { publishedAt: new Date('2026-03-01T09:30:00Z'), id: '64b000000000000000000001' };
+      expect(decodeHashtagCursor(encodeHashtagCursor(position))).to.deep.equal(position);
+      expect(() => decodeHashtagCursor('nope')).to.throw('Invalid cursor');
+    });
+  });
+});
@@ -0,0 +1,49 @@
+import { expect } from 'chai';
+import {
+  base32Decode,
+  base32Encode,
+  buildOtpauthUri,
+  generateSecret,
+  generateTotp,
+  verifyTotp
+} from '../utils/totp.js';
+
+// RFC 6238 appendix B test secret ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('TOTP', () => {
+  it('should round-trip base32 encoding', () => {
+    const buffer = Buffer.from('12345678901234567890');
+    expect(base32Encode(buffer)).to.equal(RFC_SECRET);
+    expect(base32Decode(RFC_SECRET).toString()).to.equal('12345678901234567890');
+  });
+
+  it('should match the RFC 6238 test vectors', () => {
+    expect(generateTotp(RFC_SECRET, { time: 59 * 1000 })).to.equal('287082');
+    expect(generateTotp(RFC_SECRET, { time: 1111111109 * 1000 })).to.equal('081804');
+    expect(generateTotp(RFC_SECRET, { time: 1234567890 * 1000 })).to.equal('005924');
+  });
+
+  it('should accept codes within the drift window and return their step', () => {
+    const secret = generateSecret();
+    const time = Date.now();
+    const previous = generateTotp(secret, { time: time - 30 * 1000 });
+
+    expect(verifyTotp(secret, previous, { time })).to.equal(Math.floor(time / 30000) - 1);
+    expect(verifyTotp(secret, previous, { time, window: 0 })).to.equal(null);
+  });
+
+  it('should reject malformed codes', () => {
+    const secret = generateSecret();
+    expect(verifyTotp(secret, '12345')).to.equal(null);
+    expect(verifyTotp(secret, 'abcdef')).to.equal(null);
+    expect(verifyTotp(secret, undefined)).to.equal(null);
+  });
+
+  it('should build an otpauth URI for authenticator apps', () => {
+    const uri = buildOtpauthUri({ secret: RFC_SECRET, accountName: 'ada@example.com', issuer: 'CampusOS' });
+    expect(uri).to.match(/^otpauth:\/\/totp\/CampusOS:ada%40example\.com\?/);
+    expect(uri).to.contain(`secret=${RFC_SECRET}`);
+    expect(uri).to.contain('issuer=CampusOS');
+  });
+});
@@ -226,7 +226,7 @@ describe('Tutor API Tests', () => {
       
       // Verify user role was updated
       const user = await User.findById(userId);
-      expect(user.role).to.equal('student');
+      expect(user.role).to.equal('user');
     });
   });
 });
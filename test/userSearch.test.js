@@ -0,0 +1,96 @@
+import { expect } from 'chai';
+import { decodeCursor, encodeCursor, scoreAffinity, scoreText } from '../services/userSearchService.js';
+import { buildSearchTokens, editDistance, parseQuery, scoreTerm } from '../utils/searchTokens.js';
+
+describe('User directory search', () => {
+  describe('Search tokens', () => {
+    it('should index anchored trigrams of every word', () => {
+      const tokens = buildSearchTokens(['John', 'Computer Science']);
+
+      expect(tokens).to.include.members(['_jo', 'joh', 'ohn', '_co', 'ter', '_sc', 'nce']);
+      expect(tokens).to.not.include('hn_');
+    });
+
+    it('should find prefixes through the stored tokens', () => {
+      const stored = new Set(buildSearchTokens(['Jonathan']));
+      const { terms, tokens } = parseQuery('Jon');
+
+      expect(terms).to.deep.equal(['jon']);
+      expect(tokens.every(token => stored.has(token))).to.equal(true);
+    });
+
+    it('should strip accents and ignore single letters', () => {
+      const { terms } = parseQuery('  Zoë  A. ');
+      expect(terms).to.deep.equal(['zoe']);
+    });
+
+    it('should count transpositions as one edit', () => {
+      expect(editDistance('smtih', 'smith')).to.equal(1);
+      expect(editDistance('kitten', 'sitting', 2)).to.equal(3);
+    });
+
+    it('should rank exact, prefix, typo and unrelated matches in order', () => {
+      const exact = scoreTerm('smith', ['smith']);
+      const prefix = scoreTerm('smi', ['smith']);
+      const typo = scoreTerm('smtih', ['smith']);
+      const unrelated = scoreTerm('jones', ['smith']);
+
+      expect(exact).to.equal(1);
+      expect(prefix).to.be.below(exact);
+      expect(typo).to.be.above(0).and.below(prefix);
+      expect(unrelated).to.equal(0);
+    });
+  });
+
+  describe('Ranking', () => {
+    const ada = {
+      _id: '64b000000000000000000001',
+      username: 'ada_l',
+      displayName: 'Ada Lovelace',
+      fullName: 'Ada Lovelace',
+      course: 'Computer Science',
+      university: 'University of London',
+      followers: ['64b0000000000000000000f1', '64b0000000000000000000f2'],
+      groups: ['64b0000000000000000000a1']
+    };
+
+    it('should require every term to match some field', () => {
+      expect(scoreText(['ada', 'lovelace'], ada)).to.be.above(0);
+      expect(scoreText(['ada', 'turing'], ada)).to.equal(0);
+    });
+
+    it('should weigh name matches above course matches', () => {
+      expect(scoreText(['computer'], { ...ada, username: 'computer' }))
+        .to.be.above(scoreText(['computer'], ada));
+    });
+
+    it('should not match course or university on hidden profiles', () => {
+      const hidden = { ...ada, settings: { privacy: { profileVisibility: 'private' } } };
+      expect(scoreText(['computer'], hidden)).to.equal(0);
+    });
+
+    it('should boost shared course, mutual follows and shared groups', () => {
+      const viewer = {
+        course: 'computer science',
+        following: ['64b0000000000000000000f1'],
+        groups: ['64b0000000000000000000a1']
+      };
+
+      const affinity = scoreAffinity(viewer, ada);
+
+      expect(affinity).to.include({ sharedCourse: true, mutualFollows: 1, sharedGroups: 1 });
+      expect(affinity.score).to.be.above(scoreAffinity({}, ada).score);
+    });
+  });
+
+  describe('Cursors', () => {
+    it('should round-trip a position', () => {
+      const position = { score: 4.25, id: '64b000000000000000000001' };
+      expect(decodeCursor(encodeCursor(position))).to.deep.equal(position);
+    });
+
+    it('should reject malformed cursors', () => {
+      expect(() => decodeCursor('not-a-cursor')).to.throw('Invalid cursor');
+    });
+  });
+});
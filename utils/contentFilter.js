@@ -0,0 +1,192 @@
+/**
+ * Content filter rule evaluation.
+ *
+ * Pure functions over plain rule objects (FilterRule documents or literals),
+ * so the engine can be exercised without a database. A rule either matches
+ * ranges of the text (keywords, patterns, links) or the text as a whole
+ * (repeated messages). Ranges are `[start, end)` offsets into the original
+ * string, like the ones in utils/textEntities.js.
+ */
+
+export const FILTER_CONTEXTS = ['post', 'comment', 'message'];
+export const FILTER_RULE_TYPES = ['keyword', 'pattern', 'link_domain', 'repeat'];
+export const FILTER_ACTIONS = ['block', 'mask', 'review'];
+
+// When several rules match, the strictest action wins
+const ACTION_RANK = { allow: 0, mask: 1, review: 2, block: 3 };
+
+const MASK_CHARACTER = '*';
+
+// http(s) links and bare www. hosts; trailing punctuation is not part of the link
+const LINK_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"']+[^\s<>"'.,;:!?)\]}]/giu;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Normalize a domain for comparison: lowercase, no scheme, path, port or leading www.
+ * @param {string} domain
+ * @returns {string}
+ */
+export const normalizeDomain = (domain) => String(domain || '')
+  .trim()
+  .toLowerCase()
+  .replace(/^[a-z]+:\/\//, '')
+  .replace(/[/:?#].*$/, '')
+  .replace(/^www\./, '')
+  .replace(/\.$/, '');
+
+// Whole words or phrases, so "ass" does not match "class"
+const keywordPattern = (keywords) => {
+  const words = (keywords || []).map(word => String(word).trim()).filter(Boolean);
+  if (!words.length) return null;
+  const alternatives = words
+    .sort((a, b) => b.length - a.length)
+    .map(word => escapeRegExp(word).replace(/\s+/g, '\\s+'));
+  return new RegExp(`(?<![\\p{L}\\p{M}\\p{N}_])(?:${alternatives.join('|')})(?![\\p{L}\\p{M}\\p{N}_])`, 'giu');
+};
+
+/**
+ * Build the regular expression of a pattern rule
+ * @param {string} pattern
+ * @param {string} [flags] - Any of `i`, `m`, `s` and `u`
+ * @returns {RegExp} Global, so it can be used with matchAll
+ * @throws {SyntaxError} When the pattern or flags are invalid
+ */
+export const compilePattern = (pattern, flags = 'i') => {
+  const extra = [...new Set(String(flags || '').replace(/[^imsu]/g, ''))].join('');
+  return new RegExp(pattern, `g${extra}`);
+};
+
+const rangesOf = (text, regex) => [...text.matchAll(regex)]
+  .filter(match => match[0].length > 0)
+  .map(match => [match.index, match.index + match[0].length]);
+
+const hostOf = (link) => {
+  try {
+    return normalizeDomain(new URL(/^https?:\/\//i.test(link) ? link : `http://${link}`).hostname);
+  } catch {
+    return null;
+  }
+};
+
+// A listed domain also covers its subdomains
+const isListedDomain = (host, domains) => domains.some(domain => host === domain || host.endsWith(`.${domain}`));
+
+const normalizeForRepeat = (text) => String(text || '').normalize('NFKC').toLowerCase().replace(/\s+/g, ' ').trim();
+
+const matchers = {
+  keyword: (rule, text) => {
+    const regex = keywordPattern(rule.keywords);
+    return regex ? rangesOf(text, regex) : [];
+  },
+
+  pattern: (rule, text) => {
+    try {
+      return rangesOf(text, compilePattern(rule.pattern, rule.patternFlags));
+    } catch {
+      // Rules are validated when saved; a bad one left in the store matches nothing
+      return [];
+    }
+  },
+
+  // Deny mode flags links to the listed domains, allow mode flags links to any other domain
+  link_domain: (rule, text) => {
+    const domains = (rule.domains || []).map(normalizeDomain).filter(Boolean);
+    const deny = rule.domainMode !== 'allow';
+    return [...text.matchAll(LINK_PATTERN)]
+      .filter(match => {
+        const host = hostOf(match[0]);
+        return host && isListedDomain(host, domains) === deny;
+      })
+      .map(match => [match.index, match.index + match[0].length]);
+  },
+
+  // The same text sent `count` times within the window, this one included
+  repeat: (rule, text, { recent = [], now = new Date() }) => {
+    const body = normalizeForRepeat(text);
+    if (!body) return [];
+    const since = now.getTime() - (rule.repeat?.windowMinutes || 0) * 60 * 1000;
+    const copies = recent.filter(item => new Date(item.createdAt).getTime() >= since
+      && normalizeForRepeat(item.content) === body).length;
+    return copies + 1 >= (rule.repeat?.count || Infinity) ? [[0, text.length]] : [];
+  }
+};
+
+/**
+ * Replace the given ranges of some text with mask characters, keeping its length
+ * @param {string} text
+ * @param {Array<[number, number]>} ranges
+ * @returns {string}
+ */
+export const maskRanges = (text, ranges) => {
+  const chars = text.split('');
+  for (const [start, end] of ranges) {
+    for (let i = start; i < end; i += 1) {
+      if (!/\s/.test(chars[i])) chars[i] = MASK_CHARACTER;
+    }
+  }
+  return chars.join('');
+};
+
+/**
+ * Check whether a rule applies to a context
+ * @param {Object} rule
+ * @param {string} context - post, comment or message
+ * @returns {boolean}
+ */
+export const appliesTo = (rule, context) => rule.enabled !== false
+  && (!rule.appliesTo?.length || rule.appliesTo.includes(context));
+
+/**
+ * Run text through a set of rules
+ * @param {string} text
+ * @param {Array<Object>} rules
+ * @param {Object} [options]
+ * @param {string} [options.context] - Only rules that apply to it are run
+ * @param {Array<{ content: string, createdAt: Date }>} [options.recent] - The author's recent
+ *   texts in this context, for repeat rules
+ * @param {Date} [options.now]
+ * @returns {{ action: 'allow'|'mask'|'review'|'block', content: string, matches: Array<Object> }}
+ *   `content` has the ranges of masking rules masked; `matches` lists each rule that matched
+ */
+export const evaluateContent = (text, rules, { context, recent = [], now = new Date() } = {}) => {
+  const content = String(text || '');
+  const matches = [];
+  const maskRangesFound = [];
+  let action = 'allow';
+
+  for (const rule of rules) {
+    if (rule.enabled === false || (context && !appliesTo(rule, context))) continue;
+    const matcher = matchers[rule.type];
+    if (!matcher) continue;
+
+    const ranges = matcher(rule, content, { recent, now });
+    if (!ranges.length) continue;
+
+    matches.push({
+      rule: rule._id ? String(rule._id) : undefined,
+      name: rule.name,
+      type: rule.type,
+      action: rule.action
+    });
+    if (rule.action === 'mask') maskRangesFound.push(...ranges);
+    if (ACTION_RANK[rule.action] > ACTION_RANK[action]) action = rule.action;
+  }
+
+  return {
+    action,
+    content: action === 'block' ? content : maskRanges(content, maskRangesFound),
+    matches
+  };
+};
+
+export default {
+  FILTER_CONTEXTS,
+  FILTER_RULE_TYPES,
+  FILTER_ACTIONS,
+  normalizeDomain,
+  compilePattern,
+  maskRanges,
+  appliesTo,
+  evaluateContent
+};
@@ -0,0 +1,169 @@
+/**
+ * Search tokens for index-backed, typo-tolerant text search.
+ *
+ * Every word is indexed as the trigrams of the word with a leading `_`, so
+ * "john" becomes `_jo`, `joh`, `ohn`. A query is split the same way: a prefix
+ * such as "jo" matches through `_jo`, and a misspelled word still shares some
+ * trigrams with the right one. Candidates found through a multikey index on the
+ * tokens are then scored precisely with scoreTerm().
+ */
+
+const MIN_TERM_LENGTH = 2;
+const MAX_WORD_LENGTH = 32;
+const MAX_QUERY_TERMS = 6;
+
+/**
+ * Lowercase, strip accents and turn anything that is not a letter or digit into spaces
+ * @param {string} text
+ * @returns {string}
+ */
+export const normalizeText = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+/**
+ * Split text into normalized words
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export const toWords = (text) => normalizeText(text)
+  .split(' ')
+  .filter(Boolean)
+  .map(word => word.slice(0, MAX_WORD_LENGTH));
+
+/**
+ * Trigrams of a word, anchored at its start
+ * @param {string} word
+ * @returns {Array<string>}
+ */
+export const trigrams = (word) => {
+  const padded = `_${word}`;
+  const grams = [];
+  for (let i = 0; i + 3 <= padded.length; i++) {
+    grams.push(padded.slice(i, i + 3));
+  }
+  return grams;
+};
+
+/**
+ * Tokens to store on a document for the given field values
+ * @param {Array<string>} values
+ * @returns {Array<string>}
+ */
+export const buildSearchTokens = (values) => {
+  const tokens = new Set();
+  values.flatMap(toWords).forEach(word => trigrams(word).forEach(gram => tokens.add(gram)));
+  return [...tokens];
+};
+
+/**
+ * Split a search query into terms and the tokens that find candidates for them
+ * @param {string} query
+ * @returns {{ terms: Array<string>, tokens: Array<string> }}
+ */
+export const parseQuery = (query) => {
+  const terms = [...new Set(toWords(query).filter(word => word.length >= MIN_TERM_LENGTH))]
+    .slice(0, MAX_QUERY_TERMS);
+
+  return {
+    terms,
+    tokens: [...new Set(terms.flatMap(trigrams))]
+  };
+};
+
+/**
+ * Damerau-Levenshtein distance (with adjacent transpositions), capped for speed
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max - Distances above this are reported as max + 1
+ * @returns {number}
+ */
+export const editDistance = (a, b, max = 2) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previousRow = null;
+  let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const next = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      next[j] = Math.min(row[j] + 1, next[j - 1] + 1, row[j - 1] + cost);
+
+      if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        next[j] = Math.min(next[j], previousRow[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, next[j]);
+    }
+
+    if (rowMin > max) return max + 1;
+    previousRow = row;
+    row = next;
+  }
+
+  return Math.min(row[b.length], max + 1);
+};
+
+// Typos allowed for a term of this length
+const allowedTypos = (length) => {
+  if (length >= 8) return 2;
+  if (length >= 4) return 1;
+  return 0;
+};
+
+/**
+ * Score how well a query term matches a list of words.
+ * 1 for an exact word, 0.8 for a prefix, 0.6 for a word one or two typos away
+ * (or a prefix of one), and a fraction for trigram overlap.
+ * @param {string} term - Normalized query term
+ * @param {Array<string>} words - Normalized words of a field
+ * @returns {number} Between 0 and 1
+ */
+export const scoreTerm = (term, words) => {
+  const termGrams = new Set(trigrams(term));
+  const typos = allowedTypos(term.length);
+  let best = 0;
+
+  for (const word of words) {
+    if (word === term) return 1;
+    if (word.startsWith(term)) {
+      best = Math.max(best, 0.8);
+      continue;
+    }
+
+    if (typos > 0) {
+      // Compare with the whole word, and with its start so a misspelled prefix still counts
+      const distance = Math.min(
+        editDistance(term, word, typos),
+        editDistance(term, word.slice(0, term.length), typos)
+      );
+      if (distance <= typos) {
+        best = Math.max(best, 0.6 - (distance - 1) * 0.1);
+        continue;
+      }
+    }
+
+    const wordGrams = new Set(trigrams(word));
+    const shared = [...termGrams].filter(gram => wordGrams.has(gram)).length;
+    if (shared > 0) {
+      best = Math.max(best, 0.4 * (2 * shared) / (termGrams.size + wordGrams.size));
+    }
+  }
+
+  return best;
+};
+
+export default {
+  normalizeText,
+  toWords,
+  trigrams,
+  buildSearchTokens,
+  parseQuery,
+  editDistance,
+  scoreTerm
+};
@@ -0,0 +1,80 @@
+/**
+ * Hashtags and @mentions in post and comment text.
+ *
+ * Index ranges are `[start, end)` offsets into the original string, the same
+ * units String#slice uses, and cover the `#` or `@` sign: clients can
+ * highlight an entity with `content.slice(start, end)` whatever comes before
+ * it (emoji, accents, repeated tags).
+ */
+
+const MAX_HASHTAG_LENGTH = 50;
+const MAX_HASHTAGS = 30;
+const MAX_MENTIONS = 20;
+
+// A tag starts after a boundary (not inside a word, an HTML entity or a URL
+// fragment) and needs at least one letter, so "#1" is not a tag
+const HASHTAG_PATTERN = /(?<![\p{L}\p{M}\p{N}_&#/])#([\p{L}\p{M}\p{N}_]+)/gu;
+const HAS_LETTER = /\p{L}/u;
+
+// Usernames follow the User model: 3-30 letters, digits or underscores.
+// A preceding letter or dot means an email address, not a mention
+const MENTION_PATTERN = /(?<![\p{L}\p{N}_@.])@([A-Za-z0-9_]{3,30})(?![A-Za-z0-9_])/gu;
+
+/**
+ * Normalize a hashtag for storage and lookup: no `#`, NFKC, lowercase
+ * @param {string} tag
+ * @returns {string|null} null when it is not a valid hashtag
+ */
+export const normalizeHashtag = (tag) => {
+  const value = String(tag || '').trim().replace(/^#/, '').normalize('NFKC').toLowerCase();
+  if (!value || value.length > MAX_HASHTAG_LENGTH || !HAS_LETTER.test(value)) return null;
+  return /^[\p{L}\p{M}\p{N}_]+$/u.test(value) ? value : null;
+};
+
+/**
+ * Every hashtag in some text, in order
+ * @param {string} text
+ * @returns {Array<{ tag: string, indices: [number, number] }>}
+ */
+export const extractHashtags = (text) => {
+  const found = [];
+  for (const match of String(text || '').matchAll(HASHTAG_PATTERN)) {
+    const tag = normalizeHashtag(match[1]);
+    if (tag) found.push({ tag, indices: [match.index, match.index + match[0].length] });
+  }
+  return found;
+};
+
+/**
+ * Every @mention in some text, in order
+ * @param {string} text
+ * @returns {Array<{ username: string, indices: [number, number] }>}
+ */
+export const extractMentions = (text) => [...String(text || '').matchAll(MENTION_PATTERN)]
+  .map(match => ({ username: match[1], indices: [match.index, match.index + match[0].length] }));
+
+/**
+ * Hashtags and mentions of some text, capped so one post cannot tag or notify without limit
+ * @param {string} text
+ * @returns {{ hashtags: Array<string>, mentions: Array<{ username: string, indices: [number, number] }> }}
+ */
+export const parseTextEntities = (text) => {
+  const hashtags = [...new Set(extractHashtags(text).map(({ tag }) => tag))].slice(0, MAX_HASHTAGS);
+
+  const usernames = new Set();
+  const mentions = extractMentions(text).filter(({ username }) => {
+    const key = username.toLowerCase();
+    if (!usernames.has(key) && usernames.size >= MAX_MENTIONS) return false;
+    usernames.add(key);
+    return true;
+  });
+
+  return { hashtags, mentions };
+};
+
+export default {
+  normalizeHashtag,
+  extractHashtags,
+  extractMentions,
+  parseTextEntities
+};
@@ -0,0 +1,165 @@
+/**
+ * Time-based one-time passwords (RFC 6238) compatible with authenticator apps
+ */
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DEFAULT_DIGITS = 6;
+const DEFAULT_STEP_SECONDS = 30;
+
+/**
+ * Encode a buffer as RFC 4648 base32 without padding
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+export const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (case-insensitive, padding and spaces ignored)
+ * @param {string} input
+ * @returns {Buffer}
+ */
+export const base32Decode = (input) => {
+  const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a random base32 secret
+ * @param {number} [size=20] - Number of random bytes (20 bytes = 160 bits, as recommended for SHA-1)
+ * @returns {string}
+ */
+export const generateSecret = (size = 20) => base32Encode(crypto.randomBytes(size));
+
+/**
+ * Generate an HOTP code (RFC 4226)
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Moving factor
+ * @param {number} [digits=6]
+ * @returns {string}
+ */
+export const generateHotp = (secret, counter, digits = DEFAULT_DIGITS) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+
+  return code.toString().padStart(digits, '0');
+};
+
+/**
+ * Get the time step for a timestamp
+ * @param {number} [time=Date.now()] - Timestamp in milliseconds
+ * @param {number} [step=30] - Step size in seconds
+ * @returns {number}
+ */
+export const getTimeStep = (time = Date.now(), step = DEFAULT_STEP_SECONDS) => Math.floor(time / 1000 / step);
+
+/**
+ * Generate the TOTP code for a point in time
+ * @param {string} secret - Base32 secret
+ * @param {Object} [options]
+ * @param {number} [options.time=Date.now()] - Timestamp in milliseconds
+ * @param {number} [options.step=30] - Step size in seconds
+ * @param {number} [options.digits=6]
+ * @returns {string}
+ */
+export const generateTotp = (secret, { time = Date.now(), step = DEFAULT_STEP_SECONDS, digits = DEFAULT_DIGITS } = {}) =>
+  generateHotp(secret, getTimeStep(time, step), digits);
+
+/**
+ * Verify a TOTP code, allowing for clock drift of `window` steps either way
+ * @param {string} secret - Base32 secret
+ * @param {string} token - The code entered by the user
+ * @param {Object} [options]
+ * @param {number} [options.time=Date.now()] - Timestamp in milliseconds
+ * @param {number} [options.step=30] - Step size in seconds
+ * @param {number} [options.window=1] - Number of steps of drift to accept
+ * @param {number} [options.digits=6]
+ * @returns {number|null} The matching time step (store it to prevent replays), or null
+ */
+export const verifyTotp = (secret, token, {
+  time = Date.now(),
+  step = DEFAULT_STEP_SECONDS,
+  window = 1,
+  digits = DEFAULT_DIGITS
+} = {}) => {
+  const normalized = String(token || '').replace(/\s/g, '');
+  if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(time, step);
+
+  for (let offset = -window; offset <= window; offset += 1) {
+    const candidate = generateHotp(secret, currentStep + offset, digits);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return currentStep + offset;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the otpauth:// URI authenticator apps read from a QR code
+ * @param {Object} options
+ * @param {string} options.secret - Base32 secret
+ * @param {string} options.accountName - Usually the user's email
+ * @param {string} options.issuer - The service name shown in the app
+ * @returns {string}
+ */
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(DEFAULT_DIGITS),
+    period: String(DEFAULT_STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};